@@ -0,0 +1,253 @@
+// checklist.js - Interactive checklists in guide articles
+// An author marks a list with data-checklist, optionally naming it
+// (<ol data-checklist="protocol">), and every item becomes a checkbox. A panel above the
+// first checklist shows how much of the guide is done and offers print, export and reset.
+// Progress is kept in this browser's localStorage and never sent anywhere.
+
+export const CHECKLIST_STORAGE_KEY = 'nis_checklists';
+
+/**
+ * A short, stable key for an item, from its text. Keys survive reordering a list, and
+ * editing an item's wording simply starts it unchecked.
+ * @param {string} text
+ * @returns {string}
+ */
+export function itemKey(text) {
+    const normalized = String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+    // FNV-1a, 32 bits
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+        hash ^= normalized.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+function readAll() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CHECKLIST_STORAGE_KEY));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function writeAll(all) {
+    try {
+        if (Object.keys(all).length === 0) localStorage.removeItem(CHECKLIST_STORAGE_KEY);
+        else localStorage.setItem(CHECKLIST_STORAGE_KEY, JSON.stringify(all));
+    } catch (e) {
+        // Storage full or blocked (private mode): progress lasts until the page is closed
+    }
+}
+
+/**
+ * The checked items of every checklist on a page
+ * @param {string} [page=location.pathname]
+ * @returns {Object<string, string[]>} Item keys by checklist name
+ */
+export function loadProgress(page = window.location.pathname) {
+    const progress = readAll()[page];
+    return progress && typeof progress === 'object' ? progress : {};
+}
+
+/**
+ * @param {string} page
+ * @param {Object<string, string[]>} progress - Empty lists are dropped
+ */
+export function saveProgress(page, progress) {
+    const all = readAll();
+    const kept = Object.fromEntries(Object.entries(progress).filter(([, keys]) => keys.length > 0));
+    if (Object.keys(kept).length > 0) all[page] = kept;
+    else delete all[page];
+    writeAll(all);
+}
+
+/**
+ * The checklists of a guide as plain text, for keeping or sharing outside the site
+ * @param {Object} guide
+ * @param {string} guide.title
+ * @param {string} guide.url
+ * @param {Array<{ heading: string, items: Array<{ text: string, done: boolean }> }>} guide.lists
+ * @param {Date} [guide.date]
+ * @returns {string}
+ */
+export function formatChecklistExport({ title, url, lists, date = new Date() }) {
+    const items = lists.flatMap(list => list.items);
+    const lines = [
+        title,
+        url,
+        `${items.filter(item => item.done).length} of ${items.length} done on ${date.toISOString().slice(0, 10)}`,
+    ];
+    for (const list of lists) {
+        lines.push('');
+        if (list.heading) lines.push(list.heading, '');
+        list.items.forEach(item => lines.push(`[${item.done ? 'x' : ' '}] ${item.text}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The nearest heading before a list, to label it in the export
+ */
+function findHeading(list) {
+    let node = list;
+    while (node && node !== document.body) {
+        let sibling = node.previousElementSibling;
+        while (sibling) {
+            if (/^H[2-4]$/.test(sibling.tagName)) return sibling.textContent.trim();
+            sibling = sibling.previousElementSibling;
+        }
+        node = node.parentElement;
+    }
+    return '';
+}
+
+/**
+ * Turn the items of a marked list into checkboxes
+ * @returns {{ name: string, heading: string, items: Array<{ key: string, text: string, input: HTMLInputElement }> }}
+ */
+function enhanceList(list, name, checked) {
+    list.classList.add('checklist');
+    const done = new Set(checked);
+
+    const items = Array.from(list.children).filter(child => child.tagName === 'LI').map((li, i) => {
+        const text = li.textContent.replace(/\s+/g, ' ').trim();
+        const key = li.dataset.item || itemKey(text);
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'checklist-checkbox';
+        input.id = `checklist-${name}-${i}`;
+        input.checked = done.has(key);
+
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.className = 'checklist-label';
+        label.append(...li.childNodes);
+
+        li.classList.add('checklist-item');
+        li.classList.toggle('is-done', input.checked);
+        li.append(input, label);
+        return { key, text, input };
+    });
+
+    return { name, heading: findHeading(list), items };
+}
+
+function createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'checklist-panel';
+    panel.innerHTML = `
+        <div class="checklist-meter">
+            <progress class="checklist-progress" max="1" value="0"></progress>
+            <span class="checklist-count" role="status" aria-live="polite"></span>
+        </div>
+        <div class="checklist-actions">
+            <button type="button" class="checklist-action" data-checklist-action="print">🖨️ Print</button>
+            <button type="button" class="checklist-action" data-checklist-action="export">⬇️ Export</button>
+            <button type="button" class="checklist-action" data-checklist-action="reset">↺ Reset</button>
+        </div>
+        <p class="checklist-note">Your progress is saved in this browser only.</p>`;
+    return panel;
+}
+
+function downloadText(text, fileName) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Enhance every [data-checklist] list on the page
+ * @param {Document|Element} [root=document]
+ * @returns {Object|null} The guide's checklists, or null if the page has none
+ */
+export function setupChecklists(root = document) {
+    const marked = Array.from(root.querySelectorAll('ul[data-checklist], ol[data-checklist]'));
+    if (marked.length === 0) return null;
+
+    const page = window.location.pathname;
+    const progress = loadProgress(page);
+    const used = new Set();
+    const lists = marked.map((list, i) => {
+        // Unnamed lists are numbered; a repeated name gets a suffix so lists never share progress
+        let name = list.dataset.checklist || `list-${i + 1}`;
+        while (used.has(name)) name += `-${i + 1}`;
+        used.add(name);
+        return enhanceList(list, name, progress[name] || []);
+    });
+
+    const panel = root.querySelector('[data-checklist-panel]') || createPanel();
+    if (!panel.isConnected) marked[0].before(panel);
+    if (!panel.querySelector('.checklist-meter')) panel.replaceChildren(...createPanel().childNodes);
+    panel.classList.add('checklist-panel');
+
+    const progressBar = panel.querySelector('.checklist-progress');
+    const count = panel.querySelector('.checklist-count');
+
+    const update = () => {
+        const items = lists.flatMap(list => list.items);
+        const done = items.filter(item => item.input.checked).length;
+        progressBar.max = items.length;
+        progressBar.value = done;
+        count.textContent = done === items.length
+            ? `All ${items.length} steps done`
+            : `${done} of ${items.length} steps done`;
+        items.forEach(item => item.input.closest('li').classList.toggle('is-done', item.input.checked));
+    };
+
+    const persist = () => {
+        saveProgress(page, Object.fromEntries(lists.map(list => [
+            list.name,
+            list.items.filter(item => item.input.checked).map(item => item.key),
+        ])));
+    };
+
+    lists.forEach(list => list.items.forEach(item => {
+        item.input.addEventListener('change', () => {
+            update();
+            persist();
+        });
+    }));
+
+    const heading = document.querySelector('h1');
+    const guide = () => ({
+        title: (heading && heading.textContent.trim()) || document.title,
+        url: `${window.location.origin}${page}`,
+        lists: lists.map(list => ({
+            heading: list.heading,
+            items: list.items.map(item => ({ text: item.text, done: item.input.checked })),
+        })),
+    });
+
+    panel.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-checklist-action]');
+        if (!button) return;
+
+        switch (button.dataset.checklistAction) {
+            case 'print':
+                window.print();
+                break;
+            case 'export': {
+                const slug = page.split('/').pop().replace(/\.html$/, '') || 'guide';
+                downloadText(formatChecklistExport(guide()), `${slug}-checklist.txt`);
+                break;
+            }
+            case 'reset':
+                if (!window.confirm('Uncheck every step in this guide?')) return;
+                lists.forEach(list => list.items.forEach(item => { item.input.checked = false; }));
+                update();
+                persist();
+                break;
+        }
+    });
+
+    update();
+    return { page, lists, panel };
+}
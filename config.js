@@ -15,3 +15,20 @@
  * Example: "https://script.google.com/macros/s/AKfycbxXXXXXXXXXXXXXXXXX/exec"
  */
 export const APPS_SCRIPT_URL = "https://script.google.com/macros/s/AKfycbwg85E0ehs7RvFxyYTDakkq9eIi_ABBR9N42p7R8FkyimxIfLaGPPz1knR7G3MOFJLvhA/exec";
+
+/**
+ * Where the contact and newsletter forms are sent. See form-transport.js for the backends.
+ *
+ * type: 'apps-script' (default), 'webhook' (JSON POST), 'formspree' or 'mock'.
+ * url:  the endpoint for that backend; the mock ignores it.
+ * tokenUrl: where forms with data-token get a signed token (webhook and formspree only;
+ *           Apps Script issues them from the same URL).
+ *
+ * Set VITE_FORM_TRANSPORT=mock (and optionally VITE_FORM_ENDPOINT) in .env.local to
+ * develop without sending anything, or to point a preview build at another backend.
+ */
+export const FORM_TRANSPORT = {
+    type: import.meta.env?.VITE_FORM_TRANSPORT || 'apps-script',
+    url: import.meta.env?.VITE_FORM_ENDPOINT || APPS_SCRIPT_URL,
+    tokenUrl: import.meta.env?.VITE_FORM_TOKEN_URL,
+};
@@ -0,0 +1,287 @@
+// consent.js - First-party cookie consent for Google Analytics and AdSense
+// Nothing from Google is loaded until the visitor opts in to that category. Choices
+// are stored in localStorage on this device only. A Global Privacy Control or
+// Do Not Track signal counts as a "no" to both categories, so the banner isn't shown
+// to those visitors at all; they can still opt in from the "Cookie choices" link.
+
+export const CONSENT_STORAGE_KEY = 'nis_consent';
+
+// Bump when categories change so everyone is asked again
+export const CONSENT_VERSION = 1;
+
+const GA_MEASUREMENT_ID = 'G-C6R0Z78YNM';
+const ADSENSE_CLIENT = 'ca-pub-2379517169183719';
+
+/**
+ * Optional cookie categories. Strictly necessary storage (this choice, form
+ * rate limiting) needs no consent and isn't listed.
+ */
+export const CONSENT_CATEGORIES = {
+    analytics: {
+        label: 'Analytics',
+        description: 'Google Analytics tells us which articles are read. It sets _ga cookies.',
+        cookies: [/^_ga($|_)/, /^_gid$/, /^_gat/],
+    },
+    advertising: {
+        label: 'Advertising',
+        description: 'Google AdSense shows ads that keep the site free. Google may set cookies to measure and personalize them.',
+        cookies: [/^__gads$/, /^__gpi$/, /^__eoi$/],
+    },
+};
+
+const CATEGORY_NAMES = Object.keys(CONSENT_CATEGORIES);
+
+const loaders = {
+    analytics: loadAnalytics,
+    advertising: loadAdvertising,
+};
+
+let bannerElement = null;
+
+/**
+ * Whether the browser is sending a Global Privacy Control or Do Not Track signal
+ * @param {Navigator} [nav=navigator]
+ * @param {Window} [win=window]
+ * @returns {boolean}
+ */
+export function hasPrivacySignal(nav = navigator, win = window) {
+    const dnt = nav.doNotTrack || win.doNotTrack || nav.msDoNotTrack;
+    return nav.globalPrivacyControl === true || dnt === '1' || dnt === 'yes';
+}
+
+/**
+ * Read the stored choices
+ * @returns {Object|null} { analytics, advertising, updatedAt } or null if the visitor hasn't chosen
+ */
+export function readConsent() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+        if (!stored || stored.version !== CONSENT_VERSION) return null;
+        return stored;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Store the visitor's choices
+ * @param {Object} choices - { analytics: boolean, advertising: boolean }
+ * @returns {Object} What was stored
+ */
+export function saveConsent(choices) {
+    const record = { version: CONSENT_VERSION, updatedAt: new Date().toISOString() };
+    CATEGORY_NAMES.forEach(name => {
+        record[name] = choices[name] === true;
+    });
+
+    try {
+        localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(record));
+    } catch (e) {
+        // Storage disabled: the choice still applies to this page view
+    }
+    return record;
+}
+
+/**
+ * Work out which categories are allowed right now
+ * An explicit choice wins; otherwise a privacy signal or no choice both mean "no".
+ * @returns {{ analytics: boolean, advertising: boolean, source: 'stored'|'signal'|'none' }}
+ */
+export function getEffectiveConsent() {
+    const stored = readConsent();
+    const source = stored ? 'stored' : (hasPrivacySignal() ? 'signal' : 'none');
+    const consent = { source };
+    CATEGORY_NAMES.forEach(name => {
+        consent[name] = stored ? stored[name] === true : false;
+    });
+    return consent;
+}
+
+function injectScript(src, attributes = {}) {
+    if (document.querySelector(`script[src="${src}"]`)) return;
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = src;
+    Object.entries(attributes).forEach(([name, value]) => script.setAttribute(name, value));
+    document.head.appendChild(script);
+}
+
+function loadAnalytics() {
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = window.gtag || function gtag() { window.dataLayer.push(arguments); };
+    window.gtag('js', new Date());
+    window.gtag('config', GA_MEASUREMENT_ID);
+    injectScript(`https://www.googletagmanager.com/gtag/js?id=${GA_MEASUREMENT_ID}`);
+}
+
+function loadAdvertising() {
+    injectScript(`https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=${ADSENSE_CLIENT}`, {
+        crossorigin: 'anonymous',
+    });
+}
+
+/**
+ * Load the scripts for every allowed category. Safe to call more than once.
+ * @param {Object} consent
+ */
+export function applyConsent(consent) {
+    CATEGORY_NAMES.forEach(name => {
+        if (consent[name]) loaders[name]();
+    });
+}
+
+/**
+ * Expire cookies a category may have set, on this host and its parent domains
+ */
+function clearCookies(patterns) {
+    const hostParts = window.location.hostname.split('.');
+    const domains = [''];
+    for (let i = 0; i < hostParts.length - 1; i++) {
+        domains.push(`; domain=.${hostParts.slice(i).join('.')}`);
+    }
+
+    document.cookie.split(';').forEach(cookie => {
+        const name = cookie.split('=')[0].trim();
+        if (!name || !patterns.some(pattern => pattern.test(name))) return;
+        domains.forEach(domain => {
+            document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain}`;
+        });
+    });
+}
+
+/**
+ * Save new choices and apply them. Scripts that were already running can't be
+ * unloaded, so withdrawing consent clears that category's cookies and reloads.
+ * @param {Object} choices - { analytics: boolean, advertising: boolean }
+ * @param {Object} [options]
+ * @param {Function} [options.reload] - Called instead of reloading the page
+ */
+export function updateConsent(choices, { reload = () => window.location.reload() } = {}) {
+    const previous = getEffectiveConsent();
+    const next = saveConsent(choices);
+
+    const withdrawn = CATEGORY_NAMES.filter(name => previous[name] && !next[name]);
+    withdrawn.forEach(name => clearCookies(CONSENT_CATEGORIES[name].cookies));
+
+    document.dispatchEvent(new CustomEvent('consentchange', { detail: next }));
+
+    if (withdrawn.length > 0) {
+        reload();
+        return;
+    }
+    applyConsent(next);
+}
+
+function closeBanner() {
+    if (bannerElement) {
+        bannerElement.remove();
+        bannerElement = null;
+    }
+}
+
+/**
+ * Show the consent banner
+ * @param {Object} [options]
+ * @param {boolean} [options.expanded=false] - Open straight to the per-category choices
+ */
+export function showConsentBanner({ expanded = false } = {}) {
+    closeBanner();
+
+    const consent = getEffectiveConsent();
+    const banner = document.createElement('section');
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'dialog');
+    banner.setAttribute('aria-labelledby', 'consentTitle');
+
+    const signalNote = hasPrivacySignal()
+        ? '<p class="consent-signal">Your browser is sending a privacy signal (Global Privacy Control or Do Not Track), so everything below is off unless you turn it on.</p>'
+        : '';
+
+    const options = CATEGORY_NAMES.map(name => {
+        const category = CONSENT_CATEGORIES[name];
+        return `
+            <label class="consent-option">
+                <input type="checkbox" name="${name}"${consent[name] ? ' checked' : ''}>
+                <span><strong>${category.label}</strong> ${category.description}</span>
+            </label>`;
+    }).join('');
+
+    banner.innerHTML = `
+        <div class="consent-inner">
+            <h2 id="consentTitle">Your privacy choices</h2>
+            <p>We use no cookies by default. With your permission, we load Google Analytics to see which articles help
+                people and Google AdSense to fund the site. <a href="/cookies-policy.html">Cookie Policy</a></p>
+            ${signalNote}
+            <form class="consent-choices"${expanded ? '' : ' hidden'}>
+                <label class="consent-option">
+                    <input type="checkbox" checked disabled>
+                    <span><strong>Necessary</strong> Remembers this choice and protects our forms from spam. Always on.</span>
+                </label>
+                ${options}
+            </form>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-secondary" data-consent-action="reject">Reject all</button>
+                <button type="button" class="btn btn-secondary" data-consent-action="customize"${expanded ? ' hidden' : ''}>Choose</button>
+                <button type="button" class="btn btn-secondary" data-consent-action="save"${expanded ? '' : ' hidden'}>Save choices</button>
+                <button type="button" class="btn btn-primary" data-consent-action="accept">Accept all</button>
+            </div>
+        </div>`;
+
+    const form = banner.querySelector('.consent-choices');
+
+    banner.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-consent-action]');
+        if (!button) return;
+
+        const all = (value) => Object.fromEntries(CATEGORY_NAMES.map(name => [name, value]));
+
+        switch (button.dataset.consentAction) {
+            case 'accept':
+                updateConsent(all(true));
+                closeBanner();
+                break;
+            case 'reject':
+                updateConsent(all(false));
+                closeBanner();
+                break;
+            case 'customize':
+                form.hidden = false;
+                button.hidden = true;
+                banner.querySelector('[data-consent-action="save"]').hidden = false;
+                form.querySelector('input:not([disabled])').focus();
+                break;
+            case 'save':
+                updateConsent(Object.fromEntries(CATEGORY_NAMES.map(name => [name, form.elements[name].checked])));
+                closeBanner();
+                break;
+        }
+    });
+
+    document.body.appendChild(banner);
+    bannerElement = banner;
+
+    if (expanded) {
+        form.querySelector('input:not([disabled])').focus();
+    }
+}
+
+/**
+ * Apply stored choices, ask if there are none, and wire up "Cookie choices" links
+ */
+export function initConsent() {
+    const consent = getEffectiveConsent();
+    applyConsent(consent);
+
+    if (consent.source === 'none') {
+        showConsentBanner();
+    }
+
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-consent-settings]');
+        if (!link) return;
+        e.preventDefault();
+        showConsentBanner({ expanded: true });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initConsent);
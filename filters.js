@@ -0,0 +1,142 @@
+// filters.js - Category and tag filtering for the articles.html grid
+// The active filter lives in the query string (?category=Digital+Scams, ?tag=vpn),
+// so every filtered view can be bookmarked and shared.
+
+const FILTER_PARAMS = ['category', 'tag'];
+
+/**
+ * Read the active filters from a query string
+ * @param {string} [search=window.location.search]
+ * @returns {{ category: string, tag: string }}
+ */
+function readFilters(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    return {
+        category: (params.get('category') || '').trim(),
+        tag: (params.get('tag') || '').trim().toLowerCase(),
+    };
+}
+
+/**
+ * Build the URL for a set of filters, keeping unrelated parameters and the hash
+ */
+function filtersToURL(filters) {
+    const params = new URLSearchParams(window.location.search);
+    FILTER_PARAMS.forEach(param => {
+        if (filters[param]) {
+            params.set(param, filters[param]);
+        } else {
+            params.delete(param);
+        }
+    });
+
+    const query = params.toString();
+    return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+}
+
+function cardMatches(card, { category, tag }) {
+    if (category && card.dataset.category.toLowerCase() !== category.toLowerCase()) return false;
+    if (tag && !(card.dataset.tags || '').split('|').includes(tag)) return false;
+    return true;
+}
+
+/**
+ * Describe the active filters, with links to clear them and to the category page
+ */
+function renderStatus(status, filters, visibleCount, chips) {
+    status.textContent = '';
+    if (!filters.category && !filters.tag) return;
+
+    const categoryChip = chips.find(chip =>
+        chip.dataset.filter === 'category' && chip.dataset.value.toLowerCase() === filters.category.toLowerCase());
+    const categoryName = categoryChip ? categoryChip.dataset.value : filters.category;
+
+    const parts = [];
+    if (filters.category) parts.push(`in ${categoryName}`);
+    if (filters.tag) parts.push(`tagged #${filters.tag}`);
+
+    status.append(visibleCount === 0
+        ? `No articles ${parts.join(' and ')}. `
+        : `Showing ${visibleCount} article${visibleCount === 1 ? '' : 's'} ${parts.join(' and ')}. `);
+
+    const clear = document.createElement('a');
+    clear.href = filtersToURL({});
+    clear.textContent = 'Clear filters';
+    clear.dataset.filterReset = '';
+    status.append(clear);
+
+    if (categoryChip && categoryChip.dataset.page) {
+        const page = document.createElement('a');
+        page.href = categoryChip.dataset.page;
+        page.textContent = `${categoryName} topic page`;
+        status.append(' · ', page);
+    }
+}
+
+/**
+ * Wire up the filter chips on articles.html
+ */
+function setupArticleFilters() {
+    const grid = document.querySelector('.article-grid');
+    const status = document.getElementById('filterStatus');
+    const chips = [...document.querySelectorAll('.filter-chip')];
+
+    if (!grid || chips.length === 0) return;
+
+    const cards = [...grid.querySelectorAll('.article-card')];
+
+    const applyFilters = () => {
+        const filters = readFilters();
+        let visibleCount = 0;
+
+        cards.forEach(card => {
+            const visible = cardMatches(card, filters);
+            card.hidden = !visible;
+            if (visible) visibleCount++;
+        });
+
+        chips.forEach(chip => {
+            const active = 'filterReset' in chip.dataset
+                ? !filters.category && !filters.tag
+                : chip.dataset.value.toLowerCase() === (filters[chip.dataset.filter] || '').toLowerCase();
+            chip.classList.toggle('active', active);
+            if (active) {
+                chip.setAttribute('aria-current', 'true');
+            } else {
+                chip.removeAttribute('aria-current');
+            }
+        });
+
+        if (status) renderStatus(status, filters, visibleCount, chips);
+    };
+
+    const navigate = (filters) => {
+        history.pushState(null, '', filtersToURL(filters));
+        applyFilters();
+    };
+
+    // Delegate so the "Clear filters" link in the status line works too
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-filter], [data-filter-reset]');
+        if (!link || e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+
+        e.preventDefault();
+
+        if ('filterReset' in link.dataset) {
+            navigate({});
+            return;
+        }
+
+        const filters = readFilters();
+        const { filter, value } = link.dataset;
+        // Clicking the active chip again turns that filter off
+        filters[filter] = filters[filter].toLowerCase() === value.toLowerCase() ? '' : value;
+        navigate(filters);
+    });
+
+    window.addEventListener('popstate', applyFilters);
+
+    applyFilters();
+}
+
+document.addEventListener('DOMContentLoaded', setupArticleFilters);
@@ -0,0 +1,372 @@
+// fingerprint.js - The browser fingerprint self-test (fingerprint-test.html)
+// Reads the surfaces trackers combine into a fingerprint, estimates how rare each value is
+// against the shares in fingerprint-reference.json and suggests how to blend in.
+// Everything runs in this page: no value read here is stored or sent anywhere.
+
+import defaultReference from './fingerprint-reference.json';
+import { generateAbuseFingerprint } from './form-security.js';
+
+// Below this many bits a value is shared by at least 1 in 8 browsers
+const COMMON_BITS = 3;
+// Above this many, by fewer than 1 in 128
+const RARE_BITS = 7;
+
+// Fonts looked for by measuring text; a mix of what Windows, macOS, Linux and apps install
+const FONT_PROBES = [
+    'Arial', 'Arial Narrow', 'Calibri', 'Cambria', 'Candara', 'Century Gothic', 'Comic Sans MS',
+    'Consolas', 'Courier New', 'Franklin Gothic Medium', 'Garamond', 'Georgia', 'Impact',
+    'Lucida Console', 'Palatino Linotype', 'Segoe UI', 'Tahoma', 'Trebuchet MS', 'Verdana',
+    'Microsoft YaHei', 'MS Gothic', 'Malgun Gothic', 'SimSun', 'Meiryo',
+    'Avenir', 'Futura', 'Gill Sans', 'Helvetica Neue', 'Menlo', 'Monaco', 'Optima',
+    'Cantarell', 'DejaVu Sans', 'Liberation Sans', 'Noto Sans', 'Ubuntu',
+    'Fira Sans', 'Lato', 'Open Sans', 'Roboto', 'Source Code Pro',
+];
+const GENERIC_FONTS = ['monospace', 'sans-serif', 'serif'];
+
+/**
+ * The surfaces the test reads, in the order they are shown. `read` returns the value as a
+ * string, the key looked up in the reference; `advice` is shown when the value is not common.
+ */
+export const FINGERPRINT_SURFACES = [
+    {
+        id: 'timezone',
+        label: 'Time zone',
+        read: () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'unknown',
+        advice: 'A VPN hides your IP address but not your time zone. Firefox with privacy.resistFingerprinting and Tor Browser report UTC instead.',
+    },
+    {
+        id: 'languages',
+        label: 'Languages',
+        read: () => {
+            const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+            return languages.join(',');
+        },
+        advice: 'Every extra language in your browser settings narrows the crowd. Keep one, or the default for your browser\'s locale.',
+    },
+    {
+        id: 'platform',
+        label: 'Platform',
+        read: () => navigator.platform || 'empty',
+        advice: 'An unusual operating system stands out on its own. Tor Browser reports the same platform on every desktop.',
+    },
+    {
+        id: 'screen',
+        label: 'Screen size',
+        read: () => `${screen.width}x${screen.height}`,
+        advice: 'Rare resolutions and scaling settings are easy to spot. Tor Browser and LibreWolf round the window size (letterboxing).',
+    },
+    {
+        id: 'display',
+        label: 'Colour depth and pixel ratio',
+        read: () => `${screen.colorDepth}-bit @${Number((window.devicePixelRatio || 1).toFixed(3))}x`,
+        advice: 'Browser zoom changes the reported pixel ratio. Keep the page zoom at 100% when privacy matters.',
+    },
+    {
+        id: 'hardwareConcurrency',
+        label: 'CPU cores',
+        read: () => (navigator.hardwareConcurrency ? String(navigator.hardwareConcurrency) : 'not exposed'),
+        advice: 'Many-core machines are rare. Brave and Firefox\'s resistFingerprinting report a common core count instead.',
+    },
+    {
+        id: 'deviceMemory',
+        label: 'Device memory (GB)',
+        read: () => ('deviceMemory' in navigator ? String(navigator.deviceMemory) : 'not exposed'),
+        advice: 'Only Chromium browsers report memory. Brave rounds it; Firefox and Safari do not expose it at all.',
+    },
+    {
+        id: 'touch',
+        label: 'Touch points',
+        read: () => String(navigator.maxTouchPoints || 0),
+        advice: 'A touchscreen laptop is rarer than a phone or a plain desktop. There is no setting for this; a separate browser profile for sensitive browsing helps.',
+    },
+    {
+        id: 'privacySignals',
+        label: 'Privacy signals',
+        read: () => {
+            const signals = [];
+            if (navigator.doNotTrack === '1' || window.doNotTrack === '1') signals.push('Do Not Track');
+            if (navigator.globalPrivacyControl) signals.push('Global Privacy Control');
+            return signals.join(', ') || 'none';
+        },
+        advice: 'Do Not Track is ignored by almost every site and makes you rarer. Prefer Global Privacy Control, which has legal weight in some US states, and turn Do Not Track off.',
+    },
+    {
+        id: 'canvas',
+        label: 'Canvas rendering',
+        read: readCanvas,
+        advice: 'How your graphics stack draws text and shapes is close to unique. Brave randomizes canvas output per site; Firefox\'s resistFingerprinting and Tor Browser block reading it.',
+    },
+    {
+        id: 'webgl',
+        label: 'WebGL vendor and renderer',
+        read: readWebGL,
+        advice: 'Your graphics card\'s exact model is exposed to every page. Safari and Firefox\'s resistFingerprinting report a generic renderer; uBlock Origin in medium mode or disabling WebGL hides it.',
+    },
+    {
+        id: 'fonts',
+        label: 'Installed fonts',
+        read: readFonts,
+        advice: 'Fonts installed by apps (Office, Adobe, design tools) set you apart. Firefox and Safari limit pages to system fonts; uninstall fonts you do not use.',
+    },
+];
+
+// Steps that help whatever the results, shown after the per-surface advice
+const GENERAL_ADVICE = [
+    'Use a browser that makes everyone look alike: Tor Browser, Mullvad Browser, or Firefox with privacy.resistFingerprinting.',
+    'Blending in beats blocking: many extensions that hide one surface make the rest of your fingerprint rarer.',
+    'Keep a separate browser or profile for accounts you sign in to, so a fingerprint cannot tie them to your other browsing.',
+];
+
+/**
+ * A short hex digest of a string
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function digest(text) {
+    const bytes = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    return Array.from(bytes.slice(0, 6), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function drawCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 280;
+    canvas.height = 60;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    const text = 'NoIdentity.Space <canvas> 🛡️ 1.0';
+    ctx.textBaseline = 'top';
+    ctx.font = '16px Arial';
+    ctx.fillStyle = '#f60';
+    ctx.fillRect(120, 1, 70, 22);
+    ctx.fillStyle = '#069';
+    ctx.fillText(text, 2, 15);
+    ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+    ctx.fillText(text, 4, 17);
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = 'rgb(255, 0, 255)';
+    ctx.beginPath();
+    ctx.arc(240, 30, 20, 0, Math.PI * 2);
+    ctx.fill();
+    return canvas.toDataURL();
+}
+
+/**
+ * A digest of an image drawn the way fingerprinting scripts draw one. A browser that adds
+ * noise gives a different image each time, which is reported as "randomized".
+ */
+async function readCanvas() {
+    const image = drawCanvas();
+    if (!image) return 'unavailable';
+    if (drawCanvas() !== image) return 'randomized';
+    return `image ${await digest(image)}`;
+}
+
+function readWebGL() {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+    if (!gl) return 'unavailable';
+
+    const info = gl.getExtension('WEBGL_debug_renderer_info');
+    const vendor = gl.getParameter(info ? info.UNMASKED_VENDOR_WEBGL : gl.VENDOR);
+    const renderer = gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+    return `${vendor} / ${renderer}`;
+}
+
+/**
+ * The probed fonts this browser can draw with: text set in an installed font measures
+ * differently from the generic fallback
+ */
+function readFonts() {
+    const ctx = document.createElement('canvas').getContext('2d');
+    if (!ctx) return 'unavailable';
+
+    const sample = 'mmmmmmmmmmlli WQ@#1';
+    const measure = (family) => {
+        ctx.font = `72px ${family}`;
+        return ctx.measureText(sample).width;
+    };
+    const fallbacks = GENERIC_FONTS.map(measure);
+    const found = FONT_PROBES.filter(font => (
+        GENERIC_FONTS.some((generic, i) => measure(`"${font}", ${generic}`) !== fallbacks[i])
+    ));
+    return found.length > 0 ? found.join(', ') : 'none';
+}
+
+/**
+ * Read every surface. A surface the browser refuses to give up reads as "unavailable".
+ * @param {Array} [surfaces=FINGERPRINT_SURFACES]
+ * @returns {Promise<Object<string, string>>} Values by surface id
+ */
+export async function collectFingerprint(surfaces = FINGERPRINT_SURFACES) {
+    const values = {};
+    for (const surface of surfaces) {
+        try {
+            values[surface.id] = String(await surface.read());
+        } catch (error) {
+            values[surface.id] = 'unavailable';
+        }
+    }
+    return values;
+}
+
+/**
+ * How many browsers share a value, by the reference
+ *
+ * A listed value has its own share. Anything else counts as one of the rare values
+ * (`other`), or, for surfaces too varied to list such as canvas images, scores the
+ * surface's average entropy.
+ * @param {string} id - Surface id
+ * @param {string} value
+ * @param {Object} [reference]
+ * @returns {{ share: number, bits: number }} Share of browsers (0-1) and bits of identifying information
+ */
+export function estimateSurface(id, value, reference = defaultReference) {
+    const surface = reference.surfaces[id];
+    if (!surface) return { share: 1, bits: 0 };
+
+    const values = surface.values || {};
+    if (Object.prototype.hasOwnProperty.call(values, value)) {
+        return { share: values[value], bits: -Math.log2(values[value]) };
+    }
+    if (surface.entropy !== undefined) {
+        return { share: 2 ** -surface.entropy, bits: surface.entropy };
+    }
+    return { share: surface.other, bits: -Math.log2(surface.other) };
+}
+
+/**
+ * 'common', 'uncommon' or 'rare'
+ * @param {number} bits
+ * @returns {string}
+ */
+export function rarityLevel(bits) {
+    if (bits < COMMON_BITS) return 'common';
+    if (bits < RARE_BITS) return 'uncommon';
+    return 'rare';
+}
+
+/**
+ * "1 in 1,024", "1 in 3.4 million"
+ * @param {number} count
+ * @returns {string}
+ */
+export function formatOneIn(count) {
+    const rounded = Math.max(1, Math.round(count));
+    if (rounded >= 1e9) return `1 in ${Number((rounded / 1e9).toFixed(1))} billion`;
+    if (rounded >= 1e6) return `1 in ${Number((rounded / 1e6).toFixed(1))} million`;
+    return `1 in ${rounded.toLocaleString('en-US')}`;
+}
+
+/**
+ * Score every surface and the fingerprint as a whole
+ *
+ * The total adds the surfaces' bits as if they were independent, which overstates it a
+ * little (a Mac is likelier to have a 2x screen), capped at one browser in the population.
+ * @param {Object<string, string>} values - From collectFingerprint()
+ * @param {Object} [reference]
+ * @param {Array} [surfaces=FINGERPRINT_SURFACES]
+ * @returns {{ surfaces: Array<Object>, bits: number, unique: boolean, oneIn: string }}
+ */
+export function summarizeFingerprint(values, reference = defaultReference, surfaces = FINGERPRINT_SURFACES) {
+    const scored = surfaces.filter(surface => surface.id in values).map((surface) => {
+        const value = values[surface.id];
+        const { share, bits } = estimateSurface(surface.id, value, reference);
+        return {
+            id: surface.id,
+            label: surface.label,
+            value,
+            bits,
+            oneIn: formatOneIn(1 / share),
+            level: rarityLevel(bits),
+            advice: surface.advice,
+        };
+    });
+
+    const maxBits = Math.log2(reference.population);
+    const total = scored.reduce((sum, surface) => sum + surface.bits, 0);
+    const bits = Math.min(total, maxBits);
+    return { surfaces: scored, bits, unique: total >= maxBits, oneIn: formatOneIn(2 ** bits) };
+}
+
+function renderSummary(element, summary) {
+    const bits = summary.bits.toFixed(1);
+    element.textContent = summary.unique
+        ? `Your browser is probably unique: about ${bits} bits of identifying information, enough to pick it out of every browser online.`
+        : `About ${bits} bits of identifying information: roughly ${summary.oneIn} browsers look like yours.`;
+}
+
+function renderRows(tbody, summary) {
+    tbody.replaceChildren(...summary.surfaces.map((surface) => {
+        const row = document.createElement('tr');
+        row.className = `fingerprint-${surface.level}`;
+        const cells = [surface.label, surface.value, surface.oneIn, surface.bits.toFixed(1)];
+        cells.forEach((text, i) => {
+            const cell = document.createElement(i === 0 ? 'th' : 'td');
+            if (i === 0) cell.scope = 'row';
+            cell.textContent = text;
+            row.append(cell);
+        });
+        return row;
+    }));
+}
+
+function renderAdvice(list, summary) {
+    const specific = summary.surfaces
+        .filter(surface => surface.level !== 'common')
+        .sort((a, b) => b.bits - a.bits)
+        .map(surface => ({ title: surface.label, text: surface.advice }));
+    const items = [...specific, ...GENERAL_ADVICE.map(text => ({ title: '', text }))];
+
+    list.replaceChildren(...items.map(({ title, text }) => {
+        const item = document.createElement('li');
+        if (title) {
+            const strong = document.createElement('strong');
+            strong.textContent = `${title}: `;
+            item.append(strong);
+        }
+        item.append(text);
+        return item;
+    }));
+}
+
+/**
+ * Wire up the test on fingerprint-test.html. It runs when the reader presses the button.
+ * @param {Document|Element} [root=document]
+ * @param {Object} [options]
+ * @param {Function} [options.collect=collectFingerprint]
+ * @param {Object} [options.reference]
+ * @returns {{ run: Function }|null} null on pages without the test
+ */
+export function setupFingerprintTest(root = document, { collect = collectFingerprint, reference = defaultReference } = {}) {
+    const container = root.querySelector('[data-fingerprint-test]');
+    if (!container) return null;
+
+    const button = container.querySelector('[data-fingerprint-run]');
+    const results = container.querySelector('[data-fingerprint-results]');
+
+    const run = async () => {
+        button.disabled = true;
+        button.textContent = 'Testing…';
+        try {
+            const summary = summarizeFingerprint(await collect(), reference);
+            renderSummary(container.querySelector('[data-fingerprint-summary]'), summary);
+            renderRows(container.querySelector('[data-fingerprint-rows]'), summary);
+            renderAdvice(container.querySelector('[data-fingerprint-advice]'), summary);
+            container.querySelector('[data-fingerprint-form]').textContent = generateAbuseFingerprint();
+            results.hidden = false;
+            return summary;
+        } catch (error) {
+            console.error('[Fingerprint] Test failed:', error);
+            return null;
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Run the test again';
+        }
+    };
+
+    button.addEventListener('click', run);
+    return { run };
+}
+
+document.addEventListener('DOMContentLoaded', () => setupFingerprintTest());
@@ -0,0 +1,391 @@
+// form-controller.js - One submit flow for every form on the site
+// A form opts in with data attributes; no page needs its own submit handler:
+//
+//   <form id="newsletterForm" data-form="newsletter"
+//         data-success-message="You have been subscribed to our newsletter!"
+//         data-submitting-text="Subscribing..."
+//         data-timeout="30000">
+//
+// data-form is sent as formType. The messages and texts are optional. Submissions that
+// fail because the visitor is offline are queued (see form-queue.js) unless the form
+// has data-queue="false". data-pow (optionally with a difficulty, data-pow="18") adds a
+// proof-of-work puzzle, solved in a worker as soon as the visitor starts typing.
+// data-token sends a signed form token (see form-token.js) from the backend, fetched
+// when the page loads and again after every submission; a hidden _formToken input
+// rendered into the page is used first.
+
+import {
+    initFormSecurity,
+    validateFormSecurity,
+    recordSubmission,
+    prepareSecureFormData,
+    generateAbuseFingerprint
+} from './form-security.js';
+import {
+    submitForm,
+    fetchFormToken,
+    FORM_ERROR_MESSAGES,
+    FORM_ERROR_CODES,
+    IDEMPOTENCY_FIELD
+} from './form-transport.js';
+import { enqueueSubmission, createIdempotencyKey, QUEUEABLE_CODES } from './form-queue.js';
+import { createChallenge, solveChallenge, DEFAULT_POW_DIFFICULTY, POW_FIELDS } from './proof-of-work.js';
+import { FORM_TOKEN_FIELD, TOKEN_MAX_AGE_MS } from './form-token.js';
+
+/**
+ * States a controlled form moves through. The current one is mirrored to data-state.
+ */
+export const FORM_STATES = {
+    IDLE: 'idle',
+    SUBMITTING: 'submitting',
+    QUEUED: 'queued',
+    SUCCESS: 'success',
+    ERROR: 'error',
+};
+
+// Covers the retries too: 2 + 4 + 8 seconds of backoff plus the requests themselves
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+const DEFAULT_SUCCESS_MESSAGE = 'Thank you! Your submission has been received.';
+const DEFAULT_SUBMITTING_TEXT = 'Sending...';
+const DEFAULT_QUEUED_MESSAGE = "It's saved on this device, and we'll send it as soon as you're back online.";
+const DROPPED_MESSAGE = "Your saved submission couldn't be sent. Please fill in the form again.";
+
+// Fetch a new token this long before the backend would call the old one expired
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const MESSAGE_LABELS = {
+    success: 'Success!',
+    error: 'Error!',
+    queued: 'Queued.',
+};
+
+/**
+ * Find the form's response box, creating it if the markup doesn't have one
+ */
+function getResponseElement(form) {
+    let element = form.querySelector('.message-box');
+    if (!element) {
+        element = document.createElement('div');
+        element.className = 'message-box';
+        form.appendChild(element);
+    }
+    element.setAttribute('role', 'status');
+    element.setAttribute('aria-live', 'polite');
+    return element;
+}
+
+function showMessage(element, type, message) {
+    const label = document.createElement('strong');
+    label.textContent = MESSAGE_LABELS[type];
+
+    element.className = `message-box message-${type}`;
+    element.replaceChildren(label, ` ${message}`);
+    element.style.display = 'block';
+}
+
+function hideMessage(element) {
+    element.style.display = 'none';
+    element.textContent = '';
+}
+
+/**
+ * Solve a fresh proof-of-work puzzle, in a worker where possible so typing stays smooth
+ * @param {number} difficulty
+ * @returns {Promise<{ challenge: string, nonce: number, difficulty: number }>}
+ */
+function startProofOfWork(difficulty) {
+    const challenge = createChallenge(difficulty);
+    if (typeof Worker === 'undefined') return solveChallenge(challenge);
+
+    return new Promise(resolve => {
+        let worker;
+        const solveHere = () => {
+            if (worker) worker.terminate();
+            resolve(solveChallenge(challenge));
+        };
+
+        try {
+            worker = new Worker(new URL('./pow-worker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            // Blocked by CSP or unsupported
+            solveHere();
+            return;
+        }
+
+        worker.addEventListener('message', (e) => {
+            if (e.data.error) {
+                solveHere();
+                return;
+            }
+            worker.terminate();
+            resolve(e.data);
+        });
+        worker.addEventListener('error', solveHere);
+        worker.postMessage({ challenge });
+    });
+}
+
+/**
+ * Resolve with the promise's value, or with null as soon as the signal aborts
+ */
+function unlessAborted(promise, signal) {
+    return Promise.race([
+        promise,
+        new Promise(resolve => signal.addEventListener('abort', () => resolve(null), { once: true })),
+    ]);
+}
+
+/**
+ * Control one form: security checks, submission, button and message state
+ * @param {HTMLFormElement} form
+ * @param {Object} [options] - Override the data attributes, or pass a transport (tests, previews)
+ * @param {string} [options.formType]
+ * @param {string} [options.successMessage]
+ * @param {string} [options.errorMessage] - Fallback when a code has no message
+ * @param {string} [options.submittingText]
+ * @param {string} [options.queuedMessage]
+ * @param {number} [options.timeout]
+ * @param {boolean} [options.queue] - Queue submissions that fail for lack of a connection
+ * @param {number} [options.pow] - Proof-of-work difficulty in bits, 0 for none
+ * @param {boolean} [options.token] - Send a signed form token from the backend
+ * @param {Object} [options.transport]
+ * @returns {{ readonly state: string, submit: () => Promise<Object|null>, abort: () => void, destroy: () => void }}
+ */
+export function createFormController(form, options = {}) {
+    const { dataset } = form;
+    const formType = options.formType || dataset.form;
+    const formId = form.id || formType;
+    const successMessage = options.successMessage || dataset.successMessage || DEFAULT_SUCCESS_MESSAGE;
+    const errorMessage = options.errorMessage || dataset.errorMessage || FORM_ERROR_MESSAGES[FORM_ERROR_CODES.NETWORK];
+    const submittingText = options.submittingText || dataset.submittingText || DEFAULT_SUBMITTING_TEXT;
+    const queuedMessage = options.queuedMessage || dataset.queuedMessage || DEFAULT_QUEUED_MESSAGE;
+    const timeout = options.timeout ?? (Number(dataset.timeout) || DEFAULT_TIMEOUT_MS);
+    const queue = options.queue ?? dataset.queue !== 'false';
+    const powDifficulty = options.pow ?? ('pow' in dataset ? Number(dataset.pow) || DEFAULT_POW_DIFFICULTY : 0);
+    const useToken = options.token ?? 'token' in dataset;
+
+    const submitBtn = form.querySelector('button[type="submit"], button:not([type])');
+    const buttonLabel = submitBtn ? submitBtn.textContent : '';
+    const responseElement = getResponseElement(form);
+
+    let state = FORM_STATES.IDLE;
+    let abortController = null;
+    // Idempotency keys of this form's submissions waiting in the outbox
+    const queuedKeys = new Set();
+    // The proof of work for the next submission, being solved
+    let puzzle = null;
+
+    // The form token for the next submission: { value, fetchedAt } or a promise of one
+    let token = null;
+
+    const startPuzzle = () => {
+        if (powDifficulty > 0 && !puzzle) puzzle = startProofOfWork(powDifficulty);
+    };
+
+    const refreshToken = () => {
+        token = fetchFormToken(formId, { transport: options.transport })
+            .then(value => ({ value, fetchedAt: Date.now() }));
+    };
+
+    const getToken = async () => {
+        const current = await token;
+        if (current && current.value && Date.now() - current.fetchedAt < TOKEN_MAX_AGE_MS - TOKEN_REFRESH_MARGIN_MS) {
+            return current.value;
+        }
+        refreshToken();
+        return (await token).value;
+    };
+
+    const setState = (next, result = null) => {
+        state = next;
+        form.dataset.state = next;
+        form.setAttribute('aria-busy', String(next === FORM_STATES.SUBMITTING));
+        if (submitBtn) {
+            submitBtn.disabled = next === FORM_STATES.SUBMITTING;
+            submitBtn.textContent = next === FORM_STATES.SUBMITTING ? submittingText : buttonLabel;
+        }
+        form.dispatchEvent(new CustomEvent('formstatechange', { detail: { state: next, result } }));
+    };
+
+    const succeed = (result, { silent = false } = {}) => {
+        showMessage(responseElement, 'success', successMessage);
+        form.reset();
+        setState(FORM_STATES.SUCCESS, result);
+
+        if (silent) {
+            // Don't tip the bot off; log for monitoring
+            console.log(`[Security] Bot ${formType} submission blocked silently`);
+        } else {
+            // New load time for the time gate
+            initFormSecurity(formId);
+        }
+    };
+
+    const fail = (message, result) => {
+        showMessage(responseElement, 'error', message);
+        setState(FORM_STATES.ERROR, result);
+    };
+
+    // What the visitor typed is safe in the outbox, so the form can be cleared
+    const queued = (entry, result) => {
+        queuedKeys.add(entry.key);
+        showMessage(responseElement, 'queued', queuedMessage);
+        form.reset();
+        setState(FORM_STATES.QUEUED, result);
+        initFormSecurity(formId);
+    };
+
+    // The outbox was sent later, while this page was still open
+    const onQueueEvent = (e) => {
+        if (!queuedKeys.delete(e.detail.key)) return;
+        if (e.type === 'formqueuesent') {
+            showMessage(responseElement, 'success', successMessage);
+            setState(FORM_STATES.SUCCESS, e.detail.result);
+        } else {
+            fail(DROPPED_MESSAGE, e.detail.result);
+        }
+    };
+
+    /**
+     * Validate and send the form
+     * @returns {Promise<Object|null>} The transport result, or null if nothing was sent
+     */
+    const submit = async () => {
+        // Double clicks and Enter presses while a request is in flight
+        if (state === FORM_STATES.SUBMITTING) return null;
+
+        const securityCheck = validateFormSecurity(form, formId);
+        if (!securityCheck.valid) {
+            // Bot detected via honeypot - pretend it worked
+            if (securityCheck.error === '__SILENT_FAIL__') {
+                succeed(null, { silent: true });
+            } else {
+                fail(securityCheck.error, null);
+            }
+            return null;
+        }
+
+        hideMessage(responseElement);
+        setState(FORM_STATES.SUBMITTING);
+
+        const params = prepareSecureFormData(form);
+        params.append('formType', formType);
+        params.append('_fingerprint', generateAbuseFingerprint());
+        params.append(IDEMPOTENCY_FIELD, createIdempotencyKey());
+
+        abortController = new AbortController();
+        const { signal } = abortController;
+
+        if (powDifficulty > 0) {
+            startPuzzle();
+            // Usually solved already; if the abort wins, submitForm() reports it
+            const proof = await unlessAborted(puzzle, signal);
+            if (proof) {
+                // A puzzle pays for one submission only
+                puzzle = null;
+                params.append(POW_FIELDS.challenge, proof.challenge);
+                params.append(POW_FIELDS.nonce, String(proof.nonce));
+                params.append(POW_FIELDS.difficulty, String(proof.difficulty));
+            }
+        }
+
+        if (useToken) {
+            const value = await unlessAborted(getToken(), signal);
+            // The embedded input was used up by the first submission
+            params.delete(FORM_TOKEN_FIELD);
+            // Without a token the backend decides what to do
+            if (value) params.set(FORM_TOKEN_FIELD, value);
+        }
+
+        const result = await submitForm(params, { transport: options.transport, signal, timeout });
+        abortController = null;
+        // Tokens are single use, whether or not the backend accepted this one
+        if (useToken) refreshToken();
+
+        if (result.ok) {
+            recordSubmission();
+            succeed(result);
+            return result;
+        }
+
+        const entry = queue && QUEUEABLE_CODES.has(result.code)
+            ? await enqueueSubmission(params, { formType, formId })
+            : null;
+
+        if (entry) {
+            recordSubmission();
+            queued(entry, result);
+        } else if (result.code === FORM_ERROR_CODES.ABORTED) {
+            setState(FORM_STATES.IDLE, result);
+        } else {
+            fail(FORM_ERROR_MESSAGES[result.code] || errorMessage, result);
+        }
+        return result;
+    };
+
+    const onSubmit = (e) => {
+        e.preventDefault();
+        submit().catch((error) => {
+            console.error('[Forms] Submission failed:', error);
+            abortController = null;
+            // Don't reuse a puzzle or token request that failed
+            puzzle = null;
+            if (useToken) token = null;
+            fail(errorMessage, null);
+        });
+    };
+
+    initFormSecurity(formId);
+    if (useToken) {
+        const embedded = form.elements[FORM_TOKEN_FIELD];
+        if (embedded && embedded.value) {
+            token = Promise.resolve({ value: embedded.value, fetchedAt: Date.now() });
+        } else {
+            refreshToken();
+        }
+    }
+    form.addEventListener('submit', onSubmit);
+    form.addEventListener('focusin', startPuzzle);
+    form.addEventListener('input', startPuzzle);
+    document.addEventListener('formqueuesent', onQueueEvent);
+    document.addEventListener('formqueuedropped', onQueueEvent);
+    setState(FORM_STATES.IDLE);
+
+    return {
+        get state() {
+            return state;
+        },
+        submit,
+        /** Cancel the submission in flight, if any; the form goes back to idle */
+        abort() {
+            if (abortController) abortController.abort();
+        },
+        destroy() {
+            if (abortController) abortController.abort();
+            form.removeEventListener('submit', onSubmit);
+            form.removeEventListener('focusin', startPuzzle);
+            form.removeEventListener('input', startPuzzle);
+            document.removeEventListener('formqueuesent', onQueueEvent);
+            document.removeEventListener('formqueuedropped', onQueueEvent);
+        },
+    };
+}
+
+/**
+ * Attach a controller to every form with a data-form attribute
+ * @param {ParentNode} [root=document]
+ * @returns {Map<HTMLFormElement, Object>} The controllers, by form
+ */
+export function setupForms(root = document) {
+    const controllers = new Map();
+    root.querySelectorAll('form[data-form]').forEach(form => {
+        controllers.set(form, createFormController(form));
+    });
+
+    // Leaving the page cancels requests instead of letting them fail half-way
+    if (controllers.size > 0) {
+        window.addEventListener('pagehide', () => controllers.forEach(controller => controller.abort()));
+    }
+    return controllers;
+}
@@ -0,0 +1,249 @@
+// form-queue.js - Keeps form submissions that couldn't be sent and sends them later
+// When every retry fails because the visitor is offline or our backend is down, the
+// submission goes into an IndexedDB outbox instead of being lost. The outbox is sent
+// when the browser comes back online and on the next page load.
+//
+// Only what prepareSecureFormData() already sanitized is stored, never the honeypot,
+// and entries expire after QUEUE_MAX_AGE_MS. Every submission carries an idempotency
+// key from its first attempt, so the backend can drop a replay it has already seen.
+// The form token and proof of work expire much sooner, so both are renewed before an
+// entry is sent again.
+
+import { submitForm, fetchFormToken, FORM_ERROR_CODES, IDEMPOTENCY_FIELD } from './form-transport.js';
+import { FORM_TOKEN_FIELD, TOKEN_MIN_AGE_MS, parseFormToken } from './form-token.js';
+import { createChallenge, solveChallenge, DEFAULT_POW_DIFFICULTY, POW_FIELDS } from './proof-of-work.js';
+
+const DB_NAME = 'nis_forms';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+const LOCK_NAME = 'nis_form_queue';
+
+// Don't send a week-old newsletter signup out of the blue
+export const QUEUE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Failures that say nothing about the submission itself, so it is worth keeping
+export const QUEUEABLE_CODES = new Set([
+    FORM_ERROR_CODES.NETWORK,
+    FORM_ERROR_CODES.SERVER,
+    FORM_ERROR_CODES.TIMEOUT,
+]);
+
+let flushing = false;
+
+/**
+ * A random key identifying one submission across all of its attempts
+ * @returns {string}
+ */
+export function createIdempotencyKey() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether submissions can be queued in this browser (private modes may block IndexedDB)
+ */
+export function isQueueAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the outbox and close the connection afterwards
+ */
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = callback(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Put a submission in the outbox
+ * @param {URLSearchParams} params - Sanitized fields, including the idempotency key
+ * @param {Object} meta
+ * @param {string} meta.formType
+ * @param {string} [meta.formId] - The form a new token is fetched for; formType by default
+ * @returns {Promise<Object|null>} The stored entry, or null if it couldn't be stored
+ */
+export async function enqueueSubmission(params, { formType, formId = formType }) {
+    if (!isQueueAvailable()) return null;
+
+    const entry = {
+        key: params.get(IDEMPOTENCY_FIELD) || createIdempotencyKey(),
+        formType,
+        formId,
+        fields: [...params.entries()],
+        queuedAt: Date.now(),
+        attempts: 0,
+    };
+    if (!params.has(IDEMPOTENCY_FIELD)) entry.fields.push([IDEMPOTENCY_FIELD, entry.key]);
+
+    try {
+        // put(), not add(): queueing the same submission twice keeps one entry
+        await withStore('readwrite', store => store.put(entry));
+        return entry;
+    } catch (error) {
+        console.error('[Forms] Could not queue submission:', error);
+        return null;
+    }
+}
+
+/**
+ * Everything waiting in the outbox, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export async function getQueuedSubmissions() {
+    if (!isQueueAvailable()) return [];
+    try {
+        const entries = await withStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+    } catch (error) {
+        return [];
+    }
+}
+
+function removeEntry(key) {
+    return withStore('readwrite', store => store.delete(key));
+}
+
+function notify(type, entry, result) {
+    document.dispatchEvent(new CustomEvent(type, {
+        detail: { key: entry.key, formType: entry.formType, result },
+    }));
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * The entry's fields with a new form token and proof of work, if it was sent with them.
+ * Both are single use and expire within hours, while entries are kept for days.
+ * @param {Object} entry
+ * @param {Object} [transport]
+ * @returns {Promise<URLSearchParams>}
+ * @throws {Error} If a new token can't be fetched
+ */
+async function renewProofs(entry, transport) {
+    const params = new URLSearchParams(entry.fields);
+    const renewals = [];
+
+    if (params.has(POW_FIELDS.challenge)) {
+        const difficulty = Number(params.get(POW_FIELDS.difficulty)) || DEFAULT_POW_DIFFICULTY;
+        renewals.push(solveChallenge(createChallenge(difficulty)).then(proof => {
+            params.set(POW_FIELDS.challenge, proof.challenge);
+            params.set(POW_FIELDS.nonce, String(proof.nonce));
+            params.set(POW_FIELDS.difficulty, String(proof.difficulty));
+        }));
+    }
+
+    if (params.has(FORM_TOKEN_FIELD)) {
+        renewals.push(fetchFormToken(entry.formId || entry.formType, { transport }).then(async token => {
+            // Sent without one, the backend would reject the entry for good
+            if (!token) throw new Error('Could not fetch a new form token');
+            params.set(FORM_TOKEN_FIELD, token);
+
+            // The backend refuses a token sent sooner than a human could fill in the form
+            const parsed = parseFormToken(token);
+            if (parsed) await wait(TOKEN_MIN_AGE_MS - (Date.now() - parsed.issuedAt));
+        }));
+    }
+
+    await Promise.all(renewals);
+    return params;
+}
+
+/**
+ * Run the callback unless another tab is already flushing (where Web Locks are supported)
+ */
+function withQueueLock(callback) {
+    if (navigator.locks) {
+        return navigator.locks.request(LOCK_NAME, { ifAvailable: true }, lock => (lock ? callback() : []));
+    }
+    return callback();
+}
+
+/**
+ * Try to send every queued submission. Stops at the first one that still can't get
+ * through, since the rest would fail the same way.
+ *
+ * Fires `formqueuesent` on document for each entry sent, and `formqueuedropped` for each
+ * entry the backend rejected or that expired.
+ * @param {Object} [options]
+ * @param {Object} [options.transport] - Defaults to the configured backend
+ * @returns {Promise<Object[]>} The results, in the order they were tried
+ */
+export async function flushQueue({ transport } = {}) {
+    if (flushing || !isQueueAvailable()) return [];
+    flushing = true;
+
+    try {
+        return await withQueueLock(async () => {
+            const results = [];
+            for (const entry of await getQueuedSubmissions()) {
+                if (Date.now() - entry.queuedAt > QUEUE_MAX_AGE_MS) {
+                    await removeEntry(entry.key);
+                    notify('formqueuedropped', entry, null);
+                    continue;
+                }
+
+                let params;
+                try {
+                    params = await renewProofs(entry, transport);
+                } catch (error) {
+                    // Most likely still offline: keep the entry for the next try
+                    console.error('[Forms] Could not renew a queued submission:', error);
+                    await withStore('readwrite', store => store.put({ ...entry, attempts: entry.attempts + 1 }));
+                    break;
+                }
+
+                const result = await submitForm(params, { transport, maxRetries: 0 });
+                results.push(result);
+
+                if (result.ok) {
+                    await removeEntry(entry.key);
+                    notify('formqueuesent', entry, result);
+                } else if (QUEUEABLE_CODES.has(result.code)) {
+                    await withStore('readwrite', store => store.put({ ...entry, attempts: entry.attempts + 1 }));
+                    break;
+                } else {
+                    await removeEntry(entry.key);
+                    notify('formqueuedropped', entry, result);
+                }
+            }
+            return results;
+        });
+    } catch (error) {
+        console.error('[Forms] Could not send queued submissions:', error);
+        return [];
+    } finally {
+        flushing = false;
+    }
+}
+
+/**
+ * Send the outbox now and whenever the browser comes back online
+ */
+export function setupFormQueue() {
+    if (!isQueueAvailable()) return;
+    window.addEventListener('online', () => flushQueue());
+    if (navigator.onLine !== false) flushQueue();
+}
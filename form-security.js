@@ -1,6 +1,8 @@
 // form-security.js - Comprehensive form security module for NoIdentity.Space
 // Protects against: bots, spam, XSS, injection attacks, and abuse
 
+import { scoreSpam } from './spam-rules.js';
+
 /**
  * Security Configuration
  */
@@ -87,9 +89,9 @@ export function validateFormSecurity(form, formId) {
     }
 
     // 5. Spam content detection
-    const spamCheck = detectSpamContent(form);
+    const spamCheck = detectSpamContent(form, formId);
     if (!spamCheck.valid) {
-        console.warn('[Security] Spam content detected');
+        console.warn('[Security] Spam content detected:', spamCheck.spam.fired.map(rule => rule.id).join(', '));
         return spamCheck;
     }
 
@@ -248,8 +250,10 @@ function validateAndSanitizeInputs(form) {
 
 /**
  * Check for XSS and injection patterns
+ * @param {string} value - One field's value
+ * @returns {boolean} true if the value looks like code
  */
-function containsSuspiciousContent(value) {
+export function containsSuspiciousContent(value) {
     const suspiciousPatterns = [
         /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,  // Script tags
         /javascript:/gi,                                         // JavaScript protocol
@@ -268,114 +272,17 @@ function containsSuspiciousContent(value) {
 }
 
 /**
- * Detect if a string is gibberish (random characters, likely bot-generated)
- * Checks vowel ratio, consonant clusters, and entropy
+ * Score the text fields against the form's spam rules (see spam-rules.js)
  */
-function isGibberish(text) {
-    if (!text || text.length < 6) return false;
-
-    // Clean the text - remove spaces and numbers for analysis
-    const cleaned = text.replace(/[\s\d]/g, '').toLowerCase();
-    if (cleaned.length < 6) return false;
-
-    // 1. Vowel ratio check - natural language has ~35-45% vowels
-    const vowels = (cleaned.match(/[aeiou]/g) || []).length;
-    const vowelRatio = vowels / cleaned.length;
-
-    // Too few vowels (like "teUxkdAfKqxsOc" = 4/14 = 28%) is suspicious
-    // Too many vowels is also suspicious
-    if (vowelRatio < 0.2 || vowelRatio > 0.7) {
-        return true;
-    }
-
-    // 2. Consonant cluster check - natural language rarely has 5+ consonants in a row
-    if (/[bcdfghjklmnpqrstvwxyz]{5,}/i.test(cleaned)) {
-        return true;
-    }
-
-    // 3. Mixed case pattern check - random strings often have erratic casing
-    const originalCleaned = text.replace(/[\s\d]/g, '');
-    if (originalCleaned.length >= 8) {
-        let caseChanges = 0;
-        for (let i = 1; i < originalCleaned.length; i++) {
-            const prevUpper = originalCleaned[i - 1] === originalCleaned[i - 1].toUpperCase();
-            const currUpper = originalCleaned[i] === originalCleaned[i].toUpperCase();
-            if (prevUpper !== currUpper) caseChanges++;
-        }
-        // More than 50% case changes is suspicious (like "AsYmNaewgOP")
-        if (caseChanges / originalCleaned.length > 0.5) {
-            return true;
-        }
-    }
-
-    // 4. Common letter pair check - gibberish lacks natural letter patterns
-    const commonPairs = ['th', 'he', 'in', 'er', 'an', 'on', 'en', 'at', 'es', 'ed', 'or', 'ti', 'is', 'it', 'al', 'ar', 'st', 'to', 'nt', 'ng'];
-    let pairMatches = 0;
-    for (const pair of commonPairs) {
-        if (cleaned.includes(pair)) pairMatches++;
-    }
-    // Natural text usually has at least 2-3 common pairs per 10 characters
-    const expectedPairs = Math.floor(cleaned.length / 5);
-    if (cleaned.length >= 10 && pairMatches < Math.min(expectedPairs, 2)) {
-        return true;
+function detectSpamContent(form, formId) {
+    const fields = {};
+    for (const [key, value] of new FormData(form).entries()) {
+        if (key !== SECURITY_CONFIG.HONEYPOT_FIELD && typeof value === 'string') fields[key] = value;
     }
 
-    return false;
-}
-
-/**
- * Detect spam content patterns
- */
-function detectSpamContent(form) {
-    const formData = new FormData(form);
-    const name = formData.get('name') || '';
-    const message = formData.get('message') || '';
-    const subject = formData.get('subject') || '';
-    const combinedText = `${subject} ${message}`.toLowerCase();
-
-    // Spam indicators
-    const spamPatterns = [
-        // Gibberish name detection (catches bot-generated random strings)
-        {
-            test: () => isGibberish(name),
-            reason: 'Please enter a valid name'
-        },
-        // Gibberish subject detection
-        {
-            test: () => subject && isGibberish(subject),
-            reason: 'Please enter a valid subject'
-        },
-        // Gibberish message detection (only if message is short - long messages may have some gibberish legitimately)
-        {
-            test: () => message && message.length < 100 && isGibberish(message),
-            reason: 'Please enter a valid message'
-        },
-        // Excessive URLs (more than 3)
-        {
-            test: () => (combinedText.match(/https?:\/\//g) || []).length > 3,
-            reason: 'Too many links'
-        },
-        // Common spam phrases
-        {
-            test: () => /\b(viagra|casino|lottery|winner|nigerian prince|bitcoin investment|crypto doubler)\b/i.test(combinedText),
-            reason: 'Spam content detected'
-        },
-        // All caps message (often spam)
-        {
-            test: () => message.length > 50 && message === message.toUpperCase(),
-            reason: 'Please avoid using all capital letters'
-        },
-        // Repeated characters (spammy)
-        {
-            test: () => /(.)\1{10,}/g.test(combinedText),
-            reason: 'Invalid content detected'
-        }
-    ];
-
-    for (const pattern of spamPatterns) {
-        if (pattern.test()) {
-            return { valid: false, error: pattern.reason };
-        }
+    const report = scoreSpam(fields, { formId });
+    if (report.spam) {
+        return { valid: false, error: report.error, spam: report };
     }
 
     return { valid: true, error: null };
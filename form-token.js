@@ -0,0 +1,170 @@
+// form-token.js - HMAC-signed form tokens the backend can check on its own
+// The client-side time gate and rate limit only stop polite bots: anything can edit
+// sessionStorage or send its own _timestamp. A form token is issued by the backend
+// when the form loads, signed with a secret only the backend knows, and sent back with
+// the submission. verifyFormToken() then enforces the time gate, the token's age and
+// single use where the visitor can't interfere.
+//
+// A token is "t1.<formId>.<issuedAt>.<nonce>.<signature>", where the signature is a
+// base64url HMAC-SHA256 of everything before it.
+//
+// This file has no imports and no browser globals, so it runs in Node and, with the
+// exports removed (npm run apps-script), in Google Apps Script. Apps Script can't wait
+// for promises, so when the hmac function passed in is synchronous (like Utilities.
+// computeHmacSha256Signature) issuing and verifying return plain values instead.
+
+export const FORM_TOKEN_VERSION = 't1';
+
+// Name of the submitted field
+export const FORM_TOKEN_FIELD = '_formToken';
+
+// Humans need at least this long between loading a form and sending it
+export const TOKEN_MIN_AGE_MS = 3000;
+
+// A token older than this must be fetched again
+export const TOKEN_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array|number[]} bytes - Signed bytes (Apps Script) are fine
+ * @returns {string}
+ */
+export function toBase64Url(bytes) {
+    let output = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+        const a = bytes[i] & 0xff;
+        const b = i + 1 < bytes.length ? bytes[i + 1] & 0xff : 0;
+        const c = i + 2 < bytes.length ? bytes[i + 2] & 0xff : 0;
+        const triple = (a << 16) | (b << 8) | c;
+
+        output += BASE64URL[(triple >> 18) & 63] + BASE64URL[(triple >> 12) & 63];
+        if (i + 1 < bytes.length) output += BASE64URL[(triple >> 6) & 63];
+        if (i + 2 < bytes.length) output += BASE64URL[triple & 63];
+    }
+    return output;
+}
+
+/**
+ * HMAC-SHA256 with Web Crypto (browsers, Node 20+)
+ * @param {string} message
+ * @param {string} secret
+ * @returns {Promise<Uint8Array>}
+ */
+export async function hmacSha256(message, secret) {
+    const encoder = new TextEncoder();
+    const key = await globalThis.crypto.subtle.importKey(
+        'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Call fn with the value, waiting for it first only if it is a promise
+ */
+function after(value, fn) {
+    return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+}
+
+/**
+ * Compare two strings in time that doesn't depend on where they differ
+ */
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+function randomNonce() {
+    const bytes = new Uint8Array(12);
+    globalThis.crypto.getRandomValues(bytes);
+    return toBase64Url(bytes);
+}
+
+/**
+ * Issue a token for a form. Runs on the backend.
+ * @param {Object} options
+ * @param {string} options.formId - e.g. "contactForm"
+ * @param {string} options.secret - At least 32 random characters, never shipped to browsers
+ * @param {number} [options.now=Date.now()]
+ * @param {string} [options.nonce] - Random by default; pass Utilities.getUuid() in Apps Script
+ * @param {(message: string, secret: string) => Uint8Array|number[]|Promise<Uint8Array|number[]>} [options.hmac=hmacSha256]
+ * @returns {Promise<string>|string} A string when hmac is synchronous
+ */
+export function issueFormToken({ formId, secret, now = Date.now(), nonce, hmac = hmacSha256 }) {
+    if (!secret) throw new Error('A signing secret is required');
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(formId)) throw new Error(`Invalid form id: ${formId}`);
+
+    const cleanNonce = String(nonce || randomNonce()).replace(/[^A-Za-z0-9_-]/g, '');
+    const payload = `${FORM_TOKEN_VERSION}.${formId}.${now}.${cleanNonce}`;
+    return after(hmac(payload, secret), signature => `${payload}.${toBase64Url(signature)}`);
+}
+
+/**
+ * Split a token into its parts
+ * @param {string} token
+ * @returns {{ version: string, formId: string, issuedAt: number, nonce: string, payload: string, signature: string }|null}
+ */
+export function parseFormToken(token) {
+    const match = /^((t\d+)\.([A-Za-z0-9_-]{1,64})\.(\d{1,15})\.([A-Za-z0-9_-]{8,64}))\.([A-Za-z0-9_-]{43})$/.exec(String(token || ''));
+    if (!match) return null;
+    return {
+        payload: match[1],
+        version: match[2],
+        formId: match[3],
+        issuedAt: Number(match[4]),
+        nonce: match[5],
+        signature: match[6],
+    };
+}
+
+/**
+ * Check a submitted token. Runs on the backend.
+ *
+ * Errors: 'missing', 'malformed', 'wrong_form', 'bad_signature', 'too_fast', 'expired', 'replayed'.
+ * @param {string} token - The submitted FORM_TOKEN_FIELD
+ * @param {Object} options
+ * @param {string} options.secret
+ * @param {string} [options.formId] - The form this submission claims to come from
+ * @param {number} [options.minAgeMs=TOKEN_MIN_AGE_MS]
+ * @param {number} [options.maxAgeMs=TOKEN_MAX_AGE_MS]
+ * @param {number} [options.now=Date.now()]
+ * @param {(nonce: string) => boolean|Promise<boolean>} [options.isSpent] - Return true if a
+ *   token with this nonce was accepted before, and remember it; without it tokens can be replayed
+ * @param {Function} [options.hmac=hmacSha256]
+ * @returns {Promise<Object>|Object} { valid, error, issuedAt }; a plain object when hmac and isSpent are synchronous
+ */
+export function verifyFormToken(token, {
+    secret,
+    formId,
+    minAgeMs = TOKEN_MIN_AGE_MS,
+    maxAgeMs = TOKEN_MAX_AGE_MS,
+    now = Date.now(),
+    isSpent,
+    hmac = hmacSha256,
+}) {
+    const reject = (error, parsed) => ({ valid: false, error, ...(parsed ? { issuedAt: parsed.issuedAt } : {}) });
+
+    if (!token) return reject('missing');
+
+    const parsed = parseFormToken(token);
+    if (!parsed || parsed.version !== FORM_TOKEN_VERSION) return reject('malformed');
+    if (formId && parsed.formId !== formId) return reject('wrong_form');
+
+    // Signature first: nothing else in the token means anything until it checks out
+    return after(hmac(parsed.payload, secret), signature => {
+        if (!constantTimeEqual(toBase64Url(signature), parsed.signature)) return reject('bad_signature');
+
+        const age = now - parsed.issuedAt;
+        if (age < minAgeMs) return reject('too_fast', parsed);
+        if (age > maxAgeMs) return reject('expired', parsed);
+        if (!isSpent) return { valid: true, error: null, issuedAt: parsed.issuedAt };
+
+        return after(isSpent(parsed.nonce), spent => (spent
+            ? reject('replayed', parsed)
+            : { valid: true, error: null, issuedAt: parsed.issuedAt }));
+    });
+}
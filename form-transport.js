@@ -0,0 +1,369 @@
+// form-transport.js - Sends contact and newsletter submissions to the configured backend
+// Every backend answers with the same result object, so the forms never need to know
+// whether they are talking to Google Apps Script, a JSON webhook, Formspree or the mock:
+//
+//   { ok: true,  code: 'ok', status, data }
+//   { ok: false, code: FORM_ERROR_CODES.*, message, status, retryable }
+
+import { FORM_TRANSPORT } from './config.js';
+
+/**
+ * Error codes shared by every backend
+ */
+export const FORM_ERROR_CODES = {
+    CONFIG: 'config_error',          // Missing or invalid endpoint
+    NETWORK: 'network_error',        // Request never reached the server
+    SERVER: 'server_error',          // 5xx, worth retrying
+    RATE_LIMITED: 'rate_limited',    // 429 or the backend said so
+    REJECTED: 'rejected',            // The backend refused the submission
+    INVALID_RESPONSE: 'invalid_response', // The backend answered something we don't understand
+    TIMEOUT: 'timeout',              // No answer within the time limit
+    ABORTED: 'aborted',              // Cancelled by the page, e.g. the visitor left
+};
+
+const KNOWN_CODES = new Set(Object.values(FORM_ERROR_CODES));
+
+// Codes where the same request may succeed a little later
+const RETRYABLE_CODES = new Set([FORM_ERROR_CODES.NETWORK, FORM_ERROR_CODES.SERVER]);
+
+export const MAX_RETRIES = 3;
+
+// Field naming one submission across retries and replays; see form-queue.js
+export const IDEMPOTENCY_FIELD = '_idempotencyKey';
+
+/**
+ * Messages shown to visitors for each code. Forms can override them.
+ */
+export const FORM_ERROR_MESSAGES = {
+    [FORM_ERROR_CODES.CONFIG]: 'Configuration Error: The form endpoint has not been set correctly in config.js.',
+    [FORM_ERROR_CODES.NETWORK]: "We couldn't reach our server. Please verify your internet connection and try again.",
+    [FORM_ERROR_CODES.SERVER]: 'Our server had a problem. Please try again in a few minutes.',
+    [FORM_ERROR_CODES.RATE_LIMITED]: 'Too many submissions. Please wait a few minutes before trying again.',
+    [FORM_ERROR_CODES.REJECTED]: "Your submission couldn't be accepted. Please check the form and try again.",
+    [FORM_ERROR_CODES.INVALID_RESPONSE]: 'Something went wrong on our side. Please try again later.',
+    [FORM_ERROR_CODES.TIMEOUT]: 'Our server is taking too long to answer. Please try again later.',
+    [FORM_ERROR_CODES.ABORTED]: 'The submission was cancelled.',
+};
+
+function success(status, data = null) {
+    return { ok: true, code: 'ok', status, data };
+}
+
+function failure(code, message, status = 0) {
+    return { ok: false, code, message, status, retryable: RETRYABLE_CODES.has(code) };
+}
+
+/**
+ * Map an HTTP error status to an error code
+ */
+function codeForStatus(status) {
+    if (status === 429) return FORM_ERROR_CODES.RATE_LIMITED;
+    if (status >= 500) return FORM_ERROR_CODES.SERVER;
+    return FORM_ERROR_CODES.REJECTED;
+}
+
+/**
+ * The result for a submission cancelled through its AbortSignal
+ */
+function abortedFailure(signal) {
+    return signal.reason && signal.reason.name === 'TimeoutError'
+        ? failure(FORM_ERROR_CODES.TIMEOUT, 'Submission timed out')
+        : failure(FORM_ERROR_CODES.ABORTED, 'Submission aborted');
+}
+
+/**
+ * fetch() that reports a network failure or abort as a result instead of throwing
+ */
+async function post(url, options) {
+    try {
+        return { response: await fetch(url, { method: 'POST', ...options }) };
+    } catch (error) {
+        if (options.signal && options.signal.aborted) return { error: abortedFailure(options.signal) };
+        return { error: failure(FORM_ERROR_CODES.NETWORK, error.message) };
+    }
+}
+
+/**
+ * GET a form token from a URL. Tokens are optional, so any failure is just null.
+ * @returns {Promise<string|null>}
+ */
+async function getToken(url, signal) {
+    try {
+        const response = await fetch(url, { headers: { Accept: 'application/json' }, signal });
+        const body = response.ok ? await readJSON(response) : null;
+        return body && typeof body.token === 'string' ? body.token : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Add the form id to a token URL
+ */
+function tokenURL(url, formId, extra = {}) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}${new URLSearchParams({ ...extra, form: formId })}`;
+}
+
+async function readJSON(response) {
+    try {
+        return await response.json();
+    } catch (e) {
+        return null;
+    }
+}
+
+function requireURL(url, check = () => true) {
+    if (!url || url.includes('YOUR_') || !check(url)) {
+        return failure(FORM_ERROR_CODES.CONFIG, `Invalid form endpoint: ${url || '(empty)'}`);
+    }
+    return null;
+}
+
+/**
+ * Google Apps Script web app. Posts URL-encoded fields (no CORS preflight) and
+ * expects the plain-text body "success"; anything else is the script's error message.
+ * Form tokens come from doGet() with ?action=token&form=<form id>.
+ */
+function appsScriptTransport({ url }) {
+    return {
+        name: 'apps-script',
+        async fetchToken(formId, { signal } = {}) {
+            if (requireURL(url, value => value.includes('script.google.com'))) return null;
+            return getToken(tokenURL(url, formId, { action: 'token' }), signal);
+        },
+        async submit(params, { signal } = {}) {
+            const configError = requireURL(url, value => value.includes('script.google.com'));
+            if (configError) return configError;
+
+            const { response, error } = await post(url, { body: params, signal });
+            if (error) return error;
+            if (!response.ok) return failure(codeForStatus(response.status), `HTTP ${response.status}`, response.status);
+
+            const text = (await response.text()).trim();
+            if (text === 'success') return success(response.status);
+            if (/rate.?limit|too many/i.test(text)) return failure(FORM_ERROR_CODES.RATE_LIMITED, text, response.status);
+            return failure(text ? FORM_ERROR_CODES.REJECTED : FORM_ERROR_CODES.INVALID_RESPONSE, text || 'Empty response', response.status);
+        },
+    };
+}
+
+/**
+ * Any endpoint that accepts a JSON body. A 2xx is a success; the body may be
+ * { ok: false, code, message } to reject the submission with one of our codes.
+ * The idempotency key is also sent as the standard Idempotency-Key header.
+ * Form tokens come from `tokenUrl`, if set, as { token }.
+ */
+function webhookTransport({ url, tokenUrl, headers = {} }) {
+    return {
+        name: 'webhook',
+        async fetchToken(formId, { signal } = {}) {
+            return tokenUrl ? getToken(tokenURL(tokenUrl, formId), signal) : null;
+        },
+        async submit(params, { signal } = {}) {
+            const configError = requireURL(url, value => /^https?:\/\//.test(value));
+            if (configError) return configError;
+
+            const idempotencyKey = params.get(IDEMPOTENCY_FIELD);
+            const { response, error } = await post(url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    Accept: 'application/json',
+                    ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+                    ...headers,
+                },
+                body: JSON.stringify(Object.fromEntries(params)),
+                signal,
+            });
+            if (error) return error;
+
+            const body = await readJSON(response);
+            if (response.ok && !(body && body.ok === false)) return success(response.status, body);
+
+            const fallback = response.ok ? FORM_ERROR_CODES.REJECTED : codeForStatus(response.status);
+            return failure(body && KNOWN_CODES.has(body.code) ? body.code : fallback,
+                (body && body.message) || `HTTP ${response.status}`, response.status);
+        },
+    };
+}
+
+/**
+ * Formspree and compatible services (Getform, Basin...). Posts form fields and asks for
+ * JSON; errors come back as { errors: [{ message }] }. These services don't issue form
+ * tokens, but a `tokenUrl` of your own can.
+ */
+function formspreeTransport({ url, tokenUrl }) {
+    return {
+        name: 'formspree',
+        async fetchToken(formId, { signal } = {}) {
+            return tokenUrl ? getToken(tokenURL(tokenUrl, formId), signal) : null;
+        },
+        async submit(params, { signal } = {}) {
+            const configError = requireURL(url, value => /^https:\/\//.test(value));
+            if (configError) return configError;
+
+            const { response, error } = await post(url, {
+                headers: { Accept: 'application/json' },
+                body: params,
+                signal,
+            });
+            if (error) return error;
+
+            const body = await readJSON(response);
+            if (response.ok) {
+                return body ? success(response.status, body) : failure(FORM_ERROR_CODES.INVALID_RESPONSE, 'Expected JSON', response.status);
+            }
+
+            const message = body && Array.isArray(body.errors)
+                ? body.errors.map(e => e.message).join(' ')
+                : `HTTP ${response.status}`;
+            return failure(codeForStatus(response.status), message, response.status);
+        },
+    };
+}
+
+/**
+ * Local development backend. Nothing leaves the browser: submissions are logged and
+ * kept in `submissions`. Pass `outcome` (an error code) to rehearse a failure.
+ */
+function mockTransport({ delay = 400, outcome = 'ok' } = {}) {
+    const submissions = [];
+    return {
+        name: 'mock',
+        submissions,
+        // Unsigned, but shaped like the real thing
+        async fetchToken(formId) {
+            return `mock.${formId}.${Date.now()}`;
+        },
+        async submit(params, { signal } = {}) {
+            const fields = Object.fromEntries(params);
+            submissions.push(fields);
+            console.log('[Forms] Mock submission:', fields);
+
+            if (!(await wait(delay, signal))) return abortedFailure(signal);
+            return outcome === 'ok' ? success(200, { mock: true }) : failure(outcome, `Mock ${outcome}`, 0);
+        },
+    };
+}
+
+const TRANSPORTS = {
+    'apps-script': appsScriptTransport,
+    webhook: webhookTransport,
+    formspree: formspreeTransport,
+    mock: mockTransport,
+};
+
+/**
+ * Create a backend from a config object like FORM_TRANSPORT
+ * @param {Object} config - { type, url, ...backend options }
+ * @returns {{ name: string, submit: (params: URLSearchParams, options?: { signal?: AbortSignal }) => Promise<Object>,
+ *             fetchToken?: (formId: string, options?: { signal?: AbortSignal }) => Promise<string|null> }}
+ */
+export function createTransport(config) {
+    const factory = TRANSPORTS[config.type];
+    if (!factory) {
+        return {
+            name: config.type,
+            submit: async () => failure(FORM_ERROR_CODES.CONFIG, `Unknown form transport "${config.type}"`),
+        };
+    }
+    return factory(config);
+}
+
+let defaultTransport = null;
+
+function getDefaultTransport() {
+    defaultTransport = defaultTransport || createTransport(FORM_TRANSPORT);
+    return defaultTransport;
+}
+
+/**
+ * Ask the backend for a signed form token (see form-token.js)
+ * @param {string} formId
+ * @param {Object} [options]
+ * @param {Object} [options.transport] - Defaults to the backend configured in config.js
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string|null>} null if the backend doesn't issue tokens or couldn't be reached
+ */
+export async function fetchFormToken(formId, { transport = getDefaultTransport(), signal } = {}) {
+    return transport.fetchToken ? transport.fetchToken(formId, { signal }) : null;
+}
+
+/**
+ * Wait for a delay, cut short if the signal aborts
+ * @returns {Promise<boolean>} false if aborted
+ */
+function wait(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            resolve(false);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve(true);
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Submit form fields, retrying network and server errors with exponential backoff
+ * @param {URLSearchParams} params - Sanitized fields from prepareSecureFormData()
+ * @param {Object} [options]
+ * @param {Object} [options.transport] - Defaults to the backend configured in config.js
+ * @param {number} [options.maxRetries=MAX_RETRIES]
+ * @param {AbortSignal} [options.signal] - Cancels the submission, including pending retries
+ * @param {number} [options.timeout=0] - Give up after this many ms, retries included (0 = never)
+ * @returns {Promise<Object>} The result object described at the top of this file
+ */
+export async function submitForm(params, { transport, maxRetries = MAX_RETRIES, signal, timeout = 0 } = {}) {
+    if (!transport) transport = getDefaultTransport();
+
+    // One signal for the caller's abort and our own timeout
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) forwardAbort();
+        signal.addEventListener('abort', forwardAbort, { once: true });
+    }
+    const timer = timeout > 0
+        ? setTimeout(() => controller.abort(new DOMException('Submission timed out', 'TimeoutError')), timeout)
+        : null;
+
+    const attempt = async () => {
+        if (controller.signal.aborted) return abortedFailure(controller.signal);
+        try {
+            const result = await transport.submit(params, { signal: controller.signal });
+            // Whatever a backend made of the abort, say whether it was ours or the timeout
+            return !result.ok && controller.signal.aborted ? abortedFailure(controller.signal) : result;
+        } catch (error) {
+            // e.g. the body stream was cut off by an abort
+            return controller.signal.aborted
+                ? abortedFailure(controller.signal)
+                : failure(FORM_ERROR_CODES.NETWORK, error.message);
+        }
+    };
+
+    let result = await attempt();
+    for (let retries = 1; !result.ok && result.retryable && retries <= maxRetries; retries++) {
+        const delay = Math.pow(2, retries) * 1000;
+        if (!(await wait(delay, controller.signal))) {
+            result = abortedFailure(controller.signal);
+            break;
+        }
+        result = await attempt();
+    }
+
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', forwardAbort);
+
+    if (!result.ok && result.code !== FORM_ERROR_CODES.ABORTED) {
+        console.error(`[Forms] ${transport.name} submission failed (${result.code}):`, result.message);
+    }
+    return result;
+}
@@ -0,0 +1,170 @@
+// gibberish.js - Tells keyboard mashes and bot-generated strings from real names and text
+// in any script. The text's main script is detected first, then checked against that
+// script's character model: which letters are vowels, how many consonants may follow each
+// other and what share of vowels is normal. Scripts without a model (Han, Arabic, Hebrew,
+// Devanagari, Hangul...) are never called gibberish: the heuristics would only produce
+// false positives there, and a mashed keyboard doesn't type them anyway.
+//
+// The models are deliberately loose. A rejected real name costs us a reader; a bot that
+// slips through still has to beat the honeypot, the time gate and the backend.
+
+/**
+ * Character models for the scripts we check, by Unicode script name.
+ *
+ * Latin covers the European languages and Vietnamese once diacritics are folded away.
+ * Y is a vowel (Polish, Czech, Welsh), runs of six consonants occur in German and
+ * Georgian transliterations ("Hirschfeld", "Tskhvitishvili"), and syllabic r and l leave
+ * some Czech and Croatian names with almost no vowels ("Krčmář", "Vlk").
+ */
+const SCRIPT_MODELS = {
+    Latin: {
+        vowels: 'aeiouy',
+        maxConsonantRun: 6,
+        vowelRatio: [0.1, 0.85],
+    },
+    Cyrillic: {
+        vowels: 'аеиоуыэюяєіїў',
+        // The hard and soft signs are neither
+        ignore: 'ъь',
+        maxConsonantRun: 6,
+        vowelRatio: [0.1, 0.85],
+    },
+    Greek: {
+        vowels: 'αεηιουω',
+        maxConsonantRun: 5,
+        vowelRatio: [0.15, 0.85],
+    },
+};
+
+// Scripts counted when detecting; anything else is 'Other'
+const SCRIPTS = [
+    'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Arabic', 'Hebrew', 'Devanagari',
+    'Bengali', 'Tamil', 'Thai', 'Hangul', 'Hiragana', 'Katakana', 'Han', 'Ethiopic',
+].map(name => ({ name, pattern: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Scripts that a spoofed word mixes to look like another (Cyrillic "о" in "Jоhn")
+const LOOKALIKE_SCRIPTS = new Set(['Latin', 'Cyrillic', 'Greek']);
+
+// Letters that don't decompose into a base letter and a diacritic
+const LATIN_FOLDS = { ł: 'l', đ: 'd', ð: 'd', ø: 'o', ı: 'i', ß: 'ss', æ: 'ae', œ: 'oe', þ: 'th', ħ: 'h', ŀ: 'l' };
+
+/**
+ * The script of one character, or null for non-letters
+ */
+function scriptOf(char) {
+    if (!/\p{L}/u.test(char)) return null;
+    const script = SCRIPTS.find(({ pattern }) => pattern.test(char));
+    return script ? script.name : 'Other';
+}
+
+/**
+ * The script most letters of the text are written in
+ * @param {string} text
+ * @returns {string|null} A Unicode script name such as 'Latin' or 'Cyrillic', 'Other' for
+ *   scripts we don't track, or null if the text has no letters
+ */
+export function detectScript(text) {
+    const counts = new Map();
+    for (const char of String(text || '')) {
+        const script = scriptOf(char);
+        if (script) counts.set(script, (counts.get(script) || 0) + 1);
+    }
+
+    let best = null;
+    for (const [script, count] of counts) {
+        if (!best || count > counts.get(best)) best = script;
+    }
+    return best;
+}
+
+/**
+ * Lowercase letters without diacritics, so "Łódź" and "Lodz" look the same to the model
+ */
+function fold(letters) {
+    return letters
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[łđðøıßæœþħŀ]/g, char => LATIN_FOLDS[char]);
+}
+
+/**
+ * Random strings often flip between upper and lower case ("AsYmNaewgOP")
+ */
+function hasErraticCase(letters) {
+    if (letters.length < 8) return false;
+
+    let caseChanges = 0;
+    for (let i = 1; i < letters.length; i++) {
+        const prevUpper = letters[i - 1] !== letters[i - 1].toLowerCase();
+        const currUpper = letters[i] !== letters[i].toLowerCase();
+        if (prevUpper !== currUpper) caseChanges++;
+    }
+    // More than 50% case changes is suspicious
+    return caseChanges / letters.length > 0.5;
+}
+
+/**
+ * Detect if a string is gibberish (random characters, likely bot-generated)
+ * @param {string} text
+ * @returns {boolean} false for scripts without a model
+ */
+export function isGibberish(text) {
+    if (!text) return false;
+
+    const script = detectScript(text);
+    const model = SCRIPT_MODELS[script];
+    if (!model) return false;
+
+    // Only the main script's letters: digits, punctuation and a stray foreign word don't count
+    const words = text.normalize('NFC').split(/[^\p{L}\p{M}]+/u)
+        .map(word => Array.from(word).filter(char => scriptOf(char) === script).join(''))
+        .filter(Boolean);
+    const letters = words.join('');
+    if (letters.length < 6) return false;
+
+    if (hasErraticCase(letters)) return true;
+
+    const ignored = model.ignore || '';
+    let vowels = 0;
+    let total = 0;
+    for (const word of words) {
+        // Consonant runs end with the word: "Armen Mkrtchyan" is not "nmkrtch"
+        let run = 0;
+        for (const char of fold(word)) {
+            if (ignored.includes(char)) continue;
+            total++;
+            if (model.vowels.includes(char)) {
+                vowels++;
+                run = 0;
+            } else if (++run > model.maxConsonantRun) {
+                return true;
+            }
+        }
+    }
+    if (total < 6) return false;
+
+    const [minRatio, maxRatio] = model.vowelRatio;
+    const vowelRatio = vowels / total;
+    return vowelRatio < minRatio || vowelRatio > maxRatio;
+}
+
+/**
+ * Whether a word mixes lookalike scripts, e.g. Latin with a Cyrillic "о"
+ */
+function mixesLookalikes(word) {
+    const scripts = new Set(Array.from(word, scriptOf).filter(script => LOOKALIKE_SCRIPTS.has(script)));
+    return scripts.size > 1;
+}
+
+/**
+ * Check that a name could belong to a person, in any language or script
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isPlausibleName(name) {
+    const text = String(name || '').normalize('NFC').trim();
+    if (!/\p{L}/u.test(text)) return false;
+    if (text.split(/[\s\-‐'’.,]+/u).some(mixesLookalikes)) return false;
+    return !isGibberish(text);
+}
@@ -1,16 +1,12 @@
 // main.js - Central JavaScript entry point for NoIdentity.Space
-// Includes secure newsletter form handling
+// Wires up navigation, the site forms, the TOC scroll-spy, share buttons, checklists,
+// offline reading and, on pages that embed them, the password tools
 
-import { APPS_SCRIPT_URL } from './config.js';
-import {
-    initFormSecurity,
-    validateFormSecurity,
-    recordSubmission,
-    prepareSecureFormData,
-    generateAbuseFingerprint
-} from './form-security.js';
-
-const MAX_RETRIES = 3;
+import { setupForms } from './form-controller.js';
+import { setupFormQueue } from './form-queue.js';
+import { setupShareButtons } from './share.js';
+import { setupOfflineReading } from './offline.js';
+import { setupChecklists } from './checklist.js';
 
 // --- Global Functions ---
 
@@ -24,155 +20,77 @@ window.toggleMenu = function () {
     }
 }
 
-// --- Newsletter Form Handling ---
+// --- Password Tools ---
 
 /**
- * Handles secure newsletter form submission
+ * Loads the password strength analyzer and passphrase generator on pages that embed them
  */
-function handleNewsletterSubmission(e) {
-    e.preventDefault();
-
-    const form = e.target;
-    const formId = form.id || 'newsletterForm';
-    const submitBtn = form.querySelector('button[type="submit"]');
-
-    // Get or create response message element
-    let responseMessage = form.querySelector('.message-box');
-    if (!responseMessage) {
-        responseMessage = document.createElement('div');
-        responseMessage.className = 'message-box';
-        form.appendChild(responseMessage);
+function setupPasswordTools() {
+    if (document.querySelector('[data-password-strength]')) {
+        import('./password-strength.js')
+            .then(({ setupPasswordStrength }) => setupPasswordStrength())
+            .catch(error => console.error('[Main] Password analyzer failed to load:', error));
     }
-
-    if (!submitBtn) {
-        console.error("Newsletter submit button not found");
-        return;
+    if (document.querySelector('[data-passphrase-generator]')) {
+        import('./passphrase.js')
+            .then(({ setupPassphraseGenerators }) => setupPassphraseGenerators())
+            .catch(error => console.error('[Main] Passphrase generator failed to load:', error));
     }
+}
 
-    // Configuration check
-    if (!APPS_SCRIPT_URL || APPS_SCRIPT_URL === "YOUR_APPS_SCRIPT_URL_HERE" || !APPS_SCRIPT_URL.includes('script.google.com')) {
-        showError(responseMessage, submitBtn, "Configuration Error: The Apps Script URL has not been set correctly.");
-        return;
-    }
-
-    // ========== SECURITY VALIDATION ==========
-    const securityCheck = validateFormSecurity(form, formId);
-
-    if (!securityCheck.valid) {
-        // Bot detected via honeypot - show fake success
-        if (securityCheck.error === '__SILENT_FAIL__') {
-            showFakeSuccess(responseMessage, submitBtn, form, formId);
-            return;
-        }
-
-        // Show error for rate limiting, time gate, or input issues
-        showError(responseMessage, submitBtn, securityCheck.error);
-        return;
-    }
-    // ==========================================
-
-    // --- Start Submission State ---
-    responseMessage.style.display = 'none';
-    responseMessage.textContent = '';
-    submitBtn.disabled = true;
-    submitBtn.textContent = 'Subscribing...';
-
-    // Prepare sanitized form data
-    const params = prepareSecureFormData(form);
-    params.append('formType', 'newsletter');
-    params.append('_fingerprint', generateAbuseFingerprint());
-
-    // --- Fetch Request with Retry Logic ---
-    let retries = 0;
-
-    const attemptSubmission = () => {
-        fetch(APPS_SCRIPT_URL, {
-            method: 'POST',
-            body: params
-        })
-            .then(response => response.text())
-            .then(text => {
-                if (text === 'success') {
-                    recordSubmission();
-                    showSuccess(responseMessage, submitBtn, form, formId);
-                } else {
-                    throw new Error(`Subscription failed. Response: ${text}`);
-                }
-            })
-            .catch(error => {
-                if (retries < MAX_RETRIES) {
-                    retries++;
-                    const delay = Math.pow(2, retries) * 1000;
-                    setTimeout(attemptSubmission, delay);
-                } else {
-                    console.error('Submission Error:', error);
-                    showError(responseMessage, submitBtn, "We couldn't subscribe your email. Please try again later.");
-                }
-            });
-    };
+// --- Table of Contents Scroll-Spy ---
 
-    attemptSubmission();
-}
+// Distance from the top of the viewport at which a heading counts as "current"
+const SCROLL_SPY_OFFSET = 120;
 
 /**
- * Shows success message and resets form
+ * Highlights the sidebar TOC link for the section currently being read
  */
-function showSuccess(messageElement, submitBtn, form, formId) {
-    messageElement.className = 'message-box message-success';
-    messageElement.innerHTML = '<strong>Success!</strong> You have been subscribed to our newsletter!';
-    messageElement.style.display = 'block';
-    submitBtn.disabled = false;
-    submitBtn.textContent = 'Subscribe';
-    form.reset();
-
-    // Re-initialize security after reset
-    initFormSecurity(formId);
-}
+function setupTocScrollSpy() {
+    const sections = Array.from(document.querySelectorAll('.toc a[href^="#"]'))
+        .map(link => ({ link, heading: document.getElementById(decodeURIComponent(link.hash.slice(1))) }))
+        .filter(section => section.heading);
+
+    if (sections.length === 0) return;
+
+    let activeLink = null;
+    let ticking = false;
+
+    const update = () => {
+        ticking = false;
+
+        // The current section is the last heading that has scrolled past the offset
+        let current = null;
+        for (const section of sections) {
+            if (section.heading.getBoundingClientRect().top - SCROLL_SPY_OFFSET <= 0) {
+                current = section;
+            } else {
+                break;
+            }
+        }
 
-/**
- * Shows fake success for honeypot-caught bots
- */
-function showFakeSuccess(messageElement, submitBtn, form, formId) {
-    messageElement.className = 'message-box message-success';
-    messageElement.innerHTML = '<strong>Success!</strong> You have been subscribed to our newsletter!';
-    messageElement.style.display = 'block';
-    submitBtn.disabled = false;
-    submitBtn.textContent = 'Subscribe';
-    form.reset();
-
-    console.log('[Security] Bot newsletter submission blocked silently');
-}
+        const link = current ? current.link : null;
+        if (link === activeLink) return;
 
-/**
- * Shows error message
- */
-function showError(messageElement, submitBtn, message) {
-    messageElement.className = 'message-box message-error';
-    messageElement.innerHTML = `<strong>Error!</strong> ${message}`;
-    messageElement.style.display = 'block';
-    submitBtn.disabled = false;
-    submitBtn.textContent = 'Subscribe';
-}
+        if (activeLink) {
+            activeLink.classList.remove('active');
+            activeLink.removeAttribute('aria-current');
+        }
+        if (link) {
+            link.classList.add('active');
+            link.setAttribute('aria-current', 'location');
+        }
+        activeLink = link;
+    };
 
-/**
- * Sets up newsletter form with security
- */
-function setupNewsletterForm() {
-    // Main newsletter form (on index.html)
-    const newsletterForm = document.getElementById('newsletterForm');
-    if (newsletterForm) {
-        initFormSecurity('newsletterForm');
-        newsletterForm.addEventListener('submit', handleNewsletterSubmission);
-        console.log('[Security] Main newsletter form initialized');
-    }
+    window.addEventListener('scroll', () => {
+        if (!ticking) {
+            ticking = true;
+            window.requestAnimationFrame(update);
+        }
+    }, { passive: true });
 
-    // Sidebar newsletter form (on article pages)
-    const sidebarNewsletterForm = document.getElementById('sidebarNewsletterForm');
-    if (sidebarNewsletterForm) {
-        initFormSecurity('sidebarNewsletterForm');
-        sidebarNewsletterForm.addEventListener('submit', handleNewsletterSubmission);
-        console.log('[Security] Sidebar newsletter form initialized');
-    }
+    update();
 }
 
 /**
@@ -182,9 +100,14 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup smooth scrolling
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         anchor.addEventListener('click', function (e) {
-            e.preventDefault();
-            const target = document.querySelector(this.getAttribute('href'));
+            // Read the href at click time: other modules may have replaced a "#" placeholder
+            const href = this.getAttribute('href') || '';
+            if (!href.startsWith('#') || href.length < 2) return;
+
+            // getElementById, because generated ids may start with a digit (not a valid selector)
+            const target = document.getElementById(decodeURIComponent(href.slice(1)));
             if (target) {
+                e.preventDefault();
                 target.scrollIntoView({ behavior: 'smooth' });
                 // Close mobile menu if open
                 const navLinks = document.getElementById('navLinks');
@@ -195,6 +118,22 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
-    // Setup newsletter forms with security
-    setupNewsletterForm();
+    // Newsletter and contact forms (any form with data-form), then anything queued offline
+    setupForms();
+    setupFormQueue();
+
+    // Highlight the current section in the article TOC
+    setupTocScrollSpy();
+
+    // Wire up the article share buttons
+    setupShareButtons();
+
+    // Checkboxes and a progress meter for lists marked data-checklist
+    setupChecklists();
+
+    // "Save for offline" and the saved list; the service worker only exists in a build
+    setupOfflineReading({ register: import.meta.env.PROD });
+
+    // The password tools carry their wordlists, so they load only where a page embeds them
+    setupPasswordTools();
 });
\ No newline at end of file
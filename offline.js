@@ -0,0 +1,206 @@
+// offline.js - "Save for offline" on article pages and the list of saved articles
+// A saved article is a copy of the page in the Cache Storage of this browser. The service
+// worker (service-worker.js) serves it when there is no connection and keeps it current.
+// Nothing about what a reader saves is sent anywhere.
+
+// SAVED_CACHE in service-worker.js
+export const SAVED_CACHE = 'nis-saved-articles';
+export const SERVICE_WORKER_URL = '/service-worker.js';
+
+const TITLE_SUFFIX = / [|–-] NoIdentity\.Space$/;
+
+/**
+ * Whether this browser can keep pages for offline reading
+ * @param {Window} [win=window]
+ */
+export function isOfflineSupported(win = window) {
+    return 'serviceWorker' in win.navigator && 'caches' in win;
+}
+
+/**
+ * Register the service worker. Only production builds ship one.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+    if (!isOfflineSupported()) return null;
+    try {
+        return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    } catch (error) {
+        console.error('[Offline] Service worker registration failed:', error);
+        return null;
+    }
+}
+
+/**
+ * The cache key of a page: no query string or fragment
+ * @param {string} [url=location.href]
+ * @returns {string}
+ */
+export function pageKey(url = window.location.href) {
+    const clean = new URL(url, window.location.href);
+    return `${clean.origin}${clean.pathname}`;
+}
+
+/**
+ * Save a fresh copy of a page
+ * @param {string} [url=location.href]
+ * @throws {Error} If the page can't be downloaded
+ */
+export async function saveArticle(url = window.location.href) {
+    const key = pageKey(url);
+    const response = await fetch(key, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const cache = await caches.open(SAVED_CACHE);
+    await cache.put(key, response);
+}
+
+/**
+ * @param {string} [url=location.href]
+ * @returns {Promise<boolean>} Whether a copy was removed
+ */
+export async function removeArticle(url = window.location.href) {
+    const cache = await caches.open(SAVED_CACHE);
+    return cache.delete(pageKey(url));
+}
+
+/**
+ * @param {string} [url=location.href]
+ * @returns {Promise<boolean>}
+ */
+export async function isArticleSaved(url = window.location.href) {
+    const cache = await caches.open(SAVED_CACHE);
+    return Boolean(await cache.match(pageKey(url)));
+}
+
+/**
+ * Every saved article, with the title read from the saved copy
+ * @returns {Promise<Array<{ url: string, title: string }>>} Sorted by title
+ */
+export async function listSavedArticles() {
+    const cache = await caches.open(SAVED_CACHE);
+    const articles = [];
+
+    for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        const doc = new DOMParser().parseFromString(response ? await response.text() : '', 'text/html');
+        const ogTitle = doc.querySelector('meta[property="og:title"]');
+        const title = (ogTitle && ogTitle.content) || doc.title.replace(TITLE_SUFFIX, '') || request.url;
+        articles.push({ url: request.url, title: title.trim() });
+    }
+    return articles.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+function showSavedState(control, saved) {
+    const button = control.querySelector('[data-offline-toggle]');
+    button.setAttribute('aria-pressed', String(saved));
+    button.textContent = saved ? '✅ Saved for offline' : '📥 Save for offline';
+}
+
+function setStatus(control, message) {
+    const status = control.querySelector('[data-offline-status]');
+    if (status) status.textContent = message;
+}
+
+/**
+ * Wire up a [data-offline-save] control: one button that saves or removes this page
+ */
+async function setupSaveControl(control) {
+    const button = control.querySelector('[data-offline-toggle]');
+    if (!button) return;
+
+    showSavedState(control, await isArticleSaved());
+    control.hidden = false;
+
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        if (button.getAttribute('aria-pressed') === 'true') {
+            try {
+                await removeArticle();
+                showSavedState(control, false);
+                setStatus(control, 'Removed from this device.');
+            } catch (error) {
+                console.error('[Offline] Could not remove the saved copy:', error);
+                setStatus(control, '⚠️ Could not remove the saved copy. Please try again.');
+            }
+        } else {
+            try {
+                await saveArticle();
+                showSavedState(control, true);
+                setStatus(control, 'Saved. You can read this guide without a connection.');
+            } catch (error) {
+                console.error('[Offline] Could not save this page:', error);
+                setStatus(control, '⚠️ Could not save this page. Check your connection and try again.');
+            }
+        }
+        button.disabled = false;
+    });
+}
+
+/**
+ * Fill a [data-offline-list] element with the saved articles and their remove buttons
+ */
+async function renderSavedList(list) {
+    const empty = document.querySelector('[data-offline-empty]');
+    const articles = await listSavedArticles();
+
+    list.replaceChildren(...articles.map(({ url, title }) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = url;
+        link.textContent = title;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'offline-remove';
+        remove.textContent = 'Remove';
+        remove.setAttribute('aria-label', `Remove "${title}" from this device`);
+        remove.addEventListener('click', async () => {
+            remove.disabled = true;
+            const status = document.querySelector('[data-offline-list-status]');
+            try {
+                await removeArticle(url);
+                if (status) status.textContent = `Removed "${title}" from this device.`;
+            } catch (error) {
+                console.error('[Offline] Could not remove the saved copy:', error);
+                if (status) status.textContent = `⚠️ Could not remove "${title}". Please try again.`;
+            }
+
+            // Show what is really saved now, whether or not the removal worked
+            try {
+                await renderSavedList(list);
+            } catch (error) {
+                console.error('[Offline] Saved articles are unavailable:', error);
+                remove.disabled = false;
+            }
+        });
+
+        item.append(link, ' ', remove);
+        return item;
+    }));
+
+    if (empty) empty.hidden = articles.length > 0;
+}
+
+/**
+ * Set up offline reading on this page
+ * @param {Object} [options]
+ * @param {boolean} [options.register=false] - Also register the service worker
+ */
+export async function setupOfflineReading({ register = false } = {}) {
+    document.querySelectorAll('[data-offline-notice]').forEach(notice => {
+        notice.hidden = navigator.onLine !== false;
+    });
+
+    if (!isOfflineSupported()) return;
+    if (register) registerServiceWorker();
+
+    try {
+        await Promise.all([
+            ...Array.from(document.querySelectorAll('[data-offline-save]'), setupSaveControl),
+            ...Array.from(document.querySelectorAll('[data-offline-list]'), renderSavedList),
+        ]);
+    } catch (error) {
+        // Cache Storage can be blocked, e.g. in some private browsing modes
+        console.error('[Offline] Saved articles are unavailable:', error);
+    }
+}
@@ -0,0 +1,155 @@
+// passphrase.js - Diceware passphrase generator
+// Picks words from diceware-words.json with crypto.getRandomValues, so every word is an
+// even draw from the list and the passphrase's strength is exactly log2(list size) bits a
+// word. Nothing is generated on a server or kept anywhere.
+//
+// Any element with data-passphrase-generator becomes the generator widget; main.js loads
+// this module only on pages that have one.
+
+import diceware from './diceware-words.json';
+
+export const DEFAULT_WORD_COUNT = 6;
+export const MIN_WORD_COUNT = 4;
+export const MAX_WORD_COUNT = 10;
+export const SEPARATORS = { space: ' ', hyphen: '-', period: '.', none: '' };
+
+const UINT32_RANGE = 2 ** 32;
+
+/**
+ * A uniformly random integer in [0, max), without the bias of a plain modulo
+ * @param {number} max - At most 2^32
+ * @param {Function} [getRandomValues] - Fills a typed array; crypto.getRandomValues by default
+ * @returns {number}
+ */
+export function randomIndex(max, getRandomValues = array => crypto.getRandomValues(array)) {
+    // Draws at or above this limit would favour the low indexes, so they are thrown away
+    const limit = UINT32_RANGE - (UINT32_RANGE % max);
+    const buffer = new Uint32Array(1);
+    for (;;) {
+        getRandomValues(buffer);
+        if (buffer[0] < limit) return buffer[0] % max;
+    }
+}
+
+/**
+ * The four dice rolls that pick a word from a 1,296-word list, e.g. '3-1-4-6'
+ * @param {number} index
+ * @returns {string}
+ */
+export function diceRolls(index) {
+    const rolls = [];
+    for (let n = index, i = 0; i < 4; i++, n = Math.floor(n / 6)) rolls.unshift((n % 6) + 1);
+    return rolls.join('-');
+}
+
+/**
+ * Generate a diceware passphrase
+ * @param {Object} [options]
+ * @param {number} [options.words=6]
+ * @param {string} [options.separator=' ']
+ * @param {boolean} [options.capitalize=false] - Capitalize every word, for sites that insist on capitals
+ * @param {string[]} [options.wordlist] - The bundled 1,296-word list by default
+ * @param {Function} [options.getRandomValues]
+ * @returns {{ passphrase: string, words: string[], rolls: string[]|null, bits: number }}
+ *   rolls is null for a list that dice can't index
+ */
+export function generatePassphrase({
+    words = DEFAULT_WORD_COUNT,
+    separator = SEPARATORS.space,
+    capitalize = false,
+    wordlist = diceware.words,
+    getRandomValues,
+} = {}) {
+    const count = Math.min(Math.max(Math.round(words), MIN_WORD_COUNT), MAX_WORD_COUNT);
+    const indexes = Array.from({ length: count }, () => randomIndex(wordlist.length, getRandomValues));
+    const picked = indexes.map((index) => {
+        const word = wordlist[index];
+        return capitalize ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+    });
+
+    return {
+        passphrase: picked.join(separator),
+        words: picked,
+        rolls: wordlist.length === 6 ** 4 ? indexes.map(diceRolls) : null,
+        bits: count * Math.log2(wordlist.length),
+    };
+}
+
+function createWidget(container) {
+    const id = `passphrase-${document.querySelectorAll('.passphrase-generator').length}`;
+    const counts = [];
+    for (let n = MIN_WORD_COUNT; n <= MAX_WORD_COUNT; n++) {
+        counts.push(`<option value="${n}"${n === DEFAULT_WORD_COUNT ? ' selected' : ''}>${n} words</option>`);
+    }
+
+    container.classList.add('passphrase-generator');
+    container.innerHTML = `
+        <div class="passphrase-options">
+            <label for="${id}-words">Length</label>
+            <select id="${id}-words" data-passphrase-words>${counts.join('')}</select>
+            <label for="${id}-separator">Between words</label>
+            <select id="${id}-separator" data-passphrase-separator>
+                <option value="space">Spaces</option>
+                <option value="hyphen">Hyphens</option>
+                <option value="period">Periods</option>
+                <option value="none">Nothing</option>
+            </select>
+            <label class="passphrase-capitalize"><input type="checkbox" data-passphrase-capitalize> Capitalize</label>
+        </div>
+        <output class="passphrase-output" data-passphrase-output aria-live="polite"></output>
+        <p class="passphrase-details" data-passphrase-details></p>
+        <div class="passphrase-actions">
+            <button type="button" class="passphrase-button" data-passphrase-generate>New passphrase</button>
+            <button type="button" class="passphrase-button" data-passphrase-copy>Copy</button>
+        </div>`;
+}
+
+/**
+ * Turn every [data-passphrase-generator] element into the generator
+ * @param {Document|Element} [root=document]
+ * @returns {Element[]} The widgets
+ */
+export function setupPassphraseGenerators(root = document) {
+    const containers = Array.from(root.querySelectorAll('[data-passphrase-generator]'));
+    containers.forEach((container) => {
+        if (!container.querySelector('[data-passphrase-output]')) createWidget(container);
+
+        const output = container.querySelector('[data-passphrase-output]');
+        const details = container.querySelector('[data-passphrase-details]');
+        const wordsSelect = container.querySelector('[data-passphrase-words]');
+        const separatorSelect = container.querySelector('[data-passphrase-separator]');
+        const capitalize = container.querySelector('[data-passphrase-capitalize]');
+        const copy = container.querySelector('[data-passphrase-copy]');
+
+        const generate = () => {
+            const result = generatePassphrase({
+                words: Number(wordsSelect.value),
+                separator: SEPARATORS[separatorSelect.value],
+                capitalize: capitalize.checked,
+            });
+            output.textContent = result.passphrase;
+            details.textContent = `${result.words.length} words, about ${Math.round(result.bits)} bits.`
+                + (result.rolls ? ` Dice rolls: ${result.rolls.join(', ')}.` : '');
+            if (copy) copy.textContent = 'Copy';
+        };
+
+        container.querySelector('[data-passphrase-generate]').addEventListener('click', generate);
+        [wordsSelect, separatorSelect, capitalize].forEach(control => control.addEventListener('change', generate));
+
+        if (copy) {
+            copy.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(output.textContent);
+                    copy.textContent = 'Copied';
+                } catch (error) {
+                    // No clipboard access (older browsers, insecure pages): select it for copying by hand
+                    window.getSelection().selectAllChildren(output);
+                    copy.textContent = 'Press Ctrl+C to copy';
+                }
+            });
+        }
+
+        generate();
+    });
+    return containers;
+}
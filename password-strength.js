@@ -0,0 +1,795 @@
+// password-strength.js - Password and passphrase strength analyzer
+// Estimates how many guesses a cracker needs, the way zxcvbn does: find the patterns they
+// try first (common passwords, words and names, leetspeak, keyboard walks, dates,
+// passphrases, repeats and sequences) and charge brute force only for what is left. The
+// wordlists ship with the page, so it works offline; nothing typed is stored or sent.
+//
+// Any element with data-password-strength becomes the analyzer widget; main.js loads this
+// module only on pages that have one.
+
+import wordlists from './password-wordlists.json';
+import diceware from './diceware-words.json';
+
+// Only this much of a password is analyzed, to keep typing responsive. Anything longer is
+// rated on its start alone: far more than enough for a strong password, and it keeps a
+// long run like 'x' repeated 300 times from looking strong.
+export const MAX_ANALYZED_LENGTH = 100;
+// The longest dictionary entry worth looking for
+const MAX_WORD_LENGTH = 20;
+// What people put between the words of a passphrase
+const PASSPHRASE_SEPARATORS = [' ', '-', '.', '_', ',', '+', '/'];
+// Years closer than this to today are all about as guessable
+const MIN_YEAR_SPACE = 20;
+
+// Score thresholds in guesses, as in zxcvbn: 0 is too guessable, 4 very unguessable
+const SCORE_GUESSES = [1e3, 1e6, 1e8, 1e10];
+export const SCORE_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+/**
+ * How fast attackers guess, from a login form to a GPU rig against a leaked database
+ */
+export const CRACK_SCENARIOS = [
+    { id: 'online-throttled', label: 'Online attack on a site that limits attempts', rate: 100 / 3600 },
+    { id: 'online', label: 'Online attack on a site that doesn\'t', rate: 10 },
+    { id: 'offline-slow', label: 'Leaked database, slow hash such as bcrypt', rate: 1e4 },
+    { id: 'offline-fast', label: 'Leaked database, fast hash such as MD5', rate: 1e10 },
+];
+
+// Characters a cracker tries for each letter
+const LEET_TABLE = {
+    a: ['4', '@'],
+    b: ['8'],
+    e: ['3'],
+    g: ['6', '9'],
+    i: ['1', '!', '|'],
+    l: ['1', '|', '7'],
+    o: ['0'],
+    s: ['$', '5'],
+    t: ['7', '+'],
+    z: ['2'],
+};
+
+// Unshifted and shifted rows; a key touches its neighbours in the row and the two keys
+// above and below it, because each row is offset from the one above
+const QWERTY_ROWS = [
+    ['`1234567890-=', '~!@#$%^&*()_+'],
+    ['qwertyuiop[]\\', 'QWERTYUIOP{}|'],
+    ['asdfghjkl;\'', 'ASDFGHJKL:"'],
+    ['zxcvbnm,./', 'ZXCVBNM<>?'],
+];
+// The number pad is a grid: diagonals count
+const KEYPAD_ROWS = [['789'], ['456'], ['123'], ['0']];
+
+/**
+ * Binomial coefficient
+ */
+function choose(n, k) {
+    if (k > n) return 0;
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+    return result;
+}
+
+/**
+ * Ways to flip S of S+U characters, at least one and at most the rarer kind
+ */
+function variations(flipped, unflipped) {
+    if (flipped === 0) return 1;
+    if (unflipped === 0) return 2;
+    let total = 0;
+    for (let i = 1; i <= Math.min(flipped, unflipped); i++) total += choose(flipped + unflipped, i);
+    return total;
+}
+
+function uppercaseVariations(token) {
+    if (token === token.toLowerCase()) return 1;
+    // Capitalized, ALL CAPS or a final capital: what everyone tries first
+    if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) return 2;
+    const upper = (token.match(/[A-Z]/g) || []).length;
+    const lower = (token.match(/[a-z]/g) || []).length;
+    return variations(upper, lower);
+}
+
+let dictionaryCache = null;
+
+/**
+ * Ranked dictionaries from the bundled wordlists. Diceware words all rank as the size of
+ * their list: a cracker who knows the list tries every word.
+ */
+function dictionaries() {
+    if (!dictionaryCache) {
+        const ranked = list => new Map(list.map((word, i) => [word, i + 1]));
+        dictionaryCache = [
+            { name: 'passwords', ranks: ranked(wordlists.passwords) },
+            { name: 'names', ranks: ranked(wordlists.names) },
+            { name: 'words', ranks: ranked(wordlists.words) },
+            { name: 'diceware', ranks: new Map(diceware.words.map(word => [word, diceware.words.length])) },
+        ];
+    }
+    return dictionaryCache;
+}
+
+function dictionaryMatches(password, lower = password.toLowerCase()) {
+    const matches = [];
+    for (let i = 0; i < password.length; i++) {
+        for (let j = i + 2; j < Math.min(password.length, i + MAX_WORD_LENGTH); j++) {
+            const word = lower.slice(i, j + 1);
+            for (const dictionary of dictionaries()) {
+                const rank = dictionary.ranks.get(word);
+                if (rank === undefined) continue;
+                const token = password.slice(i, j + 1);
+                matches.push({
+                    pattern: 'dictionary', dictionary: dictionary.name, i, j, token, word, rank,
+                    guesses: rank * uppercaseVariations(token),
+                });
+            }
+        }
+    }
+    return matches;
+}
+
+function reversedMatches(password) {
+    const reversed = [...password].reverse().join('');
+    const n = password.length;
+    return dictionaryMatches(reversed)
+        .filter(match => match.token.length >= 4)
+        .map(match => ({
+            ...match,
+            i: n - 1 - match.j,
+            j: n - 1 - match.i,
+            token: password.slice(n - 1 - match.j, n - match.i),
+            reversed: true,
+            guesses: match.guesses * 2,
+        }));
+}
+
+/**
+ * Every way to read the leet characters in a password as letters, at most 64
+ */
+function leetSubstitutions(lower) {
+    const candidates = {};
+    for (const [letter, subs] of Object.entries(LEET_TABLE)) {
+        for (const sub of subs) {
+            if (lower.includes(sub)) (candidates[sub] = candidates[sub] || []).push(letter);
+        }
+    }
+
+    let maps = [{}];
+    for (const [sub, letters] of Object.entries(candidates)) {
+        maps = maps.flatMap(map => letters.map(letter => ({ ...map, [sub]: letter }))).slice(0, 64);
+    }
+    return Object.keys(candidates).length > 0 ? maps : [];
+}
+
+function leetMatches(password) {
+    const lower = password.toLowerCase();
+    const matches = [];
+    for (const map of leetSubstitutions(lower)) {
+        const translated = [...lower].map(char => map[char] || char).join('');
+        for (const match of dictionaryMatches(password, translated)) {
+            const token = password.slice(match.i, match.j + 1);
+            const subs = {};
+            [...token].forEach((char) => { if (map[char]) subs[char] = map[char]; });
+            if (Object.keys(subs).length === 0) continue;
+
+            let leetGuesses = 1;
+            for (const [sub, letter] of Object.entries(subs)) {
+                const tokenLower = token.toLowerCase();
+                const subbed = tokenLower.split(sub).length - 1;
+                const unsubbed = tokenLower.split(letter).length - 1;
+                leetGuesses *= variations(subbed, unsubbed);
+            }
+            matches.push({ ...match, token, leet: true, subs, guesses: match.guesses * leetGuesses });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Key positions and neighbours of a layout
+ * @returns {{ keys: Map<string, { row: number, col: number, shifted: boolean }>, adjacent: Function, startingPositions: number, averageDegree: number }}
+ */
+function buildKeyboard(rows, { grid = false } = {}) {
+    const keys = new Map();
+    rows.forEach((variants, row) => {
+        variants.forEach((chars, shift) => {
+            [...chars].forEach((char, col) => keys.set(char, { row, col, shifted: shift === 1 }));
+        });
+    });
+
+    const offsets = grid
+        ? [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]
+        : [[0, -1], [0, 1], [-1, 0], [-1, 1], [1, -1], [1, 0]];
+    const adjacent = (a, b) => offsets.some(([dr, dc]) => a.row + dr === b.row && a.col + dc === b.col);
+
+    const positions = [...keys.values()].filter(key => !key.shifted);
+    const degrees = positions.map(key => positions.filter(other => other !== key && adjacent(key, other)).length);
+    return {
+        keys,
+        adjacent,
+        startingPositions: positions.length,
+        averageDegree: degrees.reduce((sum, degree) => sum + degree, 0) / positions.length,
+    };
+}
+
+let keyboardCache = null;
+
+function keyboards() {
+    if (!keyboardCache) {
+        keyboardCache = [
+            { name: 'qwerty', ...buildKeyboard(QWERTY_ROWS) },
+            { name: 'keypad', ...buildKeyboard(KEYPAD_ROWS, { grid: true }) },
+        ];
+    }
+    return keyboardCache;
+}
+
+function keyboardGuesses({ length, turns, shifted }, keyboard) {
+    let guesses = 0;
+    for (let i = 2; i <= length; i++) {
+        for (let j = 1; j <= Math.min(turns, i - 1); j++) {
+            guesses += choose(i - 1, j - 1) * keyboard.startingPositions * keyboard.averageDegree ** j;
+        }
+    }
+    return guesses * variations(shifted, length - shifted);
+}
+
+function keyboardMatches(password) {
+    const matches = [];
+    const chars = [...password];
+    for (const keyboard of keyboards()) {
+        let i = 0;
+        while (i < chars.length - 2) {
+            let j = i;
+            let turns = 0;
+            let direction = null;
+            let shifted = 0;
+            const first = keyboard.keys.get(chars[i]);
+            if (first && first.shifted) shifted++;
+
+            while (first && j + 1 < chars.length) {
+                const from = keyboard.keys.get(chars[j]);
+                const to = keyboard.keys.get(chars[j + 1]);
+                if (!to || !keyboard.adjacent(from, to)) break;
+                const step = `${to.row - from.row},${to.col - from.col}`;
+                if (step !== direction) turns++;
+                direction = step;
+                if (to.shifted) shifted++;
+                j++;
+            }
+
+            if (j - i + 1 >= 3) {
+                const match = { pattern: 'keyboard', keyboard: keyboard.name, i, j, token: chars.slice(i, j + 1).join(''), turns, shifted };
+                match.guesses = keyboardGuesses({ length: j - i + 1, turns, shifted }, keyboard);
+                matches.push(match);
+                i = j;
+            } else {
+                i++;
+            }
+        }
+    }
+    return matches;
+}
+
+function yearSpace(year) {
+    return Math.max(Math.abs(year - new Date().getFullYear()), MIN_YEAR_SPACE);
+}
+
+function twoDigitYear(year) {
+    if (year > 99) return year;
+    // 87 is 1987, 12 is 2012
+    return year > (new Date().getFullYear() % 100) + 5 ? 1900 + year : 2000 + year;
+}
+
+function validDate(day, month, year) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31 && year >= 1000 && year <= 2099;
+}
+
+/**
+ * Read digits as a day, month and year in any of the usual orders; the reading with the
+ * year nearest today wins, as a cracker would try it first
+ */
+function readDate(parts) {
+    const [a, b, c] = parts.map(Number);
+    const readings = [
+        { year: a, month: b, day: c, yearFirst: true },
+        { day: a, month: b, year: c },
+        { month: a, day: b, year: c },
+    ].filter(reading => (reading.yearFirst ? parts[0].length === 4 : parts[2].length !== 1 && parts[2].length !== 3));
+
+    return readings
+        .map(reading => ({ day: reading.day, month: reading.month, year: twoDigitYear(reading.year) }))
+        .filter(date => validDate(date.day, date.month, date.year))
+        .sort((x, y) => yearSpace(x.year) - yearSpace(y.year))[0] || null;
+}
+
+/**
+ * Ways to cut a run of 4 to 8 digits into day, month and year
+ */
+function splitDigits(digits) {
+    const splits = [];
+    for (const yearLength of [2, 4]) {
+        for (let dayMonth = 2; dayMonth <= 4; dayMonth++) {
+            if (dayMonth + yearLength !== digits.length) continue;
+            for (let first = 1; first < dayMonth; first++) {
+                const rest = dayMonth - first;
+                if (first > 2 || rest > 2) continue;
+                // Year at the end
+                splits.push([digits.slice(0, first), digits.slice(first, dayMonth), digits.slice(dayMonth)]);
+                // Year at the start (only four-digit years, to keep 1112 from reading as 2011-1-2)
+                if (yearLength === 4) {
+                    splits.push([digits.slice(0, 4), digits.slice(4, 4 + first), digits.slice(4 + first)]);
+                }
+            }
+        }
+    }
+    return splits;
+}
+
+function dateMatches(password) {
+    const matches = [];
+
+    const withSeparators = /(?=(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4}))/g;
+    let found;
+    while ((found = withSeparators.exec(password)) !== null) {
+        const [, a, separator, b, c] = found;
+        const date = readDate([a, b, c]);
+        if (date) {
+            const token = `${a}${separator}${b}${separator}${c}`;
+            matches.push({
+                pattern: 'date', i: found.index, j: found.index + token.length - 1, token, separator, ...date,
+                guesses: yearSpace(date.year) * 365 * 4,
+            });
+        }
+        withSeparators.lastIndex++;
+    }
+
+    for (let i = 0; i < password.length; i++) {
+        for (let j = i + 3; j < Math.min(password.length, i + 8); j++) {
+            const token = password.slice(i, j + 1);
+            if (!/^\d+$/.test(token)) break;
+            const date = splitDigits(token)
+                .map(readDate)
+                .filter(Boolean)
+                .sort((x, y) => yearSpace(x.year) - yearSpace(y.year))[0];
+            if (date) {
+                matches.push({ pattern: 'date', i, j, token, separator: '', ...date, guesses: yearSpace(date.year) * 365 });
+            }
+        }
+    }
+
+    const years = /(?:19|20)\d\d/g;
+    while ((found = years.exec(password)) !== null) {
+        const year = Number(found[0]);
+        matches.push({ pattern: 'year', i: found.index, j: found.index + 3, token: found[0], year, guesses: yearSpace(year) });
+    }
+
+    return matches;
+}
+
+function sequenceMatches(password) {
+    const matches = [];
+    const chars = [...password];
+    const classOf = char => (/[a-z]/.test(char) ? 'lower' : /[A-Z]/.test(char) ? 'upper' : /\d/.test(char) ? 'digit' : null);
+
+    let i = 0;
+    while (i < chars.length - 2) {
+        const delta = chars[i + 1].charCodeAt(0) - chars[i].charCodeAt(0);
+        const kind = classOf(chars[i]);
+        let j = i + 1;
+        if (kind && Math.abs(delta) >= 1 && Math.abs(delta) <= 2 && classOf(chars[j]) === kind) {
+            while (j + 1 < chars.length && classOf(chars[j + 1]) === kind
+                && chars[j + 1].charCodeAt(0) - chars[j].charCodeAt(0) === delta) {
+                j++;
+            }
+        }
+
+        if (j - i + 1 >= 3) {
+            const token = chars.slice(i, j + 1).join('');
+            // Sequences from an obvious start are guessed first
+            const base = 'aAzZ019'.includes(token[0]) ? 4 : kind === 'digit' ? 10 : 26;
+            matches.push({
+                pattern: 'sequence', i, j, token, ascending: delta > 0,
+                guesses: base * token.length * (delta > 0 ? 1 : 2),
+            });
+            i = j;
+        } else {
+            i++;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Runs of two or more words joined by the same separator, the way diceware passphrases are
+ * written. Each word costs its own rank and the separator is one of a handful.
+ */
+function passphraseMatches(password) {
+    const matches = [];
+    const lower = password.toLowerCase();
+    const rankOf = (word) => {
+        const ranks = dictionaries().map(dictionary => dictionary.ranks.get(word)).filter(rank => rank !== undefined);
+        return ranks.length > 0 ? Math.min(...ranks) : null;
+    };
+
+    for (const separator of PASSPHRASE_SEPARATORS) {
+        if (!password.includes(separator)) continue;
+        let run = [];
+        let position = 0;
+        const flush = () => {
+            if (run.length >= 2) {
+                const first = run[0];
+                const last = run[run.length - 1];
+                const token = password.slice(first.i, last.j + 1);
+                const guesses = run.reduce((product, part) => product * part.rank * uppercaseVariations(part.token), 1);
+                matches.push({
+                    pattern: 'passphrase', i: first.i, j: last.j, token, separator, words: run.length,
+                    guesses: guesses * PASSPHRASE_SEPARATORS.length,
+                });
+            }
+            run = [];
+        };
+
+        for (const part of lower.split(separator)) {
+            const rank = part ? rankOf(part) : null;
+            if (rank === null) flush();
+            else run.push({ i: position, j: position + part.length - 1, token: password.slice(position, position + part.length), rank });
+            position += part.length + separator.length;
+        }
+        flush();
+    }
+    return matches;
+}
+
+function repeatMatches(password) {
+    const matches = [];
+    const greedy = /(.+)\1+/g;
+    const lazy = /(.+?)\1+/g;
+    const anchoredLazy = /^(.+?)\1+$/;
+
+    let lastIndex = 0;
+    while (lastIndex < password.length) {
+        greedy.lastIndex = lastIndex;
+        lazy.lastIndex = lastIndex;
+        const greedyMatch = greedy.exec(password);
+        const lazyMatch = lazy.exec(password);
+        if (!greedyMatch) break;
+
+        // 'abcabc' repeats 'abc'; 'aabaab' repeats 'aab', not 'a'
+        const match = greedyMatch[0].length > lazyMatch[0].length ? greedyMatch : lazyMatch;
+        const base = match === greedyMatch ? anchoredLazy.exec(match[0])[1] : match[1];
+        const repeats = match[0].length / base.length;
+        matches.push({
+            pattern: 'repeat', i: match.index, j: match.index + match[0].length - 1, token: match[0], base, repeats,
+            guesses: estimateGuesses(base).guesses * repeats,
+        });
+        lastIndex = match.index + match[0].length;
+    }
+    return matches;
+}
+
+/**
+ * How many symbols a brute-force attack must try per character of this password
+ */
+function characterPool(password) {
+    let pool = 0;
+    if (/[a-z]/.test(password)) pool += 26;
+    if (/[A-Z]/.test(password)) pool += 26;
+    if (/\d/.test(password)) pool += 10;
+    if (/[ -/:-@[-`{-~]/.test(password)) pool += 33;
+    if (/[^\x20-\x7e]/.test(password)) pool += 100;
+    return Math.max(pool, 10);
+}
+
+/**
+ * Every pattern in a password
+ * @param {string} password
+ * @returns {Array<Object>} Matches with their position (i to j), token and guesses
+ */
+export function findPatterns(password) {
+    return [
+        ...dictionaryMatches(password),
+        ...reversedMatches(password),
+        ...leetMatches(password),
+        ...keyboardMatches(password),
+        ...dateMatches(password),
+        ...sequenceMatches(password),
+        ...passphraseMatches(password),
+        ...repeatMatches(password),
+    ];
+}
+
+/**
+ * The fewest guesses that cover the password with patterns and brute force
+ *
+ * Brute force costs the password's character pool per character. A run of k patterns
+ * costs the product of their guesses times k!, for the orders they could come in.
+ * @param {string} password
+ * @returns {{ guesses: number, bits: number, sequence: Array<Object> }}
+ */
+function estimateGuesses(password) {
+    const n = password.length;
+    if (n === 0) return { guesses: 1, bits: 0, sequence: [] };
+
+    const poolBits = Math.log2(characterPool(password));
+    const byEnd = Array.from({ length: n }, () => []);
+    for (const match of findPatterns(password)) byEnd[match.j].push({ ...match, bits: Math.log2(match.guesses) });
+    for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+            byEnd[j].push({ pattern: 'bruteforce', i, j, token: password.slice(i, j + 1), bits: poolBits * (j - i + 1) });
+        }
+    }
+
+    // best[j] maps k to the fewest bits covering password[0..j] with k matches, and the
+    // last of those matches
+    const start = new Map([[0, { bits: 0, match: null }]]);
+    const best = Array.from({ length: n }, () => new Map());
+    for (let j = 0; j < n; j++) {
+        for (const match of byEnd[j]) {
+            const before = match.i === 0 ? start : best[match.i - 1];
+            for (const [k, previous] of before) {
+                // Two brute-force runs side by side are one run
+                if (match.pattern === 'bruteforce' && previous.match && previous.match.pattern === 'bruteforce') continue;
+                const bits = previous.bits + match.bits;
+                const current = best[j].get(k + 1);
+                if (!current || bits < current.bits) best[j].set(k + 1, { bits, match });
+            }
+        }
+    }
+
+    let result = null;
+    let factorialBits = 0;
+    for (let k = 1; k <= n; k++) {
+        factorialBits += Math.log2(k);
+        const candidate = best[n - 1].get(k);
+        if (candidate && (!result || candidate.bits + factorialBits < result.bits)) {
+            result = { bits: candidate.bits + factorialBits, k };
+        }
+    }
+
+    const sequence = [];
+    for (let j = n - 1, k = result.k; j >= 0; k--) {
+        const { match } = best[j].get(k);
+        sequence.unshift(match);
+        j = match.i - 1;
+    }
+    return { guesses: 2 ** result.bits, bits: result.bits, sequence };
+}
+
+/**
+ * "less than a second", "3 hours", "centuries"
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatCrackTime(seconds) {
+    const units = [
+        ['year', 365 * 24 * 3600],
+        ['month', 30 * 24 * 3600],
+        ['day', 24 * 3600],
+        ['hour', 3600],
+        ['minute', 60],
+        ['second', 1],
+    ];
+    if (seconds < 1) return 'less than a second';
+    if (seconds >= 100 * units[0][1]) return 'centuries';
+    const [unit, size] = units.find(([, length]) => seconds >= length);
+    const count = Math.round(seconds / size);
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+function scoreFor(guesses) {
+    const score = SCORE_GUESSES.findIndex(threshold => guesses < threshold);
+    return score === -1 ? 4 : score;
+}
+
+const DEFAULT_SUGGESTIONS = [
+    'Use a passphrase of four or more random words, like the generator below makes.',
+    'Let a password manager create and remember a different password for every site.',
+];
+
+/**
+ * A warning about the most guessable pattern, and what to do instead
+ */
+function buildFeedback(password, sequence, score) {
+    if (password.length === 0) return { warning: '', suggestions: DEFAULT_SUGGESTIONS };
+    if (score >= 3) return { warning: '', suggestions: [] };
+
+    const matches = sequence.filter(match => match.pattern !== 'bruteforce');
+    const longest = matches.reduce((a, b) => (!a || b.token.length > a.token.length ? b : a), null);
+    const suggestions = ['Add another word or two. Uncommon words are better.'];
+    let warning = '';
+
+    if (longest) {
+        switch (longest.pattern) {
+            case 'dictionary':
+                if (longest.dictionary === 'passwords') {
+                    warning = longest.rank <= 10 ? 'This is a top-10 password.'
+                        : longest.rank <= 100 ? 'This is a top-100 password.' : 'This is a very common password.';
+                } else if (longest.dictionary === 'names') {
+                    warning = 'Names and surnames are easy to guess.';
+                } else if (longest.token.length === password.length) {
+                    warning = 'A word on its own is easy to guess.';
+                } else {
+                    warning = 'Common words are easy to guess.';
+                }
+                if (longest.leet) suggestions.push('Swaps like "@" for "a" or "0" for "o" don\'t make a word much harder to guess.');
+                if (longest.reversed) suggestions.push('Words spelled backwards aren\'t much harder to guess.');
+                if (/^[A-Z][^A-Z]+$/.test(longest.token)) suggestions.push('A capital first letter doesn\'t help much.');
+                else if (/^[^a-z]+$/.test(longest.token) && /[A-Z]/.test(longest.token)) suggestions.push('All caps is almost as easy to guess as all lowercase.');
+                break;
+            case 'keyboard':
+                warning = longest.turns === 1 ? 'Straight rows of keys are easy to guess.' : 'Short keyboard patterns are easy to guess.';
+                suggestions.push('Use a longer keyboard pattern with more turns, or better, random words.');
+                break;
+            case 'date':
+            case 'year':
+                warning = 'Dates and years are easy to guess, especially ones tied to you.';
+                suggestions.push('Avoid birthdays, anniversaries and years.');
+                break;
+            case 'repeat':
+                warning = 'Repeats like "abcabc" are only slightly harder to guess than "abc".';
+                break;
+            case 'sequence':
+                warning = 'Sequences like abc or 6543 are easy to guess.';
+                break;
+        }
+    } else if (password.length < 10) {
+        warning = 'Short passwords are easy to guess.';
+    }
+
+    return { warning, suggestions: [...suggestions, DEFAULT_SUGGESTIONS[0]] };
+}
+
+/**
+ * Analyze a password or passphrase
+ * @param {string} password - Only the first MAX_ANALYZED_LENGTH characters are analyzed
+ * @returns {{ length: number, analyzedLength: number, guesses: number, bits: number, score: number, label: string, crackTimes: Array<Object>, sequence: Array<Object>, feedback: { warning: string, suggestions: string[] } }}
+ */
+export function analyzePassword(password) {
+    const text = String(password);
+    const analyzed = text.slice(0, MAX_ANALYZED_LENGTH);
+    const estimate = estimateGuesses(analyzed);
+    const { bits } = estimate;
+    const guesses = 2 ** bits;
+    const score = scoreFor(guesses);
+
+    return {
+        length: text.length,
+        analyzedLength: analyzed.length,
+        guesses,
+        bits,
+        score,
+        label: SCORE_LABELS[score],
+        crackTimes: CRACK_SCENARIOS.map(scenario => ({
+            ...scenario,
+            seconds: guesses / scenario.rate,
+            display: formatCrackTime(guesses / scenario.rate),
+        })),
+        sequence: estimate.sequence,
+        feedback: buildFeedback(analyzed, estimate.sequence, score),
+    };
+}
+
+// How each kind of pattern is named in the breakdown
+const PATTERN_NAMES = {
+    passwords: 'Common password',
+    names: 'Name',
+    words: 'Dictionary word',
+    diceware: 'Diceware word',
+    passphrase: 'Words and separators',
+    keyboard: 'Keyboard pattern',
+    date: 'Date',
+    year: 'Year',
+    repeat: 'Repeat',
+    sequence: 'Sequence',
+    bruteforce: 'Random characters',
+};
+
+function describeMatch(match) {
+    if (match.pattern !== 'dictionary') return PATTERN_NAMES[match.pattern];
+    const notes = [match.leet && 'leetspeak', match.reversed && 'reversed'].filter(Boolean);
+    return `${PATTERN_NAMES[match.dictionary]}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+function createWidget(container) {
+    const id = `password-strength-${document.querySelectorAll('.password-strength').length}`;
+    container.classList.add('password-strength');
+    container.innerHTML = `
+        <label class="password-strength-label" for="${id}">Password or passphrase to check</label>
+        <div class="password-strength-field">
+            <input type="password" id="${id}" class="password-strength-input" data-password-input
+                autocomplete="off" autocapitalize="off" spellcheck="false" data-lpignore="true">
+            <button type="button" class="password-strength-toggle" data-password-toggle aria-pressed="false">Show</button>
+        </div>
+        <div class="password-strength-meter" data-password-meter data-score="">
+            <span></span><span></span><span></span><span></span><span></span>
+        </div>
+        <p class="password-strength-summary" data-password-summary role="status" aria-live="polite"></p>
+        <div class="password-strength-details" data-password-details hidden>
+            <p class="password-strength-warning" data-password-warning></p>
+            <ul class="password-strength-suggestions" data-password-suggestions></ul>
+            <table class="password-strength-table">
+                <caption>Time to crack</caption>
+                <tbody data-password-times></tbody>
+            </table>
+            <table class="password-strength-table">
+                <caption>How a cracker would read it</caption>
+                <tbody data-password-patterns></tbody>
+            </table>
+        </div>
+        <p class="password-strength-note">Checked on this device only. Nothing you type is stored or sent.</p>`;
+}
+
+function row(cells) {
+    const tr = document.createElement('tr');
+    cells.forEach((text, i) => {
+        const cell = document.createElement(i === 0 ? 'th' : 'td');
+        if (i === 0) cell.scope = 'row';
+        cell.textContent = text;
+        tr.append(cell);
+    });
+    return tr;
+}
+
+function render(container, result) {
+    const meter = container.querySelector('[data-password-meter]');
+    const summary = container.querySelector('[data-password-summary]');
+    const details = container.querySelector('[data-password-details]');
+
+    if (result.length === 0) {
+        meter.dataset.score = '';
+        summary.textContent = '';
+        details.hidden = true;
+        return;
+    }
+
+    meter.dataset.score = String(result.score);
+    summary.textContent = `${result.label}: about ${Math.round(result.bits)} bits, `
+        + `${formatCrackTime(result.crackTimes[2].seconds)} to crack from a leaked database.`
+        + (result.analyzedLength < result.length ? ` Only the first ${result.analyzedLength} characters were checked.` : '');
+
+    const warning = container.querySelector('[data-password-warning]');
+    warning.textContent = result.feedback.warning;
+    warning.hidden = !result.feedback.warning;
+    container.querySelector('[data-password-suggestions]').replaceChildren(...result.feedback.suggestions.map((text) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        return item;
+    }));
+    container.querySelector('[data-password-times]').replaceChildren(
+        ...result.crackTimes.map(time => row([time.label, time.display]))
+    );
+    container.querySelector('[data-password-patterns]').replaceChildren(
+        ...result.sequence.map(match => row([match.token, describeMatch(match)]))
+    );
+    details.hidden = false;
+}
+
+/**
+ * Turn every [data-password-strength] element into the analyzer. An empty element gets the
+ * standard widget; one with its own markup keeps it and is wired up by the same hooks.
+ * @param {Document|Element} [root=document]
+ * @returns {Element[]} The widgets
+ */
+export function setupPasswordStrength(root = document) {
+    const containers = Array.from(root.querySelectorAll('[data-password-strength]'));
+    containers.forEach((container) => {
+        if (!container.querySelector('[data-password-input]')) createWidget(container);
+
+        const input = container.querySelector('[data-password-input]');
+        const toggle = container.querySelector('[data-password-toggle]');
+        const update = () => render(container, analyzePassword(input.value));
+
+        input.addEventListener('input', update);
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                const show = input.type === 'password';
+                input.type = show ? 'text' : 'password';
+                toggle.setAttribute('aria-pressed', String(show));
+                toggle.textContent = show ? 'Hide' : 'Show';
+            });
+        }
+        update();
+    });
+    return containers;
+}
@@ -0,0 +1,12 @@
+// pow-worker.js - Solves proof-of-work challenges off the main thread
+// Receives { challenge } and answers { challenge, nonce, difficulty } or { error }.
+
+import { solveChallenge } from './proof-of-work.js';
+
+self.addEventListener('message', async (e) => {
+    try {
+        self.postMessage(await solveChallenge(e.data.challenge));
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+});
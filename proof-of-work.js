@@ -0,0 +1,174 @@
+// proof-of-work.js - Hashcash-style puzzles that make every form submission cost CPU time
+// The browser solves the puzzle in pow-worker.js while the visitor types; the backend
+// checks the answer with verifyProofOfWork(). Both sides import this file, so the
+// challenge format and hashing can never drift apart.
+//
+// A challenge is "v1:<difficulty>:<issuedAt>:<salt>". Solving it means finding a nonce
+// such that SHA-256("<challenge>:<nonce>") starts with <difficulty> zero bits, which
+// takes 2^difficulty hashes on average. Checking an answer takes one.
+//
+// Like form-token.js, the file has no imports so the verifier also runs in Google Apps
+// Script (npm run apps-script). With a synchronous digest it returns a plain value.
+
+export const POW_VERSION = 'v1';
+
+// About 65,000 hashes: a second or two in a worker, unnoticeable while typing
+export const DEFAULT_POW_DIFFICULTY = 16;
+
+// Backends reject anything easier than this by default
+export const MIN_POW_DIFFICULTY = 12;
+
+// Long enough for a slow writer, plus the offline queue's first day
+export const POW_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Tolerated clock difference between the visitor's device and the backend
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Check for cancellation every this many hashes
+const ABORT_CHECK_INTERVAL = 1000;
+
+/**
+ * Names of the submitted fields
+ */
+export const POW_FIELDS = {
+    challenge: '_powChallenge',
+    nonce: '_powNonce',
+    difficulty: '_powDifficulty',
+};
+
+/**
+ * SHA-256 with Web Crypto, available in browsers, workers and Node 20+
+ * @param {string} text
+ * @returns {Promise<Uint8Array>}
+ */
+export async function sha256(text) {
+    return new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+/**
+ * Call fn with the value, waiting for it first only if it is a promise
+ */
+function after(value, fn) {
+    return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+}
+
+/**
+ * Count the zero bits at the start of a hash
+ * @param {Uint8Array|number[]} bytes
+ * @returns {number}
+ */
+export function countLeadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        // Apps Script's computeDigest returns signed bytes
+        const value = byte & 0xff;
+        if (value === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(value) - 24;
+    }
+    return bits;
+}
+
+/**
+ * Create a new puzzle
+ * @param {number} [difficulty=DEFAULT_POW_DIFFICULTY] - Leading zero bits required
+ * @param {number} [issuedAt=Date.now()]
+ * @returns {string}
+ */
+export function createChallenge(difficulty = DEFAULT_POW_DIFFICULTY, issuedAt = Date.now()) {
+    const salt = Array.from(globalThis.crypto.getRandomValues(new Uint8Array(12)), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${POW_VERSION}:${difficulty}:${issuedAt}:${salt}`;
+}
+
+/**
+ * Split a challenge into its parts
+ * @param {string} challenge
+ * @returns {{ version: string, difficulty: number, issuedAt: number, salt: string }|null} null if malformed
+ */
+export function parseChallenge(challenge) {
+    const match = /^(v\d+):(\d{1,2}):(\d{1,15}):([0-9a-f]{16,64})$/.exec(String(challenge || ''));
+    if (!match) return null;
+    return {
+        version: match[1],
+        difficulty: Number(match[2]),
+        issuedAt: Number(match[3]),
+        salt: match[4],
+    };
+}
+
+/**
+ * Find a nonce that solves the challenge
+ * @param {string} challenge
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ challenge: string, nonce: number, difficulty: number }|null>} null if aborted
+ */
+export async function solveChallenge(challenge, { signal } = {}) {
+    const parsed = parseChallenge(challenge);
+    if (!parsed) throw new Error(`Malformed proof-of-work challenge: ${challenge}`);
+
+    for (let nonce = 0; ; nonce++) {
+        if (nonce % ABORT_CHECK_INTERVAL === 0 && signal && signal.aborted) return null;
+        if (countLeadingZeroBits(await sha256(`${challenge}:${nonce}`)) >= parsed.difficulty) {
+            return { challenge, nonce, difficulty: parsed.difficulty };
+        }
+    }
+}
+
+/**
+ * Check a submitted proof of work. Meant for the backend.
+ *
+ * @param {URLSearchParams|Object} fields - The submitted fields (see POW_FIELDS)
+ * @param {Object} [options]
+ * @param {number} [options.minDifficulty=MIN_POW_DIFFICULTY]
+ * @param {number} [options.maxAgeMs=POW_MAX_AGE_MS]
+ * @param {number} [options.now=Date.now()]
+ * @param {(challenge: string) => boolean|Promise<boolean>} [options.isSpent] - Return true if
+ *   this challenge was accepted before; without it a solved puzzle can be replayed
+ * @param {(text: string) => Uint8Array|number[]|Promise<Uint8Array|number[]>} [options.digest=sha256] -
+ *   SHA-256 implementation, e.g. Utilities.computeDigest in Apps Script
+ * @returns {Promise<Object>|Object} { valid, error }; a plain object when digest and isSpent are synchronous
+ */
+export function verifyProofOfWork(fields, {
+    minDifficulty = MIN_POW_DIFFICULTY,
+    maxAgeMs = POW_MAX_AGE_MS,
+    now = Date.now(),
+    isSpent,
+    digest = sha256,
+} = {}) {
+    const get = name => (typeof fields.get === 'function' ? fields.get(name) : fields[name]);
+    const challenge = get(POW_FIELDS.challenge);
+    const nonce = get(POW_FIELDS.nonce);
+
+    if (!challenge || nonce === undefined || nonce === null || nonce === '') {
+        return { valid: false, error: 'missing' };
+    }
+
+    const parsed = parseChallenge(challenge);
+    if (!parsed || parsed.version !== POW_VERSION || !/^\d{1,16}$/.test(String(nonce))) {
+        return { valid: false, error: 'malformed' };
+    }
+
+    // The difficulty field is informative; the one inside the challenge is what was solved
+    const claimed = get(POW_FIELDS.difficulty);
+    if (claimed !== undefined && claimed !== null && Number(claimed) !== parsed.difficulty) {
+        return { valid: false, error: 'malformed' };
+    }
+    if (parsed.difficulty < minDifficulty) {
+        return { valid: false, error: 'too_easy' };
+    }
+    if (now - parsed.issuedAt > maxAgeMs || parsed.issuedAt - now > CLOCK_SKEW_MS) {
+        return { valid: false, error: 'expired' };
+    }
+
+    return after(digest(`${challenge}:${nonce}`), hash => {
+        if (countLeadingZeroBits(hash) < parsed.difficulty) return { valid: false, error: 'invalid' };
+        if (!isSpent) return { valid: true, error: null };
+
+        return after(isSpent(challenge), spent => (spent
+            ? { valid: false, error: 'replayed' }
+            : { valid: true, error: null }));
+    });
+}
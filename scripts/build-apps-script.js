@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * build-apps-script.js
+ *
+ * Google Apps Script has no ES modules. This prints form-token.js and
+ * proof-of-work.js with their `export` keywords removed, as one file to paste
+ * into the Apps Script project next to doGet()/doPost(). Both modules are
+ * written without imports or browser globals so this is all it takes.
+ *
+ * Usage:
+ *   npm run --silent apps-script > FormVerifiers.gs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const MODULES = ['form-token.js', 'proof-of-work.js'];
+
+function main() {
+    const sections = MODULES.map(file => {
+        const source = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8');
+        return source.replace(/^export\s+/gm, '');
+    });
+
+    const header = [
+        '// Generated by scripts/build-apps-script.js - do not edit.',
+        `// Sources: ${MODULES.join(', ')}`,
+        '',
+    ].join('\n');
+
+    process.stdout.write(`${header}\n${sections.join('\n')}`);
+}
+
+main();
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * check-site.js
+ *
+ * Checks every page for broken internal links and assets, TOC and other
+ * anchors that point nowhere, missing or duplicate titles and descriptions,
+ * missing Open Graph tags, forms without the honeypot, and articles that are
+ * missing from articles.html or have no newsletter form. Exits with status 1
+ * if anything counts as an error.
+ *
+ * Usage:
+ *   node scripts/check-site.js
+ *
+ * Options:
+ *   --dist       Check the build in dist/ instead of the source tree (run the build first)
+ *   --strict     Treat warnings as errors
+ *   --quiet      Print errors only
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ARTICLE_PATHS } from './lib/articles.js';
+import { checkSite } from './lib/site-check.js';
+
+const args = process.argv.slice(2);
+const DIST = args.includes('--dist');
+const STRICT = args.includes('--strict');
+const QUIET = args.includes('--quiet');
+
+/**
+ * Print problems grouped by page
+ */
+function report(problems, icon) {
+    const byPage = new Map();
+    for (const { page, message } of problems) {
+        if (!byPage.has(page)) byPage.set(page, []);
+        byPage.get(page).push(message);
+    }
+    for (const [page, messages] of byPage) {
+        console.log(`${icon} ${page}`);
+        messages.forEach(message => console.log(`   ${message}`));
+    }
+}
+
+function main() {
+    console.log('🔎 NoIdentity.space Site Checker');
+    console.log('================================\n');
+
+    const rootDir = DIST ? path.join(ARTICLE_PATHS.rootDir, 'dist') : ARTICLE_PATHS.rootDir;
+    if (!fs.existsSync(rootDir)) {
+        throw new Error(`${path.relative(ARTICLE_PATHS.rootDir, rootDir)}/ does not exist. Run npm run build first.`);
+    }
+
+    const { pages, errors, warnings } = checkSite({ rootDir });
+    const failures = STRICT ? [...errors, ...warnings] : errors;
+
+    report(errors, '❌');
+    if (!QUIET) report(warnings, '⚠️ ');
+
+    console.log(`\n${pages.length} pages in ${DIST ? 'dist/' : 'the source tree'}: ${errors.length} error${errors.length === 1 ? '' : 's'}, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}.`);
+    if (failures.length > 0) process.exit(1);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Failed:', error.message);
+    process.exit(1);
+}
@@ -3,7 +3,8 @@ import Anthropic from "@anthropic-ai/sdk";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import * as cheerio from "cheerio";
+import { ARTICLE_PATHS, toSlug, serializeArticleSource, renderArticles } from "./lib/articles.js";
+import { writeSiteIndexes } from "./lib/manifest.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,20 +29,10 @@ const CONFIG = {
         "Digital Wellness",
         "Tech Deep Dive",
     ],
-    articlesDir: path.join(__dirname, "../articles"),
-    articlesPage: path.join(__dirname, "../articles.html"),
-    articleTemplate: path.join(__dirname, "../articles/best-privacy-apps.html"),
+    articlesDir: ARTICLE_PATHS.outputDir,
+    sourcesDir: ARTICLE_PATHS.sourcesDir,
 };
 
-function toSlug(str) {
-    return str
-        .toLowerCase()
-        .replace(/[^\w\s-]/g, "")
-        .replace(/\s+/g, "-")
-        .replace(/-+/g, "-")
-        .trim();
-}
-
 function getExistingArticles() {
     if (!fs.existsSync(CONFIG.articlesDir)) return [];
     return fs
@@ -61,12 +52,6 @@ function toTitle(filename) {
         .replace(/\b\w/g, (c) => c.toUpperCase());
 }
 
-function getRandomArticles(all, exclude, count = 3) {
-    const filtered = all.filter((a) => a.name !== exclude);
-    const shuffled = filtered.sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, Math.min(count, filtered.length));
-}
-
 /**
  * Attempts to extract and parse JSON from Claude's response
  * with multiple fallback strategies
@@ -283,153 +268,61 @@ async function generateArticleData() {
     return articleData;
 }
 
-function createArticleHTML(articleData) {
-    const template = fs.readFileSync(CONFIG.articleTemplate, "utf8");
-    const $ = cheerio.load(template);
-
-    $("title").text(`${articleData.title} | NoIdentity.Space`);
-    $('meta[name="description"]').attr("content", articleData.metaDescription);
-    $('meta[name="keywords"]').attr("content", articleData.keywords);
-    $('meta[property="og:title"]').attr("content", articleData.title);
-    $('meta[property="og:description"]').attr("content", articleData.metaDescription);
-
-    $(".article-category").first().text(articleData.category);
-    $("h1").first().text(articleData.title);
-
-    const date = new Date().toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-    $(".article-meta span").first().text(`📅 ${date}`);
-    $(".article-meta span").eq(2).text(`⏱️ ${articleData.readingTime}`);
-
-    $(".featured-image").text(articleData.emoji);
-
-    const contentContainer = $(".article-content");
-    contentContainer.find("p, h2, h3, ul, div.tip-box, div.warning-box").remove();
+/**
+ * Build the article body: intro, generated sections and in-article ad slots.
+ * The header, sidebar, share buttons and footer come from templates/article.html.
+ */
+function buildArticleBody(articleData) {
+    const adSlot = (n) => `<div class="ad-placeholder">
+<p class="ad-label">Ad Slot ${n} Placeholder (Insert AdSense In-Article Code here after approval)</p>
+<ins class="adsbygoogle" style="display:block; text-align:center;"
+data-ad-client="ca-pub-2379517169183719" data-ad-slot="YOUR_AD_SLOT_NUMBER_${n}" data-ad-format="auto"
+data-full-width-responsive="true"></ins>
+</div>`;
+
+    const blocks = [
+        `<p><strong>Introduction:</strong> ${articleData.summary}</p>`,
+        adSlot(1),
+    ];
 
     const contentParts = articleData.content.split("</h2>");
-    let finalContent = `<div class="featured-image">${articleData.emoji}</div>`;
-
-    finalContent += `<p><strong>Introduction:</strong> ${articleData.summary}</p>`;
-
-    finalContent += `
-    <div class="ad-placeholder">
-        <p class="ad-label">Ad Slot 1 Placeholder (Insert AdSense In-Article Code here after approval)</p>
-        <ins class="adsbygoogle" style="display:block; text-align:center;"
-            data-ad-client="ca-pub-2379517169183719" data-ad-slot="YOUR_AD_SLOT_NUMBER_1" data-ad-format="auto"
-            data-full-width-responsive="true"></ins>
-    </div>`;
-
-    const sections = contentParts.length;
+    let body = "";
     contentParts.forEach((part, index) => {
-        if (index < sections - 1) {
-            finalContent += part + "</h2>";
-
-            if (index === 1) {
-                finalContent += `
-                <div class="ad-placeholder">
-                    <p class="ad-label">Ad Slot 2 Placeholder (Insert AdSense In-Article Code here after approval)</p>
-                    <ins class="adsbygoogle" style="display:block; text-align:center;"
-                        data-ad-client="ca-pub-2379517169183719" data-ad-slot="YOUR_AD_SLOT_NUMBER_2" data-ad-format="auto"
-                        data-full-width-responsive="true"></ins>
-                </div>`;
-            }
-            if (index === 3) {
-                finalContent += `
-                <div class="ad-placeholder">
-                    <p class="ad-label">Ad Slot 3 Placeholder (Insert AdSense In-Article Code here after approval)</p>
-                    <ins class="adsbygoogle" style="display:block; text-align:center;"
-                        data-ad-client="ca-pub-2379517169183719" data-ad-slot="YOUR_AD_SLOT_NUMBER_3" data-ad-format="auto"
-                        data-full-width-responsive="true"></ins>
-                </div>`;
-            }
+        if (index < contentParts.length - 1) {
+            body += part + "</h2>";
+            if (index === 1) body += `\n\n${adSlot(2)}\n\n`;
+            if (index === 3) body += `\n\n${adSlot(3)}\n\n`;
         } else {
-            finalContent += part;
+            body += part;
         }
     });
+    blocks.push(body);
 
-    finalContent += `
-    <div class="share-buttons">
-        <a href="#" class="share-button">📱 Share on Twitter</a>
-        <a href="#" class="share-button">📘 Share on Facebook</a>
-        <a href="#" class="share-button">💼 Share on LinkedIn</a>
-        <a href="#" class="share-button">📋 Copy Link</a>
-    </div>`;
-
-    finalContent += `
-    <div class="author-box">
-        <div class="author-avatar">✍️</div>
-        <div class="author-info">
-            <h4>Written by the NoIdentity Team</h4>
-            <p>Our team continuously tests and vets privacy software to ensure you have the most effective tools
-                to secure your digital life and maintain your anonymity.</p>
-        </div>
-    </div>`;
-
-    contentContainer.html(finalContent);
-
-    const toc = $(".toc");
-    toc.empty();
-    $(".article-content h2").each(function () {
-        const heading = $(this);
-        const text = heading.text();
-        const id = toSlug(text);
-        heading.attr("id", id);
-        toc.append(`<li><a href="#${id}">${text}</a></li>`);
-    });
-
-    return $;
-}
-
-function addRelatedArticles($, currentSlug) {
-    const allArticles = getExistingArticles();
-    const related = getRandomArticles(allArticles, currentSlug, 3);
-    if (related.length === 0) return $;
-
-    const relatedSection = $(".sidebar-section").eq(1);
-    relatedSection.find("h3").text("Related Articles");
-    relatedSection.find("a.related-post").remove();
-
-    related.forEach((article) => {
-        relatedSection.append(`
-        <a href="${article.file}" class="related-post">
-            <h4>📰 ${article.title}</h4>
-            <p>Essential privacy reading</p>
-        </a>`);
-    });
-
-    return $;
+    return blocks.join("\n\n");
 }
 
-function updateArticlesPage(articleData) {
-    if (!fs.existsSync(CONFIG.articlesPage)) {
-        console.warn("⚠️ articles.html not found, skipping update.");
-        return;
-    }
-
-    const html = fs.readFileSync(CONFIG.articlesPage, "utf8");
-    const $ = cheerio.load(html);
-
-    const colorHex = articleData.imageColor.replace("#", "").slice(0, 6);
-    const titleEncoded = encodeURIComponent(articleData.title);
-
-    const card = `
-  <a href="articles/${articleData.filename}" class="article-card">
-      <img src="https://placehold.co/600x400/${colorHex}/ffffff/png?text=${titleEncoded}" alt="${articleData.title}" loading="lazy">
-      <div class="card-content">
-          <h3>${articleData.title}</h3>
-          <p>${articleData.summary}</p>
-          <span>${articleData.category}</span>
-      </div>
-  </a>
-  `;
-
-    $(".article-grid").prepend(card);
-
-    fs.writeFileSync(CONFIG.articlesPage, $.html(), "utf8");
-    console.log(`🧩 Updated articles.html with "${articleData.title}"`);
+/**
+ * Write the article as a Markdown source in content/articles/.
+ * "Related Articles" are picked by relevance when the page is rendered.
+ */
+function writeArticleSource(articleData, slug) {
+    const frontmatter = {
+        title: articleData.title,
+        category: articleData.category,
+        date: new Date().toISOString().slice(0, 10),
+        emoji: articleData.emoji,
+        summary: articleData.summary,
+        description: articleData.metaDescription,
+        keywords: articleData.keywords.split(",").map((k) => k.trim()).filter(Boolean),
+        readingTime: articleData.readingTime,
+        imageColor: articleData.imageColor,
+    };
+
+    if (!fs.existsSync(CONFIG.sourcesDir)) fs.mkdirSync(CONFIG.sourcesDir, { recursive: true });
+
+    const sourcePath = path.join(CONFIG.sourcesDir, `${slug}.md`);
+    fs.writeFileSync(sourcePath, serializeArticleSource(frontmatter, buildArticleBody(articleData)), "utf8");
+    return sourcePath;
 }
 
 async function main() {
@@ -440,16 +333,18 @@ async function main() {
         if (!fs.existsSync(CONFIG.articlesDir)) fs.mkdirSync(CONFIG.articlesDir);
 
         const articleData = await generateArticleData();
-        let $ = createArticleHTML(articleData);
+        const slug = toSlug(articleData.title);
 
-        $ = addRelatedArticles($, toSlug(articleData.title));
+        const sourcePath = writeArticleSource(articleData, slug);
+        console.log(`📝 Wrote article source: ${sourcePath}`);
 
-        const html = $.html();
+        renderArticles();
         const outputPath = path.join(CONFIG.articlesDir, articleData.filename);
-        fs.writeFileSync(outputPath, html, "utf8");
 
         console.log(`✅ Created new article: ${outputPath}`);
-        updateArticlesPage(articleData);
+
+        const { changed } = writeSiteIndexes();
+        changed.forEach((file) => console.log(`🧩 Updated ${file} with "${articleData.title}"`));
 
         fs.writeFileSync(".article-title.txt", articleData.title, "utf8");
         fs.writeFileSync(
@@ -0,0 +1,623 @@
+// scripts/lib/articles.js - Structured article sources and the shared article layout
+//
+// Articles are written as Markdown (.md) or JSON (.json) files in content/articles/.
+// Markdown sources carry their metadata in YAML frontmatter; JSON sources use the
+// same field names (plus "content" for the HTML body). Every source is rendered
+// through templates/article.html into articles/<slug>.html, so header, footer and
+// sidebar changes only ever need to be made in the layout. Sources marked
+// "layout: none" describe a hand-written page and are never rendered.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { Marked } from 'marked';
+import * as cheerio from 'cheerio';
+import { findRelatedArticles } from './related.js';
+import { renderPageMetadata, applyPageMetadata } from './metadata.js';
+import { socialImagePaths } from './site.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+/**
+ * Where sources live, where rendered pages go, and which layout renders them
+ */
+export const ARTICLE_PATHS = {
+    rootDir: ROOT_DIR,
+    sourcesDir: path.join(ROOT_DIR, 'content/articles'),
+    outputDir: path.join(ROOT_DIR, 'articles'),
+    layout: path.join(ROOT_DIR, 'templates/article.html'),
+};
+
+const SOURCE_EXTENSIONS = ['.md', '.json'];
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+const REQUIRED_FIELDS = ['title', 'category', 'date', 'summary'];
+const WORDS_PER_MINUTE = 200;
+
+// Marker written into every rendered page so we never overwrite a hand-written one
+const GENERATED_MARKER = 'by scripts/render-articles.js';
+
+// Selectors tried in order to find an article's main text
+const CONTENT_SELECTORS = ['.article-content', '.article-body', 'main', 'body'];
+
+// Page furniture that isn't part of the article text
+const EXCLUDED_SELECTORS = [
+    'script', 'style', 'noscript', 'header', 'nav', 'footer', 'aside', 'form',
+    '.share-buttons', '.author-box', '.ad-placeholder', '.featured-image', '.sidebar'
+];
+
+// Where the article body lives for heading anchors, most specific first
+const BODY_SELECTORS = ['.article-content', '.article-body', 'main'];
+
+// Headings inside these belong to page furniture, not to the article
+const IGNORED_CONTAINERS = [
+    'aside', 'form', '.sidebar', '.share-buttons', '.author-box', '.ad-placeholder',
+    '.community-box', '.comments-section'
+].join(', ');
+
+const TOC_INDENT = '                    ';
+
+// Raw HTML blocks come back without a trailing newline; keep one block per line
+const markdown = new Marked({
+    renderer: {
+        html({ text }) {
+            return text.endsWith('\n') ? text : `${text}\n`;
+        },
+    },
+});
+
+const DEFAULTS = {
+    author: 'NoIdentity Team',
+    emoji: '🔒',
+    imageColor: '#3b82f6',
+};
+
+/**
+ * Turn a title or heading into a URL-safe slug
+ * @param {string} str
+ * @returns {string}
+ */
+export function toSlug(str) {
+    return str
+        .toLowerCase()
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Escape a value for use in HTML text or a double-quoted attribute
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * List every article source file, sorted by filename
+ * @param {string} [dir]
+ * @returns {string[]} Absolute paths
+ */
+export function listArticleSources(dir = ARTICLE_PATHS.sourcesDir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => SOURCE_EXTENSIONS.includes(path.extname(file)))
+        .sort()
+        .map(file => path.join(dir, file));
+}
+
+/**
+ * Check whether an existing page was produced by the renderer
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isGeneratedPage(filePath) {
+    if (!fs.existsSync(filePath)) return false;
+    return isGeneratedHTML(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Check whether page HTML was produced by the renderer
+ * @param {string} html
+ * @returns {boolean}
+ */
+export function isGeneratedHTML(html) {
+    return html.split('\n', 1)[0].includes(GENERATED_MARKER);
+}
+
+/**
+ * Read and validate an article source file
+ * @param {string} filePath - Path to a .md or .json source
+ * @returns {Object} Normalized article data, including rendered "content" HTML
+ */
+export function parseArticleSource(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath);
+    const slug = path.basename(filePath, ext);
+    const source = path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+
+    let data;
+    let content;
+
+    if (ext === '.json') {
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`${source}: invalid JSON (${error.message})`);
+        }
+        content = data.content || '';
+    } else {
+        const match = raw.match(FRONTMATTER_PATTERN);
+        if (!match) {
+            throw new Error(`${source}: missing --- frontmatter block`);
+        }
+        try {
+            data = YAML.parse(match[1]) || {};
+        } catch (error) {
+            throw new Error(`${source}: invalid frontmatter (${error.message})`);
+        }
+        content = markdown.parse(raw.slice(match[0].length));
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+        if (!data[field]) {
+            throw new Error(`${source}: missing required field "${field}"`);
+        }
+    }
+
+    const date = normalizeDate(data.date, source);
+
+    return {
+        slug,
+        source,
+        file: `${slug}.html`,
+        title: String(data.title).trim(),
+        category: String(data.category).trim(),
+        date,
+        displayDate: formatDisplayDate(date),
+        summary: String(data.summary).trim(),
+        // The generator's JSON responses call this "metaDescription"
+        description: String(data.description || data.metaDescription || data.summary).trim(),
+        keywords: normalizeKeywords(data.keywords),
+        emoji: data.emoji || DEFAULTS.emoji,
+        imageColor: data.imageColor || DEFAULTS.imageColor,
+        author: data.author || DEFAULTS.author,
+        readingTime: data.readingTime || estimateReadingTime(content),
+        pageTitle: data.pageTitle || `${String(data.title).trim()} | NoIdentity.Space`,
+        // "none" keeps a hand-written page in articles/ and only uses the metadata
+        layout: data.layout === 'none' ? 'none' : 'article',
+        draft: data.draft === true,
+        featured: data.featured === true,
+        content: content.trim(),
+    };
+}
+
+/**
+ * Load every article source
+ * @param {string} [dir]
+ * @returns {Object[]}
+ */
+export function loadArticles(dir = ARTICLE_PATHS.sourcesDir) {
+    return listArticleSources(dir).map(parseArticleSource);
+}
+
+/**
+ * Dates are stored as YYYY-MM-DD
+ */
+function normalizeDate(value, source) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+        return value.trim();
+    }
+    throw new Error(`${source}: "date" must be in YYYY-MM-DD format`);
+}
+
+function formatDisplayDate(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+function normalizeKeywords(keywords) {
+    if (Array.isArray(keywords)) {
+        return keywords.map(k => String(k).trim()).filter(Boolean);
+    }
+    if (typeof keywords === 'string') {
+        return keywords.split(',').map(k => k.trim()).filter(Boolean);
+    }
+    return [];
+}
+
+function estimateReadingTime(html) {
+    const text = cheerio.load(html, null, false).root().text();
+    const words = text.split(/\s+/).filter(Boolean).length;
+    return `${Math.max(1, Math.round(words / WORDS_PER_MINUTE))} min read`;
+}
+
+/**
+ * Pull the headings and plain body text out of a rendered article page
+ * @param {string} html - Full page HTML
+ * @returns {{ headings: string[], body: string }}
+ */
+export function extractArticleText(html) {
+    const $ = cheerio.load(html);
+    const selector = CONTENT_SELECTORS.find(s => $(s).length > 0);
+    const content = $(selector).first();
+
+    content.find(EXCLUDED_SELECTORS.join(', ')).remove();
+
+    const headings = content.find('h2, h3')
+        .map((i, el) => collapse($(el).text()))
+        .get()
+        .filter(Boolean);
+
+    // Keep block boundaries as spaces so words from adjacent paragraphs don't merge
+    content.find('p, li, h1, h2, h3, h4, div, blockquote, td, th').each((i, el) => {
+        $(el).append(' ');
+    });
+
+    return { headings, body: collapse(content.text()) };
+}
+
+/**
+ * Pull the article body out of a rendered page as standalone HTML, for feed readers
+ * @param {string} html - Full page HTML
+ * @param {string} pageURL - Absolute URL of the page; relative links and images are resolved against it
+ * @returns {string}
+ */
+export function extractArticleHTML(html, pageURL) {
+    const $ = cheerio.load(html);
+    const selector = CONTENT_SELECTORS.find(s => $(s).length > 0);
+    const content = $(selector).first();
+
+    content.find(EXCLUDED_SELECTORS.join(', ')).remove();
+    content.contents().filter((i, node) => node.type === 'comment').remove();
+
+    for (const [element, attribute] of [['a', 'href'], ['img', 'src']]) {
+        content.find(`${element}[${attribute}]`).each((i, el) => {
+            try {
+                $(el).attr(attribute, new URL($(el).attr(attribute), pageURL).href);
+            } catch (e) {
+                // Leave values URL can't parse alone
+            }
+        });
+    }
+
+    return content.html().trim();
+}
+
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Give every h2/h3 under root a unique id. Existing ids are kept unless they clash.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Cheerio} root
+ * @returns {Array<{ id: string, text: string, level: number }>} Headings in document order
+ */
+function assignHeadingIds($, root) {
+    const used = new Set();
+    const headings = [];
+
+    root.find('h2, h3').each((i, el) => {
+        const heading = $(el);
+        if (heading.closest(IGNORED_CONTAINERS).length > 0) return;
+
+        const text = heading.text().replace(/\s+/g, ' ').trim();
+        const base = heading.attr('id') || toSlug(text) || `section-${i + 1}`;
+
+        let id = base;
+        let suffix = 2;
+        while (used.has(id)) {
+            id = `${base}-${suffix++}`;
+        }
+        used.add(id);
+
+        heading.attr('id', id);
+        headings.push({ id, text, level: el.tagName === 'h3' ? 3 : 2 });
+    });
+
+    return headings;
+}
+
+/**
+ * Give every h2/h3 in an article body fragment a unique id
+ * @param {string} html - Article body HTML
+ * @returns {{ html: string, headings: Array<{ id: string, text: string, level: number }> }}
+ */
+export function addHeadingIds(html) {
+    const $ = cheerio.load(html, null, false);
+    const headings = assignHeadingIds($, $.root());
+    return { html: $.html(), headings };
+}
+
+/**
+ * Render TOC list items, nesting each h3 under the h2 before it
+ * @param {Array<{ id: string, text: string, level: number }>} headings
+ * @param {string} [indent] - Indentation of the top-level <li>s
+ * @returns {string}
+ */
+export function renderTocItems(headings, indent = TOC_INDENT) {
+    const sections = [];
+
+    for (const heading of headings) {
+        const current = sections[sections.length - 1];
+        if (heading.level === 3 && current) {
+            current.children.push(heading);
+        } else {
+            sections.push({ ...heading, children: [] });
+        }
+    }
+
+    const link = (heading) => `<a href="#${escapeHTML(heading.id)}">${escapeHTML(heading.text)}</a>`;
+
+    return sections.map(section => {
+        if (section.children.length === 0) {
+            return `${indent}<li>${link(section)}</li>`;
+        }
+        const children = section.children
+            .map(child => `${indent}        <li>${link(child)}</li>`)
+            .join('\n');
+        return `${indent}<li>${link(section)}\n${indent}    <ul>\n${children}\n${indent}    </ul>\n${indent}</li>`;
+    }).join('\n');
+}
+
+/**
+ * Add heading ids to a complete article page and rebuild its <ul class="toc">, if it has one
+ * @param {string} html - Full page HTML
+ * @returns {string} The page, unchanged if it has no article body
+ */
+export function addTableOfContents(html) {
+    const $ = cheerio.load(html);
+    const selector = BODY_SELECTORS.find(s => $(s).length > 0);
+    if (!selector) return html;
+
+    const headings = assignHeadingIds($, $(selector).first());
+
+    const toc = $('ul.toc').first();
+    if (toc.length > 0) {
+        toc.html(`\n${renderTocItems(headings)}\n${TOC_INDENT.slice(4)}`);
+    }
+
+    return $.html();
+}
+
+/**
+ * Replace everything between <!-- name --> and <!-- /name --> markers
+ * @param {string} html
+ * @param {string} name - Marker name, e.g. "articles:grid"
+ * @param {string} content
+ * @returns {string}
+ */
+export function replaceMarkedRegion(html, name, content) {
+    const start = `<!-- ${name} -->`;
+    const end = `<!-- /${name} -->`;
+    const startIndex = html.indexOf(start);
+    const endIndex = html.indexOf(end);
+
+    if (startIndex === -1 || endIndex === -1 || endIndex < startIndex) {
+        throw new Error(`Missing ${start} ... ${end} markers`);
+    }
+
+    return html.slice(0, startIndex + start.length) +
+        `\n${content}\n                ` +
+        html.slice(endIndex);
+}
+
+/**
+ * Fill {{placeholders}} in a layout. Values must already be HTML-safe.
+ * @param {string} layout
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+export function fillLayout(layout, values) {
+    return layout.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+        if (!(key in values)) {
+            throw new Error(`Layout placeholder "${key}" has no value`);
+        }
+        return values[key];
+    });
+}
+
+/**
+ * Link preview and structured data fields for an article, for renderPageMetadata()
+ * @param {Object} article - Output of parseArticleSource()
+ * @returns {Object}
+ */
+export function articleMetadata(article) {
+    const pagePath = `articles/${article.file}`;
+    return {
+        path: pagePath,
+        type: 'article',
+        title: article.title,
+        description: article.description,
+        published: article.date,
+        author: article.author,
+        section: article.category,
+        tags: article.keywords,
+        image: socialImagePaths(article.slug).og,
+        imageAlt: article.title,
+        breadcrumbs: [
+            { name: 'Home', path: 'index.html' },
+            { name: 'Articles', path: 'articles.html' },
+            { name: article.category, path: `categories/${toSlug(article.category)}.html` },
+            { name: article.title, path: pagePath },
+        ],
+    };
+}
+
+/**
+ * Render an article into a full page using the shared layout
+ * @param {Object} article - Output of parseArticleSource(), plus "related" links from getRelatedLinks()
+ * @param {string} [layout] - Layout HTML (read from disk if omitted)
+ * @returns {string} Complete HTML page
+ */
+export function renderArticlePage(article, layout = fs.readFileSync(ARTICLE_PATHS.layout, 'utf8')) {
+    const { html, headings } = addHeadingIds(article.content);
+    const toc = renderTocItems(headings);
+    const related = renderRelatedLinks(article.related || []);
+
+    return fillLayout(layout, {
+        source: escapeHTML(article.source),
+        pageTitle: escapeHTML(article.pageTitle),
+        title: escapeHTML(article.title),
+        description: escapeHTML(article.description),
+        keywords: escapeHTML(article.keywords.join(', ')),
+        author: escapeHTML(article.author),
+        category: escapeHTML(article.category),
+        categorySlug: escapeHTML(toSlug(article.category)),
+        displayDate: escapeHTML(article.displayDate),
+        readingTime: escapeHTML(article.readingTime),
+        emoji: escapeHTML(article.emoji),
+        metadata: renderPageMetadata(articleMetadata(article)),
+        content: html,
+        toc,
+        related,
+    });
+}
+
+/**
+ * Serialize article metadata and body back into a Markdown source file
+ * @param {Object} data - Frontmatter fields
+ * @param {string} body - Markdown (raw HTML is allowed)
+ * @returns {string}
+ */
+export function serializeArticleSource(data, body) {
+    const frontmatter = Object.fromEntries(
+        Object.entries(data).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return `---\n${YAML.stringify(frontmatter, { lineWidth: 0 })}---\n\n${body.trim()}\n`;
+}
+
+/**
+ * Render every source in content/articles/ into articles/. Hand-written pages only get
+ * their metadata and "Related Articles" region refreshed.
+ * @param {Object} [options]
+ * @param {boolean} [options.write=true] - Write changed pages to disk
+ * @param {boolean} [options.force=false] - Overwrite pages that were not generated by the renderer
+ * @returns {Array<{ article: Object, outputPath: string, changed: boolean }>}
+ */
+export function renderArticles({ write = true, force = false } = {}) {
+    const layout = fs.readFileSync(ARTICLE_PATHS.layout, 'utf8');
+    const articles = loadArticles();
+    const related = getRelatedLinks(articles);
+    const results = [];
+
+    for (const article of articles) {
+        const outputPath = path.join(ARTICLE_PATHS.outputDir, article.file);
+        const links = related.get(article.slug);
+
+        if (article.layout === 'none') {
+            if (!fs.existsSync(outputPath)) {
+                throw new Error(`${article.source}: "layout: none" but articles/${article.file} does not exist`);
+            }
+            const changed = updateHandWrittenPage(outputPath, article, links, write);
+            results.push({ article, outputPath, changed });
+            continue;
+        }
+
+        const html = renderArticlePage({ ...article, related: links }, layout);
+
+        if (fs.existsSync(outputPath) && !force && !isGeneratedPage(outputPath)) {
+            throw new Error(`Refusing to overwrite hand-written page articles/${article.file} (rendered from ${article.source})`);
+        }
+
+        const previous = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+        const changed = previous !== html;
+
+        if (write && changed) {
+            fs.mkdirSync(ARTICLE_PATHS.outputDir, { recursive: true });
+            fs.writeFileSync(outputPath, html, 'utf8');
+        }
+
+        results.push({ article, outputPath, changed });
+    }
+
+    return results;
+}
+
+/**
+ * Work out the "Related Articles" links for every article. Drafts are never suggested,
+ * and neither is a hand-written page that is missing from articles/.
+ * @param {Object[]} articles - Output of loadArticles()
+ * @returns {Map<string, Array<{ href: string, title: string, blurb: string }>>}
+ */
+export function getRelatedLinks(articles) {
+    const docs = articles.map(article => {
+        const page = path.join(ARTICLE_PATHS.outputDir, article.file);
+        const handWritten = article.layout === 'none';
+        const html = handWritten
+            ? (fs.existsSync(page) ? fs.readFileSync(page, 'utf8') : '')
+            : `<body>${article.content}</body>`;
+        const { headings, body } = extractArticleText(html);
+
+        return {
+            slug: article.slug,
+            file: article.file,
+            title: article.title,
+            category: article.category,
+            keywords: article.keywords,
+            date: article.date,
+            emoji: article.emoji,
+            readingTime: article.readingTime,
+            text: `${headings.join(' ')} ${body}`,
+            linkable: !article.draft && (!handWritten || fs.existsSync(page)),
+        };
+    });
+
+    const related = findRelatedArticles(docs);
+    return new Map([...related].map(([slug, matches]) => [slug, matches.map(toRelatedLink)]));
+}
+
+function toRelatedLink(doc) {
+    // "Title: Subtitle" headlines are too long for the sidebar; keep the part before the colon
+    const [shortTitle] = doc.title.split(/:\s/);
+    return {
+        href: `../articles/${doc.file}`,
+        title: `${doc.emoji} ${shortTitle.length >= 12 ? shortTitle : doc.title}`,
+        blurb: `${doc.category} · ${doc.readingTime}`,
+    };
+}
+
+/**
+ * Render the sidebar links, matching the markup styles.css expects
+ * @param {Array<{ href: string, title: string, blurb: string }>} links
+ * @returns {string}
+ */
+export function renderRelatedLinks(links) {
+    return links
+        .map(item => `                <a href="${escapeHTML(item.href)}" class="related-post">
+                    <h4>${escapeHTML(item.title)}</h4>
+                    <p>${escapeHTML(item.blurb)}</p>
+                </a>`)
+        .join('\n');
+}
+
+/**
+ * Refresh the metadata block of a hand-written page, and its <!-- related:articles -->
+ * region if it has one
+ */
+function updateHandWrittenPage(filePath, article, links, write) {
+    const previous = fs.readFileSync(filePath, 'utf8');
+    let next = applyPageMetadata(previous, articleMetadata(article));
+    if (next.includes('<!-- related:articles -->')) {
+        next = replaceMarkedRegion(next, 'related:articles', renderRelatedLinks(links));
+    }
+    const changed = previous !== next;
+    if (write && changed) fs.writeFileSync(filePath, next, 'utf8');
+    return changed;
+}
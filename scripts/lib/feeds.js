@@ -0,0 +1,301 @@
+// scripts/lib/feeds.js - sitemap.xml, RSS and Atom feeds, and robots.txt
+//
+// Everything is built from articles.json, so a published article appears in the
+// sitemap and the feeds in the same build that adds it to the article grids, and a
+// draft never does. Dates come from the articles, not the clock, so two builds of the
+// same content produce the same files.
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { ARTICLE_PATHS, extractArticleHTML } from './articles.js';
+import { buildManifest, loadCategoryDescriptions } from './manifest.js';
+import { SITE, absoluteURL } from './site.js';
+
+export const SITEMAP_FILE = 'sitemap.xml';
+export const RSS_FILE = 'feed.xml';
+export const ATOM_FILE = 'atom.xml';
+export const ROBOTS_FILE = 'robots.txt';
+
+// Newest articles in each feed
+export const FEED_LIMIT = 20;
+
+// 'full' puts the whole article in the feeds; 'excerpt' sends only the summary
+export const FEED_CONTENT = 'full';
+
+// Top-level pages that are not meant to be found through search engines
+const UNLISTED_PAGES = new Set(['404.html', 'offline.html']);
+
+/**
+ * Escape a value for XML text or a double-quoted attribute
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeXML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Feed files for one category: categories/<slug>.xml (RSS) and categories/<slug>.atom.xml
+ * @param {{ slug: string }} category - Manifest category group
+ * @returns {{ rss: string, atom: string }}
+ */
+export function categoryFeedFiles(category) {
+    return {
+        rss: `categories/${category.slug}.xml`,
+        atom: `categories/${category.slug}.atom.xml`,
+    };
+}
+
+function toDate(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`);
+}
+
+/**
+ * Last commit date of a file, or null outside a git checkout and for untracked files
+ */
+function gitLastModified(file) {
+    try {
+        const date = execFileSync('git', ['log', '-1', '--format=%cs', '--', file], {
+            cwd: ARTICLE_PATHS.rootDir,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+        }).trim();
+        return date || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function newestDate(entries) {
+    return entries.reduce((newest, entry) => (entry.date > newest ? entry.date : newest), '') || null;
+}
+
+/**
+ * Every page the sitemap lists, with the date it last changed
+ * @param {Object} manifest - Output of buildManifest()
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Where the top-level pages are
+ * @param {Function} [options.lastModified] - (file) => 'YYYY-MM-DD'|null for pages without an article date
+ * @returns {Array<{ path: string, lastmod: string|null }>}
+ */
+export function listSitemapPages(manifest, {
+    rootDir = ARTICLE_PATHS.rootDir,
+    lastModified = gitLastModified,
+} = {}) {
+    const newest = newestDate(manifest.articles);
+    // These pages list articles, so they change whenever a new one is published
+    const listingPages = new Set(['index.html', 'articles.html']);
+
+    const topLevel = fs.readdirSync(rootDir)
+        .filter(file => file.endsWith('.html') && !UNLISTED_PAGES.has(file))
+        .sort((a, b) => (a === 'index.html' ? -1 : b === 'index.html' ? 1 : a.localeCompare(b)))
+        .map(file => {
+            const own = lastModified(file);
+            const lastmod = listingPages.has(file) && newest && (!own || newest > own) ? newest : own;
+            return { path: file, lastmod };
+        });
+
+    const articles = manifest.articles.map(entry => ({ path: entry.url, lastmod: entry.date }));
+
+    const categories = manifest.categories.map(category => ({
+        path: category.url,
+        lastmod: newestDate(manifest.articles.filter(entry => entry.category === category.name)),
+    }));
+
+    return [...topLevel, ...articles, ...categories];
+}
+
+/**
+ * Build sitemap.xml
+ * @param {Array<{ path: string, lastmod: string|null }>} pages - Output of listSitemapPages()
+ * @returns {string}
+ */
+export function buildSitemap(pages) {
+    const urls = pages.map(page => [
+        '  <url>',
+        `    <loc>${escapeXML(absoluteURL(page.path))}</loc>`,
+        ...(page.lastmod ? [`    <lastmod>${page.lastmod}</lastmod>`] : []),
+        '  </url>',
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Build robots.txt, pointing crawlers at the sitemap
+ * @returns {string}
+ */
+export function buildRobots() {
+    return [
+        'User-agent: *',
+        'Allow: /',
+        '',
+        `Sitemap: ${absoluteURL(SITEMAP_FILE)}`,
+        '',
+    ].join('\n');
+}
+
+/**
+ * The feed entries for a list of manifest entries: newest first, with the article HTML
+ * when the feed carries full content
+ * @param {Object[]} entries - Manifest entries, newest first
+ * @param {Object} [options]
+ * @param {'full'|'excerpt'} [options.content]
+ * @param {number} [options.limit]
+ * @param {Function} [options.readPage] - (entry) => page HTML
+ * @returns {Object[]} Manifest entries plus `link` and, for full content, `html`
+ */
+export function toFeedItems(entries, {
+    content = FEED_CONTENT,
+    limit = FEED_LIMIT,
+    readPage = entry => fs.readFileSync(path.join(ARTICLE_PATHS.rootDir, entry.url), 'utf8'),
+} = {}) {
+    return entries.slice(0, limit).map(entry => {
+        const link = absoluteURL(entry.url);
+        return {
+            ...entry,
+            link,
+            html: content === 'full' ? extractArticleHTML(readPage(entry), link) : null,
+        };
+    });
+}
+
+/**
+ * Build an RSS 2.0 feed
+ * @param {Object[]} items - Output of toFeedItems()
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.description
+ * @param {string} options.link - Page the feed belongs to, relative to the site root
+ * @param {string} options.file - The feed's own path, relative to the site root
+ * @returns {string}
+ */
+export function buildRssFeed(items, { title, description, link, file }) {
+    const updated = newestDate(items);
+
+    const entries = items.map(item => [
+        '    <item>',
+        `      <title>${escapeXML(item.title)}</title>`,
+        `      <link>${escapeXML(item.link)}</link>`,
+        `      <guid isPermaLink="true">${escapeXML(item.link)}</guid>`,
+        `      <pubDate>${toDate(item.date).toUTCString()}</pubDate>`,
+        `      <category>${escapeXML(item.category)}</category>`,
+        `      <description>${escapeXML(item.summary)}</description>`,
+        ...(item.html ? [`      <content:encoded>${escapeXML(item.html)}</content:encoded>`] : []),
+        '    </item>',
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+        '  <channel>',
+        `    <title>${escapeXML(title)}</title>`,
+        `    <link>${escapeXML(absoluteURL(link))}</link>`,
+        `    <description>${escapeXML(description)}</description>`,
+        `    <language>${SITE.language}</language>`,
+        ...(updated ? [`    <lastBuildDate>${toDate(updated).toUTCString()}</lastBuildDate>`] : []),
+        `    <atom:link href="${escapeXML(absoluteURL(file))}" rel="self" type="application/rss+xml"/>`,
+        ...entries,
+        '  </channel>',
+        '</rss>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Build an Atom 1.0 feed
+ * @param {Object[]} items - Output of toFeedItems()
+ * @param {Object} options - Same as buildRssFeed()
+ * @returns {string}
+ */
+export function buildAtomFeed(items, { title, description, link, file }) {
+    const updated = toDate(newestDate(items) || '1970-01-01').toISOString();
+
+    const entries = items.map(item => [
+        '  <entry>',
+        `    <title>${escapeXML(item.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXML(item.link)}"/>`,
+        `    <id>${escapeXML(item.link)}</id>`,
+        `    <published>${toDate(item.date).toISOString()}</published>`,
+        `    <updated>${toDate(item.date).toISOString()}</updated>`,
+        `    <category term="${escapeXML(item.category)}"/>`,
+        `    <summary>${escapeXML(item.summary)}</summary>`,
+        ...(item.html ? [`    <content type="html">${escapeXML(item.html)}</content>`] : []),
+        '  </entry>',
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${SITE.language}">`,
+        `  <title>${escapeXML(title)}</title>`,
+        `  <subtitle>${escapeXML(description)}</subtitle>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXML(absoluteURL(link))}"/>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXML(absoluteURL(file))}"/>`,
+        `  <id>${escapeXML(absoluteURL(file))}</id>`,
+        `  <updated>${updated}</updated>`,
+        `  <author><name>${escapeXML(SITE.author)}</name></author>`,
+        ...entries,
+        '</feed>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Build every generated discovery file: the sitemap, robots.txt, the site-wide feeds
+ * and one RSS and Atom feed per category
+ * @param {Object} [manifest] - Output of buildManifest()
+ * @param {Object} [options]
+ * @param {'full'|'excerpt'} [options.content]
+ * @param {Object<string, string>} [options.categoryDescriptions] - Feed descriptions by category name
+ * @param {string} [options.rootDir] - See listSitemapPages()
+ * @param {Function} [options.lastModified] - See listSitemapPages()
+ * @param {Function} [options.readPage] - See toFeedItems()
+ * @returns {Object<string, string>} File contents by path relative to the site root
+ */
+export function buildSiteFiles(manifest = buildManifest(), {
+    content = FEED_CONTENT,
+    categoryDescriptions = loadCategoryDescriptions(),
+    rootDir,
+    lastModified,
+    readPage,
+} = {}) {
+    // Read each article once, however many feeds it appears in
+    const items = toFeedItems(manifest.articles, { content, limit: Infinity, readPage });
+    const bySlug = new Map(items.map(item => [item.slug, item]));
+
+    const files = {
+        [SITEMAP_FILE]: buildSitemap(listSitemapPages(manifest, { rootDir, lastModified })),
+        [ROBOTS_FILE]: buildRobots(),
+    };
+
+    const site = { title: SITE.name, description: SITE.description, link: 'index.html' };
+    const latest = items.slice(0, FEED_LIMIT);
+    files[RSS_FILE] = buildRssFeed(latest, { ...site, file: RSS_FILE });
+    files[ATOM_FILE] = buildAtomFeed(latest, { ...site, file: ATOM_FILE });
+
+    for (const category of manifest.categories) {
+        const feed = {
+            title: `${category.name} | ${SITE.name}`,
+            description: categoryDescriptions[category.name] || `Articles about ${category.name} from ${SITE.name}.`,
+            link: category.url,
+        };
+        const categoryItems = category.articles.map(slug => bySlug.get(slug)).filter(Boolean).slice(0, FEED_LIMIT);
+        const feedFiles = categoryFeedFiles(category);
+        files[feedFiles.rss] = buildRssFeed(categoryItems, { ...feed, file: feedFiles.rss });
+        files[feedFiles.atom] = buildAtomFeed(categoryItems, { ...feed, file: feedFiles.atom });
+    }
+
+    return files;
+}
@@ -0,0 +1,371 @@
+// scripts/lib/manifest.js - articles.json and the article grids generated from it
+//
+// The manifest is the single list of published articles. It drives the card grid
+// and filter chips on articles.html, the "Featured" section on index.html, the
+// category landing pages in categories/ and the Rollup inputs in vite.config.js,
+// so a new, removed or re-dated article shows up everywhere at once.
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import {
+    ARTICLE_PATHS, loadArticles, toSlug, escapeHTML, fillLayout, isGeneratedPage, replaceMarkedRegion
+} from './articles.js';
+import { renderPageMetadata, applyPageMetadata, readPageSummary } from './metadata.js';
+import { socialImagePaths } from './site.js';
+
+export const MANIFEST_PATHS = {
+    manifest: path.join(ARTICLE_PATHS.rootDir, 'articles.json'),
+    articlesPage: path.join(ARTICLE_PATHS.rootDir, 'articles.html'),
+    indexPage: path.join(ARTICLE_PATHS.rootDir, 'index.html'),
+    categoriesDir: path.join(ARTICLE_PATHS.rootDir, 'categories'),
+    categoryLayout: path.join(ARTICLE_PATHS.rootDir, 'templates/category.html'),
+    categoryDescriptions: path.join(ARTICLE_PATHS.rootDir, 'content/categories.yml'),
+};
+
+// Number of cards in the index.html "Featured" section
+const FEATURED_LIMIT = 6;
+
+// Tag chips on articles.html: only tags shared by several articles, most used first
+const TAG_CHIP_MIN_COUNT = 2;
+const TAG_CHIP_LIMIT = 20;
+
+/**
+ * Sort manifest entries by date
+ * @param {Object[]} entries
+ * @param {'desc'|'asc'} [order='desc'] - Newest first by default
+ * @returns {Object[]} A new, sorted array
+ */
+export function sortByDate(entries, order = 'desc') {
+    const direction = order === 'asc' ? 1 : -1;
+    return [...entries].sort((a, b) =>
+        direction * a.date.localeCompare(b.date) || a.title.localeCompare(b.title)
+    );
+}
+
+/**
+ * Group manifest entries by category
+ * @param {Object[]} entries
+ * @returns {Array<{ name: string, slug: string, url: string, count: number, articles: string[] }>}
+ */
+export function groupByCategory(entries) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+        if (!groups.has(entry.category)) {
+            const slug = toSlug(entry.category);
+            groups.set(entry.category, {
+                name: entry.category,
+                slug,
+                url: `categories/${slug}.html`,
+                count: 0,
+                articles: [],
+            });
+        }
+        const group = groups.get(entry.category);
+        group.count++;
+        group.articles.push(entry.slug);
+    }
+
+    return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Count keyword tags across manifest entries. Tags are compared case-insensitively.
+ * @param {Object[]} entries
+ * @returns {Array<{ name: string, count: number }>} Most used first
+ */
+export function collectTags(entries) {
+    const counts = new Map();
+
+    for (const entry of entries) {
+        for (const tag of new Set(entry.keywords.map(normalizeTag))) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+
+    return [...counts.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase();
+}
+
+/**
+ * Build the manifest from article sources. Drafts are listed by slug only.
+ * @param {Object[]} [articles] - Output of loadArticles()
+ * @returns {{ articles: Object[], categories: Object[], tags: Object[], drafts: string[] }}
+ */
+export function buildManifest(articles = loadArticles()) {
+    const published = sortByDate(
+        articles.filter(article => !article.draft).map(toManifestEntry)
+    );
+
+    return {
+        articles: published,
+        categories: groupByCategory(published),
+        tags: collectTags(published),
+        drafts: articles.filter(article => article.draft).map(article => article.slug).sort(),
+    };
+}
+
+function toManifestEntry(article) {
+    return {
+        slug: article.slug,
+        url: `articles/${article.file}`,
+        title: article.title,
+        category: article.category,
+        date: article.date,
+        summary: article.summary,
+        description: article.description,
+        keywords: article.keywords,
+        emoji: article.emoji,
+        imageColor: article.imageColor,
+        readingTime: article.readingTime,
+        featured: article.featured,
+    };
+}
+
+/**
+ * Featured articles for index.html, topped up with the newest articles if too few are flagged
+ * @param {Object} manifest
+ * @returns {Object[]}
+ */
+export function getFeaturedArticles(manifest, limit = FEATURED_LIMIT) {
+    const featured = manifest.articles.filter(entry => entry.featured);
+    const rest = manifest.articles.filter(entry => !entry.featured);
+    return [...featured, ...rest].slice(0, limit);
+}
+
+/**
+ * Render one article card, matching the markup styles.css expects.
+ * The data attributes let filters.js filter cards by category and tag.
+ * @param {Object} entry - Manifest entry
+ * @param {Object} [options]
+ * @param {string} [options.base=''] - Prefix for the article link, e.g. "../" from categories/
+ * @returns {string}
+ */
+export function renderArticleCard(entry, { base = '' } = {}) {
+    const image = base + socialImagePaths(entry.slug).cover;
+    const tags = [...new Set(entry.keywords.map(normalizeTag))].join('|');
+
+    return `                <a href="${escapeHTML(base + entry.url)}" class="article-card" data-category="${escapeHTML(entry.category)}" data-tags="${escapeHTML(tags)}">
+                    <img src="${escapeHTML(image)}" alt="${escapeHTML(entry.title)}" width="600" height="400" loading="lazy">
+                    <div class="card-content">
+                        <h3>${escapeHTML(entry.title)}</h3>
+                        <p>${escapeHTML(entry.summary)}</p>
+                        <span>${escapeHTML(entry.category)}</span>
+                    </div>
+                </a>`;
+}
+
+/**
+ * Render the category and tag chips for articles.html. Each chip is a plain link to
+ * the filtered view, so it still works as a bookmark without JavaScript.
+ * @param {Object} manifest
+ * @returns {string}
+ */
+export function renderFilterChips(manifest) {
+    const chip = (param, value, label, count, attrs = '') => {
+        const query = new URLSearchParams({ [param]: value }).toString();
+        return `                        <a href="?${escapeHTML(query)}" class="filter-chip" data-filter="${param}" data-value="${escapeHTML(value)}"${attrs}>${escapeHTML(label)} <span class="chip-count">${count}</span></a>`;
+    };
+
+    const categories = manifest.categories
+        .map(category => chip('category', category.name, category.name, category.count, ` data-page="${escapeHTML(category.url)}"`));
+
+    const tags = manifest.tags
+        .filter(tag => tag.count >= TAG_CHIP_MIN_COUNT)
+        .slice(0, TAG_CHIP_LIMIT)
+        .map(tag => chip('tag', tag.name, `#${tag.name}`, tag.count));
+
+    const groups = [
+        `                    <div class="filter-group" role="group" aria-label="Filter by category">
+                        <span class="filter-label">Categories</span>
+                        <a href="articles.html" class="filter-chip" data-filter-reset>All <span class="chip-count">${manifest.articles.length}</span></a>
+${categories.join('\n')}
+                    </div>`,
+    ];
+
+    if (tags.length > 0) {
+        groups.push(`                    <div class="filter-group" role="group" aria-label="Filter by tag">
+                        <span class="filter-label">Tags</span>
+${tags.join('\n')}
+                    </div>`);
+    }
+
+    return groups.join('\n');
+}
+
+/**
+ * Category intro texts from content/categories.yml, by category name
+ * @returns {Object<string, string>}
+ */
+export function loadCategoryDescriptions() {
+    if (!fs.existsSync(MANIFEST_PATHS.categoryDescriptions)) return {};
+    return YAML.parse(fs.readFileSync(MANIFEST_PATHS.categoryDescriptions, 'utf8')) || {};
+}
+
+/**
+ * Render a static landing page for one category
+ * @param {Object} category - Manifest category group
+ * @param {Object} manifest
+ * @param {Object} [options]
+ * @param {string} [options.description]
+ * @param {string} [options.layout] - Layout HTML (read from disk if omitted)
+ * @returns {string} Complete HTML page
+ */
+export function renderCategoryPage(category, manifest, {
+    description = `Articles about ${category.name} from NoIdentity.Space.`,
+    layout = fs.readFileSync(MANIFEST_PATHS.categoryLayout, 'utf8'),
+} = {}) {
+    const entries = manifest.articles.filter(entry => entry.category === category.name);
+    const keywords = collectTags(entries).slice(0, 10).map(tag => tag.name);
+
+    const otherCategories = manifest.categories
+        .filter(other => other.name !== category.name)
+        .map(other => `                    <a href="${escapeHTML(other.slug)}.html" class="filter-chip">${escapeHTML(other.name)} <span class="chip-count">${other.count}</span></a>`)
+        .join('\n');
+
+    return fillLayout(layout, {
+        name: escapeHTML(category.name),
+        slug: escapeHTML(category.slug),
+        metadata: renderPageMetadata({
+            path: category.url,
+            type: 'website',
+            schemaType: 'CollectionPage',
+            title: `${category.name} Articles`,
+            description,
+            breadcrumbs: [
+                { name: 'Home', path: 'index.html' },
+                { name: 'Articles', path: 'articles.html' },
+                { name: category.name, path: category.url },
+            ],
+        }),
+        description: escapeHTML(description),
+        keywords: escapeHTML([category.name.toLowerCase(), ...keywords].join(', ')),
+        countLabel: `${category.count} article${category.count === 1 ? '' : 's'}`,
+        cards: entries.map(entry => renderArticleCard(entry, { base: '../' })).join('\n\n'),
+        otherCategories,
+    });
+}
+
+/**
+ * Write categories/<slug>.html for every category and remove pages for categories
+ * that no longer have published articles
+ * @param {Object} manifest
+ * @param {Object} [options]
+ * @param {boolean} [options.write=true]
+ * @returns {string[]} Pages that changed, relative to the site root
+ */
+export function writeCategoryPages(manifest, { write = true } = {}) {
+    const dir = MANIFEST_PATHS.categoriesDir;
+    const layout = fs.readFileSync(MANIFEST_PATHS.categoryLayout, 'utf8');
+    const descriptions = loadCategoryDescriptions();
+    const changed = [];
+    const expected = new Set();
+
+    for (const category of manifest.categories) {
+        const file = path.join(ARTICLE_PATHS.rootDir, category.url);
+        expected.add(file);
+
+        const html = renderCategoryPage(category, manifest, {
+            description: descriptions[category.name],
+            layout,
+        });
+
+        if (fs.existsSync(file) && !isGeneratedPage(file)) {
+            throw new Error(`Refusing to overwrite hand-written page ${category.url}`);
+        }
+
+        const previous = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        if (previous !== html) {
+            if (write) {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.writeFileSync(file, html, 'utf8');
+            }
+            changed.push(category.url);
+        }
+    }
+
+    if (fs.existsSync(dir)) {
+        for (const file of fs.readdirSync(dir)) {
+            const filePath = path.join(dir, file);
+            if (file.endsWith('.html') && !expected.has(filePath) && isGeneratedPage(filePath)) {
+                if (write) fs.unlinkSync(filePath);
+                changed.push(`categories/${file} (removed)`);
+            }
+        }
+    }
+
+    return changed;
+}
+
+function updateFile(filePath, transform, write) {
+    const previous = fs.readFileSync(filePath, 'utf8');
+    const next = transform(previous);
+    const changed = previous !== next;
+    if (write && changed) fs.writeFileSync(filePath, next, 'utf8');
+    return changed;
+}
+
+/**
+ * Refresh the metadata block of a hand-written top-level page from its own title and description
+ */
+function updatePageMetadata(html, file) {
+    const { title, description } = readPageSummary(html);
+    return applyPageMetadata(html, {
+        path: file,
+        type: 'website',
+        // articles.html is the full article list
+        schemaType: file === 'articles.html' ? 'CollectionPage' : 'WebPage',
+        title,
+        description,
+    });
+}
+
+/**
+ * Write articles.json, regenerate the article grids and filter chips in articles.html
+ * and index.html, write the category landing pages and refresh the metadata of every
+ * top-level page
+ * @param {Object} [options]
+ * @param {boolean} [options.write=true]
+ * @returns {{ manifest: Object, changed: string[] }} Manifest plus the files that changed
+ */
+export function writeSiteIndexes({ write = true } = {}) {
+    const manifest = buildManifest();
+    const changed = [];
+    const relative = (file) => path.relative(ARTICLE_PATHS.rootDir, file);
+
+    const json = `${JSON.stringify(manifest, null, 2)}\n`;
+    const previousJSON = fs.existsSync(MANIFEST_PATHS.manifest) ? fs.readFileSync(MANIFEST_PATHS.manifest, 'utf8') : null;
+    if (previousJSON !== json) {
+        if (write) fs.writeFileSync(MANIFEST_PATHS.manifest, json, 'utf8');
+        changed.push(relative(MANIFEST_PATHS.manifest));
+    }
+
+    const grid = manifest.articles.map(entry => renderArticleCard(entry)).join('\n\n');
+    const chips = renderFilterChips(manifest);
+    const updateArticlesPage = html =>
+        replaceMarkedRegion(replaceMarkedRegion(html, 'articles:grid', grid), 'articles:filters', chips);
+    if (updateFile(MANIFEST_PATHS.articlesPage, updateArticlesPage, write)) {
+        changed.push(relative(MANIFEST_PATHS.articlesPage));
+    }
+
+    const featured = getFeaturedArticles(manifest).map(entry => renderArticleCard(entry)).join('\n\n');
+    if (updateFile(MANIFEST_PATHS.indexPage, html => replaceMarkedRegion(html, 'articles:featured', featured), write)) {
+        changed.push(relative(MANIFEST_PATHS.indexPage));
+    }
+
+    changed.push(...writeCategoryPages(manifest, { write }));
+
+    for (const file of fs.readdirSync(ARTICLE_PATHS.rootDir).filter(name => name.endsWith('.html')).sort()) {
+        if (updateFile(path.join(ARTICLE_PATHS.rootDir, file), html => updatePageMetadata(html, file), write) && !changed.includes(file)) {
+            changed.push(file);
+        }
+    }
+
+    return { manifest, changed };
+}
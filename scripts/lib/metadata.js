@@ -0,0 +1,210 @@
+// scripts/lib/metadata.js - Canonical links, Open Graph and Twitter tags, and JSON-LD
+//
+// Every page describes itself the same way: a canonical URL, the Open Graph and Twitter
+// card tags link previews are built from, and schema.org structured data for search
+// engines (Organization and WebSite on every page, plus BlogPosting and a BreadcrumbList
+// on articles). Rendered pages get the block from their layout. Hand-written pages get it
+// between <!-- page:meta --> markers, which are added the first time; any tags the block
+// replaces are removed from the rest of <head>.
+
+import * as cheerio from 'cheerio';
+import { SITE, absoluteURL } from './site.js';
+
+const START = '<!-- page:meta -->';
+const END = '<!-- /page:meta -->';
+const INDENT = '    ';
+
+// Tags the block owns. Anything like them elsewhere in <head> is a leftover.
+const MANAGED_TAGS = [
+    /^[ \t]*<meta\s+(?:property|name)="(?:og|twitter|article):[^"]*"[^>]*>[ \t]*\r?\n/gm,
+    /^[ \t]*<link\s+rel="canonical"[^>]*>[ \t]*\r?\n/gm,
+    /^[ \t]*<script\s+type="application\/ld\+json">[\s\S]*?<\/script>[ \t]*\r?\n/gm,
+];
+
+const ORGANIZATION_ID = `${absoluteURL()}#organization`;
+const WEBSITE_ID = `${absoluteURL()}#website`;
+
+function escapeAttribute(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The schema.org graph for a page
+ * @param {Object} meta - See renderPageMetadata()
+ * @returns {Object}
+ */
+export function buildStructuredData(meta) {
+    const url = absoluteURL(meta.path);
+    const graph = [
+        {
+            '@type': 'Organization',
+            '@id': ORGANIZATION_ID,
+            name: SITE.name,
+            url: absoluteURL(),
+        },
+        {
+            '@type': 'WebSite',
+            '@id': WEBSITE_ID,
+            name: SITE.name,
+            url: absoluteURL(),
+            description: SITE.description,
+            inLanguage: SITE.language,
+            publisher: { '@id': ORGANIZATION_ID },
+        },
+    ];
+
+    if (meta.type === 'article') {
+        graph.push({
+            '@type': 'BlogPosting',
+            '@id': `${url}#article`,
+            headline: meta.title,
+            description: meta.description,
+            url,
+            mainEntityOfPage: url,
+            datePublished: meta.published,
+            dateModified: meta.modified || meta.published,
+            author: {
+                // The default byline is the site itself, not a person
+                '@type': meta.author === SITE.author ? 'Organization' : 'Person',
+                name: meta.author || SITE.author,
+            },
+            publisher: { '@id': ORGANIZATION_ID },
+            isPartOf: { '@id': WEBSITE_ID },
+            ...(meta.section ? { articleSection: meta.section } : {}),
+            ...(meta.tags?.length ? { keywords: meta.tags } : {}),
+            ...(meta.image ? { image: absoluteURL(meta.image) } : {}),
+            inLanguage: SITE.language,
+        });
+    } else {
+        graph.push({
+            '@type': meta.schemaType || 'WebPage',
+            '@id': `${url}#webpage`,
+            name: meta.title,
+            description: meta.description,
+            url,
+            isPartOf: { '@id': WEBSITE_ID },
+            inLanguage: SITE.language,
+        });
+    }
+
+    if (meta.breadcrumbs?.length) {
+        graph.push({
+            '@type': 'BreadcrumbList',
+            itemListElement: meta.breadcrumbs.map((crumb, i) => ({
+                '@type': 'ListItem',
+                position: i + 1,
+                name: crumb.name,
+                item: absoluteURL(crumb.path),
+            })),
+        });
+    }
+
+    return { '@context': 'https://schema.org', '@graph': graph };
+}
+
+/**
+ * Render the metadata block for a page's <head>
+ * @param {Object} meta
+ * @param {string} meta.path - The page, relative to the site root
+ * @param {'article'|'website'} meta.type
+ * @param {string} meta.title - Headline for link previews
+ * @param {string} meta.description
+ * @param {string} [meta.image] - Preview image, relative to the site root
+ * @param {string} [meta.imageAlt]
+ * @param {string} [meta.published] - YYYY-MM-DD (articles)
+ * @param {string} [meta.modified] - YYYY-MM-DD (articles)
+ * @param {string} [meta.author] - (articles)
+ * @param {string} [meta.section] - Category (articles)
+ * @param {string[]} [meta.tags] - Keywords (articles)
+ * @param {string} [meta.schemaType] - schema.org type of a non-article page, 'WebPage' by default
+ * @param {Array<{ name: string, path: string }>} [meta.breadcrumbs] - From the home page down to this page
+ * @returns {string} Indented lines, without the page:meta markers
+ */
+export function renderPageMetadata(meta) {
+    const url = absoluteURL(meta.path);
+    const property = (name, content) => `<meta property="${name}" content="${escapeAttribute(content)}">`;
+    const named = (name, content) => `<meta name="${name}" content="${escapeAttribute(content)}">`;
+
+    const tags = [
+        `<link rel="canonical" href="${escapeAttribute(url)}">`,
+        property('og:site_name', SITE.name),
+        property('og:locale', 'en_US'),
+        property('og:type', meta.type),
+        property('og:title', meta.title),
+        property('og:description', meta.description),
+        property('og:url', url),
+    ];
+
+    if (meta.image) {
+        tags.push(property('og:image', absoluteURL(meta.image)));
+        if (meta.imageAlt) tags.push(property('og:image:alt', meta.imageAlt));
+    }
+
+    if (meta.type === 'article') {
+        tags.push(property('article:published_time', meta.published));
+        if (meta.modified) tags.push(property('article:modified_time', meta.modified));
+        if (meta.section) tags.push(property('article:section', meta.section));
+        for (const tag of meta.tags || []) tags.push(property('article:tag', tag));
+    }
+
+    tags.push(
+        named('twitter:card', meta.image ? 'summary_large_image' : 'summary'),
+        named('twitter:title', meta.title),
+        named('twitter:description', meta.description),
+    );
+    if (meta.image) {
+        tags.push(named('twitter:image', absoluteURL(meta.image)));
+        if (meta.imageAlt) tags.push(named('twitter:image:alt', meta.imageAlt));
+    }
+
+    // "<" is escaped so a title can never close the script element
+    const json = JSON.stringify(buildStructuredData(meta)).replace(/</g, '\\u003c');
+    tags.push(`<script type="application/ld+json">${json}</script>`);
+
+    return tags.map(line => INDENT + line).join('\n');
+}
+
+/**
+ * Put the metadata block into a hand-written page, replacing the previous block and
+ * any loose Open Graph, Twitter, canonical or JSON-LD tags in <head>
+ * @param {string} html - Full page HTML
+ * @param {Object} meta - See renderPageMetadata()
+ * @returns {string}
+ */
+export function applyPageMetadata(html, meta) {
+    const headEnd = html.indexOf('</head>');
+    if (headEnd === -1) throw new Error(`${meta.path}: no </head>`);
+
+    const placeholder = '\u0000page-meta\u0000';
+    const region = new RegExp(`^[ \\t]*${START}[\\s\\S]*?${END}[ \\t]*\\r?\\n`, 'm');
+    let head = html.slice(0, headEnd).replace(region, placeholder);
+    for (const pattern of MANAGED_TAGS) head = head.replace(pattern, '');
+
+    if (!head.includes(placeholder)) {
+        // Right after the <title>, or at the end of <head> if there isn't one
+        const title = head.match(/<title>[\s\S]*?<\/title>[^\n]*\n/);
+        head = title
+            ? head.slice(0, title.index + title[0].length) + placeholder + head.slice(title.index + title[0].length)
+            : head.replace(/[ \t]*$/, '') + placeholder;
+    }
+
+    const block = `${INDENT}${START}\n${renderPageMetadata(meta)}\n${INDENT}${END}\n`;
+    return head.replace(placeholder, () => block) + html.slice(headEnd);
+}
+
+/**
+ * Title and description of a hand-written page, for pages without a source file
+ * @param {string} html
+ * @returns {{ title: string, description: string }}
+ */
+export function readPageSummary(html) {
+    const $ = cheerio.load(html);
+    return {
+        title: $('head > title').first().text().trim(),
+        description: ($('meta[name="description"]').attr('content') || '').replace(/\s+/g, ' ').trim(),
+    };
+}
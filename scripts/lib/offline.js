@@ -0,0 +1,103 @@
+// scripts/lib/offline.js - The web app manifest and the service worker a build ships
+//
+// service-worker.js in the repo root is the worker's logic. A build puts a header in front
+// of it with the build's version and the files to precache, the shell every page needs:
+// the home page, the article list, the offline page, the password checker (which works
+// offline) and the hashed scripts and styles. The search index is left out: it is the
+// biggest file in the build, so the worker only caches it once a reader searches.
+// The version is a hash of everything in the build, so each deploy that changes anything
+// gets a new shell cache and the worker deletes the old one.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ARTICLE_PATHS } from './articles.js';
+import { APP_ICONS } from './social-images.js';
+import { SITE } from './site.js';
+
+export const WEB_MANIFEST_FILE = 'site.webmanifest';
+export const SERVICE_WORKER_FILE = 'service-worker.js';
+export const OFFLINE_PAGE = 'offline.html';
+
+// Pages every visitor can open offline, whether or not they saved anything
+const SHELL_PAGES = ['index.html', 'articles.html', OFFLINE_PAGE, 'password-strength.html'];
+
+// Bundled scripts and styles; their names change with their content
+const ASSET_PATTERN = /^assets\/.+\.(js|css)$/;
+
+// --primary and --dark in styles.css
+const THEME_COLOR = '#6366f1';
+const BACKGROUND_COLOR = '#0f172a';
+
+/**
+ * Build site.webmanifest
+ * @returns {string}
+ */
+export function buildWebManifest() {
+    const manifest = {
+        name: SITE.name,
+        short_name: 'NoIdentity',
+        description: SITE.description,
+        lang: SITE.language,
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        background_color: BACKGROUND_COLOR,
+        theme_color: THEME_COLOR,
+        icons: APP_ICONS
+            .filter(icon => !icon.fileName.includes('apple-touch-icon'))
+            .map(icon => ({
+                src: `/${icon.fileName}`,
+                sizes: `${icon.size}x${icon.size}`,
+                type: 'image/png',
+                purpose: 'any maskable',
+            })),
+    };
+    return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/**
+ * A short hash of a build's output, so every change to it gives a new version
+ * @param {Array<{ fileName: string, source: string|Uint8Array }>} files
+ * @returns {string} 10 hex characters
+ */
+export function buildVersion(files) {
+    const hash = crypto.createHash('sha256');
+    for (const { fileName, source } of [...files].sort((a, b) => a.fileName.localeCompare(b.fileName))) {
+        hash.update(fileName).update('\0').update(source).update('\0');
+    }
+    return hash.digest('hex').slice(0, 10);
+}
+
+/**
+ * The URLs the service worker caches when it installs
+ * @param {string[]} fileNames - Everything in the build, relative to dist/
+ * @returns {string[]} Root-relative URLs
+ */
+export function listPrecacheURLs(fileNames) {
+    const built = new Set(fileNames);
+    const shell = [...SHELL_PAGES, WEB_MANIFEST_FILE, ...APP_ICONS.map(icon => icon.fileName)];
+
+    return [
+        '/',
+        ...shell.filter(file => built.has(file)),
+        ...fileNames.filter(file => ASSET_PATTERN.test(file)).sort(),
+    ].map(file => (file.startsWith('/') ? file : `/${file}`));
+}
+
+/**
+ * The service worker a build ships
+ * @param {Object} build
+ * @param {string} build.version - From buildVersion()
+ * @param {string[]} build.precache - From listPrecacheURLs()
+ * @param {string} [build.source] - The worker's logic; service-worker.js by default
+ * @returns {string}
+ */
+export function buildServiceWorker({
+    version,
+    precache,
+    source = fs.readFileSync(path.join(ARTICLE_PATHS.rootDir, SERVICE_WORKER_FILE), 'utf8'),
+}) {
+    const header = `self.__OFFLINE_BUILD = ${JSON.stringify({ version, precache }, null, 2)};\n\n`;
+    return header + source;
+}
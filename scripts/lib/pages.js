@@ -0,0 +1,96 @@
+// scripts/lib/pages.js - Shared page fragments and the list of pages the site is built from
+//
+// The header, footer, consent loader and sidebar newsletter box are written once in
+// partials/. A page pulls one in with a marker on a line of its own:
+//
+//     <!-- include:header -->
+//
+// The marker is replaced with partials/header.html, indented to match, when the page is
+// served, built or checked. Links in a partial start with {{base}}, the way back to the
+// site root from the including page ('' at the top level, '../' one directory down), so
+// one fragment works at every depth.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+export const PAGE_PATHS = {
+    rootDir: ROOT_DIR,
+    partialsDir: path.join(ROOT_DIR, 'partials'),
+};
+
+// Directories under the root that hold no pages of the site
+const SKIPPED_DIRS = new Set(['node_modules', 'dist', 'content', 'templates', 'partials', 'scripts', 'tests']);
+
+const INCLUDE_MARKER = /^([ \t]*)<!-- include:([\w-]+) -->[ \t]*$/gm;
+
+/**
+ * The relative path from a page back to the site root
+ * @param {string} page - Relative to the root, e.g. 'articles/x.html'
+ * @returns {string} '' or a run of '../'
+ */
+export function pageBase(page) {
+    return '../'.repeat(page.split('/').length - 1);
+}
+
+/**
+ * Replace every include marker in a page with its partial
+ * @param {string} html
+ * @param {string} page - The page, relative to the root; links in partials are made relative to it
+ * @param {Object} [options]
+ * @param {string} [options.partialsDir]
+ * @returns {string}
+ * @throws {Error} If a marker names a partial that does not exist
+ */
+export function expandIncludes(html, page, { partialsDir = PAGE_PATHS.partialsDir } = {}) {
+    const base = pageBase(page);
+    return html.replace(INCLUDE_MARKER, (marker, indent, name) => {
+        const file = path.join(partialsDir, `${name}.html`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`${page}: no partial for <!-- include:${name} --> (expected partials/${name}.html)`);
+        }
+        return fs.readFileSync(file, 'utf8')
+            .replace(/\{\{base\}\}/g, base)
+            .replace(/\s+$/, '')
+            .split('\n')
+            .map(line => (line ? indent + line : line))
+            .join('\n');
+    });
+}
+
+/**
+ * Every page under a root, found by walking it
+ * @param {string} [rootDir] - The source tree (default) or a build
+ * @returns {string[]} Paths relative to the root with forward slashes, sorted
+ */
+export function listPages(rootDir = PAGE_PATHS.rootDir) {
+    const pages = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true })) {
+            const relative = dir ? `${dir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (!entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name)) walk(relative);
+            } else if (entry.name.endsWith('.html')) {
+                pages.push(relative);
+            }
+        }
+    };
+    walk('');
+    return pages.sort();
+}
+
+/**
+ * Rollup inputs for every page, named after their paths
+ * @param {Object} [options]
+ * @param {string} [options.rootDir]
+ * @param {string[]} [options.exclude] - Pages to leave out, relative to the root
+ * @returns {Object<string, string>} e.g. { 'articles/x': '/abs/path/articles/x.html' }
+ */
+export function pageInputs({ rootDir = PAGE_PATHS.rootDir, exclude = [] } = {}) {
+    const skipped = new Set(exclude);
+    return Object.fromEntries(listPages(rootDir)
+        .filter(page => !skipped.has(page))
+        .map(page => [page.replace(/\.html$/, ''), path.join(rootDir, page)]));
+}
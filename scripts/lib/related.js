@@ -0,0 +1,111 @@
+// scripts/lib/related.js - Relevance-ranked "Related Articles" for the article sidebars
+//
+// Each article is compared with every other one using TF-IDF cosine similarity over
+// its title and text, plus a bonus for a shared category and overlapping keywords.
+// The ranking is recomputed on every render, so older articles pick up newer ones.
+
+import { tokenize } from '../../search-engine.js';
+
+/**
+ * How much each signal contributes to the final score
+ */
+export const RELATED_WEIGHTS = {
+    text: 1,
+    category: 0.05,
+    keywords: 0.35,
+};
+
+// Number of links in each "Related Articles" section
+export const RELATED_LIMIT = 3;
+
+// Titles say what an article is about more reliably than body text
+const TITLE_REPEAT = 3;
+
+/**
+ * Build a unit-length TF-IDF vector for each document
+ * @param {Array<{ title: string, text: string }>} docs
+ * @returns {Map<string, number>[]} One term → weight map per document
+ */
+export function buildVectors(docs) {
+    const termCounts = docs.map(doc => {
+        const counts = new Map();
+        const terms = [
+            ...Array(TITLE_REPEAT).fill(doc.title).flatMap(title => tokenize(title)),
+            ...tokenize(doc.text),
+        ];
+        terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return counts;
+    });
+
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => {
+        counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    return termCounts.map(counts => {
+        const vector = new Map();
+        let norm = 0;
+
+        counts.forEach((count, term) => {
+            // Sublinear tf, so a long article repeating a word doesn't dominate
+            const weight = (1 + Math.log(count)) * Math.log(docs.length / documentFrequency.get(term));
+            if (weight > 0) {
+                vector.set(term, weight);
+                norm += weight * weight;
+            }
+        });
+
+        norm = Math.sqrt(norm);
+        vector.forEach((weight, term) => vector.set(term, weight / norm));
+        return vector;
+    });
+}
+
+function cosine(a, b) {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let sum = 0;
+    small.forEach((weight, term) => {
+        if (large.has(term)) sum += weight * large.get(term);
+    });
+    return sum;
+}
+
+function keywordOverlap(a, b) {
+    const setA = new Set(a.map(k => k.toLowerCase()));
+    const setB = new Set(b.map(k => k.toLowerCase()));
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    const shared = [...setA].filter(k => setB.has(k)).length;
+    return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Rank the most similar articles for every article
+ * @param {Array<{ slug: string, title: string, category: string, keywords: string[], date: string, text: string, linkable: boolean }>} docs
+ *   Only docs with linkable=true are ever suggested, so drafts and missing pages never get linked
+ * @param {Object} [options]
+ * @param {number} [options.limit=RELATED_LIMIT]
+ * @returns {Map<string, Object[]>} slug → related docs, most similar first
+ */
+export function findRelatedArticles(docs, { limit = RELATED_LIMIT } = {}) {
+    const vectors = buildVectors(docs);
+    const related = new Map();
+
+    docs.forEach((doc, i) => {
+        const ranked = docs
+            .map((other, j) => ({ other, j }))
+            .filter(({ other, j }) => j !== i && other.linkable)
+            .map(({ other, j }) => ({
+                doc: other,
+                score: RELATED_WEIGHTS.text * cosine(vectors[i], vectors[j]) +
+                    RELATED_WEIGHTS.category * (doc.category === other.category ? 1 : 0) +
+                    RELATED_WEIGHTS.keywords * keywordOverlap(doc.keywords, other.keywords),
+            }))
+            // Ties go to the newer article, then by slug so builds are reproducible
+            .sort((a, b) => b.score - a.score || b.doc.date.localeCompare(a.doc.date) || a.doc.slug.localeCompare(b.doc.slug));
+
+        related.set(doc.slug, ranked.slice(0, limit).map(({ doc: match }) => match));
+    });
+
+    return related;
+}
@@ -0,0 +1,77 @@
+// scripts/lib/search-index.js - Builds the compact full-text index behind the article search
+//
+// The index is an inverted list of stemmed terms with precomputed, field-weighted
+// scores, plus the title, URL, category and summary each result card shows. Article
+// bodies are indexed but only their opening is stored, for snippets when the summary
+// doesn't match, so the file stays small. It is served as
+// /search-index.json and searched entirely in the browser by search.js.
+
+import fs from 'fs';
+import path from 'path';
+import { ARTICLE_PATHS, extractArticleText } from './articles.js';
+import { buildManifest } from './manifest.js';
+import { tokenize, FIELD_WEIGHTS } from '../../search-engine.js';
+
+export const SEARCH_INDEX_FILE = 'search-index.json';
+
+// Characters of each article body kept for snippets
+export const EXCERPT_LENGTH = 400;
+
+/**
+ * The start of the text, cut at a word boundary and marked with an ellipsis
+ */
+function excerpt(text, length = EXCERPT_LENGTH) {
+    if (text.length <= length) return text;
+    const space = text.lastIndexOf(' ', length);
+    return `${text.slice(0, space > 0 ? space : length)}…`;
+}
+
+/**
+ * Build the search index for every published article
+ * @param {Object} [manifest] - Output of buildManifest()
+ * @param {Object} [options]
+ * @param {Function} [options.readPage] - (entry) => the article's rendered HTML
+ * @returns {{ docs: Object[], terms: Object<string, Array<[number, number]>> }}
+ */
+export function buildSearchIndex(manifest = buildManifest(), {
+    readPage = entry => fs.readFileSync(path.join(ARTICLE_PATHS.rootDir, entry.url), 'utf8'),
+} = {}) {
+    const docs = [];
+    // No prototype, so an article containing "constructor" gets its own postings list
+    const terms = Object.create(null);
+
+    manifest.articles.forEach((entry, docId) => {
+        const { headings, body } = extractArticleText(readPage(entry));
+
+        const fields = {
+            title: entry.title,
+            headings: headings.join(' '),
+            summary: `${entry.summary} ${entry.description}`,
+            tags: `${entry.category} ${entry.keywords.join(' ')}`,
+            body,
+        };
+
+        const weights = new Map();
+        for (const [field, text] of Object.entries(fields)) {
+            for (const term of tokenize(text)) {
+                weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]);
+            }
+        }
+
+        for (const [term, weight] of weights) {
+            // Log-scale so long articles that repeat a word don't drown out focused ones
+            const score = Math.round((1 + Math.log(weight)) * 100) / 100;
+            (terms[term] ||= []).push([docId, score]);
+        }
+
+        docs.push({
+            url: `/${entry.url}`,
+            title: entry.title,
+            category: entry.category,
+            summary: entry.summary,
+            excerpt: excerpt(body),
+        });
+    });
+
+    return { docs, terms };
+}
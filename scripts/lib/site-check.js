@@ -0,0 +1,230 @@
+// scripts/lib/site-check.js - Finds broken links, missing anchors and metadata problems
+//
+// Works on the source tree or on a build in dist/. Pages are read from disk, with their
+// <!-- include:... --> markers filled from partials/ the way Vite fills them, and every
+// internal href/src is resolved the way a browser on the deployed site would, so
+// "../articles/x.html", "x.html" and "/x.html" are all checked against real files.
+
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { ARTICLE_PATHS } from './articles.js';
+import { SEARCH_INDEX_FILE } from './search-index.js';
+import { absoluteURL, socialImagePaths } from './site.js';
+import { SITEMAP_FILE, RSS_FILE, ATOM_FILE, ROBOTS_FILE, categoryFeedFiles } from './feeds.js';
+import { listPages, expandIncludes } from './pages.js';
+import { WEB_MANIFEST_FILE } from './offline.js';
+import { APP_ICONS } from './social-images.js';
+
+// The deployed host; absolute links to it are checked like relative ones
+const SITE_HOSTS = ['noidentity.space', 'www.noidentity.space'];
+
+// Served by a Vite plugin in development and emitted into dist, never on disk in the source tree.
+// The per-category feeds and the article images are added from articles.json.
+const GENERATED_FILES = [
+    SEARCH_INDEX_FILE, SITEMAP_FILE, RSS_FILE, ATOM_FILE, ROBOTS_FILE, WEB_MANIFEST_FILE,
+    ...APP_ICONS.map(icon => icon.fileName),
+];
+
+// SECURITY_CONFIG.HONEYPOT_FIELD in form-security.js
+const HONEYPOT_FIELD = 'website_url';
+
+// Open Graph tags every page gets from scripts/lib/metadata.js
+const OG_TAGS = ['og:title', 'og:description', 'og:type', 'og:url'];
+
+const LINK_ATTRIBUTES = [
+    ['a[href]', 'href'],
+    ['link[href]', 'href'],
+    ['script[src]', 'src'],
+    ['img[src]', 'src'],
+    ['source[src]', 'src'],
+];
+
+/**
+ * Resolve a link found on a page to a file under the root
+ * @param {string} page - The linking page, relative to the root
+ * @param {string} link - The href or src as written
+ * @returns {{ file: string, hash: string }|null} null for external and non-file links
+ */
+export function resolveLink(page, link) {
+    const value = link.trim();
+    if (!value || /^(mailto|tel|javascript|data|sms):/i.test(value)) return null;
+
+    let url;
+    try {
+        url = new URL(value, `https://${SITE_HOSTS[1]}/${page}`);
+    } catch (e) {
+        return { file: value, hash: '' };
+    }
+    if (!/^https?:$/.test(url.protocol) || !SITE_HOSTS.includes(url.hostname)) return null;
+
+    let file = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+    if (file === '' || file.endsWith('/')) file += 'index.html';
+    return { file, hash: decodeURIComponent(url.hash.slice(1)) };
+}
+
+/**
+ * The file GitHub Pages serves for a path: "contact" is answered with contact.html
+ */
+function findServedFile(file, exists) {
+    if (exists(file)) return file;
+    if (!path.extname(file) && exists(`${file}.html`)) return `${file}.html`;
+    return null;
+}
+
+/**
+ * Ids (and old-style named anchors) a fragment can point at
+ */
+function collectAnchors($) {
+    const anchors = new Set();
+    $('[id]').each((i, el) => anchors.add($(el).attr('id')));
+    $('a[name]').each((i, el) => anchors.add($(el).attr('name')));
+    return anchors;
+}
+
+function readPage(rootDir, page) {
+    const $ = cheerio.load(expandIncludes(fs.readFileSync(path.join(rootDir, page), 'utf8'), page));
+    return {
+        $,
+        title: $('head > title').first().text().trim(),
+        description: ($('meta[name="description"]').attr('content') || '').trim(),
+        og: Object.fromEntries(OG_TAGS.map(tag => [tag, ($(`meta[property="${tag}"]`).attr('content') || '').trim()])),
+        canonical: ($('link[rel="canonical"]').attr('href') || '').trim(),
+        structuredData: $('script[type="application/ld+json"]').map((i, el) => $(el).text()).get(),
+        anchors: collectAnchors($),
+    };
+}
+
+/**
+ * Group pages by a value and return the groups with more than one page
+ */
+function findDuplicates(pages, key) {
+    const groups = new Map();
+    for (const [page, info] of pages) {
+        const value = info[key];
+        if (!value) continue;
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(page);
+    }
+    return [...groups].filter(([, list]) => list.length > 1);
+}
+
+/**
+ * articles.json from the source tree, or an empty manifest (dist/ has none)
+ */
+function loadManifest(rootDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(rootDir, 'articles.json'), 'utf8'));
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Check every page under a root
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - The source tree (default) or dist/
+ * @returns {{ pages: string[], errors: Object[], warnings: Object[] }} Problems are { page, message }
+ */
+export function checkSite({ rootDir = ARTICLE_PATHS.rootDir } = {}) {
+    const errors = [];
+    const warnings = [];
+    const error = (page, message) => errors.push({ page, message });
+    const warn = (page, message) => warnings.push({ page, message });
+
+    const pageList = listPages(rootDir);
+    const pages = new Map();
+    for (const page of pageList) {
+        try {
+            pages.set(page, readPage(rootDir, page));
+        } catch (e) {
+            error(page, e.message.replace(`${page}: `, ''));
+        }
+    }
+    const manifest = loadManifest(rootDir);
+    // Article slugs left out of the build
+    const drafts = new Set(manifest.drafts || []);
+    const generated = new Set([
+        ...GENERATED_FILES,
+        ...(manifest.categories || []).flatMap(category => Object.values(categoryFeedFiles(category))),
+        ...(manifest.articles || []).flatMap(entry => Object.values(socialImagePaths(entry.slug))),
+    ]);
+    const exists = file => pages.has(file) || generated.has(file) || fs.existsSync(path.join(rootDir, file));
+
+    for (const [page, info] of pages) {
+        const { $ } = info;
+
+        // Links and assets
+        const seen = new Set();
+        for (const [selector, attribute] of LINK_ATTRIBUTES) {
+            $(selector).each((i, el) => {
+                const link = $(el).attr(attribute);
+                const target = resolveLink(page, link);
+                if (!target || seen.has(link)) return;
+                seen.add(link);
+
+                const file = findServedFile(target.file, exists);
+                if (!file) {
+                    error(page, `Broken link: ${link}`);
+                } else if (target.hash && pages.has(file) && !pages.get(file).anchors.has(target.hash)) {
+                    error(page, file === page ? `Missing anchor: #${target.hash}` : `Missing anchor: ${link}`);
+                }
+            });
+        }
+
+        // Metadata
+        if (!info.title) error(page, 'Missing <title>');
+        if (!info.description) error(page, 'Missing meta description');
+        for (const tag of OG_TAGS) {
+            if (!info.og[tag]) error(page, `Missing ${tag}`);
+        }
+        if (!info.canonical) {
+            error(page, 'Missing canonical link');
+        } else if (info.canonical !== absoluteURL(page)) {
+            error(page, `Canonical link ${info.canonical} is not this page`);
+        }
+        if (info.structuredData.length === 0) error(page, 'Missing JSON-LD structured data');
+        for (const json of info.structuredData) {
+            try {
+                JSON.parse(json);
+            } catch (e) {
+                error(page, `Invalid JSON-LD: ${e.message}`);
+            }
+        }
+
+        // Forms need the honeypot form-security.js looks for
+        $('form[data-form]').each((i, el) => {
+            const form = $(el);
+            if (form.find(`[name="${HONEYPOT_FIELD}"]`).length === 0) {
+                error(page, `Form "${form.attr('id') || form.attr('data-form')}" has no ${HONEYPOT_FIELD} honeypot`);
+            }
+        });
+    }
+
+    for (const [title, list] of findDuplicates(pages, 'title')) {
+        list.forEach(page => error(page, `Duplicate <title> "${title}" (also on ${list.filter(other => other !== page).join(', ')})`));
+    }
+    for (const [, list] of findDuplicates(pages, 'description')) {
+        list.forEach(page => warn(page, `Duplicate meta description (also on ${list.filter(other => other !== page).join(', ')})`));
+    }
+
+    // Every article is listed on articles.html and carries a newsletter form
+    const articlesPage = pages.get('articles.html');
+    const listed = new Set();
+    if (articlesPage) {
+        articlesPage.$('a[href]').each((i, el) => {
+            const target = resolveLink('articles.html', articlesPage.$(el).attr('href'));
+            if (target) listed.add(findServedFile(target.file, exists) || target.file);
+        });
+    } else {
+        error('articles.html', 'Missing');
+    }
+
+    for (const [page, info] of pages) {
+        if (!page.startsWith('articles/') || drafts.has(path.basename(page, '.html'))) continue;
+        if (articlesPage && !listed.has(page)) error(page, 'Not listed on articles.html');
+        if (info.$('form[data-form="newsletter"]').length === 0) error(page, 'No newsletter form');
+    }
+
+    return { pages: pageList, errors, warnings };
+}
@@ -0,0 +1,47 @@
+// scripts/lib/site.js - Facts about the deployed site that generated files need
+//
+// Feeds, the sitemap, robots.txt and canonical links all spell out absolute URLs, so the
+// canonical origin is read from CNAME, the file GitHub Pages serves the domain from.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Not ARTICLE_PATHS: articles.js renders page metadata from this module
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+function readOrigin() {
+    const cname = path.join(ROOT_DIR, 'CNAME');
+    const host = fs.existsSync(cname) ? fs.readFileSync(cname, 'utf8').trim() : '';
+    return `https://${host || 'www.noidentity.space'}`;
+}
+
+export const SITE = {
+    name: 'NoIdentity.Space',
+    url: readOrigin(),
+    description: 'Your guide to digital privacy, online anonymity, and digital wellness. Take control of your digital life.',
+    language: 'en',
+    author: 'NoIdentity Team',
+};
+
+/**
+ * Absolute URL of a path on the site
+ * @param {string} [pagePath] - Relative to the site root, e.g. 'articles/x.html'; '' or 'index.html' for the home page
+ * @returns {string}
+ */
+export function absoluteURL(pagePath = '') {
+    const clean = pagePath.replace(/^\/+/, '');
+    return `${SITE.url}/${clean === 'index.html' ? '' : clean}`;
+}
+
+/**
+ * The generated card cover and link preview images of an article
+ * @param {string} slug
+ * @returns {{ cover: string, og: string }} Paths relative to the site root
+ */
+export function socialImagePaths(slug) {
+    return {
+        cover: `images/covers/${slug}.png`,
+        og: `images/og/${slug}.png`,
+    };
+}
@@ -0,0 +1,257 @@
+// scripts/lib/social-images.js - Card covers and link preview images for every article
+//
+// Each published article gets two PNGs, drawn as SVG from its title, emoji, category and
+// imageColor and rasterized with resvg: a 600x400 cover for the article cards and a
+// 1200x630 Open Graph image for link previews. They are served from our own domain, so
+// showing a card never sends the visitor's IP address to an image service. The icons the
+// web app manifest points at are drawn the same way.
+//
+// The font (DejaVu Sans) and the emoji (Twemoji) come from npm packages rather than the
+// system, so every machine renders the same pixels.
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import { Resvg } from '@resvg/resvg-js';
+import { escapeHTML } from './articles.js';
+import { SITE, socialImagePaths } from './site.js';
+
+const require = createRequire(import.meta.url);
+
+const FONT_FILES = ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf']
+    .map(file => require.resolve(`dejavu-fonts-ttf/ttf/${file}`));
+const FONT_FAMILY = 'DejaVu Sans';
+const TWEMOJI_DIR = require.resolve('@twemoji/svg/package.json').replace(/package\.json$/, '');
+
+// Drawn when an article's emoji has no Twemoji image
+const FALLBACK_EMOJI = '🔒';
+
+// --dark in styles.css; every background fades into it so white text stays readable
+const DARK = '#0f172a';
+
+// Average glyph width of DejaVu Sans Bold, in ems, for wrapping titles
+const GLYPH_WIDTH = 0.64;
+
+export const COVER_SIZE = { width: 600, height: 400 };
+export const OG_SIZE = { width: 1200, height: 630 };
+
+// Home screen and install icons, relative to the site root
+export const APP_ICONS = [
+    { fileName: 'images/icons/icon-192.png', size: 192 },
+    { fileName: 'images/icons/icon-512.png', size: 512 },
+    { fileName: 'images/icons/apple-touch-icon.png', size: 180 },
+];
+
+// --primary and --secondary in styles.css
+const BRAND_COLORS = ['#6366f1', '#0ea5e9'];
+
+/**
+ * The Twemoji SVG for an emoji, or null if there is none
+ * @param {string} emoji
+ * @returns {string|null}
+ */
+export function loadEmojiSVG(emoji) {
+    const codePoints = Array.from(emoji, char => char.codePointAt(0).toString(16));
+    // Twemoji drops the emoji presentation selector except inside ZWJ sequences
+    const names = [codePoints.filter(code => code !== 'fe0f').join('-'), codePoints.join('-')];
+
+    for (const name of names) {
+        const file = `${TWEMOJI_DIR}${name}.svg`;
+        if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8');
+    }
+    return null;
+}
+
+function emojiImage(emoji, x, y, size) {
+    const svg = loadEmojiSVG(emoji) || loadEmojiSVG(FALLBACK_EMOJI);
+    const href = `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+    return `<image x="${x}" y="${y}" width="${size}" height="${size}" href="${href}"/>`;
+}
+
+/**
+ * Blend a #rrggbb color towards another
+ */
+function mix(color, other, amount) {
+    const channels = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const [a, b] = [channels(color), channels(other)];
+    return `#${a.map((value, i) => Math.round(value + (b[i] - value) * amount).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function normalizeColor(color) {
+    const hex = String(color || '').trim();
+    if (/^#[0-9a-f]{6}$/i.test(hex)) return hex.toLowerCase();
+    if (/^#[0-9a-f]{3}$/i.test(hex)) return `#${[...hex.slice(1)].map(c => c + c).join('')}`.toLowerCase();
+    return '#3b82f6';
+}
+
+/**
+ * Break text into lines of at most maxChars characters. Text that needs more than
+ * maxLines lines is cut off with an ellipsis.
+ * @param {string} text
+ * @param {number} maxChars
+ * @param {number} maxLines
+ * @returns {{ lines: string[], truncated: boolean }}
+ */
+export function wrapText(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+
+    for (let word of text.split(/\s+/).filter(Boolean)) {
+        while (word.length > maxChars) {
+            if (line) lines.push(line);
+            lines.push(word.slice(0, maxChars - 1) + '-');
+            word = word.slice(maxChars - 1);
+            line = '';
+        }
+        if (line && line.length + 1 + word.length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length <= maxLines) return { lines, truncated: false };
+
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1).replace(/[\s,.;:-]+$/, '')}…`;
+    return { lines: kept, truncated: true };
+}
+
+/**
+ * The largest font size at which the title fits the box, and its lines
+ */
+function fitTitle(title, { width, height, sizes }) {
+    for (const size of sizes) {
+        const maxChars = Math.floor(width / (size * GLYPH_WIDTH));
+        const maxLines = Math.floor(height / (size * 1.2));
+        const fit = wrapText(title, maxChars, maxLines);
+        if (!fit.truncated || size === sizes[sizes.length - 1]) return { size, lines: fit.lines };
+    }
+}
+
+function background({ width, height }, color) {
+    return `<defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${color}"/>
+      <stop offset="1" stop-color="${mix(color, DARK, 0.8)}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${width}" height="${height}" fill="url(#bg)"/>
+  <rect width="${width}" height="${height}" fill="${DARK}" opacity="0.25"/>`;
+}
+
+/**
+ * Draw the card cover: the emoji over the article color, with the category underneath
+ * @param {Object} entry - Manifest entry
+ * @returns {string} SVG
+ */
+export function buildCoverSVG(entry) {
+    const { width, height } = COVER_SIZE;
+    const color = normalizeColor(entry.imageColor);
+    const emojiSize = 150;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  ${background(COVER_SIZE, color)}
+  ${emojiImage(entry.emoji, (width - emojiSize) / 2, 95, emojiSize)}
+  <text x="${width / 2}" y="310" text-anchor="middle" font-family="${FONT_FAMILY}" font-weight="bold" font-size="22" letter-spacing="3" fill="#ffffff" opacity="0.9">${escapeHTML(entry.category.toUpperCase())}</text>
+</svg>
+`;
+}
+
+/**
+ * Draw the Open Graph image: category, title and emoji, with the site name
+ * @param {Object} entry - Manifest entry
+ * @returns {string} SVG
+ */
+export function buildOgSVG(entry) {
+    const { width, height } = OG_SIZE;
+    const color = normalizeColor(entry.imageColor);
+    const padding = 80;
+    const emojiSize = 150;
+
+    const category = entry.category.toUpperCase();
+    const pillWidth = Math.ceil(category.length * (20 * GLYPH_WIDTH + 2.5) + 40);
+    const { size, lines } = fitTitle(entry.title, {
+        width: width - padding * 2,
+        height: 330,
+        sizes: [64, 56, 48, 42],
+    });
+    const title = lines.map((line, i) =>
+        `<tspan x="${padding}" dy="${i === 0 ? size : Math.round(size * 1.2)}">${escapeHTML(line)}</tspan>`
+    ).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  ${background(OG_SIZE, color)}
+  <rect x="${padding}" y="${padding}" width="${pillWidth}" height="44" rx="22" fill="#ffffff" opacity="0.18"/>
+  <text x="${padding + 20}" y="${padding + 29}" font-family="${FONT_FAMILY}" font-weight="bold" font-size="20" letter-spacing="2.5" fill="#ffffff">${escapeHTML(category)}</text>
+  ${emojiImage(entry.emoji, width - padding - emojiSize, padding - 20, emojiSize)}
+  <text y="190" font-family="${FONT_FAMILY}" font-weight="bold" font-size="${size}" fill="#ffffff">${title}</text>
+  <text x="${padding}" y="${height - 50}" font-family="${FONT_FAMILY}" font-size="26" fill="#ffffff" opacity="0.75">${escapeHTML(SITE.url.replace(/^https?:\/\/(www\.)?/, ''))}</text>
+</svg>
+`;
+}
+
+/**
+ * Draw the app icon: the site's shield on the brand gradient. The whole square is
+ * painted and the shield stays inside the middle 60%, so platforms that crop icons to a
+ * circle or rounded square (maskable icons) never cut it off.
+ * @param {number} size - Width and height in pixels
+ * @returns {string} SVG
+ */
+export function buildIconSVG(size) {
+    const emojiSize = Math.round(size * 0.6);
+    const offset = (size - emojiSize) / 2;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${BRAND_COLORS[0]}"/>
+      <stop offset="1" stop-color="${BRAND_COLORS[1]}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${size}" height="${size}" fill="url(#bg)"/>
+  ${emojiImage('🛡️', offset, offset, emojiSize)}
+</svg>
+`;
+}
+
+/**
+ * Rasterize an SVG with the bundled fonts
+ * @param {string} svg
+ * @returns {Buffer} PNG
+ */
+export function renderPNG(svg) {
+    const resvg = new Resvg(svg, {
+        font: {
+            fontFiles: FONT_FILES,
+            loadSystemFonts: false,
+            defaultFontFamily: FONT_FAMILY,
+        },
+    });
+    return resvg.render().asPng();
+}
+
+/**
+ * The images of every published article
+ * @param {Object} manifest - Output of buildManifest()
+ * @returns {Array<{ fileName: string, render: () => Buffer }>} Rendered on demand, since
+ *   each PNG takes a moment
+ */
+export function listSocialImages(manifest) {
+    return manifest.articles.flatMap(entry => {
+        const paths = socialImagePaths(entry.slug);
+        return [
+            { fileName: paths.cover, render: () => renderPNG(buildCoverSVG(entry)) },
+            { fileName: paths.og, render: () => renderPNG(buildOgSVG(entry)) },
+        ];
+    });
+}
+
+/**
+ * The app icons listed in the web app manifest
+ * @returns {Array<{ fileName: string, render: () => Buffer }>}
+ */
+export function listAppIcons() {
+    return APP_ICONS.map(({ fileName, size }) => ({ fileName, render: () => renderPNG(buildIconSVG(size)) }));
+}
@@ -0,0 +1,73 @@
+// scripts/lib/vite-plugin-articles.js - Renders content/articles/ sources during dev and build
+
+import path from 'path';
+import { ARTICLE_PATHS, renderArticles, addTableOfContents, isGeneratedHTML } from './articles.js';
+import { MANIFEST_PATHS, writeSiteIndexes } from './manifest.js';
+import { pageInputs } from './pages.js';
+
+/**
+ * Vite plugin that keeps articles/*.html, articles.json, the article grids and the
+ * category pages in sync with their sources.
+ *
+ * - On startup (dev and build) every source is rendered through the shared layout and
+ *   the manifest is rebuilt. Every page on disk then becomes a Rollup input, found by
+ *   walking the tree, so a new page needs no config change. Drafts are rendered for
+ *   local preview but left out of the build.
+ * - In dev, editing a source or a layout re-renders the affected pages; Vite then
+ *   reloads the browser because the HTML on disk changed.
+ * - Hand-written article pages get heading ids and a regenerated table of contents
+ *   as they are served or built. Rendered pages already have both.
+ */
+export default function articlesPlugin() {
+    return {
+        name: 'noidentity-articles',
+
+        config() {
+            renderArticles();
+            const { manifest } = writeSiteIndexes();
+
+            // Discovered after rendering, so pages from new sources are included
+            const input = pageInputs({ exclude: manifest.drafts.map(slug => `articles/${slug}.html`) });
+            return { build: { rollupOptions: { input } } };
+        },
+
+        transformIndexHtml: {
+            order: 'pre',
+            handler(html, ctx) {
+                const file = path.resolve(ctx.filename);
+                if (!file.startsWith(ARTICLE_PATHS.outputDir + path.sep) || isGeneratedHTML(html)) {
+                    return html;
+                }
+                return addTableOfContents(html);
+            },
+        },
+
+        configureServer(server) {
+            const layouts = [ARTICLE_PATHS.layout, MANIFEST_PATHS.categoryLayout, MANIFEST_PATHS.categoryDescriptions];
+            server.watcher.add([ARTICLE_PATHS.sourcesDir, ...layouts]);
+
+            const rerender = (file) => {
+                const resolved = path.resolve(file);
+                if (!resolved.startsWith(ARTICLE_PATHS.sourcesDir) && !layouts.includes(resolved)) {
+                    return;
+                }
+
+                try {
+                    const changed = renderArticles().filter(result => result.changed);
+                    changed.forEach(({ article }) => {
+                        server.config.logger.info(`📰 Re-rendered articles/${article.file}`, { timestamp: true });
+                    });
+                    writeSiteIndexes().changed.forEach(file => {
+                        server.config.logger.info(`🧩 Updated ${file}`, { timestamp: true });
+                    });
+                } catch (error) {
+                    server.config.logger.error(`❌ Article render failed: ${error.message}`, { timestamp: true });
+                }
+            };
+
+            server.watcher.on('add', rerender);
+            server.watcher.on('change', rerender);
+            server.watcher.on('unlink', rerender);
+        },
+    };
+}
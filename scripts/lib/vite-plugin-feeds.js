@@ -0,0 +1,45 @@
+// scripts/lib/vite-plugin-feeds.js - Serves and emits the sitemap, feeds and robots.txt
+
+import { buildSiteFiles } from './feeds.js';
+
+const CONTENT_TYPES = {
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+};
+
+/**
+ * Vite plugin for sitemap.xml, robots.txt, feed.xml, atom.xml and the per-category
+ * feeds in categories/.
+ *
+ * - In dev the files are rebuilt whenever one is requested, so they always reflect
+ *   the articles currently on disk.
+ * - In a build every file is emitted once into dist.
+ */
+export default function feedsPlugin() {
+    return {
+        name: 'noidentity-feeds',
+
+        configureServer(server) {
+            server.middlewares.use((req, res, next) => {
+                const pathname = (req.url || '').split('?')[0];
+                const type = CONTENT_TYPES[pathname.slice(pathname.lastIndexOf('.'))];
+                if (!type) return next();
+
+                try {
+                    const source = buildSiteFiles()[pathname.slice(1)];
+                    if (source === undefined) return next();
+                    res.setHeader('Content-Type', type);
+                    res.end(source);
+                } catch (error) {
+                    next(error);
+                }
+            });
+        },
+
+        generateBundle() {
+            for (const [fileName, source] of Object.entries(buildSiteFiles())) {
+                this.emitFile({ type: 'asset', fileName, source });
+            }
+        },
+    };
+}
@@ -0,0 +1,38 @@
+// scripts/lib/vite-plugin-images.js - Serves and emits the article cover and Open Graph images
+
+import { buildManifest } from './manifest.js';
+import { listSocialImages } from './social-images.js';
+
+/**
+ * Vite plugin for images/covers/<slug>.png and images/og/<slug>.png.
+ *
+ * - In dev an image is drawn when it is requested, from the article as it is on disk.
+ * - In a build every published article's images are emitted into dist.
+ */
+export default function socialImagesPlugin() {
+    return {
+        name: 'noidentity-social-images',
+
+        configureServer(server) {
+            server.middlewares.use('/images', (req, res, next) => {
+                const fileName = `images${(req.url || '').split('?')[0]}`;
+                if (!fileName.endsWith('.png')) return next();
+
+                try {
+                    const image = listSocialImages(buildManifest()).find(item => item.fileName === fileName);
+                    if (!image) return next();
+                    res.setHeader('Content-Type', 'image/png');
+                    res.end(image.render());
+                } catch (error) {
+                    next(error);
+                }
+            });
+        },
+
+        generateBundle() {
+            for (const image of listSocialImages(buildManifest())) {
+                this.emitFile({ type: 'asset', fileName: image.fileName, source: image.render() });
+            }
+        },
+    };
+}
@@ -0,0 +1,63 @@
+// scripts/lib/vite-plugin-offline.js - Emits the service worker, web app manifest and app icons
+
+import { listAppIcons } from './social-images.js';
+import {
+    WEB_MANIFEST_FILE, SERVICE_WORKER_FILE, buildWebManifest, buildVersion, listPrecacheURLs, buildServiceWorker
+} from './offline.js';
+
+/**
+ * Vite plugin for offline reading and installing the site as an app.
+ *
+ * - In dev site.webmanifest and the icons are served on request. There is no service
+ *   worker in dev, so pages always come fresh from the dev server.
+ * - In a build the manifest and icons are emitted, then service-worker.js, last of all:
+ *   its version is a hash of everything else in dist, and it precaches the shell.
+ */
+export default function offlinePlugin() {
+    return {
+        name: 'noidentity-offline',
+
+        configureServer(server) {
+            server.middlewares.use((req, res, next) => {
+                const fileName = (req.url || '').split('?')[0].slice(1);
+
+                try {
+                    if (fileName === WEB_MANIFEST_FILE) {
+                        res.setHeader('Content-Type', 'application/manifest+json; charset=utf-8');
+                        return res.end(buildWebManifest());
+                    }
+                    const icon = listAppIcons().find(item => item.fileName === fileName);
+                    if (!icon) return next();
+                    res.setHeader('Content-Type', 'image/png');
+                    res.end(icon.render());
+                } catch (error) {
+                    next(error);
+                }
+            });
+        },
+
+        generateBundle: {
+            // After every other plugin has emitted its files, so the version covers them
+            order: 'post',
+            handler(options, bundle) {
+                this.emitFile({ type: 'asset', fileName: WEB_MANIFEST_FILE, source: buildWebManifest() });
+                for (const icon of listAppIcons()) {
+                    this.emitFile({ type: 'asset', fileName: icon.fileName, source: icon.render() });
+                }
+
+                const files = Object.values(bundle).map(item => ({
+                    fileName: item.fileName,
+                    source: item.type === 'chunk' ? item.code : item.source,
+                }));
+                this.emitFile({
+                    type: 'asset',
+                    fileName: SERVICE_WORKER_FILE,
+                    source: buildServiceWorker({
+                        version: buildVersion(files),
+                        precache: listPrecacheURLs(files.map(file => file.fileName)),
+                    }),
+                });
+            },
+        },
+    };
+}
@@ -0,0 +1,39 @@
+// scripts/lib/vite-plugin-partials.js - Fills <!-- include:name --> markers from partials/
+
+import path from 'path';
+import { PAGE_PATHS, expandIncludes } from './pages.js';
+
+/**
+ * Vite plugin that puts the shared header, footer and other fragments into every page.
+ *
+ * - Markers are expanded before Vite processes the HTML, so scripts and stylesheets in a
+ *   partial are bundled like ones written into the page.
+ * - In dev, editing a partial reloads the browser, since every page may use it.
+ */
+export default function partialsPlugin() {
+    return {
+        name: 'noidentity-partials',
+
+        transformIndexHtml: {
+            order: 'pre',
+            handler(html, ctx) {
+                const page = path.relative(PAGE_PATHS.rootDir, path.resolve(ctx.filename)).split(path.sep).join('/');
+                return expandIncludes(html, page);
+            },
+        },
+
+        configureServer(server) {
+            server.watcher.add(PAGE_PATHS.partialsDir);
+
+            const reload = (file) => {
+                if (!path.resolve(file).startsWith(PAGE_PATHS.partialsDir + path.sep)) return;
+                server.config.logger.info(`🧩 Partial changed: partials/${path.basename(file)}`, { timestamp: true });
+                server.ws.send({ type: 'full-reload' });
+            };
+
+            server.watcher.on('add', reload);
+            server.watcher.on('change', reload);
+            server.watcher.on('unlink', reload);
+        },
+    };
+}
@@ -0,0 +1,35 @@
+// scripts/lib/vite-plugin-search.js - Serves and emits search-index.json
+
+import { buildSearchIndex, SEARCH_INDEX_FILE } from './search-index.js';
+
+/**
+ * Vite plugin that builds the article search index.
+ *
+ * - In dev the index is rebuilt on every request, so it always reflects the
+ *   articles currently on disk.
+ * - In a build it is emitted once as dist/search-index.json.
+ */
+export default function searchIndexPlugin() {
+    return {
+        name: 'noidentity-search-index',
+
+        configureServer(server) {
+            server.middlewares.use(`/${SEARCH_INDEX_FILE}`, (req, res, next) => {
+                try {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify(buildSearchIndex()));
+                } catch (error) {
+                    next(error);
+                }
+            });
+        },
+
+        generateBundle() {
+            this.emitFile({
+                type: 'asset',
+                fileName: SEARCH_INDEX_FILE,
+                source: JSON.stringify(buildSearchIndex()),
+            });
+        },
+    };
+}
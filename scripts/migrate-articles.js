@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * migrate-articles.js
+ *
+ * One-off converter that turns hand-written article pages into structured
+ * sources in content/articles/, then re-renders them through the shared layout.
+ * Only pages that follow the standard article layout (article header, content
+ * and sidebar, no page-specific styles or scripts) are migrated; anything else
+ * is reported and left untouched.
+ *
+ * Usage:
+ *   node scripts/migrate-articles.js
+ *
+ * Options:
+ *   --dry-run    Preview which pages would be migrated
+ *   --verbose    Show detailed output for each file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import {
+    ARTICLE_PATHS,
+    isGeneratedPage,
+    serializeArticleSource,
+    renderArticles
+} from './lib/articles.js';
+
+const ARTICLES_PAGE = path.join(ARTICLE_PATHS.rootDir, 'articles.html');
+const DEFAULT_EMOJI = '🔒';
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const VERBOSE = args.includes('--verbose');
+
+const stats = {
+    migrated: [],
+    skipped: [],
+};
+
+/**
+ * Main function
+ */
+function main() {
+    console.log('📦 NoIdentity.space Article Migration');
+    console.log('=====================================\n');
+
+    if (DRY_RUN) {
+        console.log('⚠️  DRY RUN MODE - No files will be modified\n');
+    }
+
+    const cards = readArticleCards();
+    const files = fs.readdirSync(ARTICLE_PATHS.outputDir).filter(f => f.endsWith('.html'));
+
+    for (const file of files) {
+        const filepath = path.join(ARTICLE_PATHS.outputDir, file);
+        const slug = path.basename(file, '.html');
+        const target = path.join(ARTICLE_PATHS.sourcesDir, `${slug}.md`);
+
+        if (isGeneratedPage(filepath)) {
+            if (VERBOSE) console.log(`⏭️  ${file} - Already rendered from a source`);
+            continue;
+        }
+
+        if (fs.existsSync(target)) {
+            stats.skipped.push({ file, reason: `content/articles/${slug}.md already exists` });
+            continue;
+        }
+
+        const $ = cheerio.load(fs.readFileSync(filepath, 'utf8'));
+        const reason = findBlocker($);
+        if (reason) {
+            stats.skipped.push({ file, reason });
+            if (VERBOSE) console.log(`⏭️  ${file} - ${reason}`);
+            continue;
+        }
+
+        const { data, body } = extractArticle($, cards.get(file));
+
+        if (!DRY_RUN) {
+            fs.mkdirSync(ARTICLE_PATHS.sourcesDir, { recursive: true });
+            fs.writeFileSync(target, serializeArticleSource(data, body), 'utf8');
+        }
+
+        stats.migrated.push(file);
+        console.log(`${DRY_RUN ? '🔍' : '✅'} ${file} → content/articles/${slug}.md`);
+    }
+
+    if (!DRY_RUN && stats.migrated.length > 0) {
+        // The migrated pages are hand-written, so the renderer must be allowed to replace them
+        renderArticles({ force: true });
+        console.log(`\n🧩 Re-rendered ${stats.migrated.length} pages through templates/article.html`);
+    }
+
+    printSummary();
+}
+
+/**
+ * Summaries and card colours from articles.html, keyed by article filename
+ */
+function readArticleCards() {
+    const cards = new Map();
+    if (!fs.existsSync(ARTICLES_PAGE)) return cards;
+
+    const $ = cheerio.load(fs.readFileSync(ARTICLES_PAGE, 'utf8'));
+    $('.article-grid a.article-card').each((i, el) => {
+        const card = $(el);
+        const file = path.basename(card.attr('href') || '');
+        const colorMatch = (card.find('img').attr('src') || '').match(/placehold\.co\/\d+x\d+\/([0-9a-f]{3,6})\//i);
+
+        cards.set(file, {
+            summary: collapse(card.find('.card-content p').first().text()),
+            imageColor: colorMatch ? `#${colorMatch[1].toLowerCase()}` : undefined,
+        });
+    });
+
+    return cards;
+}
+
+/**
+ * Return a reason the page can't be migrated automatically, or null
+ */
+function findBlocker($) {
+    for (const selector of ['.article-header h1', '.article-category', '.article-meta', '.article-content', '.sidebar']) {
+        if ($(selector).length === 0) return `No ${selector} element`;
+    }
+    if ($('.article-content').length > 1) return 'More than one .article-content element';
+    if ($('style').length > 0) return 'Page-specific <style> block';
+    if ($('.article-content script').length > 0) return 'Inline scripts inside the article';
+
+    return null;
+}
+
+/**
+ * Pull frontmatter fields and the body HTML out of a standard article page
+ */
+function extractArticle($, card = {}) {
+    const title = collapse($('.article-header h1').first().text());
+    const metaSpans = $('.article-meta span').map((i, el) => collapse($(el).text())).get();
+    const date = parseDisplayDate(metaSpans[0]);
+    const readingTime = (metaSpans[2] || '').replace(/^⏱️\s*/, '') || undefined;
+    const author = (metaSpans[4] || '').replace(/^✍️\s*/, '') || undefined;
+    const description = collapse($('meta[name="description"]').attr('content'));
+    const pageTitle = collapse($('title').first().text());
+
+    const content = $('.article-content').first();
+    const emoji = collapse(content.children('.featured-image').first().text()) || DEFAULT_EMOJI;
+
+    // The layout supplies the featured image, share buttons and author box
+    content.children('.featured-image, .share-buttons, .author-box').remove();
+
+    const blocks = [];
+    content.contents().each((i, node) => {
+        if (node.type === 'text') {
+            const text = collapse($(node).text());
+            if (text) blocks.push(`<p>${text}</p>`);
+            return;
+        }
+        blocks.push(dedent($.html(node)));
+    });
+
+    return {
+        data: {
+            title,
+            category: collapse($('.article-category').first().text()),
+            date,
+            emoji,
+            summary: card.summary || description,
+            description: description !== (card.summary || description) ? description : undefined,
+            keywords: ($('meta[name="keywords"]').attr('content') || '')
+                .split(',').map(k => k.trim()).filter(Boolean),
+            readingTime,
+            author: author && author !== 'NoIdentity Team' ? author : undefined,
+            imageColor: card.imageColor,
+            pageTitle: pageTitle && pageTitle !== `${title} | NoIdentity.Space` ? pageTitle : undefined,
+        },
+        body: blocks.filter(Boolean).join('\n\n'),
+    };
+}
+
+/**
+ * "📅 November 5, 2025" → "2025-11-05"
+ */
+function parseDisplayDate(text = '') {
+    const parsed = new Date(`${text.replace(/^📅\s*/, '')} UTC`);
+    if (isNaN(parsed)) {
+        throw new Error(`Could not parse article date "${text}"`);
+    }
+    return parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Strip indentation and blank lines so Markdown treats each element as one raw HTML block
+ */
+function dedent(html) {
+    return html
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+function collapse(text = '') {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Print summary of operations
+ */
+function printSummary() {
+    console.log('\n=====================================');
+    console.log('📊 SUMMARY');
+    console.log('=====================================\n');
+
+    console.log(`Migrated:                ${stats.migrated.length}`);
+    console.log(`Needs manual migration:  ${stats.skipped.length}`);
+
+    if (stats.skipped.length > 0) {
+        console.log(`\n⏭️  Skipped files:`);
+        stats.skipped.forEach(s => console.log(`   - ${s.file}: ${s.reason}`));
+    }
+
+    if (DRY_RUN && stats.migrated.length > 0) {
+        console.log(`\n💡 Run without --dry-run to apply changes`);
+    }
+
+    console.log('\n✨ Done!\n');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+}
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * render-articles.js
+ *
+ * Renders every article source in content/articles/ (Markdown or JSON with
+ * frontmatter) through templates/article.html into articles/<slug>.html, then
+ * rebuilds articles.json and the article grids on articles.html and index.html.
+ * The Vite build does this automatically; run it by hand to preview output
+ * or after editing the layout.
+ *
+ * Usage:
+ *   node scripts/render-articles.js
+ *
+ * Options:
+ *   --dry-run    Report which pages would change without writing them
+ *   --verbose    List unchanged pages too
+ */
+
+import path from 'path';
+import { ARTICLE_PATHS, renderArticles } from './lib/articles.js';
+import { writeSiteIndexes } from './lib/manifest.js';
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const VERBOSE = args.includes('--verbose');
+
+function main() {
+    console.log('📰 NoIdentity.space Article Renderer');
+    console.log('====================================\n');
+
+    if (DRY_RUN) {
+        console.log('⚠️  DRY RUN MODE - No files will be modified\n');
+    }
+
+    const results = renderArticles({ write: !DRY_RUN });
+    let changed = 0;
+
+    for (const { article, outputPath, changed: isChanged } of results) {
+        const relative = path.relative(ARTICLE_PATHS.rootDir, outputPath);
+        if (isChanged) {
+            changed++;
+            console.log(`${DRY_RUN ? '🔍' : '✅'} ${article.source} → ${relative}`);
+        } else if (VERBOSE) {
+            console.log(`⏭️  ${relative} - Up to date`);
+        }
+    }
+
+    const { manifest, changed: indexes } = writeSiteIndexes({ write: !DRY_RUN });
+    indexes.forEach(file => console.log(`${DRY_RUN ? '🔍' : '🧩'} ${file}`));
+
+    if (manifest.drafts.length > 0) {
+        console.log(`\n📝 Drafts (not published): ${manifest.drafts.join(', ')}`);
+    }
+
+    console.log(`\n${results.length} sources, ${changed} page${changed === 1 ? '' : 's'} ${DRY_RUN ? 'would change' : 'updated'}.`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,189 @@
+// search-engine.js - Tokenizing, ranking and snippets for the article search
+// Pure functions only: imported by the browser (search.js) and by the build step
+// that writes search-index.json (scripts/lib/search-index.js), so both sides
+// tokenize text exactly the same way.
+
+/**
+ * Field weights applied when the index is built
+ */
+export const FIELD_WEIGHTS = {
+    title: 6,
+    headings: 3,
+    summary: 2,
+    tags: 2,
+    body: 1
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from',
+    'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our',
+    'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+    'with', 'you', 'your'
+]);
+
+const SNIPPET_RADIUS = 90;
+
+/**
+ * Reduce a word to a simple stem so "passwords" finds "password"
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+export function stem(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+    if (word.endsWith('sses')) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Split text into normalized, stemmed search terms
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.keepStopWords=false]
+ * @returns {string[]}
+ */
+export function tokenize(text, { keepStopWords = false } = {}) {
+    if (!text) return [];
+
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 1 && (keepStopWords || !STOP_WORDS.has(word)))
+        .map(stem);
+}
+
+/**
+ * Rank documents for a query
+ * @param {Object} index - Parsed search-index.json ({ docs, terms }). Terms are looked up as own
+ *   keys only, so words like "constructor" don't find Object.prototype members.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @returns {Array<{ doc: Object, score: number }>} Best match first
+ */
+export function search(index, query, { limit = 20 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const totalDocs = index.docs.length;
+    const scores = new Map();
+    const matchedTerms = new Map();
+
+    queryTerms.forEach((term, position) => {
+        // Treat the last word as a prefix so results update while the user is still typing
+        const isLast = position === queryTerms.length - 1;
+        const candidates = isLast
+            ? Object.keys(index.terms).filter(t => t === term || (term.length >= 3 && t.startsWith(term)))
+            : (Object.hasOwn(index.terms, term) ? [term] : []);
+
+        const seenForTerm = new Set();
+
+        for (const candidate of candidates) {
+            const postings = index.terms[candidate];
+            const idf = Math.log(1 + totalDocs / postings.length);
+            // Exact matches outrank prefix matches
+            const exactness = candidate === term ? 1 : 0.6;
+
+            for (const [docId, weight] of postings) {
+                scores.set(docId, (scores.get(docId) || 0) + weight * idf * exactness);
+                seenForTerm.add(docId);
+            }
+        }
+
+        seenForTerm.forEach(docId => {
+            matchedTerms.set(docId, (matchedTerms.get(docId) || 0) + 1);
+        });
+    });
+
+    return [...scores.entries()]
+        .map(([docId, score]) => ({
+            doc: index.docs[docId],
+            // Documents matching every query word come first
+            score: score * Math.pow(2, (matchedTerms.get(docId) || 0) - queryTerms.length)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Escape text for safe insertion with innerHTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#x27;');
+}
+
+/**
+ * Wrap every word matching the query in <mark>. Output is HTML-escaped.
+ * @param {string} text
+ * @param {string} query
+ * @returns {string}
+ */
+export function highlight(text, query) {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) return escapeHTML(text);
+
+    return String(text)
+        .split(/([\p{L}\p{N}]+)/u)
+        .map(part => {
+            const [term] = tokenize(part, { keepStopWords: true });
+            const matches = term && queryTerms.some(q => term === q || (q.length >= 3 && term.startsWith(q)));
+            return matches ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part);
+        })
+        .join('');
+}
+
+/**
+ * The passage of text around its first word matching the query, with matches highlighted
+ * @returns {string|null} HTML, or null if no word matches
+ */
+function findPassage(text, query, queryTerms) {
+    let offset = 0;
+
+    for (const part of text.split(/([\p{L}\p{N}]+)/u)) {
+        const [term] = tokenize(part, { keepStopWords: true });
+        if (term && queryTerms.some(q => term === q || (q.length >= 3 && term.startsWith(q)))) {
+            let start = Math.max(0, offset - SNIPPET_RADIUS);
+            let end = Math.min(text.length, offset + part.length + SNIPPET_RADIUS);
+
+            // Don't cut words in half at either edge
+            if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+            if (end < text.length) {
+                const space = text.lastIndexOf(' ', end);
+                if (space > offset) end = space;
+            }
+
+            const passage = text.slice(start, end);
+            return `${start > 0 ? '…' : ''}${highlight(passage, query)}${end < text.length ? '…' : ''}`;
+        }
+        offset += part.length;
+    }
+
+    return null;
+}
+
+/**
+ * Pick the passage of a document that best shows the query, with matches highlighted.
+ * Tries the summary first, then the opening of the article body.
+ * @param {Object} doc - Index document ({ summary, excerpt })
+ * @param {string} query
+ * @returns {string} HTML snippet
+ */
+export function makeSnippet(doc, query) {
+    const queryTerms = tokenize(query);
+    const summary = doc.summary || '';
+
+    return findPassage(summary, query, queryTerms)
+        || findPassage(doc.excerpt || '', query, queryTerms)
+        || highlight(summary, query);
+}
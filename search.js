@@ -0,0 +1,127 @@
+// search.js - Client-side article search for articles.html
+// Runs entirely in the browser: the index is a static file served by this site,
+// and queries never leave the device.
+
+import { search, highlight, makeSnippet, escapeHTML } from './search-engine.js';
+
+const INDEX_URL = '/search-index.json';
+const MAX_RESULTS = 20;
+const INPUT_DEBOUNCE_MS = 120;
+
+let indexPromise = null;
+
+/**
+ * Fetch the search index once, the first time it's needed
+ */
+function loadIndex() {
+    if (!indexPromise) {
+        indexPromise = fetch(INDEX_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`Search index request failed (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                indexPromise = null; // Allow a retry on the next keystroke
+                throw error;
+            });
+    }
+    return indexPromise;
+}
+
+/**
+ * Render ranked results as cards with highlighted titles and snippets
+ */
+function renderResults(container, results, query) {
+    container.innerHTML = results.map(({ doc }) => `
+        <a href="${escapeHTML(doc.url)}" class="search-result">
+            <h3>${highlight(doc.title, query)}</h3>
+            <p>${makeSnippet(doc, query)}</p>
+            <span>${escapeHTML(doc.category)}</span>
+        </a>`).join('');
+}
+
+/**
+ * Wire up the search box on articles.html
+ */
+function setupArticleSearch() {
+    const input = document.getElementById('articleSearch');
+    const status = document.getElementById('searchStatus');
+    const resultsContainer = document.getElementById('searchResults');
+    const grid = document.querySelector('.article-grid');
+
+    if (!input || !status || !resultsContainer) return;
+
+    let debounceTimer = null;
+
+    const showGrid = () => {
+        resultsContainer.innerHTML = '';
+        resultsContainer.hidden = true;
+        status.textContent = '';
+        if (grid) grid.hidden = false;
+    };
+
+    const runSearch = async () => {
+        const query = input.value.trim();
+        if (!query) {
+            showGrid();
+            return;
+        }
+
+        let index;
+        try {
+            status.textContent = 'Searching…';
+            index = await loadIndex();
+        } catch (error) {
+            console.error('[Search] Could not load the search index:', error);
+            status.textContent = 'Search is unavailable right now. Please try again later.';
+            return;
+        }
+
+        // Ignore stale responses if the user kept typing
+        if (input.value.trim() !== query) return;
+
+        let results;
+        try {
+            results = search(index, query, { limit: MAX_RESULTS });
+            renderResults(resultsContainer, results, query);
+        } catch (error) {
+            console.error('[Search] Search failed:', error);
+            showGrid();
+            status.textContent = 'Something went wrong with that search. Please try different words.';
+            return;
+        }
+        resultsContainer.hidden = false;
+        if (grid) grid.hidden = true;
+
+        status.textContent = results.length === 0
+            ? `No articles match "${query}".`
+            : `${results.length} article${results.length === 1 ? '' : 's'} found for "${query}".`;
+    };
+
+    // Start downloading the index as soon as the user shows interest
+    input.addEventListener('focus', () => loadIndex().catch(() => { }), { once: true });
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(runSearch, INPUT_DEBOUNCE_MS);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            input.value = '';
+            showGrid();
+        }
+    });
+
+    // The form only exists for semantics; searching happens as you type
+    const form = input.closest('form');
+    if (form) {
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            clearTimeout(debounceTimer);
+            runSearch();
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', setupArticleSearch);
@@ -0,0 +1,159 @@
+// service-worker.js - Offline reading for NoIdentity.Space
+// A build puts `self.__OFFLINE_BUILD = { version, precache }` in front of this script
+// (see scripts/lib/offline.js). It is a classic worker script, not a module, so it works
+// in every browser that has service workers.
+//
+// - The shell (home page, article list, offline page, scripts and styles) is cached on
+//   install, in a cache named after the build. Activating a new build deletes the caches
+//   of older ones.
+// - Pages come from the network first. Offline, a page the reader saved (see offline.js)
+//   or one in the shell is shown instead, and offline.html for anything else.
+// - The search index isn't precached, since most visitors never search. The first search
+//   caches it with the shell, so searching works offline from then on.
+// - Saved pages are refreshed whenever the reader opens them online, and all of them
+//   when a new build activates, so they never point at scripts that no longer exist.
+
+const { version: BUILD_VERSION, precache: PRECACHE_URLS } = self.__OFFLINE_BUILD || { version: 'dev', precache: [] };
+
+const SHELL_CACHE_PREFIX = 'nis-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${BUILD_VERSION}`;
+// SAVED_CACHE in offline.js
+const SAVED_CACHE = 'nis-saved-articles';
+const OFFLINE_PAGE = '/offline.html';
+// SEARCH_INDEX_FILE in scripts/lib/search-index.js
+const SEARCH_INDEX_URL = '/search-index.json';
+
+/**
+ * The cache key of a page: no query string or fragment
+ */
+function pageKey(url) {
+    const clean = new URL(url, self.location.origin);
+    return `${clean.origin}${clean.pathname}`;
+}
+
+/**
+ * A cached copy of a page, trying "/x" as "/x.html" the way GitHub Pages serves it
+ */
+async function matchPage(url) {
+    const key = pageKey(url);
+    const candidates = [key];
+    if (key.endsWith('/')) candidates.push(`${key}index.html`);
+    else if (!/\.[a-z0-9]+$/i.test(key)) candidates.push(`${key}.html`);
+
+    for (const candidate of candidates) {
+        const cached = await caches.match(candidate, { ignoreSearch: true });
+        if (cached) return cached;
+    }
+    return null;
+}
+
+/**
+ * Network first; keep a saved copy of the page current; fall back to the caches offline
+ */
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const saved = await caches.open(SAVED_CACHE);
+            const key = pageKey(request.url);
+            if (await saved.match(key)) await saved.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await matchPage(request.url)) || (await caches.match(OFFLINE_PAGE)) || Response.error();
+    }
+}
+
+/**
+ * Hashed build assets never change, so the cached copy is always right
+ */
+async function handleAsset(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Network first, keeping a copy in this build's shell cache for offline searches
+ */
+async function handleSearchIndex(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const shell = await caches.open(SHELL_CACHE);
+            await shell.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function handleOther(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Download every saved page again. A page that can't be fetched keeps its old copy.
+ */
+async function refreshSavedPages() {
+    const saved = await caches.open(SAVED_CACHE);
+    for (const request of await saved.keys()) {
+        try {
+            const response = await fetch(request.url, { cache: 'no-cache' });
+            if (response.ok) await saved.put(request, response);
+        } catch (error) {
+            // Offline while activating; the next visit online refreshes it
+        }
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await refreshSavedPages();
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Analytics, ads and fonts from other origins are none of our business
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.startsWith('/assets/')) {
+        event.respondWith(handleAsset(request));
+    } else if (url.pathname === SEARCH_INDEX_URL) {
+        event.respondWith(handleSearchIndex(request));
+    } else {
+        event.respondWith(handleOther(request));
+    }
+});
@@ -0,0 +1,226 @@
+// share.js - Share buttons for article pages
+// Builds plain share links from the page's canonical URL and title. No third-party
+// share SDKs, widgets or tracking pixels are loaded: nothing leaves the browser until
+// the reader clicks a link, and then only the URL and title they chose to share.
+
+const MASTODON_STORAGE_KEY = 'nis_mastodon_instance';
+const COPY_FEEDBACK_MS = 2500;
+
+const feedbackTimers = new WeakMap();
+
+/**
+ * Intent URL builders for each share target
+ */
+export const SHARE_TARGETS = {
+    x: ({ url, title }) =>
+        `https://x.com/intent/tweet?${new URLSearchParams({ url, text: title })}`,
+    facebook: ({ url }) =>
+        `https://www.facebook.com/sharer/sharer.php?${new URLSearchParams({ u: url })}`,
+    linkedin: ({ url }) =>
+        `https://www.linkedin.com/sharing/share-offsite/?${new URLSearchParams({ url })}`,
+    mastodon: ({ url, title }, { instance } = {}) =>
+        `https://${instance}/share?${new URLSearchParams({ text: `${title} ${url}` })}`,
+    email: ({ url, title }) =>
+        `mailto:?subject=${encodeURIComponent(title)}&body=${encodeURIComponent(`${title}\n\n${url}`)}`,
+};
+
+/**
+ * Read the URL and title to share from the page
+ * The canonical URL is preferred so tracking parameters and fragments are never shared.
+ * @param {Document} [doc=document]
+ * @returns {{ url: string, title: string }}
+ */
+export function getShareData(doc = document) {
+    const canonical = doc.querySelector('link[rel="canonical"]');
+    const ogTitle = doc.querySelector('meta[property="og:title"]');
+    const { origin, pathname } = doc.location;
+
+    return {
+        url: canonical && canonical.href ? canonical.href : `${origin}${pathname}`,
+        title: (ogTitle && ogTitle.content) || doc.title,
+    };
+}
+
+/**
+ * Normalize what a reader typed as their Mastodon server
+ * @param {string} value - e.g. "mastodon.social", "https://fosstodon.org/", "@me@hachyderm.io"
+ * @returns {string|null} A bare hostname, or null if it isn't one
+ */
+export function normalizeMastodonInstance(value) {
+    let host = String(value || '').trim().toLowerCase();
+    host = host.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    // Accept a full handle and keep only the server part
+    if (host.includes('@')) host = host.split('@').pop();
+
+    return /^(?=.{4,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(host) ? host : null;
+}
+
+/**
+ * Copy text to the clipboard, falling back to a temporary textarea where the
+ * Clipboard API is unavailable (older browsers, non-HTTPS previews)
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+async function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) throw new Error('Copy command was rejected');
+}
+
+function getStoredInstance() {
+    try {
+        return localStorage.getItem(MASTODON_STORAGE_KEY) || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+function storeInstance(instance) {
+    try {
+        localStorage.setItem(MASTODON_STORAGE_KEY, instance);
+    } catch (e) {
+        // Storage disabled; the reader will just be asked again next time
+    }
+}
+
+/**
+ * Show a temporary confirmation on a button and announce it to screen readers
+ */
+function flashFeedback(button, status, message) {
+    if (!button.dataset.label) button.dataset.label = button.textContent;
+    button.textContent = message;
+    status.textContent = message;
+
+    clearTimeout(feedbackTimers.get(button));
+    feedbackTimers.set(button, setTimeout(() => {
+        button.textContent = button.dataset.label;
+        status.textContent = '';
+    }, COPY_FEEDBACK_MS));
+}
+
+/**
+ * Inline form asking which Mastodon server to share to
+ */
+function createMastodonForm(data) {
+    // One form per share block, so each needs its own id
+    const id = `mastodonInstance-${document.querySelectorAll('.share-mastodon').length}`;
+    const form = document.createElement('form');
+    form.className = 'share-mastodon';
+    form.hidden = true;
+    form.innerHTML = `
+        <label for="${id}">Your Mastodon server</label>
+        <input type="text" id="${id}" name="instance" placeholder="mastodon.social"
+            autocomplete="off" autocapitalize="off" spellcheck="false" inputmode="url" required>
+        <button type="submit" class="share-button">Share</button>
+        <p class="share-error" role="alert"></p>`;
+
+    const input = form.querySelector('input');
+    const error = form.querySelector('.share-error');
+    input.value = getStoredInstance();
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const instance = normalizeMastodonInstance(input.value);
+        if (!instance) {
+            error.textContent = 'Enter a server name such as mastodon.social.';
+            input.focus();
+            return;
+        }
+
+        error.textContent = '';
+        storeInstance(instance);
+        window.open(SHARE_TARGETS.mastodon(data, { instance }), '_blank', 'noopener,noreferrer');
+        form.hidden = true;
+    });
+
+    return form;
+}
+
+/**
+ * Wire up every .share-buttons block on the page
+ * @param {ParentNode} [root=document]
+ */
+export function setupShareButtons(root = document) {
+    const blocks = root.querySelectorAll('.share-buttons');
+    if (blocks.length === 0) return;
+
+    const data = getShareData();
+
+    blocks.forEach(block => {
+        const status = document.createElement('p');
+        status.className = 'share-status';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        block.after(status);
+
+        let mastodonForm = null;
+
+        block.querySelectorAll('[data-share]').forEach(button => {
+            const target = button.dataset.share;
+
+            if (target === 'native') {
+                // Only offered where the browser has a share sheet (mostly mobile)
+                if (navigator.share) button.hidden = false;
+                button.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    try {
+                        await navigator.share({ title: data.title, url: data.url });
+                    } catch (error) {
+                        if (error.name !== 'AbortError') console.error('[Share] Native share failed:', error);
+                    }
+                });
+                return;
+            }
+
+            if (target === 'copy') {
+                button.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    try {
+                        await copyText(data.url);
+                        flashFeedback(button, status, '✅ Link copied!');
+                    } catch (error) {
+                        console.error('[Share] Copy failed:', error);
+                        flashFeedback(button, status, '⚠️ Copy failed. Copy the address bar instead.');
+                    }
+                });
+                return;
+            }
+
+            if (target === 'mastodon') {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (!mastodonForm) {
+                        mastodonForm = createMastodonForm(data);
+                        status.before(mastodonForm);
+                    }
+                    mastodonForm.hidden = !mastodonForm.hidden;
+                    button.setAttribute('aria-expanded', String(!mastodonForm.hidden));
+                    if (!mastodonForm.hidden) mastodonForm.querySelector('input').focus();
+                });
+                return;
+            }
+
+            const buildURL = SHARE_TARGETS[target];
+            if (!buildURL) return;
+
+            button.href = buildURL(data);
+            if (target !== 'email') {
+                button.target = '_blank';
+                button.rel = 'noopener noreferrer';
+            }
+        });
+    });
+}
@@ -0,0 +1,197 @@
+// spam-rules.js - Weighted spam rules for the contact and newsletter forms
+// Every rule that matches adds its weight to the submission's score, and the submission
+// is refused once the score reaches the threshold. With the defaults below any single
+// rule is enough, as before; lowering a weight lets a rule count only together with
+// others, and a weight of 0 turns it off.
+//
+// Rules can be changed per form, so a form that gets many non-English names can ease the
+// gibberish check without affecting the others:
+//
+//   configureSpamRules('contactForm', { weights: { 'gibberish-name': 0.5 } });
+//
+// Set localStorage.nis_spam_debug = '1' (or pass debug: true) to log every score and the
+// rules that fired.
+
+import defaultKeywords from './spam-keywords.json';
+import { isGibberish, isPlausibleName } from './gibberish.js';
+
+// Score at which a submission counts as spam
+export const DEFAULT_SPAM_THRESHOLD = 1;
+
+const DEBUG_STORAGE_KEY = 'nis_spam_debug';
+
+/**
+ * Subject and message, lowercased, which most content rules look at
+ */
+function bodyText(fields) {
+    return `${fields.subject || ''} ${fields.message || ''}`.toLowerCase();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A rule that matches any of a list of words or phrases in the subject and message.
+ * It scores its weight once for every different keyword found.
+ * @param {Object} options
+ * @param {string} options.id
+ * @param {string[]} options.keywords - Case-insensitive, matched as whole words
+ * @param {number} [options.weight=1]
+ * @param {string} [options.message]
+ * @returns {Object} A rule
+ */
+export function keywordRule({ id, keywords, weight = 1, message = 'Spam content detected' }) {
+    const cleaned = keywords.map(keyword => String(keyword).trim()).filter(Boolean);
+    // \b only knows ASCII letters, so spell out word boundaries for any script
+    const patterns = cleaned.map(keyword => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}(?![\\p{L}\\p{N}])`, 'iu'));
+
+    return {
+        id,
+        weight,
+        message,
+        test: fields => {
+            const text = bodyText(fields);
+            return patterns.filter(pattern => pattern.test(text)).length;
+        },
+    };
+}
+
+/**
+ * Fetch a keyword list for keywordRule()
+ * @param {string} url - A JSON array, or an object with a `keywords` array like spam-keywords.json
+ * @returns {Promise<string[]>}
+ */
+export async function loadKeywordList(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load keyword list ${url}: HTTP ${response.status}`);
+
+    const body = await response.json();
+    const keywords = Array.isArray(body) ? body : body && body.keywords;
+    if (!Array.isArray(keywords)) throw new Error(`Keyword list ${url} has no keywords array`);
+    return keywords;
+}
+
+/**
+ * The rules every form starts with. A rule's test gets the submitted text fields
+ * and returns true, false or a count (the weight is added that many times).
+ */
+export const DEFAULT_SPAM_RULES = [
+    // Bot-generated random strings and spoofed names, in any script
+    {
+        id: 'gibberish-name',
+        weight: 1,
+        message: 'Please enter a valid name',
+        test: fields => Boolean(fields.name) && !isPlausibleName(fields.name),
+    },
+    {
+        id: 'gibberish-subject',
+        weight: 1,
+        message: 'Please enter a valid subject',
+        test: fields => Boolean(fields.subject) && isGibberish(fields.subject),
+    },
+    // Only short messages - long ones may have some gibberish legitimately
+    {
+        id: 'gibberish-message',
+        weight: 1,
+        message: 'Please enter a valid message',
+        test: fields => Boolean(fields.message) && fields.message.length < 100 && isGibberish(fields.message),
+    },
+    {
+        id: 'too-many-links',
+        weight: 1,
+        message: 'Too many links',
+        test: fields => (bodyText(fields).match(/https?:\/\//g) || []).length > 3,
+    },
+    keywordRule({ id: 'spam-keywords', keywords: defaultKeywords.keywords }),
+    // Often spam
+    {
+        id: 'all-caps',
+        weight: 1,
+        message: 'Please avoid using all capital letters',
+        test: fields => {
+            const message = fields.message || '';
+            return message.length > 50 && message === message.toUpperCase();
+        },
+    },
+    {
+        id: 'repeated-characters',
+        weight: 1,
+        message: 'Invalid content detected',
+        test: fields => /(.)\1{10,}/.test(bodyText(fields)),
+    },
+];
+
+/**
+ * Per-form settings from configureSpamRules(), by form id
+ */
+const formConfigs = new Map();
+
+/**
+ * Change the spam rules for one form. Calls add up: later weights override earlier
+ * ones and extra rules are appended.
+ * @param {string} formId - The form's id, as passed to validateFormSecurity()
+ * @param {Object} config
+ * @param {number} [config.threshold] - Score at which a submission is refused
+ * @param {Object<string, number>} [config.weights] - New weights by rule id; 0 turns a rule off
+ * @param {Object[]} [config.rules] - Extra rules: { id, weight, message, test(fields) }
+ * @param {boolean} [config.debug] - Log every score for this form
+ */
+export function configureSpamRules(formId, { threshold, weights = {}, rules = [], debug } = {}) {
+    const current = formConfigs.get(formId) || { weights: {}, rules: [] };
+    formConfigs.set(formId, {
+        threshold: threshold ?? current.threshold,
+        weights: { ...current.weights, ...weights },
+        rules: [...current.rules, ...rules],
+        debug: debug ?? current.debug,
+    });
+}
+
+/**
+ * Forget every form's configuration (tests)
+ */
+export function resetSpamRules() {
+    formConfigs.clear();
+}
+
+function isDebugEnabled() {
+    try {
+        return localStorage.getItem(DEBUG_STORAGE_KEY) === '1';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Score a submission against the form's rules
+ * @param {Object<string, string>} fields - The submitted text fields by name
+ * @param {Object} [options]
+ * @param {string} [options.formId] - Whose configuration to use
+ * @param {boolean} [options.debug] - Log the report
+ * @returns {{ spam: boolean, score: number, threshold: number, error: string|null,
+ *             fired: { id: string, score: number, message: string }[] }}
+ */
+export function scoreSpam(fields, { formId, debug } = {}) {
+    const config = formConfigs.get(formId) || { weights: {}, rules: [] };
+    const threshold = config.threshold ?? DEFAULT_SPAM_THRESHOLD;
+    const fired = [];
+
+    for (const rule of [...DEFAULT_SPAM_RULES, ...config.rules]) {
+        const weight = config.weights[rule.id] ?? rule.weight ?? 1;
+        if (weight === 0) continue;
+
+        const hits = Number(rule.test(fields));
+        if (hits > 0) fired.push({ id: rule.id, score: weight * hits, message: rule.message });
+    }
+
+    const score = fired.reduce((total, rule) => total + rule.score, 0);
+    const spam = score >= threshold;
+    // The visitor sees the message of the rule that counted most
+    const worst = fired.reduce((top, rule) => (!top || rule.score > top.score ? rule : top), null);
+    const report = { spam, score, threshold, error: spam ? worst.message : null, fired };
+
+    if (debug ?? config.debug ?? isDebugEnabled()) {
+        console.log(`[Security] Spam score for "${formId}": ${score} of ${threshold}`, fired);
+    }
+    return report;
+}
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    CHECKLIST_STORAGE_KEY, itemKey, loadProgress, saveProgress, formatChecklistExport, setupChecklists
+} from '../checklist.js';
+
+const GUIDE = `
+    <h1>The Lost Phone Protocol</h1>
+    <h2>Your checklist</h2>
+    <ol data-checklist="protocol">
+        <li>Lock the phone <a href="#find-my">remotely</a>.</li>
+        <li>Change your email password.</li>
+        <li>Call your carrier.</li>
+    </ol>
+    <h2>Afterwards</h2>
+    <ul data-checklist>
+        <li>File a police report.</li>
+    </ul>
+    <ul><li>Not a checklist</li></ul>`;
+
+const boxes = () => Array.from(document.querySelectorAll('.checklist-checkbox'));
+const check = (box) => {
+    box.checked = !box.checked;
+    box.dispatchEvent(new Event('change'));
+};
+
+describe('checklists', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = GUIDE;
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    it('keys items by their text, ignoring case and spacing', () => {
+        expect(itemKey('Call your  carrier.')).toBe(itemKey('call your carrier.'));
+        expect(itemKey('Call your carrier.')).not.toBe(itemKey('File a police report.'));
+    });
+
+    it('turns every item of a marked list into a labelled checkbox', () => {
+        setupChecklists();
+
+        expect(boxes()).toHaveLength(4);
+        const first = document.querySelector('.checklist-item');
+        expect(first.querySelector('label').htmlFor).toBe(first.querySelector('input').id);
+        expect(first.querySelector('label a').getAttribute('href')).toBe('#find-my');
+        expect(document.querySelectorAll('ul:not(.checklist) input')).toHaveLength(0);
+    });
+
+    it('puts a panel before the first checklist and meters the whole guide', () => {
+        setupChecklists();
+        const panel = document.querySelector('.checklist-panel');
+
+        expect(panel.nextElementSibling.matches('[data-checklist="protocol"]')).toBe(true);
+        check(boxes()[0]);
+        check(boxes()[3]);
+        expect(panel.querySelector('progress').value).toBe(2);
+        expect(panel.querySelector('progress').max).toBe(4);
+        expect(panel.querySelector('.checklist-count').textContent).toBe('2 of 4 steps done');
+    });
+
+    it('uses a panel the author placed', () => {
+        document.body.insertAdjacentHTML('afterbegin', '<div data-checklist-panel id="mine"></div>');
+        setupChecklists();
+
+        expect(document.querySelectorAll('.checklist-panel')).toHaveLength(1);
+        expect(document.querySelector('#mine .checklist-meter')).not.toBeNull();
+    });
+
+    it('stores progress per page in localStorage and restores it', () => {
+        setupChecklists();
+        check(boxes()[1]);
+        check(boxes()[3]);
+
+        expect(loadProgress()).toEqual({
+            protocol: [itemKey('Change your email password.')],
+            'list-2': [itemKey('File a police report.')],
+        });
+
+        document.body.innerHTML = GUIDE;
+        setupChecklists();
+        expect(boxes().map(box => box.checked)).toEqual([false, true, false, true]);
+        expect(document.querySelectorAll('.checklist-item.is-done')).toHaveLength(2);
+    });
+
+    it('forgets a page with nothing checked and ignores unreadable storage', () => {
+        saveProgress('/a.html', { protocol: ['x'] });
+        saveProgress('/a.html', { protocol: [] });
+        expect(localStorage.getItem(CHECKLIST_STORAGE_KEY)).toBeNull();
+
+        localStorage.setItem(CHECKLIST_STORAGE_KEY, '{not json');
+        expect(loadProgress('/a.html')).toEqual({});
+    });
+
+    it('resets the guide after confirming', () => {
+        setupChecklists();
+        check(boxes()[0]);
+        const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+        const reset = document.querySelector('[data-checklist-action="reset"]');
+
+        reset.click();
+        expect(boxes()[0].checked).toBe(true);
+
+        reset.click();
+        expect(confirm).toHaveBeenCalledTimes(2);
+        expect(boxes().some(box => box.checked)).toBe(false);
+        expect(loadProgress()).toEqual({});
+    });
+
+    it('prints with the browser', () => {
+        const print = vi.spyOn(window, 'print').mockImplementation(() => {});
+        setupChecklists();
+
+        document.querySelector('[data-checklist-action="print"]').click();
+        expect(print).toHaveBeenCalled();
+    });
+
+    it('exports the guide as a plain-text checklist', () => {
+        expect(formatChecklistExport({
+            title: 'The Lost Phone Protocol',
+            url: 'https://www.noidentity.space/articles/the-lost-phone-protocol.html',
+            date: new Date('2025-10-20T12:00:00Z'),
+            lists: [
+                { heading: 'Your checklist', items: [{ text: 'Lock the phone.', done: true }, { text: 'Call your carrier.', done: false }] },
+                { heading: '', items: [{ text: 'File a police report.', done: false }] },
+            ],
+        })).toBe([
+            'The Lost Phone Protocol',
+            'https://www.noidentity.space/articles/the-lost-phone-protocol.html',
+            '1 of 3 done on 2025-10-20',
+            '',
+            'Your checklist',
+            '',
+            '[x] Lock the phone.',
+            '[ ] Call your carrier.',
+            '',
+            '[ ] File a police report.',
+            '',
+        ].join('\n'));
+    });
+
+    it('downloads the export', async () => {
+        URL.createObjectURL = vi.fn(() => 'blob:checklist');
+        URL.revokeObjectURL = vi.fn();
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        setupChecklists();
+        check(boxes()[0]);
+
+        document.querySelector('[data-checklist-action="export"]').click();
+
+        expect(click).toHaveBeenCalledTimes(1);
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        const text = await blob.text();
+        expect(text).toContain('The Lost Phone Protocol');
+        expect(text).toContain('Your checklist\n\n[x] Lock the phone remotely.');
+        expect(text).toContain('Afterwards\n\n[ ] File a police report.');
+        // jsdom serves the test from "/", which has no article slug
+        expect(click.mock.contexts[0].download).toBe('guide-checklist.txt');
+    });
+
+    it('does nothing on pages without checklists', () => {
+        document.body.innerHTML = '<ul><li>Plain</li></ul>';
+        expect(setupChecklists()).toBeNull();
+        expect(document.querySelector('.checklist-panel')).toBeNull();
+    });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    CONSENT_STORAGE_KEY, CONSENT_VERSION, hasPrivacySignal, readConsent, saveConsent,
+    getEffectiveConsent, applyConsent, updateConsent, initConsent
+} from '../consent.js';
+
+const GOOGLE_SCRIPTS = 'script[src*="googletagmanager.com"], script[src*="googlesyndication.com"]';
+
+const scriptSources = () => Array.from(document.querySelectorAll(GOOGLE_SCRIPTS), script => new URL(script.src).hostname);
+
+const setSignal = (name, value) => {
+    Object.defineProperty(navigator, name, { value, configurable: true });
+};
+
+const cookieNames = () => document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).filter(Boolean).sort();
+
+describe('cookie consent', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        delete navigator.globalPrivacyControl;
+        delete navigator.doNotTrack;
+        delete window.gtag;
+        delete window.dataLayer;
+        document.cookie.split(';').forEach(cookie => {
+            document.cookie = `${cookie.split('=')[0].trim()}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`;
+        });
+        vi.restoreAllMocks();
+        document.head.innerHTML = '';
+        document.body.innerHTML = '';
+    });
+
+    it('recognizes Global Privacy Control and Do Not Track', () => {
+        expect(hasPrivacySignal({}, {})).toBe(false);
+        expect(hasPrivacySignal({ globalPrivacyControl: true }, {})).toBe(true);
+        expect(hasPrivacySignal({ doNotTrack: '1' }, {})).toBe(true);
+        expect(hasPrivacySignal({}, { doNotTrack: '1' })).toBe(true);
+        expect(hasPrivacySignal({ msDoNotTrack: 'yes' }, {})).toBe(true);
+        expect(hasPrivacySignal({ doNotTrack: '0' }, {})).toBe(false);
+    });
+
+    it('ignores choices stored for another version of the categories', () => {
+        localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({ version: CONSENT_VERSION - 1, analytics: true }));
+        expect(readConsent()).toBeNull();
+
+        localStorage.setItem(CONSENT_STORAGE_KEY, '{not json');
+        expect(readConsent()).toBeNull();
+
+        saveConsent({ analytics: 'yes', advertising: true });
+        expect(readConsent()).toMatchObject({ version: CONSENT_VERSION, analytics: false, advertising: true });
+    });
+
+    describe('getEffectiveConsent', () => {
+        it('allows nothing until the visitor chooses', () => {
+            expect(getEffectiveConsent()).toEqual({ source: 'none', analytics: false, advertising: false });
+        });
+
+        it('treats a GPC or DNT signal as a refusal', () => {
+            setSignal('globalPrivacyControl', true);
+            expect(getEffectiveConsent()).toEqual({ source: 'signal', analytics: false, advertising: false });
+
+            delete navigator.globalPrivacyControl;
+            setSignal('doNotTrack', '1');
+            expect(getEffectiveConsent()).toEqual({ source: 'signal', analytics: false, advertising: false });
+        });
+
+        it('lets an explicit choice win over a signal', () => {
+            setSignal('globalPrivacyControl', true);
+            saveConsent({ analytics: true, advertising: false });
+
+            expect(getEffectiveConsent()).toEqual({ source: 'stored', analytics: true, advertising: false });
+        });
+    });
+
+    describe('applyConsent', () => {
+        it('loads nothing from Google without consent', () => {
+            applyConsent({ analytics: false, advertising: false });
+
+            expect(scriptSources()).toEqual([]);
+            expect(window.gtag).toBeUndefined();
+        });
+
+        it('loads only the categories the visitor allowed, once', () => {
+            applyConsent({ analytics: true, advertising: false });
+            applyConsent({ analytics: true, advertising: false });
+            expect(scriptSources()).toEqual(['www.googletagmanager.com']);
+            expect(typeof window.gtag).toBe('function');
+
+            applyConsent({ analytics: true, advertising: true });
+            expect(scriptSources()).toEqual(['www.googletagmanager.com', 'pagead2.googlesyndication.com']);
+        });
+    });
+
+    describe('initConsent', () => {
+        it('loads nothing and asks first when there is no choice', () => {
+            initConsent();
+
+            expect(scriptSources()).toEqual([]);
+            expect(document.querySelector('.consent-banner')).not.toBeNull();
+        });
+
+        it('loads nothing and does not ask when the browser sends a privacy signal', () => {
+            setSignal('globalPrivacyControl', true);
+            initConsent();
+
+            expect(scriptSources()).toEqual([]);
+            expect(document.querySelector('.consent-banner')).toBeNull();
+        });
+
+        it('loads nothing when the visitor rejects all', () => {
+            initConsent();
+            document.querySelector('[data-consent-action="reject"]').click();
+
+            expect(scriptSources()).toEqual([]);
+            expect(readConsent()).toMatchObject({ analytics: false, advertising: false });
+            expect(document.querySelector('.consent-banner')).toBeNull();
+        });
+    });
+
+    describe('updateConsent', () => {
+        it('saves the choices, tells the page and loads what was allowed', () => {
+            const changed = vi.fn();
+            document.addEventListener('consentchange', changed, { once: true });
+            const reload = vi.fn();
+
+            updateConsent({ analytics: false, advertising: true }, { reload });
+
+            expect(readConsent()).toMatchObject({ analytics: false, advertising: true });
+            expect(changed.mock.calls[0][0].detail).toMatchObject({ analytics: false, advertising: true });
+            expect(scriptSources()).toEqual(['pagead2.googlesyndication.com']);
+            expect(reload).not.toHaveBeenCalled();
+        });
+
+        it('clears a withdrawn category\'s cookies and reloads', () => {
+            saveConsent({ analytics: true, advertising: true });
+            ['_ga=GA1.1.1', '_ga_C6R0Z78YNM=GS1.1', '_gid=GA1.2', '__gads=ID=1', 'nis_other=1'].forEach(cookie => {
+                document.cookie = `${cookie}; path=/`;
+            });
+            const reload = vi.fn();
+
+            updateConsent({ analytics: false, advertising: true }, { reload });
+
+            expect(cookieNames()).toEqual(['__gads', 'nis_other']);
+            expect(readConsent()).toMatchObject({ analytics: false, advertising: true });
+            expect(reload).toHaveBeenCalledTimes(1);
+            // The reload starts clean; nothing is loaded into this page first
+            expect(scriptSources()).toEqual([]);
+        });
+
+        it('keeps cookies when nothing was withdrawn', () => {
+            saveConsent({ analytics: true, advertising: false });
+            document.cookie = '_ga=GA1.1.1; path=/';
+            const reload = vi.fn();
+
+            updateConsent({ analytics: true, advertising: false }, { reload });
+
+            expect(cookieNames()).toEqual(['_ga']);
+            expect(reload).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,154 @@
+// @vitest-environment node
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as cheerio from 'cheerio';
+import { buildSiteFiles, escapeXML, FEED_LIMIT } from '../scripts/lib/feeds.js';
+import { SITE } from '../scripts/lib/site.js';
+
+const ARTICLE_PAGE = `<!DOCTYPE html><html><head><title>Page</title></head><body>
+    <header><nav><a href="../index.html">Home</a></nav></header>
+    <article class="article-content">
+        <div class="featured-image">🔒</div>
+        <h2 id="why">Why &amp; how</h2>
+        <p>Read <a href="freeze.html#steps">the steps</a>.</p>
+        <img src="../images/lock.png" alt="">
+        <form data-form="newsletter"><input name="email"></form>
+        <script>track()</script>
+    </article>
+</body></html>`;
+
+function entry(slug, category, date) {
+    return {
+        slug,
+        url: `articles/${slug}.html`,
+        title: `${slug} <title>`,
+        category,
+        date,
+        summary: `Summary of ${slug}`,
+    };
+}
+
+function manifestOf(articles) {
+    const categories = [...new Set(articles.map(article => article.category))].sort().map(name => {
+        const slug = name.toLowerCase().replace(/\s+/g, '-');
+        const members = articles.filter(article => article.category === name);
+        return { name, slug, url: `categories/${slug}.html`, count: members.length, articles: members.map(article => article.slug) };
+    });
+    return { articles, categories, tags: [], drafts: [] };
+}
+
+describe('buildSiteFiles', () => {
+    let rootDir;
+    const manifest = manifestOf([
+        entry('newest', 'Digital Privacy', '2026-02-09'),
+        entry('older', 'Digital Scams', '2025-11-20'),
+        entry('oldest', 'Digital Privacy', '2025-01-05'),
+    ]);
+    const build = options => buildSiteFiles(manifest, {
+        rootDir,
+        lastModified: file => (file === 'privacy.html' ? '2025-06-01' : null),
+        readPage: () => ARTICLE_PAGE,
+        categoryDescriptions: {},
+        ...options,
+    });
+    const xml = source => cheerio.load(source, { xml: true });
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+        for (const file of ['index.html', 'articles.html', 'privacy.html', '404.html']) {
+            fs.writeFileSync(path.join(rootDir, file), '<!DOCTYPE html>');
+        }
+    });
+
+    afterEach(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('writes a feed pair for every category', () => {
+        expect(Object.keys(build()).sort()).toEqual([
+            'atom.xml',
+            'categories/digital-privacy.atom.xml',
+            'categories/digital-privacy.xml',
+            'categories/digital-scams.atom.xml',
+            'categories/digital-scams.xml',
+            'feed.xml',
+            'robots.txt',
+            'sitemap.xml',
+        ]);
+    });
+
+    it('lists pages, articles and categories in the sitemap with their last change', () => {
+        const $ = xml(build()['sitemap.xml']);
+        const urls = $('url').map((i, el) => [[$(el).find('loc').text(), $(el).find('lastmod').text()]]).get();
+
+        expect(urls).toEqual([
+            [`${SITE.url}/`, '2026-02-09'],
+            [`${SITE.url}/articles.html`, '2026-02-09'],
+            [`${SITE.url}/privacy.html`, '2025-06-01'],
+            [`${SITE.url}/articles/newest.html`, '2026-02-09'],
+            [`${SITE.url}/articles/older.html`, '2025-11-20'],
+            [`${SITE.url}/articles/oldest.html`, '2025-01-05'],
+            [`${SITE.url}/categories/digital-privacy.html`, '2026-02-09'],
+            [`${SITE.url}/categories/digital-scams.html`, '2025-11-20'],
+        ]);
+    });
+
+    it('points robots.txt at the sitemap', () => {
+        expect(build()['robots.txt']).toContain(`Sitemap: ${SITE.url}/sitemap.xml`);
+    });
+
+    it('builds an RSS feed with escaped titles and the article body', () => {
+        const $ = xml(build()['feed.xml']);
+        const item = $('item').first();
+
+        expect($('item')).toHaveLength(3);
+        expect(item.find('title').text()).toBe('newest <title>');
+        expect(item.find('guid').text()).toBe(`${SITE.url}/articles/newest.html`);
+        expect(item.find('pubDate').text()).toBe('Mon, 09 Feb 2026 00:00:00 GMT');
+        expect(item.find('category').text()).toBe('Digital Privacy');
+        expect($('channel > lastBuildDate').text()).toBe('Mon, 09 Feb 2026 00:00:00 GMT');
+
+        const body = item.find('content\\:encoded').text();
+        expect(body).toContain('<h2 id="why">Why &amp; how</h2>');
+        expect(body).toContain(`href="${SITE.url}/articles/freeze.html#steps"`);
+        expect(body).toContain(`src="${SITE.url}/images/lock.png"`);
+        expect(body).not.toMatch(/featured-image|<form|<script|<nav/);
+    });
+
+    it('builds an Atom feed per category with only that category', () => {
+        const $ = xml(build()['categories/digital-privacy.atom.xml']);
+
+        expect($('feed > title').text()).toBe(`Digital Privacy | ${SITE.name}`);
+        expect($('entry id').map((i, el) => $(el).text()).get()).toEqual([
+            `${SITE.url}/articles/newest.html`,
+            `${SITE.url}/articles/oldest.html`,
+        ]);
+        expect($('feed > updated').text()).toBe('2026-02-09T00:00:00.000Z');
+        expect($('link[rel="self"]').attr('href')).toBe(`${SITE.url}/categories/digital-privacy.atom.xml`);
+    });
+
+    it('sends only the summary in excerpt mode', () => {
+        const files = build({ content: 'excerpt' });
+
+        expect(files['feed.xml']).not.toContain('content:encoded>');
+        expect(files['atom.xml']).not.toContain('<content');
+        expect(xml(files['atom.xml'])('entry summary').first().text()).toBe('Summary of newest');
+    });
+
+    it(`keeps the ${FEED_LIMIT} newest articles in a feed`, () => {
+        const many = manifestOf(Array.from({ length: FEED_LIMIT + 5 }, (_, i) =>
+            entry(`a${i}`, 'Digital Privacy', `2025-01-${String(i + 1).padStart(2, '0')}`)).reverse());
+        const files = buildSiteFiles(many, { rootDir, lastModified: () => null, content: 'excerpt' });
+
+        expect(xml(files['feed.xml'])('item')).toHaveLength(FEED_LIMIT);
+        expect(xml(files['sitemap.xml'])('url')).toHaveLength(3 + FEED_LIMIT + 5 + 1);
+    });
+});
+
+describe('escapeXML', () => {
+    it('escapes markup and quotes', () => {
+        expect(escapeXML(`<a href="x">Tom & 'Jerry'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; &apos;Jerry&apos;&lt;/a&gt;');
+    });
+});
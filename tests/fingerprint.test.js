@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    FINGERPRINT_SURFACES, collectFingerprint, estimateSurface, rarityLevel, formatOneIn,
+    summarizeFingerprint, setupFingerprintTest
+} from '../fingerprint.js';
+import reference from '../fingerprint-reference.json';
+
+const REFERENCE = {
+    population: 1024,
+    surfaces: {
+        timezone: { values: { 'Europe/London': 0.5 }, other: 0.01 },
+        canvas: { values: { unavailable: 0.0625 }, entropy: 8 },
+        fonts: { values: {}, entropy: 9 },
+    },
+};
+
+describe('fingerprint self-test', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+        document.body.innerHTML = '';
+    });
+
+    it('has reference shares for every surface it reads', () => {
+        for (const surface of FINGERPRINT_SURFACES) {
+            const shares = reference.surfaces[surface.id];
+            expect(shares, surface.id).toBeDefined();
+            const total = Object.values(shares.values).reduce((sum, share) => sum + share, 0);
+            expect(total, surface.id).toBeLessThanOrEqual(1);
+            expect(shares.other !== undefined || shares.entropy !== undefined, surface.id).toBe(true);
+        }
+    });
+
+    it('scores listed values by their share, others as rare or by the surface entropy', () => {
+        expect(estimateSurface('timezone', 'Europe/London', REFERENCE)).toEqual({ share: 0.5, bits: 1 });
+        expect(estimateSurface('timezone', 'Pacific/Chatham', REFERENCE).bits).toBeCloseTo(6.64, 2);
+        expect(estimateSurface('canvas', 'unavailable', REFERENCE)).toEqual({ share: 0.0625, bits: 4 });
+        expect(estimateSurface('canvas', 'image 0a1b2c3d4e5f', REFERENCE)).toEqual({ share: 2 ** -8, bits: 8 });
+        expect(estimateSurface('unknown', 'x', REFERENCE)).toEqual({ share: 1, bits: 0 });
+    });
+
+    it('names how rare a value is', () => {
+        expect(rarityLevel(1)).toBe('common');
+        expect(rarityLevel(5)).toBe('uncommon');
+        expect(rarityLevel(7)).toBe('rare');
+
+        expect(formatOneIn(1.4)).toBe('1 in 1');
+        expect(formatOneIn(1024)).toBe('1 in 1,024');
+        expect(formatOneIn(3_420_000)).toBe('1 in 3.4 million');
+        expect(formatOneIn(4e9)).toBe('1 in 4 billion');
+    });
+
+    it('adds up the surfaces, up to one browser in the population', () => {
+        const some = summarizeFingerprint({ timezone: 'Europe/London', canvas: 'unavailable' }, REFERENCE);
+        expect(some.bits).toBe(5);
+        expect(some.unique).toBe(false);
+        expect(some.oneIn).toBe('1 in 32');
+        expect(some.surfaces.map(surface => [surface.id, surface.level])).toEqual([
+            ['timezone', 'common'],
+            ['canvas', 'uncommon'],
+        ]);
+
+        const all = summarizeFingerprint({ timezone: 'Pacific/Chatham', canvas: 'image x', fonts: 'Arial' }, REFERENCE);
+        expect(all.bits).toBe(10);
+        expect(all.unique).toBe(true);
+    });
+
+    it('reads a surface the browser refuses as unavailable', async () => {
+        const values = await collectFingerprint([
+            { id: 'timezone', read: () => 'Europe/London' },
+            { id: 'canvas', read: async () => 'image abc' },
+            { id: 'webgl', read: () => { throw new Error('blocked'); } },
+        ]);
+
+        expect(values).toEqual({ timezone: 'Europe/London', canvas: 'image abc', webgl: 'unavailable' });
+    });
+
+    it('reads the browser it runs in', async () => {
+        vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+        vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['en-GB', 'en']);
+        vi.spyOn(navigator, 'platform', 'get').mockReturnValue('MacIntel');
+
+        const values = await collectFingerprint();
+
+        expect(Object.keys(values)).toEqual(FINGERPRINT_SURFACES.map(surface => surface.id));
+        expect(values.languages).toBe('en-GB,en');
+        expect(values.platform).toBe('MacIntel');
+        expect(values.screen).toMatch(/^\d+x\d+$/);
+        expect(values.timezone).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+        expect(values.canvas).toBe('unavailable');
+        expect(values.webgl).toBe('unavailable');
+        expect(values.fonts).toBe('unavailable');
+    });
+
+    describe('setupFingerprintTest', () => {
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <div data-fingerprint-test>
+                    <button type="button" data-fingerprint-run>Run the test</button>
+                    <div data-fingerprint-results hidden>
+                        <p data-fingerprint-summary></p>
+                        <table><tbody data-fingerprint-rows></tbody></table>
+                        <ul data-fingerprint-advice></ul>
+                        <code data-fingerprint-form></code>
+                    </div>
+                </div>`;
+        });
+
+        it('shows each surface, advice for the identifying ones and the contact form hash', async () => {
+            const test = setupFingerprintTest(document, {
+                collect: async () => ({ timezone: 'Europe/London', canvas: 'unavailable', fonts: 'Arial, Lato' }),
+                reference: REFERENCE,
+            });
+
+            await test.run();
+
+            expect(document.querySelector('[data-fingerprint-results]').hidden).toBe(false);
+            expect(document.querySelector('[data-fingerprint-summary]').textContent).toMatch(/probably unique/);
+
+            const rows = Array.from(document.querySelectorAll('[data-fingerprint-rows] tr'));
+            expect(rows.map(row => row.className)).toEqual(['fingerprint-common', 'fingerprint-uncommon', 'fingerprint-rare']);
+            expect(Array.from(rows[2].cells, cell => cell.textContent)).toEqual(['Installed fonts', 'Arial, Lato', '1 in 512', '9.0']);
+
+            const advice = Array.from(document.querySelectorAll('[data-fingerprint-advice] strong'), el => el.textContent);
+            expect(advice).toEqual(['Installed fonts: ', 'Canvas rendering: ']);
+
+            expect(document.querySelector('[data-fingerprint-form]').textContent).toMatch(/^[0-9a-z]+$/);
+            expect(document.querySelector('[data-fingerprint-run]').disabled).toBe(false);
+        });
+
+        it('escapes whatever the browser reports', async () => {
+            const test = setupFingerprintTest(document, {
+                collect: async () => ({ webgl: '<img src=x onerror=alert(1)>' }),
+                reference: REFERENCE,
+            });
+
+            await test.run();
+            expect(document.querySelector('[data-fingerprint-rows] img')).toBeNull();
+            expect(document.querySelector('[data-fingerprint-rows] td').textContent).toBe('<img src=x onerror=alert(1)>');
+        });
+
+        it('sends nothing anywhere', async () => {
+            const fetchMock = vi.fn();
+            vi.stubGlobal('fetch', fetchMock);
+            const beacon = vi.fn();
+            Object.defineProperty(navigator, 'sendBeacon', { value: beacon, configurable: true });
+            vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+            const setItem = vi.spyOn(Storage.prototype, 'setItem');
+
+            await setupFingerprintTest().run();
+
+            expect(fetchMock).not.toHaveBeenCalled();
+            expect(beacon).not.toHaveBeenCalled();
+            expect(setItem).not.toHaveBeenCalled();
+            delete navigator.sendBeacon;
+        });
+
+        it('does nothing on other pages', () => {
+            document.body.innerHTML = '<main></main>';
+            expect(setupFingerprintTest()).toBeNull();
+        });
+    });
+});
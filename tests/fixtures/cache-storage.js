@@ -0,0 +1,77 @@
+// An in-memory Cache Storage (window.caches / self.caches) for tests
+
+const ORIGIN = 'https://www.noidentity.space';
+
+function keyOf(request, { ignoreSearch = false } = {}) {
+    const url = new URL(typeof request === 'string' ? request : request.url, `${ORIGIN}/`);
+    url.hash = '';
+    if (ignoreSearch) url.search = '';
+    return url.href;
+}
+
+class MemoryCache {
+    constructor(fetchImpl) {
+        this.entries = new Map();
+        this.fetch = fetchImpl;
+    }
+
+    async match(request, options) {
+        const wanted = keyOf(request, options);
+        for (const [key, response] of this.entries) {
+            if (keyOf(key, options) === wanted) return response.clone();
+        }
+        return undefined;
+    }
+
+    async put(request, response) {
+        this.entries.set(keyOf(request), response.clone());
+    }
+
+    async addAll(requests) {
+        for (const request of requests) {
+            const response = await this.fetch(request);
+            if (!response.ok) throw new TypeError(`Request for ${request} failed`);
+            await this.put(request, response);
+        }
+    }
+
+    async delete(request) {
+        return this.entries.delete(keyOf(request));
+    }
+
+    async keys() {
+        return [...this.entries.keys()].map(url => new Request(url));
+    }
+}
+
+/**
+ * @param {Function} [fetchImpl] - Used by cache.addAll()
+ */
+export function createCacheStorage(fetchImpl = (...args) => fetch(...args)) {
+    const caches = new Map();
+
+    return {
+        async open(name) {
+            if (!caches.has(name)) caches.set(name, new MemoryCache(fetchImpl));
+            return caches.get(name);
+        },
+        async has(name) {
+            return caches.has(name);
+        },
+        async delete(name) {
+            return caches.delete(name);
+        },
+        async keys() {
+            return [...caches.keys()];
+        },
+        async match(request, options) {
+            for (const cache of caches.values()) {
+                const response = await cache.match(request, options);
+                if (response) return response;
+            }
+            return undefined;
+        },
+    };
+}
+
+export { ORIGIN };
@@ -0,0 +1,277 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createFormController, setupForms, FORM_STATES } from '../form-controller.js';
+import { FORM_ERROR_CODES, FORM_ERROR_MESSAGES } from '../form-transport.js';
+
+function renderNewsletterForm(attributes = 'data-form="newsletter"') {
+    document.body.innerHTML = `
+        <form id="newsletterForm" ${attributes}
+            data-success-message="You have been subscribed to our newsletter!"
+            data-submitting-text="Subscribing...">
+            <input type="email" name="email">
+            <input type="text" name="website_url">
+            <button type="submit">Subscribe</button>
+        </form>`;
+    const form = document.getElementById('newsletterForm');
+    form.elements.email.value = 'reader@example.com';
+    return form;
+}
+
+// A transport whose answer the test controls
+function deferredTransport() {
+    let resolveNext;
+    return {
+        name: 'test',
+        submit: vi.fn((params, { signal }) => {
+            return new Promise(resolve => {
+                resolveNext = resolve;
+                signal.addEventListener('abort', () => resolve({ ok: false, code: FORM_ERROR_CODES.ABORTED, retryable: false }));
+            });
+        }),
+        respond(result) {
+            resolveNext(result);
+        },
+    };
+}
+
+const OK = { ok: true, code: 'ok', status: 200, data: null };
+
+describe('createFormController', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        localStorage.clear();
+        sessionStorage.clear();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('sends the fields with the form type and shows the success message', async () => {
+        const form = renderNewsletterForm();
+        const transport = { name: 'test', submit: vi.fn().mockResolvedValue(OK) };
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        await controller.submit();
+
+        const params = transport.submit.mock.calls[0][0];
+        expect(params.get('email')).toBe('reader@example.com');
+        expect(params.get('formType')).toBe('newsletter');
+        expect(params.has('website_url')).toBe(false);
+
+        const message = form.querySelector('.message-box');
+        expect(message.className).toBe('message-box message-success');
+        expect(message.textContent).toBe('Success! You have been subscribed to our newsletter!');
+        expect(controller.state).toBe(FORM_STATES.SUCCESS);
+        expect(form.elements.email.value).toBe('');
+    });
+
+    it('disables the button while sending and ignores a second submit', async () => {
+        const form = renderNewsletterForm();
+        const button = form.querySelector('button');
+        const transport = deferredTransport();
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        const pending = controller.submit();
+        await controller.submit();
+
+        expect(transport.submit).toHaveBeenCalledTimes(1);
+        expect(button.disabled).toBe(true);
+        expect(button.textContent).toBe('Subscribing...');
+        expect(form.dataset.state).toBe(FORM_STATES.SUBMITTING);
+        expect(form.getAttribute('aria-busy')).toBe('true');
+
+        transport.respond(OK);
+        await pending;
+
+        expect(button.disabled).toBe(false);
+        expect(button.textContent).toBe('Subscribe');
+        expect(form.getAttribute('aria-busy')).toBe('false');
+    });
+
+    it('re-enables the button and shows the mapped message when sending fails', async () => {
+        const form = renderNewsletterForm();
+        const transport = {
+            name: 'test',
+            submit: vi.fn().mockResolvedValue({ ok: false, code: FORM_ERROR_CODES.RATE_LIMITED, retryable: false }),
+        };
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        await controller.submit();
+
+        const button = form.querySelector('button');
+        expect(button.disabled).toBe(false);
+        expect(button.textContent).toBe('Subscribe');
+        expect(form.querySelector('.message-box').textContent)
+            .toBe(`Error! ${FORM_ERROR_MESSAGES[FORM_ERROR_CODES.RATE_LIMITED]}`);
+        expect(controller.state).toBe(FORM_STATES.ERROR);
+        // The visitor's input is kept so they can try again
+        expect(form.elements.email.value).toBe('reader@example.com');
+    });
+
+    it('pretends to succeed when the honeypot is filled, without sending', async () => {
+        const form = renderNewsletterForm();
+        form.elements.website_url.value = 'http://spam.example';
+        const transport = { name: 'test', submit: vi.fn() };
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        const result = await controller.submit();
+
+        expect(result).toBeNull();
+        expect(transport.submit).not.toHaveBeenCalled();
+        expect(form.querySelector('.message-box').className).toBe('message-box message-success');
+    });
+
+    it('shows security errors without sending', async () => {
+        const form = renderNewsletterForm();
+        const transport = { name: 'test', submit: vi.fn() };
+        const controller = createFormController(form, { transport });
+
+        // Submitted before the time gate opens
+        await controller.submit();
+
+        expect(transport.submit).not.toHaveBeenCalled();
+        expect(form.querySelector('.message-box').textContent)
+            .toBe('Error! Please take a moment to fill out the form completely.');
+    });
+
+    it('goes back to idle without a message when aborted', async () => {
+        const form = renderNewsletterForm();
+        const transport = deferredTransport();
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        const pending = controller.submit();
+        controller.abort();
+        const result = await pending;
+
+        expect(result.code).toBe(FORM_ERROR_CODES.ABORTED);
+        expect(controller.state).toBe(FORM_STATES.IDLE);
+        expect(form.querySelector('button').disabled).toBe(false);
+        expect(form.querySelector('.message-box').textContent).toBe('');
+    });
+
+    it('attaches a solved proof of work when the form asks for one', async () => {
+        const form = renderNewsletterForm('data-form="newsletter" data-pow="4"');
+        const transport = { name: 'test', submit: vi.fn().mockResolvedValue(OK) };
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        await controller.submit();
+
+        const params = transport.submit.mock.calls[0][0];
+        expect(params.get('_powChallenge')).toMatch(/^v1:4:/);
+        expect(params.get('_powDifficulty')).toBe('4');
+        expect(params.get('_powNonce')).toMatch(/^\d+$/);
+    });
+
+    it('sends a fresh form token with every submission', async () => {
+        const form = renderNewsletterForm('data-form="newsletter" data-token');
+        const tokens = ['token-1', 'token-2'];
+        const transport = {
+            name: 'test',
+            submit: vi.fn().mockResolvedValue(OK),
+            fetchToken: vi.fn(async () => tokens.shift()),
+        };
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        await controller.submit();
+        form.elements.email.value = 'reader@example.com';
+        vi.advanceTimersByTime(5000);
+        await controller.submit();
+
+        expect(transport.fetchToken).toHaveBeenCalledWith('newsletterForm', expect.anything());
+        expect(transport.submit.mock.calls.map(([params]) => params.get('_formToken'))).toEqual(['token-1', 'token-2']);
+    });
+
+    it('uses a token rendered into the form first', async () => {
+        const form = renderNewsletterForm('data-form="newsletter" data-token');
+        form.insertAdjacentHTML('beforeend', '<input type="hidden" name="_formToken" value="embedded">');
+        const transport = {
+            name: 'test',
+            submit: vi.fn().mockResolvedValue(OK),
+            fetchToken: vi.fn(async () => 'fetched'),
+        };
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        await controller.submit();
+        expect(transport.submit.mock.calls[0][0].getAll('_formToken')).toEqual(['embedded']);
+
+        form.elements.email.value = 'reader@example.com';
+        vi.advanceTimersByTime(5000);
+        await controller.submit();
+        expect(transport.submit.mock.calls[1][0].getAll('_formToken')).toEqual(['fetched']);
+    });
+
+    it('restores the form when a submission throws', async () => {
+        const form = renderNewsletterForm('data-form="newsletter" data-token');
+        const transport = {
+            name: 'test',
+            submit: vi.fn().mockResolvedValue(OK),
+            fetchToken: vi.fn()
+                .mockRejectedValueOnce(new Error('token service down'))
+                .mockResolvedValue('token-1'),
+        };
+        createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+        await vi.waitFor(() => expect(form.dataset.state).toBe(FORM_STATES.ERROR));
+
+        expect(transport.submit).not.toHaveBeenCalled();
+        expect(form.querySelector('button').disabled).toBe(false);
+        expect(form.querySelector('.message-box').textContent).toBe(`Error! ${FORM_ERROR_MESSAGES[FORM_ERROR_CODES.NETWORK]}`);
+        expect(console.error).toHaveBeenCalledWith('[Forms] Submission failed:', expect.any(Error));
+
+        // The next attempt asks for a new token
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+        await vi.waitFor(() => expect(form.dataset.state).toBe(FORM_STATES.SUCCESS));
+        expect(transport.submit.mock.calls[0][0].get('_formToken')).toBe('token-1');
+    });
+
+    it('gives up after the timeout', async () => {
+        const form = renderNewsletterForm('data-form="newsletter" data-timeout="1000" data-queue="false"');
+        const transport = deferredTransport();
+        const controller = createFormController(form, { transport });
+
+        vi.advanceTimersByTime(5000);
+        const pending = controller.submit();
+        vi.advanceTimersByTime(1000);
+        const result = await pending;
+
+        expect(result.code).toBe(FORM_ERROR_CODES.TIMEOUT);
+        expect(form.querySelector('.message-box').textContent)
+            .toBe(`Error! ${FORM_ERROR_MESSAGES[FORM_ERROR_CODES.TIMEOUT]}`);
+    });
+});
+
+describe('setupForms', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('only controls forms that opt in with data-form', () => {
+        document.body.innerHTML = `
+            <form id="a" data-form="newsletter"><button>Go</button></form>
+            <form id="b"><button>Go</button></form>`;
+
+        const controllers = setupForms();
+
+        expect(controllers.size).toBe(1);
+        expect(document.getElementById('a').dataset.state).toBe(FORM_STATES.IDLE);
+        expect(document.getElementById('b').dataset.state).toBeUndefined();
+    });
+});
@@ -0,0 +1,179 @@
+// End-to-end: the real contact and newsletter markup, wired up by main.js, sending to the
+// default Apps Script backend through a mocked fetch
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { APPS_SCRIPT_URL } from '../config.js';
+import { FORM_ERROR_CODES, FORM_ERROR_MESSAGES } from '../form-transport.js';
+
+// Put a page's <body> in the document, as the browser would have parsed it
+function loadPage(file) {
+    const html = readFileSync(path.resolve(import.meta.dirname, '..', file), 'utf8');
+    const page = new DOMParser().parseFromString(html, 'text/html');
+    document.body.innerHTML = page.body.innerHTML;
+}
+
+// Resolve with the result once the form settles in one of these states
+function settled(form, states = ['success', 'error', 'queued']) {
+    return new Promise(resolve => {
+        form.addEventListener('formstatechange', function onChange(e) {
+            if (!states.includes(e.detail.state)) return;
+            form.removeEventListener('formstatechange', onChange);
+            resolve(e.detail);
+        });
+    });
+}
+
+function submit(form) {
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+}
+
+const posts = () => fetch.mock.calls.filter(([, options]) => options && options.method === 'POST');
+
+describe('site form flows', () => {
+    beforeAll(async () => {
+        // main.js wires everything up on DOMContentLoaded
+        await import('../main.js');
+    });
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        localStorage.clear();
+        sessionStorage.clear();
+        vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+            if (options.method === 'POST') return new Response('success');
+            // Form token request from a form with data-token
+            return new Response(JSON.stringify({ token: 'signed-token' }), { headers: { 'Content-Type': 'application/json' } });
+        }));
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        window.dispatchEvent(new Event('pagehide'));
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    describe('contact page', () => {
+        let form;
+
+        beforeEach(() => {
+            loadPage('contact.html');
+            form = document.getElementById('contactForm');
+            // The default puzzle takes a second or two; a small one is checked the same way
+            form.dataset.pow = '4';
+            document.dispatchEvent(new Event('DOMContentLoaded'));
+
+            form.elements.name.value = 'Jane Doe';
+            form.elements.email.value = 'jane@example.com';
+            form.elements.subject.value = 'Question about VPNs';
+            form.elements.message.value = 'Which of the VPNs you reviewed keeps the fewest logs?';
+        });
+
+        it('sends the message with its token and proof of work, then thanks the visitor', async () => {
+            await vi.advanceTimersByTimeAsync(5000);
+            const done = settled(form);
+            submit(form);
+            await done;
+
+            expect(fetch).toHaveBeenCalledWith(`${APPS_SCRIPT_URL}?action=token&form=contactForm`, expect.anything());
+            const [[url, { body }]] = posts();
+            expect(url).toBe(APPS_SCRIPT_URL);
+            expect(Object.fromEntries(body)).toMatchObject({
+                name: 'Jane Doe',
+                email: 'jane@example.com',
+                subject: 'Question about VPNs',
+                formType: 'contact',
+                _formToken: 'signed-token',
+                _powDifficulty: '4',
+            });
+            expect(body.get('_idempotencyKey')).toBeTruthy();
+
+            expect(document.getElementById('responseMessage').textContent)
+                .toBe('Success! Your message has been sent. We will get back to you soon.');
+            expect(form.elements.message.value).toBe('');
+            expect(document.getElementById('submitBtn').disabled).toBe(false);
+        });
+
+        it('pretends to succeed for a bot that filled the honeypot, without sending', async () => {
+            form.elements.website_url.value = 'https://spam.example';
+            await vi.advanceTimersByTimeAsync(5000);
+            const done = settled(form);
+            submit(form);
+            await done;
+
+            expect(posts()).toHaveLength(0);
+            expect(document.getElementById('responseMessage').className).toBe('message-box message-success');
+        });
+
+        it('refuses an instant submission without sending', async () => {
+            const done = settled(form);
+            submit(form);
+            await done;
+
+            expect(posts()).toHaveLength(0);
+            expect(document.getElementById('responseMessage').textContent)
+                .toBe('Error! Please take a moment to fill out the form completely.');
+        });
+    });
+
+    describe('newsletter', () => {
+        let form;
+
+        beforeEach(() => {
+            loadPage('index.html');
+            form = document.getElementById('newsletterForm');
+            document.dispatchEvent(new Event('DOMContentLoaded'));
+            form.elements.email.value = 'reader@example.com';
+        });
+
+        it('retries network failures with exponential backoff until one gets through', async () => {
+            fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+                .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+            await vi.advanceTimersByTimeAsync(5000);
+            const done = settled(form);
+            submit(form);
+
+            await vi.advanceTimersByTimeAsync(0);
+            expect(posts()).toHaveLength(1);
+            await vi.advanceTimersByTimeAsync(1999);
+            expect(posts()).toHaveLength(1);
+            await vi.advanceTimersByTimeAsync(1);
+            expect(posts()).toHaveLength(2);
+            await vi.advanceTimersByTimeAsync(4000);
+
+            const { result } = await done;
+            expect(result.ok).toBe(true);
+            expect(posts()).toHaveLength(3);
+            expect(form.querySelector('.message-box').textContent).toBe('Success! You have been subscribed to our newsletter!');
+        });
+
+        it('shows the error once every retry has failed', async () => {
+            fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+            await vi.advanceTimersByTimeAsync(5000);
+            const done = settled(form);
+            submit(form);
+            await vi.advanceTimersByTimeAsync(2000 + 4000 + 8000);
+
+            const { result } = await done;
+            expect(result.code).toBe(FORM_ERROR_CODES.NETWORK);
+            expect(posts()).toHaveLength(4);
+            expect(form.querySelector('.message-box').textContent)
+                .toBe(`Error! ${FORM_ERROR_MESSAGES[FORM_ERROR_CODES.NETWORK]}`);
+        });
+
+        it('does not retry a rejection from the backend', async () => {
+            fetch.mockResolvedValueOnce(new Response('Invalid email'));
+            await vi.advanceTimersByTimeAsync(5000);
+            const done = settled(form);
+            submit(form);
+
+            const { result } = await done;
+            expect(result).toMatchObject({ code: FORM_ERROR_CODES.REJECTED, message: 'Invalid email' });
+            expect(posts()).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    enqueueSubmission,
+    getQueuedSubmissions,
+    flushQueue,
+    QUEUE_MAX_AGE_MS
+} from '../form-queue.js';
+import { createFormController, FORM_STATES } from '../form-controller.js';
+import { FORM_ERROR_CODES, IDEMPOTENCY_FIELD } from '../form-transport.js';
+import { issueFormToken, verifyFormToken, FORM_TOKEN_FIELD, TOKEN_MAX_AGE_MS, TOKEN_MIN_AGE_MS } from '../form-token.js';
+import { createChallenge, solveChallenge, verifyProofOfWork, POW_FIELDS } from '../proof-of-work.js';
+
+const OK = { ok: true, code: 'ok', status: 200, data: null };
+const OFFLINE = { ok: false, code: FORM_ERROR_CODES.NETWORK, message: 'Failed to fetch', retryable: true };
+
+const transportReturning = (...results) => {
+    const submit = vi.fn();
+    results.forEach(result => submit.mockResolvedValueOnce(result));
+    return { name: 'test', submit };
+};
+
+const fields = (key) => new URLSearchParams({ email: 'reader@example.com', [IDEMPOTENCY_FIELD]: key });
+
+describe('form queue', () => {
+    beforeEach(() => {
+        // A fresh, empty database for every test
+        vi.stubGlobal('indexedDB', new IDBFactory());
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('keeps one entry per idempotency key', async () => {
+        await enqueueSubmission(fields('key-1'), { formType: 'newsletter' });
+        await enqueueSubmission(fields('key-1'), { formType: 'newsletter' });
+
+        const entries = await getQueuedSubmissions();
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ key: 'key-1', formType: 'newsletter', attempts: 0 });
+    });
+
+    it('sends queued entries with their original idempotency key and removes them', async () => {
+        await enqueueSubmission(fields('key-1'), { formType: 'newsletter' });
+        const transport = transportReturning(OK);
+        const sent = vi.fn();
+        document.addEventListener('formqueuesent', sent, { once: true });
+
+        await flushQueue({ transport });
+
+        expect(transport.submit.mock.calls[0][0].get(IDEMPOTENCY_FIELD)).toBe('key-1');
+        expect(sent.mock.calls[0][0].detail).toMatchObject({ key: 'key-1', formType: 'newsletter' });
+        expect(await getQueuedSubmissions()).toEqual([]);
+    });
+
+    it('stops at the first entry that still cannot be sent', async () => {
+        await enqueueSubmission(fields('key-1'), { formType: 'newsletter' });
+        await enqueueSubmission(fields('key-2'), { formType: 'contact' });
+        const transport = transportReturning(OFFLINE);
+
+        await flushQueue({ transport });
+
+        expect(transport.submit).toHaveBeenCalledTimes(1);
+        const entries = await getQueuedSubmissions();
+        expect(entries.map(entry => entry.attempts)).toEqual([1, 0]);
+    });
+
+    it('drops entries the backend rejects and entries that expired', async () => {
+        await enqueueSubmission(fields('key-1'), { formType: 'newsletter' });
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(Date.now() + QUEUE_MAX_AGE_MS / 2);
+        await enqueueSubmission(fields('key-2'), { formType: 'newsletter' });
+        vi.setSystemTime(Date.now() + QUEUE_MAX_AGE_MS / 2 + 1000);
+
+        const dropped = vi.fn();
+        document.addEventListener('formqueuedropped', dropped);
+        const transport = transportReturning({ ok: false, code: FORM_ERROR_CODES.REJECTED, retryable: false });
+
+        await flushQueue({ transport });
+        document.removeEventListener('formqueuedropped', dropped);
+
+        // key-1 expired without being sent; key-2 was sent and rejected
+        expect(transport.submit).toHaveBeenCalledTimes(1);
+        expect(dropped.mock.calls.map(([e]) => e.detail.key)).toEqual(['key-1', 'key-2']);
+        expect(await getQueuedSubmissions()).toEqual([]);
+    });
+
+    describe('with a form token and proof of work', () => {
+        const SECRET = 'a-test-secret-that-is-long-enough-to-sign';
+
+        const protectedFields = async (key) => {
+            const params = fields(key);
+            params.set(FORM_TOKEN_FIELD, await issueFormToken({ formId: 'contactForm', secret: SECRET }));
+            const proof = await solveChallenge(createChallenge(4));
+            params.set(POW_FIELDS.challenge, proof.challenge);
+            params.set(POW_FIELDS.nonce, String(proof.nonce));
+            params.set(POW_FIELDS.difficulty, String(proof.difficulty));
+            return params;
+        };
+
+        it('renews both before sending an entry again', async () => {
+            await enqueueSubmission(await protectedFields('key-1'), { formType: 'contact', formId: 'contactForm' });
+            const [{ fields: queuedFields }] = await getQueuedSubmissions();
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(Date.now() + TOKEN_MAX_AGE_MS + 1000);
+
+            const transport = {
+                ...transportReturning(OK),
+                fetchToken: vi.fn(formId => issueFormToken({ formId, secret: SECRET, now: Date.now() - TOKEN_MIN_AGE_MS })),
+            };
+            await flushQueue({ transport });
+
+            expect(transport.fetchToken).toHaveBeenCalledWith('contactForm', expect.anything());
+            const [sent] = transport.submit.mock.calls[0];
+            const original = new URLSearchParams(queuedFields);
+            expect(sent.get(FORM_TOKEN_FIELD)).not.toBe(original.get(FORM_TOKEN_FIELD));
+            expect(sent.get(POW_FIELDS.challenge)).not.toBe(original.get(POW_FIELDS.challenge));
+            expect(sent.get(IDEMPOTENCY_FIELD)).toBe('key-1');
+
+            expect(await verifyFormToken(sent.get(FORM_TOKEN_FIELD), { secret: SECRET, formId: 'contactForm' }))
+                .toMatchObject({ valid: true });
+            expect(await verifyProofOfWork(sent, { minDifficulty: 4 })).toEqual({ valid: true, error: null });
+        });
+
+        it('keeps the entry when a new token cannot be fetched', async () => {
+            await enqueueSubmission(await protectedFields('key-1'), { formType: 'contact', formId: 'contactForm' });
+
+            const transport = {
+                ...transportReturning(OK),
+                fetchToken: vi.fn().mockRejectedValue(new TypeError('Failed to fetch')),
+            };
+            await flushQueue({ transport });
+
+            expect(transport.submit).not.toHaveBeenCalled();
+            expect(await getQueuedSubmissions()).toMatchObject([{ key: 'key-1', attempts: 1 }]);
+        });
+
+        it('keeps the entry instead of sending it without a token', async () => {
+            await enqueueSubmission(await protectedFields('key-1'), { formType: 'contact', formId: 'contactForm' });
+            await enqueueSubmission(await protectedFields('key-2'), { formType: 'contact', formId: 'contactForm' });
+            const dropped = vi.fn();
+            document.addEventListener('formqueuedropped', dropped);
+
+            // What the HTTP transport returns when the token endpoint is down
+            const transport = { ...transportReturning(OK), fetchToken: vi.fn().mockResolvedValue(null) };
+            await flushQueue({ transport });
+            document.removeEventListener('formqueuedropped', dropped);
+
+            expect(transport.submit).not.toHaveBeenCalled();
+            expect(transport.fetchToken).toHaveBeenCalledTimes(1);
+            expect(dropped).not.toHaveBeenCalled();
+            expect((await getQueuedSubmissions()).map(entry => entry.attempts)).toEqual([1, 0]);
+        });
+    });
+
+    it('lets the form tell the visitor it was queued, then that it was sent', async () => {
+        document.body.innerHTML = `
+            <form id="newsletterForm" data-form="newsletter">
+                <input type="email" name="email">
+                <button type="submit">Subscribe</button>
+            </form>`;
+        const form = document.getElementById('newsletterForm');
+        form.elements.email.value = 'reader@example.com';
+
+        vi.useFakeTimers({ toFake: ['Date'] });
+        // Marked as not retryable so the test doesn't wait out the backoff
+        const transport = transportReturning({ ...OFFLINE, retryable: false });
+        const controller = createFormController(form, { transport });
+        vi.setSystemTime(Date.now() + 5000);
+
+        const result = await controller.submit();
+        expect(result.code).toBe(FORM_ERROR_CODES.NETWORK);
+        expect(controller.state).toBe(FORM_STATES.QUEUED);
+        expect(form.querySelector('.message-box').className).toBe('message-box message-queued');
+        expect(form.elements.email.value).toBe('');
+
+        const [entry] = await getQueuedSubmissions();
+        expect(entry.fields).toContainEqual(['email', 'reader@example.com']);
+
+        await flushQueue({ transport: transportReturning(OK) });
+        expect(controller.state).toBe(FORM_STATES.SUCCESS);
+        expect(form.querySelector('.message-box').className).toBe('message-box message-success');
+    });
+});
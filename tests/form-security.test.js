@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    initFormSecurity,
+    validateFormSecurity,
+    recordSubmission,
+    containsSuspiciousContent,
+    sanitizeInput,
+    prepareSecureFormData,
+    SECURITY_CONFIG
+} from '../form-security.js';
+
+let formCount = 0;
+
+// A contact form with a fresh id, so load times don't leak between tests
+function renderContactForm(values = {}) {
+    const id = `contactForm${++formCount}`;
+    document.body.innerHTML = `
+        <form id="${id}">
+            <input type="text" name="name">
+            <input type="email" name="email">
+            <input type="text" name="website_url">
+            <input type="text" name="subject">
+            <textarea name="message"></textarea>
+        </form>`;
+    const form = document.getElementById(id);
+    const fields = {
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        subject: 'Question about VPNs',
+        message: 'Which of the VPNs you reviewed keeps the fewest logs?',
+        ...values,
+    };
+    for (const [name, value] of Object.entries(fields)) form.elements[name].value = value;
+    return { form, id };
+}
+
+describe('validateFormSecurity', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        localStorage.clear();
+        sessionStorage.clear();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('passes a human who took their time', () => {
+        const { form, id } = renderContactForm();
+        initFormSecurity(id);
+        vi.advanceTimersByTime(SECURITY_CONFIG.MIN_SUBMISSION_TIME_MS);
+
+        expect(validateFormSecurity(form, id)).toEqual({ valid: true, error: null });
+    });
+
+    it('flags a filled honeypot for a silent fake success', () => {
+        const { form, id } = renderContactForm({ [SECURITY_CONFIG.HONEYPOT_FIELD]: 'https://spam.example' });
+        initFormSecurity(id);
+        vi.advanceTimersByTime(5000);
+
+        expect(validateFormSecurity(form, id)).toEqual({ valid: false, error: '__SILENT_FAIL__', isBot: true });
+    });
+
+    it('refuses submissions faster than the time gate', () => {
+        const { form, id } = renderContactForm();
+        initFormSecurity(id);
+        vi.advanceTimersByTime(SECURITY_CONFIG.MIN_SUBMISSION_TIME_MS - 1);
+
+        expect(validateFormSecurity(form, id)).toMatchObject({ valid: false, isBot: true });
+    });
+
+    it('falls back to the load time in sessionStorage', () => {
+        const { form, id } = renderContactForm();
+        sessionStorage.setItem(SECURITY_CONFIG.STORAGE_KEY_FORM_LOAD, JSON.stringify({ [id]: Date.now() }));
+
+        expect(validateFormSecurity(form, id).valid).toBe(false);
+        vi.advanceTimersByTime(5000);
+        expect(validateFormSecurity(form, id).valid).toBe(true);
+    });
+
+    it('allows the submission when the load time is unknown', () => {
+        const { form, id } = renderContactForm();
+        expect(validateFormSecurity(form, id).valid).toBe(true);
+    });
+
+    it('rate limits after three submissions a minute', () => {
+        const { form, id } = renderContactForm();
+        initFormSecurity(id);
+        vi.advanceTimersByTime(5000);
+
+        for (let i = 0; i < SECURITY_CONFIG.RATE_LIMIT_MAX; i++) recordSubmission();
+        vi.advanceTimersByTime(10000);
+        expect(validateFormSecurity(form, id)).toEqual({
+            valid: false,
+            error: 'Too many submissions. Please wait 50 seconds before trying again.',
+        });
+
+        vi.advanceTimersByTime(50000);
+        expect(validateFormSecurity(form, id).valid).toBe(true);
+    });
+
+    it('enforces field lengths and the email format', () => {
+        const long = renderContactForm({ subject: 'x'.repeat(SECURITY_CONFIG.MAX_SUBJECT_LENGTH + 1) });
+        expect(validateFormSecurity(long.form, long.id).error).toBe('Subject is too long. Maximum 200 characters.');
+
+        const invalid = renderContactForm({ email: 'jane@' });
+        expect(validateFormSecurity(invalid.form, invalid.id).error).toBe('Please enter a valid email address.');
+    });
+
+    it('refuses code in any field', () => {
+        const { form, id } = renderContactForm({ message: 'Hi <script>alert(1)</script>' });
+        expect(validateFormSecurity(form, id).error).toMatch(/invalid characters/);
+    });
+
+    it('returns the spam report when the spam rules refuse it', () => {
+        const { form, id } = renderContactForm({ message: 'Claim your casino bonus now' });
+        const result = validateFormSecurity(form, id);
+
+        expect(result).toMatchObject({ valid: false, error: 'Spam content detected' });
+        expect(result.spam.fired.map(rule => rule.id)).toEqual(['spam-keywords']);
+    });
+
+    it('does not refuse non-English names', () => {
+        const { form, id } = renderContactForm({ name: 'Grzegorz Brzęczyszczykiewicz' });
+        expect(validateFormSecurity(form, id).valid).toBe(true);
+    });
+});
+
+describe('containsSuspiciousContent', () => {
+    it.each([
+        '<script>alert(1)</script>',
+        'javascript:alert(1)',
+        '<img src=x onerror=alert(1)>',
+        '<iframe src="https://evil.example">',
+        'data:text/html;base64,PHNjcmlwdD4=',
+        'background: url( "data:image/png")',
+        'width: expression(alert(1))',
+    ])('catches %s', (value) => {
+        expect(containsSuspiciousContent(value)).toBe(true);
+    });
+
+    it('leaves ordinary text alone', () => {
+        expect(containsSuspiciousContent('Is a VPN enough on public Wi-Fi? I use 2 browsers.')).toBe(false);
+    });
+});
+
+describe('sanitizeInput', () => {
+    it('encodes HTML and strips null bytes and control characters', () => {
+        expect(sanitizeInput('  <b>"Tom" & \'Jerry\'</b>\0\x07  ')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#x27;Jerry&#x27;&lt;/b&gt;');
+    });
+
+    it('keeps newlines and tabs inside the text', () => {
+        expect(sanitizeInput('line one\n\tline two')).toBe('line one\n\tline two');
+    });
+
+    it('passes non-strings through', () => {
+        expect(sanitizeInput(42)).toBe(42);
+        expect(sanitizeInput(null)).toBe(null);
+    });
+});
+
+describe('prepareSecureFormData', () => {
+    it('sanitizes every field, drops the honeypot and adds the metadata', () => {
+        vi.useFakeTimers({ now: 1_700_000_000_000 });
+        const { form } = renderContactForm({ name: 'Jane <Doe>', [SECURITY_CONFIG.HONEYPOT_FIELD]: 'bot' });
+
+        const params = prepareSecureFormData(form);
+        vi.useRealTimers();
+
+        expect(params.get('name')).toBe('Jane &lt;Doe&gt;');
+        expect(params.has(SECURITY_CONFIG.HONEYPOT_FIELD)).toBe(false);
+        expect(params.get('_timestamp')).toBe('1700000000000');
+        expect(params.get('_timezone')).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+        expect([...params.keys()]).toEqual(['name', 'email', 'subject', 'message', '_timestamp', '_timezone']);
+    });
+});
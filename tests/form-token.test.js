@@ -0,0 +1,93 @@
+// @vitest-environment node
+import { createHmac } from 'node:crypto';
+import { describe, it, expect } from 'vitest';
+import {
+    issueFormToken,
+    parseFormToken,
+    verifyFormToken,
+    toBase64Url,
+    TOKEN_MIN_AGE_MS,
+    TOKEN_MAX_AGE_MS
+} from '../form-token.js';
+
+const SECRET = 'test-secret-that-is-long-enough-0123456789';
+const ISSUED_AT = 1_700_000_000_000;
+
+const issue = (options = {}) => issueFormToken({ formId: 'contactForm', secret: SECRET, now: ISSUED_AT, ...options });
+const verify = (token, options = {}) => verifyFormToken(token, {
+    secret: SECRET,
+    formId: 'contactForm',
+    now: ISSUED_AT + 10_000,
+    ...options,
+});
+
+// Like Apps Script's Utilities.computeHmacSha256Signature: synchronous, signed bytes
+const syncHmac = (message, secret) => Array.from(createHmac('sha256', secret).update(message).digest(), byte => (byte << 24) >> 24);
+
+describe('toBase64Url', () => {
+    it('matches Node for signed and unsigned bytes', () => {
+        const bytes = createHmac('sha256', 'k').update('m').digest();
+        expect(toBase64Url(bytes)).toBe(bytes.toString('base64url'));
+        expect(toBase64Url(Array.from(bytes, byte => (byte << 24) >> 24))).toBe(bytes.toString('base64url'));
+        expect(toBase64Url([0xfb, 0xff])).toBe('-_8');
+    });
+});
+
+describe('issueFormToken', () => {
+    it('encodes the form id and issue time', async () => {
+        const parsed = parseFormToken(await issue());
+        expect(parsed).toMatchObject({ version: 't1', formId: 'contactForm', issuedAt: ISSUED_AT });
+        expect(parsed.signature).toHaveLength(43);
+    });
+
+    it('refuses to sign without a secret or with an unsafe form id', () => {
+        expect(() => issue({ secret: '' })).toThrow(/secret/);
+        expect(() => issue({ formId: 'a.b' })).toThrow(/form id/);
+    });
+});
+
+describe('verifyFormToken', () => {
+    it('accepts a fresh token for the right form', async () => {
+        expect(await verify(await issue())).toEqual({ valid: true, error: null, issuedAt: ISSUED_AT });
+    });
+
+    it('rejects missing, malformed and other forms\' tokens', async () => {
+        expect(await verify('')).toMatchObject({ error: 'missing' });
+        expect(await verify('t1.contactForm.nope')).toMatchObject({ error: 'malformed' });
+        expect(await verify(await issue({ formId: 'newsletterForm' }))).toMatchObject({ error: 'wrong_form' });
+    });
+
+    it('rejects tokens signed with another secret or edited after signing', async () => {
+        expect(await verify(await issue({ secret: 'someone-else' }))).toMatchObject({ error: 'bad_signature' });
+
+        // Pretend the form was loaded an hour earlier
+        const token = (await issue()).replace(`.${ISSUED_AT}.`, `.${ISSUED_AT - 3_600_000}.`);
+        expect(await verify(token)).toMatchObject({ error: 'bad_signature' });
+    });
+
+    it('enforces the minimum and maximum age', async () => {
+        const token = await issue();
+        expect(await verify(token, { now: ISSUED_AT + TOKEN_MIN_AGE_MS - 1 })).toMatchObject({ error: 'too_fast' });
+        expect(await verify(token, { now: ISSUED_AT + TOKEN_MAX_AGE_MS + 1 })).toMatchObject({ error: 'expired' });
+    });
+
+    it('accepts each nonce once', async () => {
+        const seen = new Set();
+        const isSpent = async (nonce) => seen.has(nonce) || (seen.add(nonce), false);
+        const token = await issue();
+
+        expect(await verify(token, { isSpent })).toMatchObject({ valid: true });
+        expect(await verify(token, { isSpent })).toMatchObject({ valid: false, error: 'replayed' });
+        expect(await verify(await issue(), { isSpent })).toMatchObject({ valid: true });
+    });
+
+    it('works synchronously with an Apps Script style hmac', async () => {
+        const token = issue({ hmac: syncHmac, nonce: 'abcdef-0123456789' });
+        expect(typeof token).toBe('string');
+        // Same signature as Web Crypto
+        expect(token).toBe(await issue({ nonce: 'abcdef-0123456789' }));
+
+        const result = verify(token, { hmac: syncHmac, isSpent: () => false });
+        expect(result).toEqual({ valid: true, error: null, issuedAt: ISSUED_AT });
+    });
+});
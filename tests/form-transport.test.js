@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createTransport, submitForm, FORM_ERROR_CODES } from '../form-transport.js';
+
+const APPS_SCRIPT_URL = 'https://script.google.com/macros/s/test/exec';
+const params = () => new URLSearchParams({ email: 'reader@example.com' });
+
+function textResponse(body, status = 200) {
+    return new Response(body, { status });
+}
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('transports', () => {
+    beforeEach(() => {
+        vi.stubGlobal('fetch', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('apps-script accepts the plain-text "success" body', async () => {
+        fetch.mockResolvedValue(textResponse('success'));
+        const result = await createTransport({ type: 'apps-script', url: APPS_SCRIPT_URL }).submit(params());
+
+        expect(result).toMatchObject({ ok: true, code: 'ok' });
+        expect(fetch.mock.calls[0][1].body.get('email')).toBe('reader@example.com');
+    });
+
+    it('apps-script reports any other body as a rejection', async () => {
+        fetch.mockResolvedValue(textResponse('Invalid email'));
+        const result = await createTransport({ type: 'apps-script', url: APPS_SCRIPT_URL }).submit(params());
+
+        expect(result).toMatchObject({ ok: false, code: FORM_ERROR_CODES.REJECTED, message: 'Invalid email', retryable: false });
+    });
+
+    it('apps-script refuses an endpoint that is not Apps Script', async () => {
+        const result = await createTransport({ type: 'apps-script', url: 'https://example.com/form' }).submit(params());
+
+        expect(result.code).toBe(FORM_ERROR_CODES.CONFIG);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('webhook posts JSON and honours the error code in the body', async () => {
+        fetch.mockResolvedValue(jsonResponse({ ok: false, code: 'rate_limited', message: 'Slow down' }, 200));
+        const result = await createTransport({ type: 'webhook', url: 'https://hooks.example.com/form' }).submit(params());
+
+        const [, options] = fetch.mock.calls[0];
+        expect(options.headers['Content-Type']).toBe('application/json');
+        expect(JSON.parse(options.body)).toEqual({ email: 'reader@example.com' });
+        expect(result).toMatchObject({ ok: false, code: FORM_ERROR_CODES.RATE_LIMITED, message: 'Slow down' });
+    });
+
+    it('webhook maps HTTP statuses to codes', async () => {
+        const transport = createTransport({ type: 'webhook', url: 'https://hooks.example.com/form' });
+
+        fetch.mockResolvedValueOnce(textResponse('', 429));
+        expect((await transport.submit(params())).code).toBe(FORM_ERROR_CODES.RATE_LIMITED);
+
+        fetch.mockResolvedValueOnce(textResponse('', 503));
+        expect(await transport.submit(params())).toMatchObject({ code: FORM_ERROR_CODES.SERVER, retryable: true });
+    });
+
+    it('formspree joins the messages from its errors array', async () => {
+        fetch.mockResolvedValue(jsonResponse({ errors: [{ message: 'Email is invalid.' }] }, 422));
+        const result = await createTransport({ type: 'formspree', url: 'https://formspree.io/f/test' }).submit(params());
+
+        expect(result).toMatchObject({ ok: false, code: FORM_ERROR_CODES.REJECTED, message: 'Email is invalid.' });
+    });
+
+    it('fetches form tokens from doGet or the token URL, and null on any failure', async () => {
+        fetch.mockResolvedValueOnce(jsonResponse({ token: 'abc' }));
+        expect(await createTransport({ type: 'apps-script', url: APPS_SCRIPT_URL }).fetchToken('contactForm')).toBe('abc');
+        expect(fetch.mock.calls[0][0]).toBe(`${APPS_SCRIPT_URL}?action=token&form=contactForm`);
+
+        fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        const webhook = createTransport({ type: 'webhook', url: 'https://hooks.example.com/form', tokenUrl: 'https://hooks.example.com/token' });
+        expect(await webhook.fetchToken('contactForm')).toBeNull();
+        expect(fetch.mock.calls[1][0]).toBe('https://hooks.example.com/token?form=contactForm');
+
+        expect(await createTransport({ type: 'formspree', url: 'https://formspree.io/f/test' }).fetchToken('contactForm')).toBeNull();
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports unknown transport types as a configuration error', async () => {
+        const result = await createTransport({ type: 'carrier-pigeon' }).submit(params());
+        expect(result.code).toBe(FORM_ERROR_CODES.CONFIG);
+    });
+});
+
+describe('submitForm', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('retries network errors with exponential backoff', async () => {
+        const transport = {
+            name: 'test',
+            submit: vi.fn()
+                .mockResolvedValueOnce({ ok: false, code: FORM_ERROR_CODES.NETWORK, retryable: true })
+                .mockResolvedValueOnce({ ok: false, code: FORM_ERROR_CODES.NETWORK, retryable: true })
+                .mockResolvedValueOnce({ ok: true, code: 'ok' }),
+        };
+
+        const pending = submitForm(params(), { transport });
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(transport.submit).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(transport.submit).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(4000);
+
+        expect((await pending).ok).toBe(true);
+        expect(transport.submit).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry a rejection', async () => {
+        const transport = {
+            name: 'test',
+            submit: vi.fn().mockResolvedValue({ ok: false, code: FORM_ERROR_CODES.REJECTED, retryable: false }),
+        };
+
+        const result = await submitForm(params(), { transport });
+
+        expect(result.code).toBe(FORM_ERROR_CODES.REJECTED);
+        expect(transport.submit).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops retrying once the timeout has passed', async () => {
+        const transport = {
+            name: 'test',
+            submit: vi.fn().mockResolvedValue({ ok: false, code: FORM_ERROR_CODES.NETWORK, retryable: true }),
+        };
+
+        const pending = submitForm(params(), { transport, timeout: 3000 });
+        await vi.advanceTimersByTimeAsync(3000);
+        const result = await pending;
+
+        expect(result.code).toBe(FORM_ERROR_CODES.TIMEOUT);
+        expect(transport.submit).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not start when the signal is already aborted', async () => {
+        const transport = { name: 'test', submit: vi.fn() };
+        const controller = new AbortController();
+        controller.abort();
+
+        const result = await submitForm(params(), { transport, signal: controller.signal });
+
+        expect(result.code).toBe(FORM_ERROR_CODES.ABORTED);
+        expect(transport.submit).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,57 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import names from './fixtures/names.json';
+import { detectScript, isGibberish, isPlausibleName } from '../gibberish.js';
+
+describe('isPlausibleName', () => {
+    for (const [group, list] of Object.entries(names)) {
+        it(`accepts real ${group} names`, () => {
+            expect(list.filter(name => !isPlausibleName(name))).toEqual([]);
+        });
+    }
+
+    it('rejects keyboard mashes and bot strings', () => {
+        for (const name of ['teUxkdAfKqxsOc', 'AsYmNaewgOP', 'xkqzvbnmwr', 'qwrtpsdfgh', 'жщкфпрствнм', 'aaeeiioouu']) {
+            expect(isPlausibleName(name), name).toBe(false);
+        }
+    });
+
+    it('rejects names without letters and words that mix lookalike scripts', () => {
+        expect(isPlausibleName('12345')).toBe(false);
+        expect(isPlausibleName('!!!')).toBe(false);
+        // Cyrillic "о" in an otherwise Latin name
+        expect(isPlausibleName('Jоhn Smith')).toBe(false);
+    });
+});
+
+describe('isGibberish', () => {
+    it('catches random strings in subjects and short messages', () => {
+        expect(isGibberish('asdfghjkl qwerty')).toBe(true);
+        expect(isGibberish('AsYmNaewgOP')).toBe(true);
+        expect(isGibberish('Which VPN keeps the fewest logs?')).toBe(false);
+    });
+
+    it('ignores short text and scripts it has no model for', () => {
+        expect(isGibberish('xkcd')).toBe(false);
+        expect(isGibberish('ㅁㄴㅇㄹㅎㅋㅌㅊㅍ')).toBe(false);
+        expect(isGibberish('بببببببب')).toBe(false);
+    });
+
+    it('only looks at the main script', () => {
+        expect(isGibberish('Привет, как дела? xkqzvbnm')).toBe(false);
+    });
+
+    it('does not mind digits and punctuation', () => {
+        expect(isGibberish('Order #12345 - refund?')).toBe(false);
+    });
+});
+
+describe('detectScript', () => {
+    it('names the script most letters are in', () => {
+        expect(detectScript('Łódź')).toBe('Latin');
+        expect(detectScript('Москва (Moscow)')).toBe('Cyrillic');
+        expect(detectScript('東京 Tokyo')).toBe('Latin');
+        expect(detectScript('Ἀθῆναι')).toBe('Greek');
+        expect(detectScript('123 !?')).toBeNull();
+    });
+});
@@ -0,0 +1,116 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import * as cheerio from 'cheerio';
+import { applyPageMetadata, buildStructuredData, renderPageMetadata } from '../scripts/lib/metadata.js';
+import { articleMetadata } from '../scripts/lib/articles.js';
+import { SITE } from '../scripts/lib/site.js';
+
+const ARTICLE = {
+    slug: 'freeze-your-credit',
+    file: 'freeze-your-credit.html',
+    title: 'How to Freeze Your Credit </script>',
+    description: 'Lock your credit reports for free.',
+    date: '2025-10-15',
+    author: 'NoIdentity Team',
+    category: 'Digital Security',
+    keywords: ['credit freeze', 'identity theft'],
+};
+
+const HAND_WRITTEN = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta property="og:title"
+        content="Old title">
+    <meta property="og:type" content="article">
+    <title>Contact Us | NoIdentity.Space</title>
+    <meta name="twitter:card" content="summary">
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body><meta property="og:title" content="Part of the body"></body>
+</html>
+`;
+
+function graphOf(html) {
+    const $ = cheerio.load(html);
+    return JSON.parse($('script[type="application/ld+json"]').text())['@graph'];
+}
+
+describe('renderPageMetadata', () => {
+    it('describes an article with Open Graph, Twitter and JSON-LD', () => {
+        const $ = cheerio.load(`<head>${renderPageMetadata(articleMetadata(ARTICLE))}</head>`);
+        const url = `${SITE.url}/articles/freeze-your-credit.html`;
+        const content = selector => $(selector).map((i, el) => $(el).attr('content')).get();
+
+        expect($('link[rel="canonical"]').attr('href')).toBe(url);
+        expect(content('meta[property="og:url"]')).toEqual([url]);
+        expect(content('meta[property="og:type"]')).toEqual(['article']);
+        expect(content('meta[property="og:title"]')).toEqual([ARTICLE.title]);
+        expect(content('meta[property="article:published_time"]')).toEqual(['2025-10-15']);
+        expect(content('meta[property="article:section"]')).toEqual(['Digital Security']);
+        expect(content('meta[property="article:tag"]')).toEqual(['credit freeze', 'identity theft']);
+        expect(content('meta[property="og:image"]')).toEqual([`${SITE.url}/images/og/freeze-your-credit.png`]);
+        expect(content('meta[name="twitter:card"]')).toEqual(['summary_large_image']);
+
+        const graph = JSON.parse($('script[type="application/ld+json"]').text())['@graph'];
+        expect(graph.map(node => node['@type'])).toEqual(['Organization', 'WebSite', 'BlogPosting', 'BreadcrumbList']);
+        expect(graph[2]).toMatchObject({
+            headline: ARTICLE.title,
+            datePublished: '2025-10-15',
+            author: { '@type': 'Organization', name: 'NoIdentity Team' },
+            publisher: { '@id': `${SITE.url}/#organization` },
+        });
+        expect(graph[3].itemListElement.map(item => item.item)).toEqual([
+            `${SITE.url}/`,
+            `${SITE.url}/articles.html`,
+            `${SITE.url}/categories/digital-security.html`,
+            url,
+        ]);
+    });
+
+    it('never lets a title close the JSON-LD script', () => {
+        const html = renderPageMetadata(articleMetadata(ARTICLE));
+        expect(html.match(/<\/script>/g)).toHaveLength(1);
+    });
+
+    it('uses large cards only when there is an image', () => {
+        const page = { path: 'contact.html', type: 'website', title: 'Contact Us', description: 'Write to us' };
+        const article = renderPageMetadata(articleMetadata(ARTICLE));
+
+        expect(renderPageMetadata(page)).toContain('<meta name="twitter:card" content="summary">');
+        expect(renderPageMetadata(page)).not.toContain('og:image');
+        expect(article).toContain(`<meta name="twitter:image" content="${SITE.url}/images/og/freeze-your-credit.png">`);
+        expect(article).toContain(`<meta property="og:image:alt" content="${ARTICLE.title.replace('<', '&lt;').replace('>', '&gt;')}">`);
+        expect(graphOf(article)[2].image).toBe(`${SITE.url}/images/og/freeze-your-credit.png`);
+    });
+
+    it('names a guest author as a person', () => {
+        const graph = buildStructuredData(articleMetadata({ ...ARTICLE, author: 'Jane Doe' }))['@graph'];
+        expect(graph[2].author).toEqual({ '@type': 'Person', name: 'Jane Doe' });
+    });
+});
+
+describe('applyPageMetadata', () => {
+    const meta = { path: 'contact.html', type: 'website', title: 'Contact Us', description: 'Write to us' };
+
+    it('replaces loose tags in <head> with one block after the title', () => {
+        const html = applyPageMetadata(HAND_WRITTEN, meta);
+        const $ = cheerio.load(html);
+
+        expect($('head meta[property="og:title"]').attr('content')).toBe('Contact Us');
+        expect($('head meta[property="og:type"]')).toHaveLength(1);
+        expect($('head meta[name="twitter:card"]')).toHaveLength(1);
+        expect(html).toContain('<title>Contact Us | NoIdentity.Space</title>\n    <!-- page:meta -->\n    <link rel="canonical"');
+        expect(html).toContain('<!-- /page:meta -->\n    <link rel="stylesheet" href="styles.css">');
+        expect(html).toContain('<body><meta property="og:title" content="Part of the body"></body>');
+    });
+
+    it('updates the block in place and is stable', () => {
+        const once = applyPageMetadata(HAND_WRITTEN, meta);
+        const updated = applyPageMetadata(once, { ...meta, description: 'Say hello' });
+
+        expect(applyPageMetadata(once, meta)).toBe(once);
+        expect(updated.match(/<!-- page:meta -->/g)).toHaveLength(1);
+        expect(cheerio.load(updated)('meta[property="og:description"]').attr('content')).toBe('Say hello');
+    });
+});
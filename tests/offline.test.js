@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    SAVED_CACHE, pageKey, saveArticle, removeArticle, isArticleSaved, listSavedArticles, setupOfflineReading
+} from '../offline.js';
+import { createCacheStorage } from './fixtures/cache-storage.js';
+
+const page = (title, ogTitle) => `<!DOCTYPE html><html><head><title>${title}</title>${
+    ogTitle ? `<meta property="og:title" content="${ogTitle}">` : ''}</head><body></body></html>`;
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('offline reading', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        fetchMock = vi.fn(async url => new Response(page(`Page at ${url} | NoIdentity.Space`), { status: 200 }));
+        vi.stubGlobal('fetch', fetchMock);
+        vi.stubGlobal('caches', createCacheStorage(fetchMock));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    it('keys pages without their query string or fragment', () => {
+        expect(pageKey('https://www.noidentity.space/articles/x.html?utm_source=feed#setup'))
+            .toBe('https://www.noidentity.space/articles/x.html');
+    });
+
+    it('saves a fresh copy of the page and removes it again', async () => {
+        const url = 'https://www.noidentity.space/articles/x.html?ref=home';
+
+        await saveArticle(url);
+        expect(fetchMock).toHaveBeenCalledWith('https://www.noidentity.space/articles/x.html', { cache: 'no-cache' });
+        expect(await isArticleSaved('https://www.noidentity.space/articles/x.html#intro')).toBe(true);
+
+        expect(await removeArticle(url)).toBe(true);
+        expect(await isArticleSaved(url)).toBe(false);
+    });
+
+    it('does not keep a page that failed to download', async () => {
+        fetchMock.mockResolvedValueOnce(new Response('Not found', { status: 404 }));
+
+        await expect(saveArticle('https://www.noidentity.space/articles/gone.html')).rejects.toThrow('HTTP 404');
+        expect(await (await caches.open(SAVED_CACHE)).keys()).toHaveLength(0);
+    });
+
+    it('lists saved articles by their Open Graph title, or their <title> without the site name', async () => {
+        const cache = await caches.open(SAVED_CACHE);
+        await cache.put('https://www.noidentity.space/articles/b.html', new Response(page('B | NoIdentity.Space')));
+        await cache.put('https://www.noidentity.space/articles/a.html', new Response(page('Ignored', 'A guide')));
+
+        expect(await listSavedArticles()).toEqual([
+            { url: 'https://www.noidentity.space/articles/a.html', title: 'A guide' },
+            { url: 'https://www.noidentity.space/articles/b.html', title: 'B' },
+        ]);
+    });
+
+    describe('setupOfflineReading', () => {
+        let register;
+
+        beforeEach(() => {
+            register = vi.fn().mockResolvedValue({});
+            Object.defineProperty(navigator, 'serviceWorker', { value: { register }, configurable: true });
+        });
+
+        afterEach(() => {
+            delete navigator.serviceWorker;
+        });
+
+        const saveControl = () => {
+            document.body.innerHTML = `
+                <div data-offline-save hidden>
+                    <button type="button" data-offline-toggle aria-pressed="false">Save for offline</button>
+                    <p data-offline-status></p>
+                </div>`;
+            return {
+                control: document.querySelector('[data-offline-save]'),
+                button: document.querySelector('[data-offline-toggle]'),
+                status: document.querySelector('[data-offline-status]'),
+            };
+        };
+
+        it('registers the service worker only when asked to', async () => {
+            await setupOfflineReading();
+            expect(register).not.toHaveBeenCalled();
+
+            await setupOfflineReading({ register: true });
+            expect(register).toHaveBeenCalledWith('/service-worker.js');
+        });
+
+        it('shows the save control and toggles the saved copy', async () => {
+            const { control, button, status } = saveControl();
+            await setupOfflineReading();
+
+            expect(control.hidden).toBe(false);
+            expect(button.getAttribute('aria-pressed')).toBe('false');
+
+            button.click();
+            await flush();
+            expect(await isArticleSaved()).toBe(true);
+            expect(button.getAttribute('aria-pressed')).toBe('true');
+            expect(status.textContent).toMatch(/^Saved/);
+
+            button.click();
+            await flush();
+            expect(await isArticleSaved()).toBe(false);
+            expect(button.getAttribute('aria-pressed')).toBe('false');
+        });
+
+        it('says so when the page cannot be saved', async () => {
+            const { button, status } = saveControl();
+            await setupOfflineReading();
+            fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+            button.click();
+            await flush();
+            expect(button.getAttribute('aria-pressed')).toBe('false');
+            expect(status.textContent).toMatch(/Could not save/);
+        });
+
+        it('says so when the saved copy cannot be removed', async () => {
+            await saveArticle();
+            const { button, status } = saveControl();
+            await setupOfflineReading();
+            const cache = await caches.open(SAVED_CACHE);
+            vi.spyOn(cache, 'delete').mockRejectedValue(new DOMException('Storage is blocked', 'SecurityError'));
+
+            button.click();
+            await flush();
+            expect(button.getAttribute('aria-pressed')).toBe('true');
+            expect(button.disabled).toBe(false);
+            expect(status.textContent).toMatch(/^⚠️ Could not remove/);
+            expect(status.textContent).not.toMatch(/connection/);
+        });
+
+        it('leaves the control hidden where pages cannot be kept', async () => {
+            delete navigator.serviceWorker;
+            const { control } = saveControl();
+            await setupOfflineReading();
+
+            expect(control.hidden).toBe(true);
+        });
+
+        it('lists saved articles with a remove button each', async () => {
+            await saveArticle('https://www.noidentity.space/articles/x.html');
+            document.body.innerHTML = '<ul data-offline-list></ul><p data-offline-empty>Nothing saved yet.</p>';
+            await setupOfflineReading();
+
+            const list = document.querySelector('[data-offline-list]');
+            const empty = document.querySelector('[data-offline-empty]');
+            expect(list.querySelectorAll('li')).toHaveLength(1);
+            expect(list.querySelector('a').getAttribute('href')).toBe('https://www.noidentity.space/articles/x.html');
+            expect(empty.hidden).toBe(true);
+
+            list.querySelector('button').click();
+            await flush();
+            await flush();
+            expect(list.querySelectorAll('li')).toHaveLength(0);
+            expect(empty.hidden).toBe(false);
+        });
+
+        it('says so and keeps the list current when a copy cannot be removed', async () => {
+            await saveArticle('https://www.noidentity.space/articles/x.html');
+            document.body.innerHTML = '<ul data-offline-list></ul><p data-offline-list-status></p>';
+            await setupOfflineReading();
+            const cache = await caches.open(SAVED_CACHE);
+            vi.spyOn(cache, 'delete').mockRejectedValue(new DOMException('Storage is blocked', 'SecurityError'));
+
+            const list = document.querySelector('[data-offline-list]');
+            list.querySelector('button').click();
+            await flush();
+            await flush();
+
+            expect(document.querySelector('[data-offline-list-status]').textContent).toMatch(/^⚠️ Could not remove/);
+            expect(console.error).toHaveBeenCalledWith('[Offline] Could not remove the saved copy:', expect.any(DOMException));
+            expect(list.querySelectorAll('li')).toHaveLength(1);
+            expect(list.querySelector('button').disabled).toBe(false);
+        });
+    });
+});
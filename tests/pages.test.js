@@ -0,0 +1,91 @@
+// @vitest-environment node
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { expandIncludes, listPages, pageBase, pageInputs } from '../scripts/lib/pages.js';
+
+let rootDir;
+
+const write = (file, content = '') => {
+    fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, file), content);
+};
+
+beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pages-'));
+});
+
+afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+describe('pageBase', () => {
+    it('leads back to the site root', () => {
+        expect(pageBase('index.html')).toBe('');
+        expect(pageBase('articles/x.html')).toBe('../');
+        expect(pageBase('a/b/c.html')).toBe('../../');
+    });
+});
+
+describe('expandIncludes', () => {
+    const partialsDir = () => path.join(rootDir, 'partials');
+
+    beforeEach(() => {
+        write('partials/header.html', '<header>\n    <a href="{{base}}index.html">Home</a>\n\n</header>\n');
+    });
+
+    it('indents the partial like its marker and makes links relative to the page', () => {
+        const html = '<body>\n    <!-- include:header -->\n</body>';
+
+        expect(expandIncludes(html, 'articles/x.html', { partialsDir: partialsDir() })).toBe(
+            '<body>\n    <header>\n        <a href="../index.html">Home</a>\n\n    </header>\n</body>'
+        );
+        expect(expandIncludes(html, 'index.html', { partialsDir: partialsDir() })).toContain('<a href="index.html">');
+    });
+
+    it('only replaces markers on a line of their own', () => {
+        const html = '<p>Write <!-- include:header --> to add the header</p>';
+        expect(expandIncludes(html, 'index.html', { partialsDir: partialsDir() })).toBe(html);
+    });
+
+    it('names the page and the missing partial', () => {
+        expect(() => expandIncludes('<!-- include:footer -->', 'contact.html', { partialsDir: partialsDir() }))
+            .toThrow('contact.html: no partial for <!-- include:footer --> (expected partials/footer.html)');
+    });
+
+    it('fills every marker the real pages use', () => {
+        const page = fs.readFileSync(path.join(import.meta.dirname, '../templates/article.html'), 'utf8');
+        const html = expandIncludes(page, 'articles/x.html');
+
+        expect(html).not.toMatch(/<!-- include:/);
+        expect(html).toContain('<script type="module" src="../consent.js"></script>');
+        expect(html).toContain('<a href="../feed.xml">RSS Feed</a>');
+        expect(html).toContain('id="sidebarNewsletterForm"');
+    });
+});
+
+describe('listPages', () => {
+    it('finds pages at any depth and skips templates, partials and tooling', () => {
+        for (const file of ['index.html', 'articles/a.html', 'categories/b.html', 'tools/deep/c.html',
+            'templates/article.html', 'partials/header.html', 'node_modules/x/index.html', 'dist/index.html',
+            '.cache/x.html', 'main.js']) {
+            write(file);
+        }
+
+        expect(listPages(rootDir)).toEqual(['articles/a.html', 'categories/b.html', 'index.html', 'tools/deep/c.html']);
+    });
+});
+
+describe('pageInputs', () => {
+    it('names each input after its page and leaves out excluded pages', () => {
+        write('index.html');
+        write('articles/a.html');
+        write('articles/draft.html');
+
+        expect(pageInputs({ rootDir, exclude: ['articles/draft.html'] })).toEqual({
+            'articles/a': path.join(rootDir, 'articles/a.html'),
+            index: path.join(rootDir, 'index.html'),
+        });
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+    randomIndex, diceRolls, generatePassphrase, setupPassphraseGenerators, DEFAULT_WORD_COUNT, MAX_WORD_COUNT
+} from '../passphrase.js';
+import diceware from '../diceware-words.json';
+
+/**
+ * getRandomValues that hands out the given 32-bit values in turn
+ */
+const sequence = (...values) => vi.fn((array) => {
+    array[0] = values.shift();
+    return array;
+});
+
+describe('diceware passphrases', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    it('ships 1,296 distinct, sorted, lowercase words', () => {
+        expect(diceware.words).toHaveLength(6 ** 4);
+        expect(new Set(diceware.words).size).toBe(diceware.words.length);
+        expect([...diceware.words].sort()).toEqual(diceware.words);
+        expect(diceware.words.every(word => /^[a-z]{3,9}$/.test(word))).toBe(true);
+    });
+
+    it('draws indexes without modulo bias', () => {
+        // 2^32 is not a multiple of 6, so the top 4 values would favour 0 to 3 and are redrawn
+        const random = sequence(2 ** 32 - 1, 2 ** 32 - 4, 13);
+        expect(randomIndex(6, random)).toBe(1);
+        expect(random).toHaveBeenCalledTimes(3);
+
+        expect(randomIndex(6, sequence(2 ** 32 - 5))).toBe((2 ** 32 - 5) % 6);
+    });
+
+    it('uses the browser\'s cryptographic random numbers', () => {
+        const spy = vi.spyOn(crypto, 'getRandomValues');
+        generatePassphrase();
+        expect(spy).toHaveBeenCalledTimes(DEFAULT_WORD_COUNT);
+        expect(spy.mock.calls[0][0]).toBeInstanceOf(Uint32Array);
+    });
+
+    it('maps each word to the dice rolls that pick it', () => {
+        expect(diceRolls(0)).toBe('1-1-1-1');
+        expect(diceRolls(1)).toBe('1-1-1-2');
+        expect(diceRolls(6)).toBe('1-1-2-1');
+        expect(diceRolls(1295)).toBe('6-6-6-6');
+    });
+
+    it('builds a passphrase from the chosen words, separator and case', () => {
+        const result = generatePassphrase({ words: 4, separator: '-', capitalize: true, getRandomValues: sequence(0, 1, 6, 1295) });
+
+        const expected = [0, 1, 6, 1295].map(i => diceware.words[i].charAt(0).toUpperCase() + diceware.words[i].slice(1));
+        expect(result.passphrase).toBe(expected.join('-'));
+        expect(result.rolls).toEqual(['1-1-1-1', '1-1-1-2', '1-1-2-1', '6-6-6-6']);
+        expect(result.bits).toBeCloseTo(4 * Math.log2(1296));
+    });
+
+    it('keeps the length within bounds and skips dice for other lists', () => {
+        expect(generatePassphrase({ words: 2 }).words).toHaveLength(4);
+        expect(generatePassphrase({ words: 50 }).words).toHaveLength(MAX_WORD_COUNT);
+
+        const own = generatePassphrase({ wordlist: ['alpha', 'beta', 'gamma'], words: 4 });
+        expect(own.rolls).toBeNull();
+        expect(own.bits).toBeCloseTo(4 * Math.log2(3));
+    });
+
+    describe('widget', () => {
+        it('shows a passphrase straight away and a new one on request', () => {
+            document.body.innerHTML = '<div data-passphrase-generator></div>';
+            setupPassphraseGenerators();
+
+            const output = document.querySelector('[data-passphrase-output]');
+            const first = output.textContent;
+            expect(first.split(' ')).toHaveLength(DEFAULT_WORD_COUNT);
+            expect(document.querySelector('[data-passphrase-details]').textContent).toMatch(/^6 words, about 62 bits\. Dice rolls: /);
+
+            vi.spyOn(crypto, 'getRandomValues').mockImplementation((array) => {
+                array[0] = 0;
+                return array;
+            });
+            document.querySelector('[data-passphrase-generate]').click();
+            expect(output.textContent).toBe(Array(DEFAULT_WORD_COUNT).fill(diceware.words[0]).join(' '));
+        });
+
+        it('regenerates when the options change', () => {
+            document.body.innerHTML = '<div data-passphrase-generator></div>';
+            setupPassphraseGenerators();
+
+            const words = document.querySelector('[data-passphrase-words]');
+            words.value = '8';
+            words.dispatchEvent(new Event('change'));
+            const separator = document.querySelector('[data-passphrase-separator]');
+            separator.value = 'hyphen';
+            separator.dispatchEvent(new Event('change'));
+
+            expect(document.querySelector('[data-passphrase-output]').textContent.split('-')).toHaveLength(8);
+        });
+
+        it('copies the passphrase', async () => {
+            const writeText = vi.fn().mockResolvedValue();
+            Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+            document.body.innerHTML = '<div data-passphrase-generator></div>';
+            setupPassphraseGenerators();
+
+            const copy = document.querySelector('[data-passphrase-copy]');
+            copy.click();
+            await Promise.resolve();
+
+            expect(writeText).toHaveBeenCalledWith(document.querySelector('[data-passphrase-output]').textContent);
+            expect(copy.textContent).toBe('Copied');
+            delete navigator.clipboard;
+        });
+    });
+});
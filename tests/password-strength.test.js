@@ -0,0 +1,177 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+    analyzePassword, findPatterns, formatCrackTime, CRACK_SCENARIOS, SCORE_LABELS, MAX_ANALYZED_LENGTH, setupPasswordStrength
+} from '../password-strength.js';
+
+const patterns = password => analyzePassword(password).sequence.map(match => match.pattern);
+
+describe('password strength', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    it('rates the most common passwords as very weak', () => {
+        for (const password of ['password', '123456', 'qwerty', '111111']) {
+            const result = analyzePassword(password);
+            expect(result.score, password).toBe(0);
+            expect(result.feedback.warning, password).toBe('This is a top-10 password.');
+        }
+    });
+
+    it('finds dictionary words, names, reversed words and capitals', () => {
+        const [word] = analyzePassword('Sunshine').sequence;
+        expect(word).toMatchObject({ pattern: 'dictionary', dictionary: 'passwords', token: 'Sunshine' });
+
+        const [name, year] = analyzePassword('john1987').sequence;
+        expect(name).toMatchObject({ dictionary: 'names', token: 'john' });
+        expect(year).toMatchObject({ pattern: 'year', year: 1987 });
+
+        expect(analyzePassword('drowssap').sequence[0]).toMatchObject({ reversed: true, word: 'password' });
+        expect(analyzePassword('DRAGON').bits).toBe(analyzePassword('dragon').bits + 1);
+    });
+
+    it('sees through leetspeak', () => {
+        const [match] = analyzePassword('P@ssw0rd').sequence;
+
+        expect(match).toMatchObject({ pattern: 'dictionary', leet: true, word: 'password', subs: { '@': 'a', 0: 'o' } });
+        expect(analyzePassword('P@ssw0rd').score).toBe(0);
+        expect(analyzePassword('P@ssw0rd').feedback.suggestions.join(' ')).toMatch(/"@" for "a"/);
+    });
+
+    it('spots keyboard walks on the main keys and the number pad', () => {
+        const walks = findPatterns('zxcvbnm').filter(match => match.pattern === 'keyboard');
+        expect(walks[0]).toMatchObject({ keyboard: 'qwerty', token: 'zxcvbnm', turns: 1 });
+
+        expect(findPatterns('1qaz').some(match => match.pattern === 'keyboard' && match.token === '1qaz')).toBe(true);
+        expect(findPatterns('7412').some(match => match.keyboard === 'keypad' && match.token === '7412')).toBe(true);
+        expect(analyzePassword('tyuiop[]').feedback.warning).toBe('Straight rows of keys are easy to guess.');
+    });
+
+    it('reads dates with and without separators', () => {
+        expect(analyzePassword('12/05/1990').sequence).toMatchObject([{ pattern: 'date', year: 1990, separator: '/' }]);
+        expect(analyzePassword('25121988').sequence).toMatchObject([{ pattern: 'date', day: 25, month: 12, year: 1988 }]);
+        expect(analyzePassword('1988-12-25').sequence).toMatchObject([{ pattern: 'date', year: 1988, month: 12, day: 25 }]);
+        expect(analyzePassword('25121988').feedback.warning).toMatch(/Dates and years/);
+    });
+
+    it('charges little for repeats and sequences', () => {
+        expect(patterns('abcabcabc')).toEqual(['repeat']);
+        expect(analyzePassword('abcabcabc').bits).toBeLessThan(analyzePassword('abc').bits + 3);
+        expect(patterns('abcdefg')).toEqual(['sequence']);
+        expect(patterns('97531')).toEqual(['sequence']);
+    });
+
+    it('counts a passphrase by its words, not its letters', () => {
+        const result = analyzePassword('maple ridge otter lamp stone');
+
+        expect(result.sequence).toMatchObject([{ pattern: 'passphrase', words: 5, separator: ' ' }]);
+        // Five words from 1,296 and a choice of separator
+        expect(result.bits).toBeGreaterThan(5 * Math.log2(1296));
+        expect(result.bits).toBeLessThan(5 * Math.log2(1296) + 4);
+        expect(result.score).toBe(4);
+    });
+
+    it('treats what matches no pattern as random characters', () => {
+        const result = analyzePassword('xK9#mQ2$vL');
+
+        expect(patterns('xK9#mQ2$vL')).toEqual(['bruteforce']);
+        expect(result.bits).toBeCloseTo(10 * Math.log2(95), 5);
+        expect(result.feedback).toEqual({ warning: '', suggestions: [] });
+    });
+
+    it('gets harder with every word added', () => {
+        const bits = ['dragon', 'dragon river', 'dragon river lamp'].map(password => analyzePassword(password).bits);
+        expect(bits[1]).toBeGreaterThan(bits[0]);
+        expect(bits[2]).toBeGreaterThan(bits[1]);
+    });
+
+    it('estimates a crack time for each attack and says it in words', () => {
+        const result = analyzePassword('correct horse battery staple');
+        expect(result.crackTimes.map(time => time.id)).toEqual(CRACK_SCENARIOS.map(scenario => scenario.id));
+        expect(result.crackTimes[3].seconds).toBeCloseTo(result.guesses / 1e10);
+        expect(result.label).toBe(SCORE_LABELS[result.score]);
+
+        expect(formatCrackTime(0.2)).toBe('less than a second');
+        expect(formatCrackTime(1)).toBe('1 second');
+        expect(formatCrackTime(7200)).toBe('2 hours');
+        expect(formatCrackTime(40 * 86400)).toBe('1 month');
+        expect(formatCrackTime(1e12)).toBe('centuries');
+    });
+
+    it('rates long input on its first characters without adding up the rest', () => {
+        const started = performance.now();
+        const repeated = analyzePassword('x'.repeat(350));
+
+        expect(repeated).toMatchObject({ length: 350, analyzedLength: MAX_ANALYZED_LENGTH });
+        expect(repeated.bits).toBe(analyzePassword('x'.repeat(MAX_ANALYZED_LENGTH)).bits);
+        expect(repeated.score).toBeLessThan(2);
+        // A repeated phrase costs about what two copies of it do, however long it gets
+        expect(analyzePassword('correct horse '.repeat(20)).bits).toBeLessThan(2 * analyzePassword('correct horse '.repeat(2)).bits);
+        expect(performance.now() - started).toBeLessThan(2000);
+    });
+
+    it('suggests a passphrase for an empty field', () => {
+        expect(analyzePassword('')).toMatchObject({ bits: 0, score: 0 });
+        expect(analyzePassword('').feedback.suggestions[0]).toMatch(/passphrase/);
+    });
+
+    describe('widget', () => {
+        const type = (input, value) => {
+            input.value = value;
+            input.dispatchEvent(new Event('input'));
+        };
+
+        it('builds itself in an empty element and updates as you type', () => {
+            document.body.innerHTML = '<div data-password-strength></div>';
+            setupPasswordStrength();
+
+            const input = document.querySelector('[data-password-input]');
+            const details = document.querySelector('[data-password-details]');
+            expect(input.type).toBe('password');
+            expect(input.getAttribute('autocomplete')).toBe('off');
+            expect(input.getAttribute('spellcheck')).toBe('false');
+            expect(details.hidden).toBe(true);
+
+            type(input, 'P@ssw0rd');
+            expect(document.querySelector('[data-password-meter]').dataset.score).toBe('0');
+            expect(document.querySelector('[data-password-summary]').textContent).toMatch(/^Very weak/);
+            expect(document.querySelector('[data-password-warning]').textContent).toBe('This is a top-10 password.');
+            expect(document.querySelectorAll('[data-password-times] tr')).toHaveLength(CRACK_SCENARIOS.length);
+            expect(details.hidden).toBe(false);
+
+            type(input, 'x'.repeat(150));
+            expect(document.querySelector('[data-password-summary]').textContent)
+                .toMatch(/Only the first 100 characters were checked\.$/);
+
+            type(input, '');
+            expect(details.hidden).toBe(true);
+        });
+
+        it('shows and hides what was typed', () => {
+            document.body.innerHTML = '<div data-password-strength></div>';
+            setupPasswordStrength();
+            const toggle = document.querySelector('[data-password-toggle]');
+
+            toggle.click();
+            expect(document.querySelector('[data-password-input]').type).toBe('text');
+            expect(toggle.getAttribute('aria-pressed')).toBe('true');
+            toggle.click();
+            expect(document.querySelector('[data-password-input]').type).toBe('password');
+        });
+
+        it('keeps what is typed on the page', () => {
+            const fetchMock = vi.fn();
+            vi.stubGlobal('fetch', fetchMock);
+            const setItem = vi.spyOn(Storage.prototype, 'setItem');
+            document.body.innerHTML = '<div data-password-strength></div>';
+            setupPasswordStrength();
+
+            type(document.querySelector('[data-password-input]'), 'hunter2');
+
+            expect(fetchMock).not.toHaveBeenCalled();
+            expect(setItem).not.toHaveBeenCalled();
+            vi.unstubAllGlobals();
+        });
+    });
+});
@@ -0,0 +1,112 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+    createChallenge,
+    parseChallenge,
+    solveChallenge,
+    verifyProofOfWork,
+    countLeadingZeroBits,
+    POW_FIELDS
+} from '../proof-of-work.js';
+
+// Low difficulty keeps the suite fast; verification is the same at any difficulty
+const DIFFICULTY = 8;
+
+const toFields = ({ challenge, nonce, difficulty }) => new URLSearchParams({
+    [POW_FIELDS.challenge]: challenge,
+    [POW_FIELDS.nonce]: String(nonce),
+    [POW_FIELDS.difficulty]: String(difficulty),
+});
+
+describe('countLeadingZeroBits', () => {
+    it('counts whole and partial zero bytes', () => {
+        expect(countLeadingZeroBits([0x00, 0x00, 0x80])).toBe(16);
+        expect(countLeadingZeroBits([0x00, 0x0f])).toBe(12);
+        expect(countLeadingZeroBits([0xff])).toBe(0);
+    });
+
+    it('accepts the signed bytes Apps Script returns', () => {
+        expect(countLeadingZeroBits([0, -128])).toBe(8);
+        expect(countLeadingZeroBits([0, 15])).toBe(12);
+    });
+});
+
+describe('createChallenge', () => {
+    it('encodes the version, difficulty and issue time', () => {
+        const challenge = createChallenge(18, 1700000000000);
+        expect(parseChallenge(challenge)).toMatchObject({ version: 'v1', difficulty: 18, issuedAt: 1700000000000 });
+        expect(createChallenge(18)).not.toBe(createChallenge(18));
+    });
+});
+
+describe('verifyProofOfWork', () => {
+    const options = { minDifficulty: DIFFICULTY };
+
+    it('accepts a solved challenge', async () => {
+        const proof = await solveChallenge(createChallenge(DIFFICULTY));
+        expect(await verifyProofOfWork(toFields(proof), options)).toEqual({ valid: true, error: null });
+    });
+
+    it('accepts a plain object of fields', async () => {
+        const proof = await solveChallenge(createChallenge(DIFFICULTY));
+        const fields = Object.fromEntries(toFields(proof));
+        expect((await verifyProofOfWork(fields, options)).valid).toBe(true);
+    });
+
+    it('rejects a nonce that does not solve the challenge', async () => {
+        const challenge = createChallenge(DIFFICULTY);
+        const { nonce } = await solveChallenge(challenge);
+        if (nonce === 0) return; // No smaller nonce to try (1 run in 256)
+
+        // solveChallenge returns the first solution, so the nonce before it isn't one
+        const result = await verifyProofOfWork(toFields({ challenge, nonce: nonce - 1, difficulty: DIFFICULTY }), options);
+        expect(result).toEqual({ valid: false, error: 'invalid' });
+    });
+
+    it('hashes with the digest it is given', async () => {
+        const proof = await solveChallenge(createChallenge(DIFFICULTY));
+        const digest = async () => [-1, 0];
+        expect((await verifyProofOfWork(toFields(proof), { ...options, digest })).error).toBe('invalid');
+    });
+
+    it('rejects puzzles easier than the minimum', async () => {
+        const proof = await solveChallenge(createChallenge(4));
+        expect(await verifyProofOfWork(toFields(proof), options)).toEqual({ valid: false, error: 'too_easy' });
+    });
+
+    it('rejects a difficulty field that does not match the challenge', async () => {
+        const proof = await solveChallenge(createChallenge(DIFFICULTY));
+        const fields = toFields(proof);
+        fields.set(POW_FIELDS.difficulty, '20');
+        expect((await verifyProofOfWork(fields, options)).error).toBe('malformed');
+    });
+
+    it('rejects expired and future challenges', async () => {
+        const proof = await solveChallenge(createChallenge(DIFFICULTY, 1000));
+        expect((await verifyProofOfWork(toFields(proof), { ...options, now: 1000 + 25 * 60 * 60 * 1000 })).error).toBe('expired');
+        expect((await verifyProofOfWork(toFields(proof), { ...options, now: 1000 - 10 * 60 * 1000 })).error).toBe('expired');
+    });
+
+    it('rejects replays when the backend tracks spent challenges', async () => {
+        const spent = new Set();
+        const isSpent = challenge => spent.has(challenge);
+        const proof = await solveChallenge(createChallenge(DIFFICULTY));
+
+        expect((await verifyProofOfWork(toFields(proof), { ...options, isSpent })).valid).toBe(true);
+        spent.add(proof.challenge);
+        expect((await verifyProofOfWork(toFields(proof), { ...options, isSpent })).error).toBe('replayed');
+    });
+
+    it('reports missing and malformed fields', async () => {
+        expect((await verifyProofOfWork(new URLSearchParams(), options)).error).toBe('missing');
+        expect((await verifyProofOfWork({ [POW_FIELDS.challenge]: 'nope', [POW_FIELDS.nonce]: '1' }, options)).error).toBe('malformed');
+    });
+});
+
+describe('solveChallenge', () => {
+    it('stops when aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        expect(await solveChallenge(createChallenge(30), { signal: controller.signal })).toBeNull();
+    });
+});
@@ -0,0 +1,86 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { buildVectors, findRelatedArticles, RELATED_LIMIT } from '../scripts/lib/related.js';
+
+function doc(slug, { title = slug, category = 'Privacy', keywords = [], date = '2025-01-01', text = '', linkable = true } = {}) {
+    return { slug, title, category, keywords, date, text, linkable };
+}
+
+const slugs = (related, slug) => related.get(slug).map(match => match.slug);
+
+describe('related articles', () => {
+    it('builds unit-length TF-IDF vectors without words every article shares', () => {
+        const vectors = buildVectors([
+            doc('a', { text: 'privacy vpn vpn' }),
+            doc('b', { text: 'privacy credit' }),
+        ]);
+
+        for (const vector of vectors) {
+            const length = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+            expect(length).toBeCloseTo(1);
+            // In every document, so it says nothing about either
+            expect(vector.has('privacy')).toBe(false);
+        }
+        expect([...vectors[0].keys()]).toEqual(expect.arrayContaining(['vpn']));
+    });
+
+    it('ranks articles that share the most distinctive words first', () => {
+        const related = findRelatedArticles([
+            doc('vpn-guide', { text: 'vpn tunnel encryption provider logs' }),
+            doc('vpn-review', { text: 'vpn provider logs speed' }),
+            doc('credit', { text: 'credit freeze bureau report' }),
+            doc('tor', { text: 'tor onion encryption' }),
+        ]);
+
+        expect(slugs(related, 'vpn-guide')).toEqual(['vpn-review', 'tor', 'credit']);
+        expect(slugs(related, 'credit')).not.toContain('credit');
+    });
+
+    it('weighs titles over body text', () => {
+        const related = findRelatedArticles([
+            doc('base', { title: 'Router security', text: 'firmware' }),
+            doc('title-match', { title: 'Router setup', text: 'cables' }),
+            doc('body-match', { title: 'Home network', text: 'router cables' }),
+            doc('other', { title: 'Credit freeze', text: 'bureau' }),
+        ]);
+
+        expect(slugs(related, 'base')[0]).toBe('title-match');
+    });
+
+    it('adds a bonus for a shared category and overlapping keywords', () => {
+        const related = findRelatedArticles([
+            doc('base', { category: 'Scams', keywords: ['Phishing', 'email'] }),
+            doc('same-category', { category: 'Scams' }),
+            doc('same-keywords', { category: 'Other', keywords: ['phishing', 'email'] }),
+            doc('unrelated', { category: 'Other' }),
+        ]);
+
+        expect(slugs(related, 'base')).toEqual(['same-keywords', 'same-category', 'unrelated']);
+    });
+
+    it('never suggests unlinkable articles and caps the list', () => {
+        const docs = [
+            doc('base', { text: 'password manager' }),
+            doc('draft', { text: 'password manager', linkable: false }),
+            ...['a', 'b', 'c', 'd', 'e'].map(slug => doc(slug, { text: 'password' })),
+        ];
+
+        const related = findRelatedArticles(docs);
+        expect(slugs(related, 'base')).toHaveLength(RELATED_LIMIT);
+        expect(slugs(related, 'base')).not.toContain('draft');
+        // Drafts still get suggestions of their own
+        expect(slugs(related, 'draft')[0]).toBe('base');
+        expect(findRelatedArticles(docs, { limit: 1 }).get('base')).toHaveLength(1);
+    });
+
+    it('breaks ties by newest, then by slug', () => {
+        const related = findRelatedArticles([
+            doc('base'),
+            doc('b-old', { date: '2024-01-01' }),
+            doc('b-new', { date: '2025-06-01' }),
+            doc('a-new', { date: '2025-06-01' }),
+        ]);
+
+        expect(slugs(related, 'base')).toEqual(['a-new', 'b-new', 'b-old']);
+    });
+});
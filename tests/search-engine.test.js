@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { stem, tokenize, search, highlight, makeSnippet, escapeHTML } from '../search-engine.js';
+import { buildSearchIndex, EXCERPT_LENGTH } from '../scripts/lib/search-index.js';
+
+const INDEX = {
+    docs: [
+        { url: '/articles/freeze.html', title: 'How to Freeze Your Credit', category: 'Digital Security', summary: 'Lock your credit reports for free.', excerpt: 'A freeze stops lenders from pulling your report, so thieves cannot open accounts.' },
+        { url: '/articles/passwords.html', title: 'Password Managers', category: 'Digital Security', summary: 'Why a password manager beats reusing passwords.' },
+        { url: '/articles/phishing.html', title: 'Spotting Phishing', category: 'Digital Scams', summary: 'Emails that ask for your password.' },
+    ],
+    terms: {
+        credit: [[0, 7]],
+        freeze: [[0, 7]],
+        password: [[1, 8], [2, 2]],
+        passwordless: [[1, 1]],
+        manager: [[1, 6]],
+        phishing: [[2, 7]],
+    },
+};
+
+const urls = results => results.map(result => result.doc.url);
+
+describe('search engine', () => {
+    it('stems plurals to the singular', () => {
+        expect(stem('passwords')).toBe('password');
+        expect(stem('privacies')).toBe('privacy');
+        expect(stem('addresses')).toBe('address');
+        expect(stem('access')).toBe('access');
+        expect(stem('virus')).toBe('virus');
+        expect(stem('ads')).toBe('ads');
+    });
+
+    it('tokenizes to lowercase stems without accents, punctuation or stop words', () => {
+        expect(tokenize('The Best VPNs, Café-Tested!')).toEqual(['best', 'vpn', 'cafe', 'tested']);
+        expect(tokenize('What is a VPN?', { keepStopWords: true })).toEqual(['what', 'is', 'vpn']);
+        expect(tokenize('')).toEqual([]);
+        expect(tokenize(null)).toEqual([]);
+    });
+
+    it('ranks documents by weighted matches', () => {
+        expect(urls(search(INDEX, 'passwords'))).toEqual(['/articles/passwords.html', '/articles/phishing.html']);
+        expect(search(INDEX, 'the and of')).toEqual([]);
+        expect(search(INDEX, 'password', { limit: 1 })).toHaveLength(1);
+    });
+
+    it('puts documents matching every word first', () => {
+        expect(urls(search(INDEX, 'phishing password'))[0]).toBe('/articles/phishing.html');
+        expect(urls(search(INDEX, 'password phishing'))[0]).toBe('/articles/phishing.html');
+    });
+
+    it('treats the last word as a prefix, below exact matches', () => {
+        expect(urls(search(INDEX, 'fre'))).toEqual(['/articles/freeze.html']);
+        // Too short to be a prefix
+        expect(search(INDEX, 'fr')).toEqual([]);
+        // Earlier words must match exactly
+        expect(search(INDEX, 'fre credit').map(result => result.doc.url)).toEqual(['/articles/freeze.html']);
+        expect(search(INDEX, 'fre credit')[0].score).toBeLessThan(search(INDEX, 'freeze credit')[0].score);
+
+        const [exact] = search(INDEX, 'password');
+        const prefixOnly = search({ ...INDEX, terms: { passwordless: [[1, 8]] } }, 'password');
+        expect(prefixOnly[0].score).toBeLessThan(exact.score);
+    });
+
+    it('ignores words that name Object.prototype members', () => {
+        expect(urls(search(INDEX, 'constructor privacy'))).toEqual([]);
+        expect(urls(search(INDEX, 'tostring password'))).toEqual(['/articles/passwords.html', '/articles/phishing.html']);
+        expect(search(INDEX, 'hasownproperty __proto__')).toEqual([]);
+    });
+
+    it('highlights matching words and escapes the rest', () => {
+        expect(highlight('Passwords <b>& more</b>', 'password')).toBe('<mark>Passwords</mark> &lt;b&gt;&amp; more&lt;/b&gt;');
+        expect(highlight('Freezing credit', 'fre')).toBe('<mark>Freezing</mark> credit');
+        expect(escapeHTML('"it\'s"')).toBe('&quot;it&#x27;s&quot;');
+    });
+
+    it('makes snippets from the summary around the first match', () => {
+        expect(makeSnippet(INDEX.docs[1], 'manager')).toBe('Why a password <mark>manager</mark> beats reusing passwords.');
+        expect(makeSnippet(INDEX.docs[0], 'nothing')).toBe('Lock your credit reports for free.');
+
+        // Falls back to the opening of the body when only the body matches
+        expect(makeSnippet(INDEX.docs[0], 'thieves')).toBe('A freeze stops lenders from pulling your report, so <mark>thieves</mark> cannot open accounts.');
+        expect(makeSnippet(INDEX.docs[1], 'nothing')).toBe('Why a password manager beats reusing passwords.');
+
+        const summary = `${'word '.repeat(40)}target ${'word '.repeat(40)}`.trim();
+        const snippet = makeSnippet({ summary }, 'target');
+        expect(snippet).toMatch(/^….*<mark>target<\/mark>.*…$/);
+        expect(snippet.length).toBeLessThan(summary.length);
+    });
+
+    describe('index builder', () => {
+        const PAGES = {
+            'articles/a.html': '<article class="article-content"><h2>Keep a Constructor Away</h2><p>A constructor and a toString walk into a bar.</p></article>',
+            'articles/b.html': '<article class="article-content"><p>Privacy for everyone.</p></article>',
+            'articles/c.html': `<article class="article-content"><p>${'Opening words. '.repeat(40)}Closing words.</p></article>`,
+        };
+        const entry = (slug, title) => ({
+            url: `articles/${slug}.html`, title, category: 'Privacy', summary: `About ${title}`,
+            description: '', keywords: [], date: '2025-01-01',
+        });
+        const build = (articles = [entry('a', 'Objects'), entry('b', 'Privacy')]) => buildSearchIndex({ articles }, {
+            readPage: article => PAGES[article.url],
+        });
+
+        it('indexes words that name Object.prototype members', () => {
+            const index = build();
+
+            expect(index.terms.constructor).toEqual([[0, expect.any(Number)]]);
+            expect(urls(search(JSON.parse(JSON.stringify(index)), 'constructor'))).toEqual(['/articles/a.html']);
+        });
+
+        it('keeps only what a result card shows', () => {
+            const index = build();
+
+            expect(index.docs[1]).toEqual({
+                url: '/articles/b.html', title: 'Privacy', category: 'Privacy', summary: 'About Privacy', excerpt: 'Privacy for everyone.',
+            });
+            // Body words are still searchable
+            expect(urls(search(index, 'everyone'))).toEqual(['/articles/b.html']);
+        });
+
+        it('stores only the opening of each article body', () => {
+            const [doc] = build([entry('c', 'Long')]).docs;
+
+            expect(doc.excerpt.length).toBeLessThanOrEqual(EXCERPT_LENGTH + 1);
+            expect(doc.excerpt).toMatch(/^Opening words\. .*\S…$/);
+            expect(doc.excerpt).not.toContain('Closing');
+        });
+    });
+});
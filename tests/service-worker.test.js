@@ -0,0 +1,164 @@
+// @vitest-environment node
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    buildWebManifest, buildVersion, listPrecacheURLs, buildServiceWorker, SERVICE_WORKER_FILE
+} from '../scripts/lib/offline.js';
+import { createCacheStorage, ORIGIN } from './fixtures/cache-storage.js';
+
+const SOURCE = fs.readFileSync(path.resolve(import.meta.dirname, '..', SERVICE_WORKER_FILE), 'utf8');
+
+describe('build files', () => {
+    it('describe the site as an installable app', () => {
+        const manifest = JSON.parse(buildWebManifest());
+
+        expect(manifest).toMatchObject({ start_url: '/', scope: '/', display: 'standalone' });
+        expect(manifest.icons.map(icon => icon.sizes)).toEqual(['192x192', '512x512']);
+        expect(manifest.icons.every(icon => icon.src.startsWith('/images/icons/'))).toBe(true);
+    });
+
+    it('version a build by its content', () => {
+        const files = [{ fileName: 'index.html', source: '<html>' }, { fileName: 'assets/main-1.js', source: 'x' }];
+        const version = buildVersion(files);
+
+        expect(version).toMatch(/^[0-9a-f]{10}$/);
+        expect(buildVersion([...files].reverse())).toBe(version);
+        expect(buildVersion([files[0], { fileName: 'assets/main-1.js', source: 'y' }])).not.toBe(version);
+    });
+
+    it('precache the shell pages and bundled assets that were built', () => {
+        expect(listPrecacheURLs([
+            'index.html', 'articles.html', 'offline.html', 'contact.html', 'password-strength.html', 'site.webmanifest',
+            'search-index.json', 'assets/main-abc.js', 'assets/main-abc.css', 'images/og/x.png', 'feed.xml',
+        ])).toEqual([
+            '/', '/index.html', '/articles.html', '/offline.html', '/password-strength.html', '/site.webmanifest',
+            '/assets/main-abc.css', '/assets/main-abc.js',
+        ]);
+    });
+});
+
+describe('service worker', () => {
+    let listeners;
+    let caches;
+    let network;
+    let fetchMock;
+    let context;
+
+    const html = body => new Response(`<html>${body}</html>`, { status: 200, headers: { 'Content-Type': 'text/html' } });
+
+    /**
+     * Deliver an event the way the browser does and wait for the worker to handle it
+     */
+    const dispatch = async (type, props = {}) => {
+        const event = {
+            ...props,
+            waitUntil(promise) { this.pending = promise; },
+            respondWith(promise) { this.response = promise; },
+        };
+        listeners[type](event);
+        await event.pending;
+        return event.response ? await event.response : undefined;
+    };
+
+    const navigate = url => dispatch('fetch', { request: { url: `${ORIGIN}${url}`, method: 'GET', mode: 'navigate' } });
+    const text = async response => (response ? response.text() : null);
+
+    beforeEach(() => {
+        listeners = {};
+        network = true;
+        fetchMock = vi.fn(async (request) => {
+            if (!network) throw new TypeError('Failed to fetch');
+            const url = typeof request === 'string' ? request : request.url;
+            return html(`online ${new URL(url, ORIGIN).pathname}`);
+        });
+        caches = createCacheStorage(fetchMock);
+
+        const source = buildServiceWorker({ version: 'v2', precache: ['/', '/offline.html', '/assets/main-abc.js'], source: SOURCE });
+        context = {
+            self: {
+                location: new URL(`${ORIGIN}/service-worker.js`),
+                addEventListener: (type, listener) => { listeners[type] = listener; },
+                skipWaiting: vi.fn(),
+                clients: { claim: vi.fn() },
+            },
+            caches,
+            fetch: fetchMock,
+            URL,
+            Response,
+        };
+        vm.runInNewContext(source, context);
+    });
+
+    it('precaches the shell in a cache named after the build', async () => {
+        await dispatch('install');
+
+        expect(await caches.keys()).toEqual(['nis-shell-v2']);
+        expect(await text(await caches.match(`${ORIGIN}/offline.html`))).toBe('<html>online /offline.html</html>');
+        expect(context.self.skipWaiting).toHaveBeenCalled();
+    });
+
+    it('deletes older builds and refreshes saved pages when it activates', async () => {
+        await (await caches.open('nis-shell-v1')).put(`${ORIGIN}/index.html`, html('old'));
+        await (await caches.open('nis-saved-articles')).put(`${ORIGIN}/articles/x.html`, html('saved'));
+        await dispatch('install');
+        await dispatch('activate');
+
+        expect(await caches.keys()).toEqual(['nis-saved-articles', 'nis-shell-v2']);
+        expect(await text(await caches.match(`${ORIGIN}/articles/x.html`))).toBe('<html>online /articles/x.html</html>');
+        expect(context.self.clients.claim).toHaveBeenCalled();
+    });
+
+    it('keeps a saved page it cannot refresh', async () => {
+        await (await caches.open('nis-saved-articles')).put(`${ORIGIN}/articles/x.html`, html('saved'));
+        network = false;
+        await dispatch('activate');
+
+        expect(await text(await caches.match(`${ORIGIN}/articles/x.html`))).toBe('<html>saved</html>');
+    });
+
+    it('serves pages from the network and keeps saved copies current', async () => {
+        await (await caches.open('nis-saved-articles')).put(`${ORIGIN}/articles/x.html`, html('saved'));
+
+        expect(await text(await navigate('/articles/x.html?utm_source=feed'))).toBe('<html>online /articles/x.html</html>');
+        expect(await text(await caches.match(`${ORIGIN}/articles/x.html`))).toBe('<html>online /articles/x.html</html>');
+
+        await navigate('/articles/y.html');
+        expect(await caches.match(`${ORIGIN}/articles/y.html`)).toBeUndefined();
+    });
+
+    it('falls back to a saved copy, then to the offline page', async () => {
+        await dispatch('install');
+        await (await caches.open('nis-saved-articles')).put(`${ORIGIN}/articles/x.html`, html('saved'));
+        network = false;
+
+        expect(await text(await navigate('/articles/x.html#setup'))).toBe('<html>saved</html>');
+        expect(await text(await navigate('/articles/x'))).toBe('<html>saved</html>');
+        expect(await text(await navigate('/articles/y.html'))).toBe('<html>online /offline.html</html>');
+    });
+
+    it('answers bundled assets from the cache', async () => {
+        await dispatch('install');
+        network = false;
+
+        const response = await dispatch('fetch', { request: { url: `${ORIGIN}/assets/main-abc.js`, method: 'GET', mode: 'no-cors' } });
+        expect(await text(response)).toBe('<html>online /assets/main-abc.js</html>');
+    });
+
+    it('caches the search index once it is fetched, for searching offline', async () => {
+        const fetchIndex = () => dispatch('fetch', { request: { url: `${ORIGIN}/search-index.json`, method: 'GET', mode: 'cors' } });
+        await dispatch('install');
+        expect(await caches.match(`${ORIGIN}/search-index.json`)).toBeUndefined();
+
+        expect(await text(await fetchIndex())).toBe('<html>online /search-index.json</html>');
+        network = false;
+        expect(await text(await fetchIndex())).toBe('<html>online /search-index.json</html>');
+        expect(await caches.keys()).toEqual(['nis-shell-v2']);
+    });
+
+    it('leaves other origins and other methods alone', async () => {
+        expect(await dispatch('fetch', { request: { url: 'https://www.googletagmanager.com/gtag/js', method: 'GET', mode: 'no-cors' } })).toBeUndefined();
+        expect(await dispatch('fetch', { request: { url: `${ORIGIN}/contact.html`, method: 'POST', mode: 'cors' } })).toBeUndefined();
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SHARE_TARGETS, getShareData, normalizeMastodonInstance, setupShareButtons } from '../share.js';
+
+const DATA = { url: 'https://www.noidentity.space/articles/x.html', title: 'Freeze & Thaw: A Guide' };
+
+const BLOCK = `
+    <div class="share-buttons">
+        <a href="#" class="share-button" data-share="x">Share on X</a>
+        <a href="#" class="share-button" data-share="email">Email</a>
+        <button type="button" class="share-button" data-share="mastodon" aria-expanded="false">Share on Mastodon</button>
+        <button type="button" class="share-button" data-share="copy">Copy Link</button>
+    </div>`;
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('share buttons', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        document.head.innerHTML = `<link rel="canonical" href="${DATA.url}"><meta property="og:title" content="${DATA.title}">`;
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        delete document.execCommand;
+        document.head.innerHTML = '';
+        document.body.innerHTML = '';
+    });
+
+    it('builds share links that carry only the URL and title', () => {
+        const x = new URL(SHARE_TARGETS.x(DATA));
+        expect(x.origin + x.pathname).toBe('https://x.com/intent/tweet');
+        expect(Object.fromEntries(x.searchParams)).toEqual({ url: DATA.url, text: DATA.title });
+
+        expect(new URL(SHARE_TARGETS.facebook(DATA)).searchParams.get('u')).toBe(DATA.url);
+        expect(new URL(SHARE_TARGETS.linkedin(DATA)).searchParams.get('url')).toBe(DATA.url);
+
+        const mastodon = new URL(SHARE_TARGETS.mastodon(DATA, { instance: 'fosstodon.org' }));
+        expect(mastodon.origin + mastodon.pathname).toBe('https://fosstodon.org/share');
+        expect(mastodon.searchParams.get('text')).toBe(`${DATA.title} ${DATA.url}`);
+
+        expect(SHARE_TARGETS.email(DATA)).toBe(
+            'mailto:?subject=Freeze%20%26%20Thaw%3A%20A%20Guide&body=Freeze%20%26%20Thaw%3A%20A%20Guide%0A%0Ahttps%3A%2F%2Fwww.noidentity.space%2Farticles%2Fx.html'
+        );
+    });
+
+    it('shares the canonical URL and Open Graph title', () => {
+        expect(getShareData()).toEqual(DATA);
+
+        document.head.innerHTML = '';
+        document.title = 'Plain title';
+        expect(getShareData()).toEqual({ url: `${location.origin}${location.pathname}`, title: 'Plain title' });
+    });
+
+    it('normalizes what readers type as their Mastodon server', () => {
+        expect(normalizeMastodonInstance('mastodon.social')).toBe('mastodon.social');
+        expect(normalizeMastodonInstance('  https://Fosstodon.org/about ')).toBe('fosstodon.org');
+        expect(normalizeMastodonInstance('@me@hachyderm.io')).toBe('hachyderm.io');
+        expect(normalizeMastodonInstance('localhost')).toBeNull();
+        expect(normalizeMastodonInstance('javascript:alert(1)')).toBeNull();
+        expect(normalizeMastodonInstance('')).toBeNull();
+        expect(normalizeMastodonInstance(null)).toBeNull();
+    });
+
+    it('fills in the links and opens them in a new tab, except email', () => {
+        document.body.innerHTML = BLOCK;
+        setupShareButtons();
+
+        const x = document.querySelector('[data-share="x"]');
+        expect(x.href).toBe(SHARE_TARGETS.x(DATA));
+        expect(x.target).toBe('_blank');
+        expect(x.rel).toBe('noopener noreferrer');
+
+        const email = document.querySelector('[data-share="email"]');
+        expect(email.href).toBe(SHARE_TARGETS.email(DATA));
+        expect(email.target).toBe('');
+    });
+
+    it('gives the Mastodon form in each share block its own id', () => {
+        document.body.innerHTML = BLOCK + BLOCK;
+        setupShareButtons();
+
+        document.querySelectorAll('[data-share="mastodon"]').forEach(button => button.click());
+
+        const inputs = Array.from(document.querySelectorAll('.share-mastodon input'));
+        expect(inputs).toHaveLength(2);
+        expect(new Set(inputs.map(input => input.id)).size).toBe(2);
+        inputs.forEach(input => {
+            expect(input.form.querySelector('label').htmlFor).toBe(input.id);
+            expect(input.labels).toHaveLength(1);
+        });
+    });
+
+    it('copies the link with the Clipboard API', async () => {
+        const writeText = vi.fn().mockResolvedValue();
+        vi.stubGlobal('navigator', { ...navigator, clipboard: { writeText } });
+        vi.stubGlobal('isSecureContext', true);
+        document.body.innerHTML = BLOCK;
+        setupShareButtons();
+
+        document.querySelector('[data-share="copy"]').click();
+        await flush();
+
+        expect(writeText).toHaveBeenCalledWith(DATA.url);
+        expect(document.querySelector('.share-status').textContent).toBe('✅ Link copied!');
+    });
+
+    it('falls back to a temporary textarea without the Clipboard API', async () => {
+        let copied = null;
+        document.execCommand = vi.fn(() => {
+            copied = document.querySelector('textarea').value;
+            return true;
+        });
+        vi.stubGlobal('isSecureContext', false);
+        document.body.innerHTML = BLOCK;
+        setupShareButtons();
+
+        document.querySelector('[data-share="copy"]').click();
+        await flush();
+
+        expect(document.execCommand).toHaveBeenCalledWith('copy');
+        expect(copied).toBe(DATA.url);
+        expect(document.querySelector('textarea')).toBeNull();
+        expect(document.querySelector('.share-status').textContent).toBe('✅ Link copied!');
+    });
+
+    it('says so when the fallback copy is refused', async () => {
+        document.execCommand = vi.fn(() => false);
+        vi.stubGlobal('isSecureContext', false);
+        document.body.innerHTML = BLOCK;
+        setupShareButtons();
+
+        document.querySelector('[data-share="copy"]').click();
+        await flush();
+
+        expect(document.querySelector('.share-status').textContent).toMatch(/^⚠️ Copy failed/);
+        expect(document.querySelector('textarea')).toBeNull();
+    });
+});
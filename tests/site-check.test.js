@@ -0,0 +1,124 @@
+// @vitest-environment node
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { checkSite, resolveLink } from '../scripts/lib/site-check.js';
+import { absoluteURL } from '../scripts/lib/site.js';
+
+const NEWSLETTER = '<form id="newsletterForm" data-form="newsletter"><input name="email"><input name="website_url"></form>';
+
+function page({ file, title, description = `About ${title}`, body = '' }) {
+    return `<!DOCTYPE html><html><head><title>${title}</title>
+        <meta name="description" content="${description}">
+        <meta property="og:title" content="${title}"><meta property="og:description" content="${description}">
+        <meta property="og:type" content="website"><meta property="og:url" content="${absoluteURL(file)}">
+        <link rel="canonical" href="${absoluteURL(file)}">
+        <script type="application/ld+json">{"@context":"https://schema.org","@type":"WebPage"}</script>
+        </head><body>${body}</body></html>`;
+}
+
+describe('resolveLink', () => {
+    it('resolves relative, root-relative and own-domain links', () => {
+        expect(resolveLink('articles/a.html', '../articles/b.html#setup')).toEqual({ file: 'articles/b.html', hash: 'setup' });
+        expect(resolveLink('articles/a.html', 'b.html')).toEqual({ file: 'articles/b.html', hash: '' });
+        expect(resolveLink('articles/a.html', '/main.js')).toEqual({ file: 'main.js', hash: '' });
+        expect(resolveLink('index.html', 'https://www.noidentity.space/')).toEqual({ file: 'index.html', hash: '' });
+    });
+
+    it('skips external and non-file links', () => {
+        expect(resolveLink('index.html', 'https://example.com/')).toBeNull();
+        expect(resolveLink('index.html', 'mailto:contact@noidentity.space')).toBeNull();
+    });
+});
+
+describe('checkSite', () => {
+    let rootDir;
+
+    const write = (file, html) => {
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), html);
+    };
+    const messages = problems => problems.map(({ page: file, message }) => `${file}: ${message}`);
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-check-'));
+        write('index.html', page({ file: 'index.html', title: 'Home', body: '<a href="articles.html">All</a> <a href="contact">Contact</a>' }));
+        write('contact.html', page({ file: 'contact.html', title: 'Contact' }));
+        write('articles.html', page({ file: 'articles.html', title: 'Articles', body: '<a href="articles/a.html">A</a>' }));
+        write('articles/a.html', page({
+            file: 'articles/a.html',
+            title: 'A',
+            body: `<nav class="toc"><a href="#intro">Intro</a></nav><h2 id="intro">Intro</h2>${NEWSLETTER}`,
+        }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('passes a consistent site, including extensionless links', () => {
+        expect(checkSite({ rootDir })).toEqual({
+            pages: ['articles.html', 'articles/a.html', 'contact.html', 'index.html'],
+            errors: [],
+            warnings: [],
+        });
+    });
+
+    it('reports broken links, missing anchors and duplicate titles', () => {
+        write('articles/b.html', page({
+            file: 'articles/b.html',
+            title: 'A',
+            description: 'Another',
+            body: `<a href="../missing.html">x</a> <a href="#setup">Setup</a> <a href="a.html#nowhere">A</a>${NEWSLETTER}`,
+        }));
+        write('articles.html', page({ file: 'articles.html', title: 'Articles', body: '<a href="articles/a.html">A</a> <a href="/articles/b.html">B</a>' }));
+
+        expect(messages(checkSite({ rootDir }).errors)).toEqual([
+            'articles/b.html: Broken link: ../missing.html',
+            'articles/b.html: Missing anchor: #setup',
+            'articles/b.html: Missing anchor: a.html#nowhere',
+            'articles/a.html: Duplicate <title> "A" (also on articles/b.html)',
+            'articles/b.html: Duplicate <title> "A" (also on articles/a.html)',
+        ]);
+    });
+
+    it('reports unlisted articles, missing newsletter forms and honeypots', () => {
+        write('articles/c.html', page({ file: 'articles/c.html', title: 'C', body: '<form data-form="newsletter"><input name="email"></form>' }));
+        write('articles/d.html', page({ file: 'articles/d.html', title: 'D' }));
+
+        expect(messages(checkSite({ rootDir }).errors)).toEqual([
+            'articles/c.html: Form "newsletter" has no website_url honeypot',
+            'articles/c.html: Not listed on articles.html',
+            'articles/d.html: Not listed on articles.html',
+            'articles/d.html: No newsletter form',
+        ]);
+    });
+
+    it('reports missing Open Graph tags, canonical links and structured data', () => {
+        write('contact.html', '<html><head><title>Contact</title><meta name="description" content="Write to us"></head></html>');
+        write('privacy.html', page({ file: 'privacy.html', title: 'Privacy' })
+            .replace(`href="${absoluteURL('privacy.html')}"`, `href="${absoluteURL('contact.html')}"`)
+            .replace('"WebPage"}', '"WebPage",}'));
+
+        expect(messages(checkSite({ rootDir }).errors)).toEqual([
+            'contact.html: Missing og:title',
+            'contact.html: Missing og:description',
+            'contact.html: Missing og:type',
+            'contact.html: Missing og:url',
+            'contact.html: Missing canonical link',
+            'contact.html: Missing JSON-LD structured data',
+            `privacy.html: Canonical link ${absoluteURL('contact.html')} is not this page`,
+            expect.stringMatching(/^privacy\.html: Invalid JSON-LD: /),
+        ]);
+    });
+
+    it('checks pages with their partials filled in', () => {
+        write('articles/a.html', page({ file: 'articles/a.html', title: 'A', body: '\n<!-- include:newsletter -->\n' }));
+        write('contact.html', page({ file: 'contact.html', title: 'Contact', body: '\n    <!-- include:sidebar -->\n' }));
+
+        expect(messages(checkSite({ rootDir }).errors)).toEqual([
+            'contact.html: no partial for <!-- include:sidebar --> (expected partials/sidebar.html)',
+        ]);
+    });
+});
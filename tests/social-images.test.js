@@ -0,0 +1,105 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+    wrapText, loadEmojiSVG, buildCoverSVG, buildOgSVG, renderPNG, listSocialImages, listAppIcons, APP_ICONS,
+    COVER_SIZE, OG_SIZE
+} from '../scripts/lib/social-images.js';
+import { renderArticleCard } from '../scripts/lib/manifest.js';
+
+const ENTRY = {
+    slug: 'freeze-your-credit',
+    url: 'articles/freeze-your-credit.html',
+    title: 'How to Freeze Your Credit & Stop <Identity> Thieves',
+    category: 'Digital Security',
+    summary: 'Lock your credit reports for free.',
+    keywords: ['credit freeze'],
+    emoji: '🧊',
+    imageColor: '#0ea5e9',
+};
+
+/**
+ * Width and height from a PNG's IHDR chunk
+ */
+function pngSize(png) {
+    return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+describe('wrapText', () => {
+    it('breaks at word boundaries', () => {
+        expect(wrapText('The quick brown fox jumps over the lazy dog', 15, 5)).toEqual({
+            lines: ['The quick brown', 'fox jumps over', 'the lazy dog'],
+            truncated: false,
+        });
+    });
+
+    it('cuts text that needs too many lines with an ellipsis', () => {
+        expect(wrapText('The quick brown fox jumps over the lazy dog', 15, 2)).toEqual({
+            lines: ['The quick brown', 'fox jumps over…'],
+            truncated: true,
+        });
+    });
+
+    it('splits words longer than a line', () => {
+        expect(wrapText('Supercalifragilistic', 8, 5).lines).toEqual(['Superca-', 'lifragi-', 'listic']);
+    });
+});
+
+describe('loadEmojiSVG', () => {
+    it('finds plain emoji, emoji with a presentation selector and ZWJ sequences', () => {
+        expect(loadEmojiSVG('🔒')).toMatch(/^<svg/);
+        expect(loadEmojiSVG('🛡️')).toMatch(/^<svg/);
+        expect(loadEmojiSVG('🏴‍☠️')).toMatch(/^<svg/);
+    });
+
+    it('returns null for text that is not an emoji', () => {
+        expect(loadEmojiSVG('ab')).toBeNull();
+    });
+});
+
+describe('social image SVGs', () => {
+    it('escape the title and category and embed the emoji', () => {
+        const svg = buildOgSVG(ENTRY);
+
+        expect(svg).toContain('&amp; Stop &lt;Identity&gt; Thieves</tspan>');
+        expect(svg).toContain('DIGITAL SECURITY');
+        expect(svg).toContain('href="data:image/svg+xml;base64,');
+        expect(svg).toContain('stop-color="#0ea5e9"');
+    });
+
+    it('fall back to a default emoji and color', () => {
+        const svg = buildCoverSVG({ ...ENTRY, emoji: '?', imageColor: 'blue' });
+
+        expect(svg).toContain(Buffer.from(loadEmojiSVG('🔒')).toString('base64'));
+        expect(svg).toContain('stop-color="#3b82f6"');
+    });
+
+    it('render to PNGs of the right size', () => {
+        expect(pngSize(renderPNG(buildCoverSVG(ENTRY)))).toEqual(COVER_SIZE);
+        expect(pngSize(renderPNG(buildOgSVG(ENTRY)))).toEqual(OG_SIZE);
+    });
+});
+
+describe('listSocialImages', () => {
+    it('lists a cover and an Open Graph image per article', () => {
+        const images = listSocialImages({ articles: [ENTRY] });
+        expect(images.map(image => image.fileName)).toEqual([
+            'images/covers/freeze-your-credit.png',
+            'images/og/freeze-your-credit.png',
+        ]);
+    });
+
+    it('are what the article cards show', () => {
+        expect(renderArticleCard(ENTRY, { base: '../' })).toContain('<img src="../images/covers/freeze-your-credit.png"');
+        expect(renderArticleCard(ENTRY)).not.toContain('placehold.co');
+    });
+});
+
+describe('listAppIcons', () => {
+    it('draws every app icon at its size', () => {
+        const icons = listAppIcons();
+        expect(icons.map(icon => icon.fileName)).toEqual(APP_ICONS.map(icon => icon.fileName));
+        icons.forEach((icon, i) => {
+            expect(pngSize(icon.render())).toEqual({ width: APP_ICONS[i].size, height: APP_ICONS[i].size });
+        });
+    });
+});
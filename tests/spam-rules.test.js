@@ -0,0 +1,106 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+    scoreSpam,
+    configureSpamRules,
+    resetSpamRules,
+    keywordRule,
+    loadKeywordList,
+    DEFAULT_SPAM_THRESHOLD
+} from '../spam-rules.js';
+
+const clean = { name: 'Jane Doe', email: 'jane@example.com', subject: 'Question', message: 'Could you review my article about password managers?' };
+
+describe('scoreSpam', () => {
+    afterEach(() => {
+        resetSpamRules();
+        localStorage.clear();
+        vi.restoreAllMocks();
+    });
+
+    it('passes ordinary submissions', () => {
+        expect(scoreSpam(clean, { formId: 'contactForm' })).toEqual({
+            spam: false,
+            score: 0,
+            threshold: DEFAULT_SPAM_THRESHOLD,
+            error: null,
+            fired: [],
+        });
+    });
+
+    it('refuses a submission any default rule matches, with that rule\'s message', () => {
+        const report = scoreSpam({ ...clean, message: 'You are a lottery winner' }, { formId: 'contactForm' });
+
+        expect(report).toMatchObject({ spam: true, score: 2, error: 'Spam content detected' });
+        expect(report.fired.map(rule => rule.id)).toEqual(['spam-keywords']);
+    });
+
+    it('matches keywords as whole words only', () => {
+        expect(scoreSpam({ ...clean, message: 'Occasional casinos-free reading' }).spam).toBe(false);
+        expect(scoreSpam({ ...clean, message: 'Is this a CASINO?' }).spam).toBe(true);
+    });
+
+    it('lets one form lower a weight without changing the others', () => {
+        const gibberish = { ...clean, name: 'xkqzvbnm' };
+        configureSpamRules('contactForm', { weights: { 'gibberish-name': 0.5 } });
+
+        expect(scoreSpam(gibberish, { formId: 'contactForm' })).toMatchObject({ spam: false, score: 0.5 });
+        expect(scoreSpam(gibberish, { formId: 'newsletterForm' })).toMatchObject({ spam: true, error: 'Please enter a valid name' });
+    });
+
+    it('adds up weak signals against the threshold', () => {
+        configureSpamRules('contactForm', {
+            threshold: 2,
+            rules: [
+                { id: 'no-subject', weight: 1, message: 'Please add a subject', test: fields => !fields.subject },
+                keywordRule({ id: 'seo', keywords: ['backlinks', 'page rank'], weight: 0.5, message: 'No SEO offers, please' }),
+            ],
+        });
+
+        const oneSignal = scoreSpam({ ...clean, subject: '' }, { formId: 'contactForm' });
+        expect(oneSignal).toMatchObject({ spam: false, score: 1 });
+
+        const report = scoreSpam({ ...clean, subject: '', message: 'Cheap backlinks to boost your page rank' }, { formId: 'contactForm' });
+        expect(report).toMatchObject({ spam: true, score: 2, error: 'Please add a subject' });
+        expect(report.fired).toEqual([
+            { id: 'no-subject', score: 1, message: 'Please add a subject' },
+            { id: 'seo', score: 1, message: 'No SEO offers, please' },
+        ]);
+    });
+
+    it('logs the report in debug mode', () => {
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        scoreSpam(clean, { formId: 'contactForm' });
+        expect(log).not.toHaveBeenCalled();
+
+        localStorage.setItem('nis_spam_debug', '1');
+        scoreSpam({ ...clean, message: 'casino' }, { formId: 'contactForm' });
+        expect(log).toHaveBeenCalledWith('[Security] Spam score for "contactForm": 1 of 1', [
+            { id: 'spam-keywords', score: 1, message: 'Spam content detected' },
+        ]);
+    });
+});
+
+describe('loadKeywordList', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('accepts a bare array or a keywords object', async () => {
+        vi.stubGlobal('fetch', vi.fn()
+            .mockResolvedValueOnce(new Response('["a", "b"]'))
+            .mockResolvedValueOnce(new Response('{ "keywords": ["c"] }')));
+
+        expect(await loadKeywordList('/a.json')).toEqual(['a', 'b']);
+        expect(await loadKeywordList('/c.json')).toEqual(['c']);
+    });
+
+    it('throws when the list is missing or has no keywords', async () => {
+        vi.stubGlobal('fetch', vi.fn()
+            .mockResolvedValueOnce(new Response('', { status: 404 }))
+            .mockResolvedValueOnce(new Response('{}')));
+
+        await expect(loadKeywordList('/missing.json')).rejects.toThrow(/HTTP 404/);
+        await expect(loadKeywordList('/empty.json')).rejects.toThrow(/no keywords/);
+    });
+});
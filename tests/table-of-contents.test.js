@@ -0,0 +1,79 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import * as cheerio from 'cheerio';
+import { toSlug, addHeadingIds, renderTocItems, addTableOfContents } from '../scripts/lib/articles.js';
+
+const tocLinks = (html) => {
+    const $ = cheerio.load(html);
+    return $('ul.toc > li').map((i, el) => ({
+        href: $(el).children('a').attr('href'),
+        children: $(el).find('ul a').map((j, a) => $(a).attr('href')).get(),
+    })).get();
+};
+
+describe('table of contents', () => {
+    it('slugs heading text', () => {
+        expect(toSlug('Step 1: Freeze Your Credit!')).toBe('step-1-freeze-your-credit');
+        expect(toSlug('  What -- now?  ')).toBe('what-now');
+        expect(toSlug('🔒')).toBe('');
+    });
+
+    it('gives every h2 and h3 a unique id', () => {
+        const { html, headings } = addHeadingIds('<h2>Why freeze?</h2><h3>Cost</h3><h2>Why freeze?</h2><h3>Cost</h3><h2>🔒</h2>');
+
+        expect(headings).toEqual([
+            { id: 'why-freeze', text: 'Why freeze?', level: 2 },
+            { id: 'cost', text: 'Cost', level: 3 },
+            { id: 'why-freeze-2', text: 'Why freeze?', level: 2 },
+            { id: 'cost-2', text: 'Cost', level: 3 },
+            { id: 'section-5', text: '🔒', level: 2 },
+        ]);
+        expect(html).toContain('<h2 id="why-freeze-2">Why freeze?</h2>');
+    });
+
+    it('keeps existing ids unless they clash', () => {
+        const { headings } = addHeadingIds('<h2 id="start">Begin</h2><h2 id="start">Again</h2><h4>Skipped</h4>');
+        expect(headings.map(heading => heading.id)).toEqual(['start', 'start-2']);
+    });
+
+    it('nests each h3 under the h2 before it and escapes the text', () => {
+        const items = renderTocItems([
+            { id: 'intro', text: 'Intro', level: 3 },
+            { id: 'tools', text: 'Tools & <Tips>', level: 2 },
+            { id: 'vpn', text: 'VPN', level: 3 },
+            { id: 'tor', text: 'Tor', level: 3 },
+            { id: 'end', text: 'End', level: 2 },
+        ], '');
+
+        expect(tocLinks(`<ul class="toc">${items}</ul>`)).toEqual([
+            { href: '#intro', children: [] },
+            { href: '#tools', children: ['#vpn', '#tor'] },
+            { href: '#end', children: [] },
+        ]);
+        expect(items).toContain('<a href="#tools">Tools &amp; &lt;Tips&gt;</a>');
+    });
+
+    it('rebuilds a page\'s TOC from its article headings', () => {
+        const page = `<html><body>
+            <article class="article-content">
+                <h2>First</h2><h3>Detail</h3>
+                <aside><h2>Ad</h2></aside>
+                <h2>Second</h2>
+            </article>
+            <div class="sidebar"><h3>Contents</h3><ul class="toc"><li><a href="#old">Old</a></li></ul></div>
+        </body></html>`;
+
+        const html = addTableOfContents(page);
+
+        expect(tocLinks(html)).toEqual([
+            { href: '#first', children: ['#detail'] },
+            { href: '#second', children: [] },
+        ]);
+        expect(cheerio.load(html)('aside h2').attr('id')).toBeUndefined();
+    });
+
+    it('leaves pages without an article body alone', () => {
+        const page = '<html><body><h2>Contact</h2></body></html>';
+        expect(addTableOfContents(page)).toBe(page);
+    });
+});
@@ -1,21 +1,10 @@
 import { defineConfig } from 'vite';
-import { resolve } from 'path';
-import { readdirSync } from 'fs';
-
-// Function to find all HTML files in the articles directory and create Rollup entry points
-function getArticleEntries(dir) {
-    const entries = {};
-    const files = readdirSync(dir).filter(file => file.endsWith('.html'));
-
-    for (const file of files) {
-        const key = `articles/${file.replace('.html', '')}`;
-        entries[key] = resolve(__dirname, dir, file);
-    }
-    return entries;
-}
-
-// Get the entry map for all articles
-const articleEntries = getArticleEntries('articles');
+import articlesPlugin from './scripts/lib/vite-plugin-articles.js';
+import searchIndexPlugin from './scripts/lib/vite-plugin-search.js';
+import feedsPlugin from './scripts/lib/vite-plugin-feeds.js';
+import socialImagesPlugin from './scripts/lib/vite-plugin-images.js';
+import partialsPlugin from './scripts/lib/vite-plugin-partials.js';
+import offlinePlugin from './scripts/lib/vite-plugin-offline.js';
 
 export default defineConfig(({ command }) => {
     const isBuild = command === 'build';
@@ -26,22 +15,26 @@ export default defineConfig(({ command }) => {
         // Set the base path for deployment
         base: '/',
 
-        // Configure multi-page entry points for Rollup
+        // Render content/articles/ sources into articles/*.html and rebuild articles.json.
+        // The plugin also finds every page on disk and adds it as a Rollup input, leaving
+        // out drafts. The partials plugin fills the <!-- include:... --> markers in each
+        // page from partials/. The search plugin serves /search-index.json in dev and
+        // emits it into dist, and the feeds plugin does the same for sitemap.xml,
+        // robots.txt and the RSS/Atom feeds. The images plugin draws every article's card
+        // cover and Open Graph image. The offline plugin adds the web app manifest, its
+        // icons and the service worker.
+        plugins: [
+            articlesPlugin(),
+            partialsPlugin(),
+            searchIndexPlugin(),
+            feedsPlugin(),
+            socialImagesPlugin(),
+            offlinePlugin(),
+        ],
+
+        // Multi-page build; the entry points come from the articles plugin
         build: {
             outDir: 'dist',
-            rollupOptions: {
-                input: {
-                    // Standard top-level pages
-                    main: resolve(__dirname, 'index.html'),
-                    // 👇 CRITICAL FIX: Add articles.html as a core entry point
-                    articles: resolve(__dirname, 'articles.html'),
-                    contact: resolve(__dirname, 'contact.html'),
-                    privacy: resolve(__dirname, 'privacy.html'),
-                    terms: resolve(__dirname, 'terms.html'),
-                    // Add articles dynamically
-                    ...articleEntries,
-                },
-            },
         },
         server: {
             host: true,
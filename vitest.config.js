@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// Kept apart from vite.config.js so running the tests doesn't render articles
+export default defineConfig({
+    test: {
+        environment: 'jsdom',
+        include: ['tests/**/*.test.js'],
+    },
+});